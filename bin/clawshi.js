@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { run } from '../cli/index.js';
+
+process.exitCode = await run(process.argv.slice(2));
@@ -0,0 +1,982 @@
+import { ethers } from 'ethers';
+import {
+  ClawshiClient,
+  ONE_SIDED_POLICIES,
+  decodeChainlinkParams,
+  decodeError,
+  encodeReporterSet,
+  findRoundHint,
+  formatTokenAmount,
+  parseTokenAmount
+} from '../src/index.js';
+
+// ============================================
+// clawshi subcommands
+// ============================================
+// Each command is { usage, description, run(ctx), format?(result, ctx) }.
+// `run` returns a plain object: printed as JSON with --json,
+// otherwise through `format` (lines of text).
+//
+// Amounts are in the market's collateral token (e.g. "10.5"), in USDC
+// where no market is involved; times are Unix seconds, ISO dates or
+// "+<n><s|m|h|d>" relative to the latest block.
+// ============================================
+
+export class UsageError extends Error {}
+
+// ---- Argument parsing ----
+
+function required(value, name) {
+  if (value === undefined || value === true) throw new UsageError(`Missing ${name}`);
+  return value;
+}
+
+function parseId(value, name = 'market ID') {
+  if (!/^\d+$/.test(required(value, name))) throw new UsageError(`${name} must be a non-negative integer`);
+  return BigInt(value);
+}
+
+function parseIds(values) {
+  if (values.length === 0) throw new UsageError('Missing market ID');
+  return values.map(value => parseId(value));
+}
+
+function parseSide(value) {
+  const side = required(value, 'side (yes|no)').toLowerCase();
+  if (side !== 'yes' && side !== 'no') throw new UsageError('Side must be yes or no');
+  return side === 'yes';
+}
+
+// Outcome index of a categorical market with `outcomeCount` outcomes
+function parseOutcome(value, outcomeCount) {
+  const outcome = parseId(value, 'outcome index');
+  if (outcome >= outcomeCount) throw new UsageError(`Outcome index must be below the market's ${outcomeCount} outcomes`);
+  return outcome;
+}
+
+// Decimal amount in `token` (a TokenInfo) to base units
+function parseAmount(value, name, token) {
+  let amount;
+  try {
+    amount = parseTokenAmount(required(value, name), token);
+  } catch {
+    throw new UsageError(`${name} must be a ${token.symbol} amount, e.g. 10.5`);
+  }
+  if (amount <= 0n) throw new UsageError(`${name} must be positive`);
+  return amount;
+}
+
+function parseBool(value, name) {
+  if (value === undefined) return undefined;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw new UsageError(`--${name} must be true or false`);
+}
+
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+async function parseTime(ctx, value, name) {
+  required(value, name);
+  if (/^\d+$/.test(value)) return BigInt(value);
+
+  const relative = value.match(/^\+(\d+)([smhd])$/);
+  if (relative) {
+    const { timestamp } = await ctx.provider.getBlock('latest');
+    return BigInt(timestamp + Number(relative[1]) * UNITS[relative[2]]);
+  }
+
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new UsageError(`${name} must be a Unix time, ISO date or +<n><s|m|h|d>`);
+  return BigInt(Math.floor(ms / 1000));
+}
+
+function parseAddress(value, name) {
+  if (!ethers.isAddress(required(value, name))) throw new UsageError(`${name} must be an address`);
+  return ethers.getAddress(value);
+}
+
+// "usdc" or a token address
+async function parseToken(ctx, value, name = '--token') {
+  if (required(value, name).toLowerCase() === 'usdc') return (await ctx.client.usdc()).target;
+  return parseAddress(value, name);
+}
+
+// "manual", "chainlink", "optimistic", "quorum" or an address
+function parseResolver(ctx, value) {
+  const aliases = {
+    manual: ctx.client.addresses.ManualResolver,
+    chainlink: ctx.client.addresses.ChainlinkResolver,
+    optimistic: ctx.client.addresses.OptimisticResolver,
+    quorum: ctx.client.addresses.QuorumResolver
+  };
+  const key = required(value, 'resolver').toLowerCase();
+  if (key in aliases) {
+    if (!aliases[key]) throw new UsageError(`No ${key} resolver configured for this network`);
+    return aliases[key];
+  }
+  return parseAddress(value, 'resolver');
+}
+
+// ---- Transactions ----
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+function toArgs(fragment, values) {
+  const args = {};
+  fragment.inputs.forEach((input, i) => { args[input.name || i] = values[i]; });
+  return args;
+}
+
+function parseEvents(contract, address, receipt) {
+  const events = [];
+  for (const log of receipt.logs) {
+    if (!sameAddress(log.address, address)) continue;
+    const parsed = contract.interface.parseLog(log);
+    if (parsed) events.push({ name: parsed.name, args: toArgs(parsed.fragment, parsed.args) });
+  }
+  return events;
+}
+
+/**
+ * Send a contract call, or simulate it with eth_call + estimateGas on --dry-run
+ */
+async function transact(ctx, contract, method, args) {
+  const signer = await ctx.signer();
+  const bound = contract.connect(signer);
+  const from = await signer.getAddress();
+  const to = await contract.getAddress();
+  const call = { from, to, method, args: toArgs(contract.interface.getFunction(method), args) };
+
+  try {
+    if (ctx.dryRun) {
+      const result = await bound[method].staticCall(...args);
+      const gasEstimate = await bound[method].estimateGas(...args);
+      return {
+        dryRun: true,
+        ...call,
+        result: result instanceof ethers.Result ? result.toArray() : result,
+        gasEstimate
+      };
+    }
+
+    const tx = await bound[method](...args);
+    const receipt = await tx.wait();
+    return {
+      ...call,
+      hash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      events: parseEvents(contract, to, receipt)
+    };
+  } catch (err) {
+    throw decodeError(err);
+  }
+}
+
+// Timelocked admin calls are sent directly while the contract has no
+// timelock delay, and queued with queueAction() once it has one
+async function adminTransact(ctx, contract, method, args) {
+  if (await contract.timelockDelay() === 0n) return transact(ctx, contract, method, args);
+  return transact(ctx, contract, 'queueAction', [contract.interface.encodeFunctionData(method, args)]);
+}
+
+function formatTx(tx) {
+  const args = Object.values(tx.args).join(', ');
+  if (tx.dryRun) {
+    return [
+      `✅ Simulation succeeded: ${tx.method}(${args})`,
+      `   from: ${tx.from}`,
+      `   to:   ${tx.to}`,
+      ...(tx.result !== undefined && !(Array.isArray(tx.result) && tx.result.length === 0) ? [`   returns: ${tx.result}`] : []),
+      `   gas estimate: ${tx.gasEstimate}`
+    ];
+  }
+  return [
+    `✅ ${tx.method}(${args}) - ${tx.hash}`,
+    `   block ${tx.blockNumber}, gas used ${tx.gasUsed}`,
+    ...tx.events.map(e => `   ${e.name}(${Object.entries(e.args).map(([k, v]) => `${k}=${v}`).join(', ')})`)
+  ];
+}
+
+// Client bound to the CLI signer, for signing permits and stake intents
+async function signingClient(ctx) {
+  return new ClawshiClient({ runner: await ctx.signer(), addresses: ctx.client.addresses });
+}
+
+// ---- Tokens ----
+
+// Approve the factory for `amount` of `token` if needed; null if the allowance covers it
+async function approveFactory(ctx, token, amount) {
+  const owner = await (await ctx.signer()).getAddress();
+  const contract = ctx.client.token(token);
+  const spender = ctx.client.addresses.MarketFactory;
+
+  if (await contract.allowance(owner, spender) >= amount) return null;
+  return transact(ctx, contract, 'approve', [spender, ctx.options['approve-max'] ? ethers.MaxUint256 : amount]);
+}
+
+// Approve the factory for `amount` of `token` if needed, then send a staking call
+async function stakeWithApproval(ctx, token, amount, method, args) {
+  const approval = await approveFactory(ctx, token, amount);
+  // The stake cannot be simulated against an allowance that does not exist yet
+  if (approval && ctx.dryRun) return { approval, stake: null, note: 'stake not simulated: approval required first' };
+
+  return { approval, stake: await transact(ctx, ctx.client.factory, method, args) };
+}
+
+function formatStake(r) {
+  return [
+    ...(r.approval ? formatTx(r.approval) : []),
+    ...(r.approvals ?? []).flatMap(formatTx),
+    ...(r.stake ? formatTx(r.stake) : [`⚠️  ${r.note}`])
+  ];
+}
+
+// ---- Markets ----
+
+function marketStatus(market, now) {
+  if (market.resolved) return 'resolved';
+  if (market.cancelled) return 'cancelled';
+  if (market.paused) return 'paused';
+  return Number(market.deadline) <= now ? 'closed' : 'open';
+}
+
+async function latestTimestamp(ctx) {
+  return (await ctx.provider.getBlock('latest')).timestamp;
+}
+
+// Adds `status` and `collateral`, the market token's symbol and decimals
+async function withStatus(ctx, market, now) {
+  return { ...market, status: marketStatus(market, now), collateral: await ctx.client.getTokenInfo(market.token) };
+}
+
+// Adds `categorical` to a categorical market: outcome labels, pools,
+// odds and the winning outcome
+async function withOutcomes(ctx, market) {
+  const { outcomeCount } = await ctx.client.factory.categoricals(market.id);
+  if (outcomeCount === 0n) return market;
+
+  const fromBlock = ctx.options['from-block'] !== undefined ? Number(parseId(ctx.options['from-block'], '--from-block')) : 0;
+  const { outcomes, pools, odds, winningOutcome } = await ctx.client.getCategoricalMarket(market.id, { fromBlock });
+  return { ...market, categorical: { outcomes, pools, odds, winningOutcome } };
+}
+
+const outcomeLabel = (c, i) => c.outcomes?.[Number(i)] ?? `outcome ${i}`;
+
+function formatMarket(m) {
+  const amount = value => formatTokenAmount(value, m.collateral, { symbol: false });
+  const exitFees = m.exitFees > 0n ? ` (+ ${amount(m.exitFees)} exit fees)` : '';
+  return [
+    `#${m.id} ${m.question}`,
+    ...(m.categorical
+      ? [
+        `   status:   ${m.status}${m.resolved ? ` (${outcomeLabel(m.categorical, m.categorical.winningOutcome)})` : ''}`,
+        `   outcomes:${exitFees}`,
+        ...m.categorical.pools.map((pool, i) =>
+          `     [${i}] ${outcomeLabel(m.categorical, i)}: ${amount(pool)} ${m.collateral.symbol} (${m.categorical.odds[i]}%)`)
+      ]
+      : [
+        `   status:   ${m.status}${m.resolved ? (m.outcome ? ' (YES)' : ' (NO)') : ''}`,
+        `   pools:    YES ${amount(m.yesPool)} / NO ${amount(m.noPool)} ${m.collateral.symbol}${exitFees}`
+      ]),
+    `   deadline: ${new Date(Number(m.deadline) * 1000).toISOString()}`,
+    `   creator:  ${m.creator} (fee ${m.creatorFee} bps)`,
+    `   resolver: ${m.resolver}`,
+    `   token:    ${m.collateral.symbol} (${m.token})`
+  ];
+}
+
+// ---- Chainlink ----
+
+async function chainlinkMarket(ctx, value) {
+  const market = await ctx.client.getMarket(parseId(value));
+  if (market.resolver !== ctx.client.addresses.ChainlinkResolver) {
+    throw new UsageError(`Market #${market.id} does not use the ChainlinkResolver`);
+  }
+  return market;
+}
+
+async function deadlineRound(ctx, market) {
+  try {
+    return await findRoundHint(ctx.client.chainlinkResolver, market.id, market.resolverData);
+  } catch (err) {
+    throw decodeError(err);
+  }
+}
+
+// ---- QuorumResolver ----
+
+async function quorumResolver(ctx) {
+  if (!ctx.client.addresses.QuorumResolver) {
+    throw new UsageError('No quorum resolver configured for this network');
+  }
+  return ctx.client.quorumResolver;
+}
+
+// resolverData from --reporters <a,b,c> --quorum <m>
+function parseReporterSet(ctx) {
+  const { options } = ctx;
+  if (options['resolver-data']) throw new UsageError('Use either --reporters or --resolver-data');
+  const reporters = required(options.reporters, '--reporters').split(',').map(r => parseAddress(r, 'reporter'));
+  try {
+    return encodeReporterSet({ reporters, quorum: parseId(options.quorum, '--quorum') });
+  } catch (err) {
+    if (err instanceof UsageError) throw err;
+    throw new UsageError(err.message);
+  }
+}
+
+// ---- OptimisticResolver ----
+
+async function optimisticResolver(ctx) {
+  if (!ctx.client.addresses.OptimisticResolver) {
+    throw new UsageError('No optimistic resolver configured for this network');
+  }
+  return ctx.client.optimisticResolver;
+}
+
+// Post a proposal or dispute bond, approving the resolver first if needed
+async function sendBonded(ctx, resolver, method, args, bond) {
+  const owner = await (await ctx.signer()).getAddress();
+  const usdc = await ctx.client.usdc();
+  const spender = await resolver.getAddress();
+
+  let approval = null;
+  if (bond > 0n && await usdc.allowance(owner, spender) < bond) {
+    approval = await transact(ctx, usdc, 'approve', [spender, ctx.options['approve-max'] ? ethers.MaxUint256 : bond]);
+    if (ctx.dryRun) return { approval, bond, tx: null, note: `${method} not simulated: approval required first` };
+  }
+
+  return { approval, bond, tx: await transact(ctx, resolver, method, args) };
+}
+
+function formatBonded(r, ctx) {
+  return [
+    ...(r.approval ? formatTx(r.approval) : []),
+    ...(r.tx ? formatTx(r.tx) : [`⚠️  ${r.note}`]),
+    `   bond: ${ethers.formatUnits(r.bond, ctx.usdcDecimals)} USDC`
+  ];
+}
+
+export const COMMANDS = {
+  'market create': {
+    usage: '--question <text> --resolver <manual|chainlink|optimistic|quorum|addr> --deadline <time> [--resolver-data 0x] ' +
+      '[--reporters <a,b,..> --quorum <m>] [--creator-fee <bps>] [--outcomes <a,b,..>] [--token <usdc|addr>]',
+    description: 'Create a market (--reporters: QuorumResolver reporter set for this market; ' +
+      '--outcomes: a categorical market with these outcomes; --token: collateral, default USDC)',
+    async run(ctx) {
+      const { options } = ctx;
+      const creatorFee = options['creator-fee'] ?? '0';
+      if (!/^\d+$/.test(creatorFee)) throw new UsageError('--creator-fee must be basis points');
+      const market = {
+        question: required(options.question, '--question'),
+        resolver: parseResolver(ctx, options.resolver),
+        resolverData: options.reporters !== undefined ? parseReporterSet(ctx) : options['resolver-data'] || '0x',
+        deadline: await parseTime(ctx, options.deadline, '--deadline'),
+        creatorFeeBps: BigInt(creatorFee),
+        token: await parseToken(ctx, options.token ?? 'usdc')
+      };
+      if (options.outcomes !== undefined) {
+        market.outcomes = required(options.outcomes, '--outcomes').split(',').map(label => label.trim());
+      }
+      // Reject before signing, with the error createMarket() would revert with
+      await ctx.client.validateMarket(market);
+      if (market.outcomes) {
+        return transact(ctx, ctx.client.factory, 'createCategoricalMarket', [
+          market.question, market.outcomes, market.resolver, market.resolverData, market.deadline, market.creatorFeeBps, market.token
+        ]);
+      }
+      return transact(ctx, ctx.client.factory, 'createMarket', [
+        market.question, market.resolver, market.resolverData, market.deadline, market.creatorFeeBps, market.token
+      ]);
+    },
+    format: formatTx
+  },
+
+  'market show': {
+    usage: '<id> [--from-block n]',
+    description: 'Show a market (--from-block: where to search for categorical outcome labels)',
+    async run(ctx) {
+      const market = await ctx.client.getMarket(parseId(ctx.args[0]));
+      return withOutcomes(ctx, await withStatus(ctx, market, await latestTimestamp(ctx)));
+    },
+    format: market => formatMarket(market)
+  },
+
+  'market list': {
+    usage: '[--resolved true|false] [--paused true|false] [--cancelled true|false] [--resolver <r>] [--limit n] [--offset n] ' +
+      '[--from-block n]',
+    description: 'List markets',
+    async run(ctx) {
+      const { options } = ctx;
+      const resolved = parseBool(options.resolved, 'resolved');
+      const paused = parseBool(options.paused, 'paused');
+      const cancelled = parseBool(options.cancelled, 'cancelled');
+      const resolver = options.resolver && parseResolver(ctx, options.resolver);
+      const limit = Number(parseId(options.limit ?? '20', '--limit'));
+      const offset = Number(parseId(options.offset ?? '0', '--offset'));
+
+      const count = Number(await ctx.client.getMarketCount());
+      const now = await latestTimestamp(ctx);
+      const markets = [];
+      for (let id = 0; id < count; id++) {
+        const market = await ctx.client.getMarket(id);
+        if (resolved !== undefined && market.resolved !== resolved) continue;
+        if (paused !== undefined && market.paused !== paused) continue;
+        if (cancelled !== undefined && market.cancelled !== cancelled) continue;
+        if (resolver && market.resolver !== resolver) continue;
+        markets.push(await withStatus(ctx, market, now));
+      }
+
+      const page = await Promise.all(markets.slice(offset, offset + limit).map(m => withOutcomes(ctx, m)));
+      return { total: markets.length, markets: page };
+    },
+    format: ({ total, markets }) => [
+      ...markets.flatMap(formatMarket),
+      `${markets.length} of ${total} market(s)`
+    ]
+  },
+
+  'market odds': {
+    usage: '<id> [--from-block n]',
+    description: 'YES/NO odds in percent, or the odds of each outcome of a categorical market',
+    async run(ctx) {
+      const marketId = parseId(ctx.args[0]);
+      const { categorical } = await withOutcomes(ctx, await ctx.client.getMarket(marketId));
+      if (categorical) {
+        return { marketId, outcomes: categorical.pools.map((_, i) => ({ label: outcomeLabel(categorical, i), odds: categorical.odds[i] })) };
+      }
+      return { marketId, ...(await ctx.client.getOdds(marketId)) };
+    },
+    format: o => o.outcomes
+      ? [`#${o.marketId} ${o.outcomes.map(c => `${c.label} ${c.odds}%`).join(' / ')}`]
+      : [`#${o.marketId} YES ${o.yes}% / NO ${o.no}%`]
+  },
+
+  'market quote': {
+    usage: '<id> <yes|no|outcome index> <amount>',
+    description: 'Net payout if staking now and winning (an outcome index for categorical markets)',
+    async run(ctx) {
+      const [id, side, amount] = ctx.args;
+      const marketId = parseId(id);
+      const { outcomeCount } = await ctx.client.factory.categoricals(marketId);
+      const outcome = outcomeCount > 0n ? parseOutcome(side, outcomeCount) : null;
+      const isYes = outcome === null && parseSide(side);
+      const collateral = await ctx.client.getMarketToken(marketId);
+      const stake = parseAmount(amount, 'amount', collateral);
+      if (outcome !== null) {
+        return { marketId, outcome, amount: stake, ...(await ctx.client.quoteOutcomePayout(marketId, outcome, stake)), collateral };
+      }
+      return {
+        marketId,
+        side: isYes ? 'yes' : 'no',
+        amount: stake,
+        ...(await ctx.client.quotePayout(marketId, isYes, stake)),
+        collateral
+      };
+    },
+    format: q => [`#${q.marketId} ${q.side ? q.side.toUpperCase() : `outcome ${q.outcome}`} ` +
+      `${formatTokenAmount(q.amount, q.collateral)} pays ${formatTokenAmount(q.payout, q.collateral)}` +
+      (q.refund ? ` (refund: the other ${q.side ? 'side is' : 'outcomes are'} empty)` : '')]
+  },
+
+  stake: {
+    usage: '<id> <yes|no> <amount> [--approve-max | --permit]',
+    description: 'Stake the market\'s token (approves the factory if needed; --permit signs a token permit instead)',
+    async run(ctx) {
+      const [id, side, value] = ctx.args;
+      const marketId = parseId(id);
+      const isYes = parseSide(side);
+      const collateral = await ctx.client.getMarketToken(marketId);
+      const amount = parseAmount(value, 'amount', collateral);
+
+      if (ctx.options.permit) {
+        const permit = await (await signingClient(ctx)).signPermit(amount, { token: collateral.address });
+        return {
+          approval: null,
+          stake: await transact(ctx, ctx.client.factory, 'stakeWithPermit', [marketId, isYes, amount, permit.deadline, permit.v, permit.r, permit.s])
+        };
+      }
+
+      return stakeWithApproval(ctx, collateral.address, amount, 'stake', [marketId, isYes, amount]);
+    },
+    format: formatStake
+  },
+
+  'stake-outcome': {
+    usage: '<id> <outcome index> <amount> [--approve-max]',
+    description: 'Stake on an outcome of a categorical market (approves the factory if needed)',
+    async run(ctx) {
+      const [id, outcome, value] = ctx.args;
+      const marketId = parseId(id);
+      const index = parseId(outcome, 'outcome index');
+      const collateral = await ctx.client.getMarketToken(marketId);
+      const amount = parseAmount(value, 'amount', collateral);
+      return stakeWithApproval(ctx, collateral.address, amount, 'stakeOutcome', [marketId, index, amount]);
+    },
+    format: formatStake
+  },
+
+  'stake-many': {
+    usage: '<id>=<yes|no>:<amount> ... [--approve-max]',
+    description: 'Stake on several markets with one transfer per token (approves each token\'s total if needed)',
+    async run(ctx) {
+      if (ctx.args.length === 0) throw new UsageError('Missing <id>=<yes|no>:<amount> stakes');
+      const byToken = new Map();
+      for (const arg of ctx.args) {
+        const [id, rest = ''] = arg.split('=');
+        const [side, value] = rest.split(':');
+        const marketId = parseId(id);
+        const collateral = await ctx.client.getMarketToken(marketId);
+        if (!byToken.has(collateral.address)) byToken.set(collateral.address, []);
+        byToken.get(collateral.address).push([marketId, parseSide(side), parseAmount(value, 'amount', collateral)]);
+      }
+
+      const approvals = [];
+      for (const [token, group] of byToken) {
+        const approval = await approveFactory(ctx, token, group.reduce((sum, s) => sum + s[2], 0n));
+        if (approval) approvals.push(approval);
+      }
+      if (approvals.length > 0 && ctx.dryRun) return { approvals, stake: null, note: 'stake not simulated: approval required first' };
+
+      // Grouped by token: the factory makes one transfer per run of markets sharing a token
+      const stakes = [...byToken.values()].flat();
+      return {
+        approvals,
+        stake: await transact(ctx, ctx.client.factory, 'stakeMany', [stakes.map(s => s[0]), stakes.map(s => s[1]), stakes.map(s => s[2])])
+      };
+    },
+    format: formatStake
+  },
+
+  'stake-intent': {
+    usage: '<id> <yes|no> <amount> [--deadline <time>] [--permit]',
+    description: 'Sign a stake for a relayer to submit (prints the POST /relay/stake body)',
+    async run(ctx) {
+      const [id, side, value] = ctx.args;
+      const marketId = parseId(id);
+      const collateral = await ctx.client.getMarketToken(marketId);
+      const signed = await (await signingClient(ctx)).signStakeIntent({
+        marketId,
+        isYes: parseSide(side),
+        amount: parseAmount(value, 'amount', collateral),
+        deadline: ctx.options.deadline !== undefined ? await parseTime(ctx, ctx.options.deadline, '--deadline') : undefined,
+        withPermit: Boolean(ctx.options.permit)
+      });
+      return { ...signed, collateral };
+    },
+    format: ({ collateral, ...body }) => [
+      `✅ Signed ${body.intent.isYes ? 'YES' : 'NO'} ${formatTokenAmount(body.intent.amount, collateral)} on #${body.intent.marketId} ` +
+        `(nonce ${body.intent.nonce}, expires ${new Date(Number(body.intent.deadline) * 1000).toISOString()})`,
+      JSON.stringify(body, (_, v) => typeof v === 'bigint' ? v.toString() : v)
+    ]
+  },
+
+  unstake: {
+    usage: '<id> <amount>',
+    description: 'Withdraw part or all of your stake before the deadline (exit fee applies)',
+    async run(ctx) {
+      const marketId = parseId(ctx.args[0]);
+      const amount = parseAmount(ctx.args[1], 'amount', await ctx.client.getMarketToken(marketId));
+      return transact(ctx, ctx.client.factory, 'unstake', [marketId, amount]);
+    },
+    format: formatTx
+  },
+
+  switch: {
+    usage: '<id>',
+    description: 'Move your whole stake to the other side before the deadline (exit fee applies)',
+    run: async ctx => transact(ctx, ctx.client.factory, 'switchSide', [parseId(ctx.args[0])]),
+    format: formatTx
+  },
+
+  resolve: {
+    usage: '<id> ...',
+    description: 'Resolve markets through their resolvers (several IDs: resolveMany, skipping those not ready)',
+    async run(ctx) {
+      const ids = parseIds(ctx.args);
+      if (ids.length === 1) return transact(ctx, ctx.client.factory, 'resolveMarket', ids);
+      return transact(ctx, ctx.client.factory, 'resolveMany', [ids]);
+    },
+    format: formatTx
+  },
+
+  claim: {
+    usage: '<id> ... | --all',
+    description: 'Claim winnings (several IDs or --all: claimMany, including refunds from cancelled markets)',
+    async run(ctx) {
+      if (ctx.options.all) {
+        const user = await (await ctx.signer()).getAddress();
+        const claimable = await Promise.all((await ctx.client.findClaimable(user)).map(async c =>
+          ({ ...c, collateral: await ctx.client.getTokenInfo(c.token) })));
+        if (claimable.length === 0) return { claimable, claim: null };
+        return { claimable, claim: await transact(ctx, ctx.client.factory, 'claimMany', [claimable.map(c => c.marketId)]) };
+      }
+
+      const ids = parseIds(ctx.args);
+      if (ids.length === 1) return transact(ctx, ctx.client.factory, 'claim', ids);
+      return transact(ctx, ctx.client.factory, 'claimMany', [ids]);
+    },
+    format(r) {
+      if (!r.claimable) return formatTx(r);
+      if (!r.claim) return ['Nothing to claim'];
+      return [
+        ...r.claimable.map(c => `#${c.marketId} ${c.kind} ${formatTokenAmount(c.amount, c.collateral)}`),
+        ...formatTx(r.claim)
+      ];
+    }
+  },
+
+  cancel: {
+    usage: '<id> [--via-resolver]',
+    description: 'Cancel an unresolved market (owner, or anyone after the resolution timeout)',
+    async run(ctx) {
+      const marketId = parseId(ctx.args[0]);
+      if (!ctx.options['via-resolver']) return transact(ctx, ctx.client.factory, 'cancelMarket', [marketId]);
+
+      // ManualResolver admin, or anyone for an unpinned Chainlink market whose feed was removed
+      const { resolver } = await ctx.client.getMarket(marketId);
+      const contract = sameAddress(resolver, ctx.client.addresses.ManualResolver) ? ctx.client.manualResolver
+        : sameAddress(resolver, ctx.client.addresses.ChainlinkResolver) ? ctx.client.chainlinkResolver
+        : null;
+      if (!contract) throw new UsageError(`Resolver ${resolver} cannot cancel markets`);
+      return transact(ctx, contract, 'cancelMarket', [marketId]);
+    },
+    format: formatTx
+  },
+
+  refund: {
+    usage: '<id>',
+    description: 'Withdraw your stake from a cancelled market',
+    run: async ctx => transact(ctx, ctx.client.factory, 'refund', [parseId(ctx.args[0])]),
+    format: formatTx
+  },
+
+  // ---- Fees ----
+
+  'fees show': {
+    usage: '[address] [--token <usdc|addr>] [--market <id>]',
+    description: 'Fees accrued to an address in a token (default: your signer, USDC), or credited by a market',
+    async run(ctx) {
+      if (ctx.options.market !== undefined) {
+        const marketId = parseId(ctx.options.market, '--market');
+        return { marketId, ...(await ctx.client.getMarketFees(marketId)), collateral: await ctx.client.getMarketToken(marketId) };
+      }
+      const address = ctx.args[0] !== undefined ? parseAddress(ctx.args[0], 'address') : await (await ctx.signer()).getAddress();
+      const token = await parseToken(ctx, ctx.options.token ?? 'usdc');
+      return { address, ...(await ctx.client.getAccruedFees(address, { token })), collateral: await ctx.client.getTokenInfo(token) };
+    },
+    format: r => r.address
+      ? [`${r.address}: ${formatTokenAmount(r.accrued, r.collateral)} to withdraw ` +
+        `(${formatTokenAmount(r.lifetime, r.collateral)} accrued in total)`]
+      : [`#${r.marketId}: treasury ${formatTokenAmount(r.treasury, r.collateral)}, ` +
+        `creator ${formatTokenAmount(r.creator, r.collateral)}`]
+  },
+
+  'fees withdraw': {
+    usage: '[--token <usdc|addr>] [--to <address>]',
+    description: 'Withdraw the protocol or creator fees accrued to you in a token (default: USDC)',
+    async run(ctx) {
+      const token = await parseToken(ctx, ctx.options.token ?? 'usdc');
+      if (ctx.options.to === undefined) return transact(ctx, ctx.client.factory, 'withdrawFees', [token]);
+      return transact(ctx, ctx.client.factory, 'withdrawFeesTo', [token, parseAddress(ctx.options.to, '--to')]);
+    },
+    format: formatTx
+  },
+
+  // ---- Stake tokens ----
+
+  tokens: {
+    usage: '',
+    description: 'List the collateral whitelist: approved and revoked tokens with their minimum stakes',
+    run: async ctx => ({ tokens: await ctx.client.getStakeTokens() }),
+    format: ({ tokens }) => tokens.map(t =>
+      `${t.symbol} ${t.address} (${t.decimals} decimals): ${t.approved ? 'approved' : 'revoked'}, ` +
+      `min stake ${formatTokenAmount(t.minStake, t)}`)
+  },
+
+  // ---- ManualResolver ----
+
+  'manual set-outcome': {
+    usage: '<id> <yes|no>',
+    description: 'Set a ManualResolver outcome',
+    run: async ctx => transact(ctx, ctx.client.manualResolver, 'setOutcome', [parseId(ctx.args[0]), parseSide(ctx.args[1])]),
+    format: formatTx
+  },
+
+  'manual set-outcome-index': {
+    usage: '<id> <outcome index>',
+    description: 'Set the winning outcome of a categorical ManualResolver market',
+    async run(ctx) {
+      const marketId = parseId(ctx.args[0]);
+      const { outcomeCount } = await ctx.client.factory.categoricals(marketId);
+      // Binary markets are left to the resolver, which reverts WrongMarketType
+      const outcome = outcomeCount > 0n ? parseOutcome(ctx.args[1], outcomeCount) : parseId(ctx.args[1], 'outcome index');
+      return transact(ctx, ctx.client.manualResolver, 'setOutcomeIndex', [marketId, outcome]);
+    },
+    format: formatTx
+  },
+
+  'manual batch-set': {
+    usage: '<id>=<yes|no> ...',
+    description: 'Set several outcomes in one transaction',
+    async run(ctx) {
+      if (ctx.args.length === 0) throw new UsageError('Missing <id>=<yes|no> pairs');
+      const pairs = ctx.args.map(arg => {
+        const [id, side] = arg.split('=');
+        return [parseId(id), parseSide(side)];
+      });
+      return transact(ctx, ctx.client.manualResolver, 'batchSetOutcome', [pairs.map(p => p[0]), pairs.map(p => p[1])]);
+    },
+    format: formatTx
+  },
+
+  'manual set-deadline': {
+    usage: '<id> <time>',
+    description: 'Set the earliest resolution time for a market',
+    run: async ctx => transact(ctx, ctx.client.manualResolver, 'setDeadline', [
+      parseId(ctx.args[0]),
+      await parseTime(ctx, ctx.args[1], 'time')
+    ]),
+    format: formatTx
+  },
+
+  // ---- ChainlinkResolver ----
+
+  'chainlink price': {
+    usage: '<asset>',
+    description: 'Latest price from the resolver\'s feed',
+    async run(ctx) {
+      const asset = required(ctx.args[0], 'asset');
+      let result;
+      try {
+        result = await ctx.client.chainlinkResolver.getPrice(asset);
+      } catch (err) {
+        throw decodeError(err);
+      }
+      const [price, decimals] = result;
+      return { asset, price, decimals: Number(decimals), formatted: ethers.formatUnits(price, decimals) };
+    },
+    format: p => [`${p.asset}/USD ${p.formatted}`]
+  },
+
+  'chainlink set-feed': {
+    usage: '<asset> <feed>',
+    description: 'Add or replace a price feed (queued once the resolver has a timelock delay)',
+    run: async ctx => adminTransact(ctx, ctx.client.chainlinkResolver, 'setPriceFeed', [
+      required(ctx.args[0], 'asset'),
+      parseAddress(ctx.args[1], 'feed')
+    ]),
+    format: formatTx
+  },
+
+  'chainlink find-round': {
+    usage: '<market id>',
+    description: 'Find the feed round current at a market\'s resolution time',
+    async run(ctx) {
+      const market = await chainlinkMarket(ctx, ctx.args[0]);
+      const { asset, deadline } = decodeChainlinkParams(market.resolverData);
+      const round = await deadlineRound(ctx, market);
+      return { marketId: market.id, asset, deadline, ...round };
+    },
+    format: r => [
+      `#${r.marketId} ${r.asset} round ${r.roundId}: ${r.answer} (updated ${new Date(Number(r.updatedAt) * 1000).toISOString()})`,
+      r.hintSet ? '   hint already set'
+        : r.needsHint ? `   beyond the resolver's lookback: run clawshi chainlink set-round-hint ${r.marketId}`
+          : '   no hint needed'
+    ]
+  },
+
+  'chainlink set-round-hint': {
+    usage: '<market id> [round id]',
+    description: 'Record the resolution-time round (found automatically if omitted)',
+    async run(ctx) {
+      const market = await chainlinkMarket(ctx, ctx.args[0]);
+      const roundId = ctx.args[1] !== undefined
+        ? parseId(ctx.args[1], 'round ID')
+        : (await deadlineRound(ctx, market)).roundId;
+      return transact(ctx, ctx.client.chainlinkResolver, 'setRoundHint', [market.id, roundId]);
+    },
+    format: formatTx
+  },
+
+  // ---- OptimisticResolver ----
+
+  'optimistic propose': {
+    usage: '<id> <yes|no> [--approve-max]',
+    description: 'Propose an outcome, posting the bond (approves the resolver if needed)',
+    async run(ctx) {
+      const marketId = parseId(ctx.args[0]);
+      const outcome = parseSide(ctx.args[1]);
+      const resolver = await optimisticResolver(ctx);
+      const bond = await resolver.bondAmount();
+      return sendBonded(ctx, resolver, 'propose', [marketId, outcome], bond);
+    },
+    format: formatBonded
+  },
+
+  'optimistic dispute': {
+    usage: '<id> [--approve-max]',
+    description: 'Dispute a proposed outcome, matching its bond',
+    async run(ctx) {
+      const marketId = parseId(ctx.args[0]);
+      const resolver = await optimisticResolver(ctx);
+      const { bond } = await resolver.getRequest(marketId);
+      return sendBonded(ctx, resolver, 'dispute', [marketId], bond);
+    },
+    format: formatBonded
+  },
+
+  'optimistic finalize': {
+    usage: '<id>',
+    description: 'Accept an undisputed proposal after its challenge window',
+    run: async ctx => transact(ctx, await optimisticResolver(ctx), 'finalize', [parseId(ctx.args[0])]),
+    format: formatTx
+  },
+
+  'optimistic vote': {
+    usage: '<id> <yes|no>',
+    description: 'Vote on a disputed outcome (arbiters only)',
+    run: async ctx => transact(ctx, await optimisticResolver(ctx), 'vote', [parseId(ctx.args[0]), parseSide(ctx.args[1])]),
+    format: formatTx
+  },
+
+  'optimistic refund': {
+    usage: '<id>',
+    description: 'Return the bonds of a cancelled market\'s unfinished proposal',
+    run: async ctx => transact(ctx, await optimisticResolver(ctx), 'refundBonds', [parseId(ctx.args[0])]),
+    format: formatTx
+  },
+
+  'optimistic status': {
+    usage: '<id>',
+    description: 'Show a market\'s proposal, dispute and votes',
+    async run(ctx) {
+      const marketId = parseId(ctx.args[0]);
+      const resolver = await optimisticResolver(ctx);
+      const [request, quorum, now] = await Promise.all([
+        ctx.client.getOutcomeRequest(marketId),
+        resolver.quorum(),
+        latestTimestamp(ctx)
+      ]);
+      const challengeOpen = request.status === 'proposed' && now < Number(request.challengeEnds);
+      return { marketId, ...request, quorum, challengeOpen };
+    },
+    format: (r, ctx) => {
+      const side = outcome => outcome ? 'YES' : 'NO';
+      if (r.status === 'none') return [`#${r.marketId} no proposal`];
+      return [
+        `#${r.marketId} ${r.status}: ${side(r.status === 'finalized' ? r.outcome : r.proposedOutcome)}`,
+        `   proposer: ${r.proposer} (${side(r.proposedOutcome)}, bond ${ethers.formatUnits(r.bond, ctx.usdcDecimals)} USDC)`,
+        ...(r.status === 'proposed'
+          ? [`   challenge window ${r.challengeOpen ? 'open until' : 'ended'} ${new Date(Number(r.challengeEnds) * 1000).toISOString()}`]
+          : []),
+        ...(r.disputer !== ethers.ZeroAddress
+          ? [`   disputer: ${r.disputer}`, `   votes:    YES ${r.yesVotes} / NO ${r.noVotes} (quorum ${r.quorum})`]
+          : [])
+      ];
+    }
+  },
+
+  // ---- QuorumResolver ----
+
+  'quorum vote': {
+    usage: '<id> <yes|no>',
+    description: 'Vote for a QuorumResolver outcome (reporters only)',
+    run: async ctx => transact(ctx, await quorumResolver(ctx), 'setOutcome', [parseId(ctx.args[0]), parseSide(ctx.args[1])]),
+    format: formatTx
+  },
+
+  'quorum batch-vote': {
+    usage: '<id>=<yes|no> ...',
+    description: 'Vote on several markets in one transaction',
+    async run(ctx) {
+      if (ctx.args.length === 0) throw new UsageError('Missing <id>=<yes|no> pairs');
+      const pairs = ctx.args.map(arg => {
+        const [id, side] = arg.split('=');
+        return [parseId(id), parseSide(side)];
+      });
+      return transact(ctx, await quorumResolver(ctx), 'batchSetOutcome', [pairs.map(p => p[0]), pairs.map(p => p[1])]);
+    },
+    format: formatTx
+  },
+
+  'quorum status': {
+    usage: '<id>',
+    description: 'Show a market\'s reporters and pending votes',
+    async run(ctx) {
+      const marketId = parseId(ctx.args[0]);
+      await quorumResolver(ctx);
+      return { marketId, ...(await ctx.client.getVoteStatus(marketId)) };
+    },
+    format: r => [
+      `#${r.marketId} ${r.isSet ? `set: ${r.outcome ? 'YES' : 'NO'}` : 'pending'} - YES ${r.yesVotes} / NO ${r.noVotes} ` +
+        `(quorum ${r.quorum} of ${r.reporters.length}${r.defaultSet ? ', default reporters' : ''})`,
+      ...r.reporters.map(rep => `   ${rep.address} ${rep.vote ? rep.vote.toUpperCase() : '-'}`)
+    ]
+  },
+
+  'quorum set-reporters': {
+    usage: '<quorum> <address> ...',
+    description: 'Replace the default reporter set (admin)',
+    run: async ctx => transact(ctx, await quorumResolver(ctx), 'setReporters', [
+      ctx.args.slice(1).map(r => parseAddress(r, 'reporter')),
+      parseId(ctx.args[0], 'quorum')
+    ]),
+    format: formatTx
+  },
+
+  // ---- Admin ----
+  // Commands other than pause are queued once the factory has a timelock
+  // delay; run them with `npm run governance -- execute`
+
+  'admin set-fee': {
+    usage: '<bps>',
+    description: 'Set the protocol fee (max 500)',
+    run: async ctx => adminTransact(ctx, ctx.client.factory, 'setProtocolFee', [parseId(ctx.args[0], 'fee (bps)')]),
+    format: formatTx
+  },
+
+  'admin set-stake-token': {
+    usage: '<usdc|addr> <min stake> [--revoke]',
+    description: 'Approve (or revoke) a collateral token and set its minimum stake, in the token\'s units',
+    async run(ctx) {
+      const token = await parseToken(ctx, ctx.args[0], 'token');
+      const minStake = parseAmount(ctx.args[1], 'min stake', await ctx.client.getTokenInfo(token));
+      return adminTransact(ctx, ctx.client.factory, 'setStakeToken', [token, !ctx.options.revoke, minStake]);
+    },
+    format: formatTx
+  },
+
+  'admin set-exit-fee': {
+    usage: '<bps>',
+    description: 'Set the unstake/switch exit fee (max 1000)',
+    run: async ctx => adminTransact(ctx, ctx.client.factory, 'setExitFee', [parseId(ctx.args[0], 'fee (bps)')]),
+    format: formatTx
+  },
+
+  'admin pause': {
+    usage: '<id> [--unpause]',
+    description: 'Pause (or unpause) staking on a market',
+    run: async ctx => transact(ctx, ctx.client.factory, 'pauseMarket', [parseId(ctx.args[0]), !ctx.options.unpause]),
+    format: formatTx
+  },
+
+  'admin set-one-sided-policy': {
+    usage: '<refund|treasury>',
+    description: 'Refund one-sided markets, or send their unwon stakes to the treasury',
+    async run(ctx) {
+      const policy = ONE_SIDED_POLICIES.indexOf(ctx.args[0]);
+      if (policy === -1) throw new UsageError(`Policy must be ${ONE_SIDED_POLICIES.join(' or ')}`);
+      return adminTransact(ctx, ctx.client.factory, 'setOneSidedPolicy', [policy]);
+    },
+    format: formatTx
+  },
+
+  'admin approve-resolver': {
+    usage: '<manual|chainlink|optimistic|quorum|addr> [--revoke]',
+    description: 'Approve (or revoke) a resolver',
+    run: async ctx => adminTransact(ctx, ctx.client.factory, 'setResolverApproval', [parseResolver(ctx, ctx.args[0]), !ctx.options.revoke]),
+    format: formatTx
+  }
+};
@@ -0,0 +1,190 @@
+import { ethers } from 'ethers';
+import { readFileSync } from 'fs';
+import networks from '../config/networks.js';
+import { ClawshiClient, ClawshiError, decodeError, NETWORKS } from '../src/index.js';
+import { COMMANDS, UsageError } from './commands.js';
+
+// ============================================
+// clawshi command-line client
+// ============================================
+// Usage: clawshi <command> [args] [--network <name>] [--json] [--dry-run]
+//
+// Signers (write commands):
+//   --private-key-env <VAR>   Private key from an environment variable
+//                             (default: the network's *_PRIVATE_KEY, then CLAWSHI_PRIVATE_KEY)
+//   --keystore <file>         Encrypted JSON keystore; password from
+//                             --password-env <VAR> (default CLAWSHI_KEYSTORE_PASSWORD)
+//   --from <address>          Dry runs only: simulate as this address, no key needed
+// ============================================
+
+// Options that take no value
+const FLAGS = new Set(['json', 'dry-run', 'help', 'unpause', 'revoke', 'approve-max', 'permit', 'via-resolver', 'all']);
+
+export function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) options[key] = inline;
+    else if (FLAGS.has(key)) options[key] = true;
+    else if (i + 1 < argv.length) options[key] = argv[++i];
+    else throw new UsageError(`--${key} requires a value`);
+  }
+  return { positional, options };
+}
+
+export function toJson(value) {
+  return JSON.stringify(value, (_, v) => typeof v === 'bigint' ? v.toString() : v, 2);
+}
+
+function usage() {
+  const lines = ['Usage: clawshi <command> [args] [--network <name>] [--json] [--dry-run]', '', 'Commands:'];
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    lines.push(`  ${name} ${command.usage || ''}`.trimEnd(), `      ${command.description}`);
+  }
+  lines.push('', 'Global options:');
+  lines.push('  --network <name>          Deployment (default: CLAWSHI_NETWORK or base-mainnet)');
+  lines.push('  --rpc <url>               RPC URL (default: CLAWSHI_RPC_URL or the network config)');
+  lines.push('  --json                    Machine-readable output');
+  lines.push('  --dry-run                 Simulate writes with eth_call and estimate gas');
+  lines.push('  --private-key-env <VAR>   Read the signer key from VAR');
+  lines.push('  --keystore <file>         Encrypted JSON keystore (password from --password-env, default CLAWSHI_KEYSTORE_PASSWORD)');
+  lines.push('  --from <address>          Sender for --dry-run without a key');
+  return lines.join('\n');
+}
+
+function findCommand(positional) {
+  for (const length of [2, 1]) {
+    const name = positional.slice(0, length).join(' ');
+    if (COMMANDS[name]) return { name, command: COMMANDS[name], args: positional.slice(length) };
+  }
+  return null;
+}
+
+async function loadSigner({ options, env, provider, config }) {
+  if (options.from) {
+    if (!options['dry-run']) throw new UsageError('--from only works with --dry-run');
+    return new ethers.VoidSigner(ethers.getAddress(options.from), provider);
+  }
+
+  let wallet;
+  if (options.keystore) {
+    const passwordEnv = options['password-env'] || 'CLAWSHI_KEYSTORE_PASSWORD';
+    if (env[passwordEnv] === undefined) throw new UsageError(`Set ${passwordEnv} to unlock ${options.keystore}`);
+    wallet = await ethers.Wallet.fromEncryptedJson(readFileSync(options.keystore, 'utf8'), env[passwordEnv]);
+  } else {
+    const keyEnv = options['private-key-env'] || config?.privateKeyEnv;
+    const key = (keyEnv && env[keyEnv]) || env.CLAWSHI_PRIVATE_KEY || config?.defaultPrivateKey;
+    if (!key) throw new UsageError(`No signer: set ${keyEnv || 'CLAWSHI_PRIVATE_KEY'}, or pass --keystore`);
+    wallet = new ethers.Wallet(key);
+  }
+
+  // Tracks nonces locally so multi-transaction commands never reuse one
+  return new ethers.NonceManager(wallet.connect(provider));
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the program name
+ * @param {Object} [io]
+ * @param {Object} [io.env] - Environment variables
+ * @param {ethers.Provider} [io.provider] - Provider (default: JSON-RPC to the network's RPC URL)
+ * @param {Object} [io.addresses] - Contract address overrides
+ * @param {Function} [io.stdout]
+ * @param {Function} [io.stderr]
+ * @returns {Promise<number>} Exit code: 0 ok, 1 failed or reverted, 2 usage error
+ */
+export async function run(argv, {
+  env = process.env,
+  provider,
+  addresses = {},
+  stdout = console.log,
+  stderr = console.error
+} = {}) {
+  let json = false;
+  let found = null;
+
+  try {
+    const { positional, options } = parseArgs(argv);
+    json = Boolean(options.json);
+
+    found = findCommand(positional);
+    if (!found || options.help) {
+      if (found || positional.length === 0 || positional[0] === 'help') {
+        stdout(usage());
+        return 0;
+      }
+      throw new UsageError(`Unknown command: ${positional.join(' ')}`);
+    }
+
+    const networkKey = options.network || env.CLAWSHI_NETWORK || 'base-mainnet';
+    const config = networks[networkKey];
+    const preset = NETWORKS[networkKey] || null;
+    if (!preset && !addresses.MarketFactory) {
+      throw new UsageError(`Unknown network: ${networkKey} (known: ${Object.keys(NETWORKS).join(', ')})`);
+    }
+
+    provider = provider || new ethers.JsonRpcProvider(options.rpc || env.CLAWSHI_RPC_URL || config?.rpcUrl);
+
+    const client = new ClawshiClient({ network: preset ? networkKey : undefined, runner: provider, addresses });
+    let signer;
+
+    const ctx = {
+      args: found.args,
+      options,
+      json,
+      dryRun: Boolean(options['dry-run']),
+      network: preset,
+      provider,
+      client,
+      usdcDecimals: preset?.usdcDecimals ?? 6,
+      async signer() {
+        signer = signer || await loadSigner({ options, env, provider, config });
+        return signer;
+      }
+    };
+
+    const result = await found.command.run(ctx);
+
+    // Errors are printed as { ok: false, error } (to stdout with --json)
+    if (json) stdout(toJson(result));
+    else stdout((found.command.format?.(result, ctx) ?? formatResult(result)).join('\n'));
+    return 0;
+  } catch (err) {
+    if (err instanceof UsageError) {
+      if (json) stdout(toJson({ ok: false, error: { reason: 'UsageError', message: err.message } }));
+      else stderr(`❌ ${err.message}\n\n` + (found ? `Usage: clawshi ${found.name} ${found.command.usage || ''}` : usage()));
+      return 2;
+    }
+
+    const decoded = decodeError(err);
+    if (decoded instanceof ClawshiError) {
+      if (json) stdout(toJson({ ok: false, error: { reason: decoded.reason, args: decoded.args } }));
+      else stderr(`❌ Reverted: ${decoded.reason ?? 'unknown reason'}` + (decoded.args.length ? ` (${decoded.args.join(', ')})` : ''));
+    } else {
+      const message = err.shortMessage || err.message;
+      if (json) stdout(toJson({ ok: false, error: { reason: null, message } }));
+      else stderr(`❌ ${message}`);
+    }
+    return 1;
+  }
+}
+
+// Default text output: one "key: value" line per field
+function formatResult(result, indent = '') {
+  const lines = [];
+  for (const [key, value] of Object.entries(result)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      lines.push(`${indent}${key}:`);
+      lines.push(...formatResult(value, indent + '  '));
+    } else {
+      lines.push(`${indent}${key}: ${Array.isArray(value) ? toJson(value).replace(/\s+/g, ' ') : value}`);
+    }
+  }
+  return lines;
+}
@@ -0,0 +1,93 @@
+import 'dotenv/config';
+
+// ============================================
+// Deployment Networks
+// ============================================
+// One entry per `npm run deploy -- --network <name>` target.
+// Deployment state is recorded in deployments/<name>.json.
+//
+// owner/treasury default to the deployer when unset, except on networks
+// with `requireOwnerAndTreasury`, whose plan fails without them. Ownership of
+// MarketFactory and ChainlinkResolver is handed to `owner` as the
+// last step; like ManualResolver's admin transfer it is 2-step and
+// must be accepted by `owner` (acceptOwnership). `timelockDelay`
+// (seconds) is set on both once everything else is configured; admin
+// changes are then queued with `npm run governance`. PriceConditionResolver has no owner: it
+// reads its feeds from ChainlinkResolver, so it needs that resolver.
+// OptimisticResolver takes `optimistic.bondAmount` (USDC, 6 decimals)
+// per proposal and dispute; disputes need `optimistic.arbiters` and a
+// majority `quorum`, otherwise the arbiter set is left empty. Its
+// admin transfer is 2-step, like ManualResolver. QuorumResolver's
+// default reporter set (`quorum.reporters`, M-of-N `quorum.quorum`, a
+// strict majority) votes on markets that do not name their own reporters.
+// USDC is approved as collateral with a `minStake` (USDC base units)
+// minimum; `stakeTokens` maps further ERC-20 collateral addresses to
+// their minimum stake in that token's base units.
+// ============================================
+
+const env = process.env;
+
+export default {
+  'base-mainnet': {
+    name: 'Base Mainnet',
+    chainId: 8453,
+    rpcUrl: env.MAINNET_RPC_URL || 'https://mainnet.base.org',
+    privateKeyEnv: 'MAINNET_PRIVATE_KEY',
+    explorer: 'https://basescan.org',
+    usdc: env.MAINNET_USDC_ADDRESS || '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+    owner: env.MAINNET_OWNER,
+    treasury: env.MAINNET_TREASURY,
+    // MAINNET_OWNER and MAINNET_TREASURY must be set: no deployer fallback
+    requireOwnerAndTreasury: true,
+    timelockDelay: 2 * 86400,
+    priceFeeds: {
+      BTC: env.CHAINLINK_BTC_USD || '0x64c911996D3c6aC71f9b455B1E8E7266BcbD848F',
+      ETH: env.CHAINLINK_ETH_USD || '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70',
+      USDC: '0x7e860098F58bBFC8648a4311b374B1D669a2bc6B'
+    },
+    resolvers: ['ChainlinkResolver', 'ManualResolver']
+  },
+
+  'base-sepolia': {
+    name: 'Base Sepolia',
+    chainId: 84532,
+    rpcUrl: env.TESTNET_RPC_URL || 'https://sepolia.base.org',
+    privateKeyEnv: 'TESTNET_PRIVATE_KEY',
+    explorer: 'https://sepolia.basescan.org',
+    usdc: env.TESTNET_USDC_ADDRESS || '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+    owner: env.TESTNET_OWNER,
+    treasury: env.TESTNET_TREASURY,
+    timelockDelay: 3600,
+    priceFeeds: {
+      BTC: '0x0FB99723Aee6f420beAD13e6bBB79b7E6F034298',
+      ETH: '0x4aDC67696bA383F43DD60A9e78F2C97Fbbfc7cb1'
+    },
+    resolvers: ['ChainlinkResolver', 'ManualResolver', 'PriceConditionResolver', 'OptimisticResolver', 'QuorumResolver'],
+    optimistic: {
+      bondAmount: 10000000,
+      challengeWindow: 7200,
+      arbiters: env.TESTNET_ARBITERS ? env.TESTNET_ARBITERS.split(',') : [],
+      quorum: Number(env.TESTNET_ARBITER_QUORUM || 0)
+    },
+    quorum: {
+      reporters: env.TESTNET_REPORTERS ? env.TESTNET_REPORTERS.split(',') : [],
+      quorum: Number(env.TESTNET_REPORTER_QUORUM || 0)
+    }
+  },
+
+  // `npm run node:local` (Ganache, Shanghai hardfork)
+  local: {
+    name: 'Local',
+    chainId: 31337,
+    rpcUrl: env.LOCAL_RPC_URL || 'http://127.0.0.1:8545',
+    privateKeyEnv: 'LOCAL_PRIVATE_KEY',
+    // First deterministic Ganache account
+    defaultPrivateKey: '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d',
+    compiler: { evmVersion: 'shanghai' },
+    // No USDC or feeds on a fresh chain: deploy mocks (feed prices in USD)
+    usdc: null,
+    mockPriceFeeds: { BTC: 100000, ETH: 3000 },
+    resolvers: ['ChainlinkResolver', 'ManualResolver', 'PriceConditionResolver', 'OptimisticResolver', 'QuorumResolver'],
+    optimistic: { bondAmount: 10000000, challengeWindow: 3600 }
+  }
+};
@@ -1,11 +1,14 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "../interfaces/IResolver.sol";
+import "../interfaces/ICategoricalResolver.sol";
+import "../interfaces/IPinnableResolver.sol";
+import "../interfaces/IValidatingResolver.sol";
+import "./Timelocked.sol";
 
 /**
  * @title IERC20
- * @notice Minimal ERC20 interface for USDC
+ * @notice Minimal ERC20 interface for stake tokens
  */
 interface IERC20 {
     function transfer(address to, uint256 amount) external returns (bool);
@@ -13,6 +16,22 @@ interface IERC20 {
     function balanceOf(address account) external view returns (uint256);
 }
 
+/**
+ * @title IERC20Permit
+ * @notice EIP-2612 permit, supported by USDC and many other stake tokens
+ */
+interface IERC20Permit {
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+}
+
 /**
  * @title MarketFactory
  * @notice Core contract for Clawshi Prediction Market Protocol
@@ -20,27 +39,70 @@ interface IERC20 {
  *
  * Features:
  * - Multiple resolver support (Chainlink, Manual, Custom)
- * - 0.1 USDC minimum stake
+ * - Stake token whitelist: each market is collateralised in one approved
+ *   ERC-20 with its own minimum stake (0.1 USDC for the deployment token)
  * - 1% protocol fee
  * - Proportional payout system
  * - Market creator fees (optional)
+ * - Cancellation with fee-free refunds for markets that cannot resolve
+ * - One-sided markets (an empty side at resolution) refund every staker,
+ *   or send the stakes to the treasury, per `oneSidedPolicy`
+ * - Exiting or switching sides before the deadline, for an exit fee that
+ *   stays in the market for its winners
+ * - Gasless staking: token permits (EIP-2612) and EIP-712 signed stake
+ *   intents that a relayer submits for the staker
+ * - Batches: stake, resolve and claim across many markets in one call
+ * - Pull-based fees: protocol and creator fees accrue to per-recipient
+ *   balances, withdrawn with withdrawFees()
+ * - Governance: two-step ownership, admin changes go through a timelock
+ *   queue (see Timelocked), and emergencyWithdraw() cannot touch tokens
+ *   owed to stakers or fee recipients
+ * - Creation-time checks: question length, deadline horizon, and resolver
+ *   data through IValidatingResolver for resolvers that implement it
+ * - Resolver configuration pinned at creation: resolvers that implement
+ *   IPinnableResolver fix the market's feed, so later admin changes to
+ *   the resolver cannot change how a live market resolves
+ * - Categorical markets: N outcomes with a parimutuel pool each, resolved
+ *   by an ICategoricalResolver to an outcome index
  */
-contract MarketFactory {
+contract MarketFactory is Timelocked {
     // ============ Structs ============
 
+    // Fees credited by one market, by recipient
+    struct MarketFees {
+        uint256 treasury; // Protocol fees, plus swept exit fees and stranded stakes
+        uint256 creator;  // Creator fees
+    }
+
     struct Market {
         uint256 id;
         string question;
         address creator;
         address resolver;
         bytes resolverData;
+        address token; // Collateral: stakes, payouts and fees are in this token
         uint256 deadline;
         uint256 yesPool;
         uint256 noPool;
+        uint256 exitFees; // Paid by stakes that left; shared by the winners
         uint256 creatorFee; // basis points (100 = 1%)
         bool resolved;
         bool outcome;
         bool paused;
+        bool cancelled;
+        bool refundOnly; // Resolved with an empty side: claims return stakes, no fees
+    }
+
+    // What resolveMarket() does with a market that has an empty side
+    enum OneSidedPolicy {
+        Refund,   // Every staker gets their stake back, no fees
+        Treasury  // Resolve as usual; stakes with no winner go to the treasury
+    }
+
+    // Whitelist entry for a collateral token
+    struct StakeToken {
+        bool approved; // New markets may use the token
+        uint256 minStake; // In the token's base units
     }
 
     struct Stake {
@@ -49,25 +111,95 @@ contract MarketFactory {
         bool claimed;
     }
 
+    // Outcomes of a categorical market; Market.yesPool/noPool/outcome and
+    // Stake.isYes are unused for these
+    struct Categorical {
+        uint256 outcomeCount; // 0 for binary markets
+        uint256 totalPool; // Sum of the outcome pools
+        uint256 winningOutcome; // Set when resolved
+    }
+
+    // Resolver configuration fixed when the market was created
+    struct ResolverSnapshot {
+        bool pinned; // False if the resolver does not implement IPinnableResolver
+        address feed;
+        uint8 feedDecimals;
+        uint256 version;
+    }
+
+    // EIP-712 signed by the staker, submitted by anyone (a relayer)
+    struct StakeIntent {
+        address staker;
+        uint256 marketId;
+        bool isYes;
+        uint256 amount;
+        uint256 nonce; // Must equal nonces[staker]
+        uint256 deadline; // Unix time after which the intent cannot be used
+    }
+
     // ============ State Variables ============
 
-    // USDC token
+    // USDC token, approved as collateral at deployment
     IERC20 public immutable usdc;
 
     // Protocol settings
-    address public owner;
     address public treasury;
     uint256 public protocolFeeBps = 100; // 1% = 100 basis points
-    uint256 public minStake = 100000; // 0.1 USDC (6 decimals)
     uint256 public maxCreatorFeeBps = 500; // Max 5%
+    uint256 public exitFeeBps = 100; // 1% of the amount unstaked or switched
+    uint256 public resolutionTimeout = 30 days; // After the deadline, anyone can cancel an unresolved market
+    OneSidedPolicy public oneSidedPolicy = OneSidedPolicy.Refund;
 
-    // Markets
-    Market[] public markets;
+    // Market creation limits
+    uint256 public constant MAX_QUESTION_LENGTH = 280; // Bytes of UTF-8
+    uint256 public constant MAX_DEADLINE_HORIZON = 365 days; // Latest deadline, from creation
+    uint256 public constant MAX_OUTCOMES = 32; // Per categorical market
+
+    // Markets (read through getMarket: the struct is too wide for a public getter)
+    Market[] internal markets;
     mapping(uint256 => mapping(address => Stake)) public stakes;
 
     // Approved resolvers
     mapping(address => bool) public approvedResolvers;
 
+    // Collateral whitelist, and every token ever configured in it
+    mapping(address => StakeToken) public stakeTokens;
+    address[] internal stakeTokenList;
+    mapping(address => bool) internal stakeTokenListed;
+
+    // Next stake intent nonce per staker
+    mapping(address => uint256) public nonces;
+
+    // Fees owed to each recipient (treasury or market creator) per token,
+    // paid out by withdrawFees()
+    mapping(address => mapping(address => uint256)) public accruedFees;
+    // Everything ever credited to each recipient per token, withdrawn or not
+    mapping(address => mapping(address => uint256)) public lifetimeFees;
+    // Sum of accruedFees per token: held for fee recipients rather than stakers
+    mapping(address => uint256) public totalAccruedFees;
+    // Fees credited per market
+    mapping(uint256 => MarketFees) public marketFees;
+
+    // Resolver configuration per market (see IPinnableResolver)
+    mapping(uint256 => ResolverSnapshot) internal resolverSnapshots;
+
+    // Categorical markets: outcome count and pools per market, and the
+    // outcome each staker backs
+    mapping(uint256 => Categorical) public categoricals;
+    mapping(uint256 => mapping(uint256 => uint256)) public outcomePools;
+    mapping(uint256 => mapping(address => uint256)) public stakeOutcomes;
+
+    // Tokens held for stakers: open stakes and exit fees, until paid out or
+    // accrued as fees
+    mapping(address => uint256) public totalMarketFunds;
+
+    bytes32 public constant STAKE_INTENT_TYPEHASH = keccak256(
+        "StakeIntent(address staker,uint256 marketId,bool isYes,uint256 amount,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
     // Reentrancy guard
     uint256 private _locked = 1;
 
@@ -78,7 +210,8 @@ contract MarketFactory {
         string question,
         address indexed creator,
         address indexed resolver,
-        uint256 deadline
+        uint256 deadline,
+        address token
     );
 
     event Staked(
@@ -88,6 +221,7 @@ contract MarketFactory {
         uint256 amount
     );
 
+    event ResolverPinned(uint256 indexed marketId, address feed, uint8 feedDecimals, uint256 version);
     event MarketResolved(
         uint256 indexed marketId,
         bool outcome,
@@ -101,14 +235,51 @@ contract MarketFactory {
         uint256 payout
     );
 
+    event FeesAccrued(
+        uint256 indexed marketId,
+        address indexed treasury,
+        uint256 treasuryAmount,
+        address indexed creator,
+        uint256 creatorAmount
+    );
+
+    event FeesWithdrawn(address indexed recipient, address indexed to, address token, uint256 amount);
+
     event ResolverApproved(address indexed resolver, bool approved);
     event ProtocolFeeUpdated(uint256 newFeeBps);
-    event MinStakeUpdated(uint256 newMinStake);
+    event TreasuryUpdated(address newTreasury);
+    event StakeTokenUpdated(address indexed token, bool approved, uint256 minStake);
     event MarketPaused(uint256 indexed marketId, bool paused);
+    event Unstaked(
+        uint256 indexed marketId,
+        address indexed user,
+        bool isYes,
+        uint256 amount,
+        uint256 fee
+    );
+    event SideSwitched(
+        uint256 indexed marketId,
+        address indexed user,
+        bool isYes,
+        uint256 amount,
+        uint256 fee
+    );
+    event ExitFeeUpdated(uint256 newFeeBps);
+    event ExitFeesSwept(uint256 indexed marketId, uint256 amount);
+    event MarketCancelled(uint256 indexed marketId, address indexed cancelledBy);
+    event Refunded(uint256 indexed marketId, address indexed user, uint256 amount);
+    event ResolutionTimeoutUpdated(uint256 newTimeout);
+    event OneSidedPolicyUpdated(OneSidedPolicy policy);
+    event MarketRefundable(uint256 indexed marketId);
+    event LosingPoolSwept(uint256 indexed marketId, uint256 amount);
+    event CategoricalMarketCreated(uint256 indexed marketId, string[] outcomes);
+    event OutcomeStaked(uint256 indexed marketId, address indexed user, uint256 outcome, uint256 amount);
+    event OutcomeResolved(uint256 indexed marketId, uint256 outcome, uint256 winningPool, uint256 totalPool);
+    event StakeIntentExecuted(address indexed staker, uint256 nonce, address indexed relayer);
+    event NonceIncremented(address indexed staker, uint256 newNonce);
 
     // ============ Errors ============
 
-    error Unauthorized();
     error InvalidResolver();
     error InvalidDeadline();
     error InvalidAmount();
@@ -125,14 +296,23 @@ contract MarketFactory {
     error ReentrancyGuard();
     error CreatorFeeTooHigh();
     error CannotResolveYet();
+    error MarketCancelledError();
+    error MarketNotCancelled();
+    error CannotCancelYet();
+    error NothingToRefund();
+    error InvalidSignature();
+    error IntentExpired();
+    error InvalidNonce();
+    error NoFeesAccrued();
+    error InvalidRecipient();
+    error ExceedsSurplus();
+    error InvalidQuestion();
+    error ResolutionBeforeDeadline();
+    error InvalidOutcome();
+    error InvalidToken();
 
     // ============ Modifiers ============
 
-    modifier onlyOwner() {
-        if (msg.sender != owner) revert Unauthorized();
-        _;
-    }
-
     modifier nonReentrant() {
         if (_locked == 2) revert ReentrancyGuard();
         _locked = 2;
@@ -147,10 +327,11 @@ contract MarketFactory {
 
     // ============ Constructor ============
 
-    constructor(address _usdc, address _treasury, address _owner) {
+    constructor(address _usdc, address _treasury, address _owner) Timelocked(_owner) {
+        if (_treasury == address(0)) revert ZeroAddress();
         usdc = IERC20(_usdc);
         treasury = _treasury;
-        owner = _owner;
+        _setStakeToken(_usdc, true, 100000); // 0.1 USDC (6 decimals)
     }
 
     // ============ Market Creation ============
@@ -162,6 +343,7 @@ contract MarketFactory {
      * @param resolverData Encoded data for the resolver
      * @param deadline Unix timestamp for staking deadline
      * @param creatorFeeBps Creator fee in basis points (0-500)
+     * @param token Collateral token, approved in stakeTokens
      * @return marketId The ID of the created market
      */
     function createMarket(
@@ -169,17 +351,70 @@ contract MarketFactory {
         address resolver,
         bytes calldata resolverData,
         uint256 deadline,
-        uint256 creatorFeeBps
+        uint256 creatorFeeBps,
+        address token
     ) external returns (uint256 marketId) {
-        // Validate resolver
+        return _createMarket(question, resolver, resolverData, deadline, creatorFeeBps, token);
+    }
+
+    /**
+     * @notice Create a categorical market: one of `outcomes` wins, and its
+     *         stakers share every pool
+     * @dev The resolver must implement ICategoricalResolver; otherwise the
+     *      market cannot resolve and is cancelled after the resolution timeout.
+     *      Other parameters are checked as in createMarket().
+     * @param outcomes Outcome labels, 2 to MAX_OUTCOMES, indexed from 0
+     * @return marketId The ID of the created market
+     */
+    function createCategoricalMarket(
+        string calldata question,
+        string[] calldata outcomes,
+        address resolver,
+        bytes calldata resolverData,
+        uint256 deadline,
+        uint256 creatorFeeBps,
+        address token
+    ) external returns (uint256 marketId) {
+        if (outcomes.length < 2 || outcomes.length > MAX_OUTCOMES) revert InvalidOutcome();
+        for (uint256 i = 0; i < outcomes.length; i++) {
+            if (bytes(outcomes[i]).length == 0) revert InvalidOutcome();
+        }
+
+        marketId = _createMarket(question, resolver, resolverData, deadline, creatorFeeBps, token);
+        categoricals[marketId].outcomeCount = outcomes.length;
+
+        emit CategoricalMarketCreated(marketId, outcomes);
+    }
+
+    function _createMarket(
+        string calldata question,
+        address resolver,
+        bytes calldata resolverData,
+        uint256 deadline,
+        uint256 creatorFeeBps,
+        address token
+    ) internal returns (uint256 marketId) {
+        // Validate resolver and collateral
         if (!approvedResolvers[resolver]) revert InvalidResolver();
+        if (!stakeTokens[token].approved) revert InvalidToken();
+
+        // Validate question
+        if (bytes(question).length == 0 || bytes(question).length > MAX_QUESTION_LENGTH) revert InvalidQuestion();
 
         // Validate deadline
-        if (deadline <= block.timestamp) revert InvalidDeadline();
+        if (deadline <= block.timestamp || deadline > block.timestamp + MAX_DEADLINE_HORIZON) revert InvalidDeadline();
 
         // Validate creator fee
         if (creatorFeeBps > maxCreatorFeeBps) revert CreatorFeeTooHigh();
 
+        // Validate resolver data; resolvers without validateParams() revert without data
+        try IValidatingResolver(resolver).validateParams(resolverData) returns (uint256 resolvesAt) {
+            // The outcome must not be known while staking is open
+            if (resolvesAt != 0 && resolvesAt < deadline) revert ResolutionBeforeDeadline();
+        } catch (bytes memory reason) {
+            _revertWith(reason);
+        }
+
         marketId = markets.length;
 
         markets.push(Market({
@@ -188,16 +423,29 @@ contract MarketFactory {
             creator: msg.sender,
             resolver: resolver,
             resolverData: resolverData,
+            token: token,
             deadline: deadline,
             yesPool: 0,
             noPool: 0,
+            exitFees: 0,
             creatorFee: creatorFeeBps,
             resolved: false,
             outcome: false,
-            paused: false
+            paused: false,
+            cancelled: false,
+            refundOnly: false
         }));
 
-        emit MarketCreated(marketId, question, msg.sender, resolver, deadline);
+        emit MarketCreated(marketId, question, msg.sender, resolver, deadline, token);
+
+        // Pin the resolver's configuration; resolvers without pin() revert
+        // without data and keep following their live configuration
+        try IPinnableResolver(resolver).pin(marketId, resolverData) returns (address feed, uint8 feedDecimals, uint256 version) {
+            resolverSnapshots[marketId] = ResolverSnapshot(true, feed, feedDecimals, version);
+            emit ResolverPinned(marketId, feed, feedDecimals, version);
+        } catch (bytes memory reason) {
+            _revertWith(reason);
+        }
 
         return marketId;
     }
@@ -205,55 +453,229 @@ contract MarketFactory {
     // ============ Staking ============
 
     /**
-     * @notice Stake USDC on a market outcome
+     * @notice Stake the market's token on a market outcome
      * @param marketId The market to stake on
      * @param isYes True to stake on YES, false for NO
-     * @param amount Amount of USDC to stake (6 decimals)
+     * @param amount Amount to stake, in the market token's base units
      */
     function stake(
         uint256 marketId,
         bool isYes,
         uint256 amount
     ) external nonReentrant marketExists(marketId) {
-        Market storage market = markets[marketId];
-
-        // Validations
-        if (market.resolved) revert MarketAlreadyResolved();
-        if (market.paused) revert MarketPausedError();
-        if (block.timestamp >= market.deadline) revert DeadlinePassed();
-        if (amount < minStake) revert InvalidAmount();
+        _stake(msg.sender, marketId, isYes, amount);
+    }
 
-        // Get existing stake
+    /**
+     * @notice Stake on an outcome of a categorical market
+     * @dev Like stake(): one outcome per staker, at least the token's minStake
+     * @param marketId The categorical market to stake on
+     * @param outcome Index of the outcome
+     * @param amount Amount to stake, in the market token's base units
+     */
+    function stakeOutcome(
+        uint256 marketId,
+        uint256 outcome,
+        uint256 amount
+    ) external nonReentrant marketExists(marketId) {
+        Market storage market = markets[marketId];
+        Categorical storage cat = categoricals[marketId];
         Stake storage userStake = stakes[marketId][msg.sender];
 
-        // If user already staked, must stake same side
-        if (userStake.amount > 0 && userStake.isYes != isYes) {
+        // Validations; binary markets have no outcomes
+        _requireOpen(market);
+        if (outcome >= cat.outcomeCount) revert InvalidOutcome();
+        if (amount < stakeTokens[market.token].minStake) revert InvalidAmount();
+
+        // If user already staked, must stake same outcome
+        if (userStake.amount > 0 && stakeOutcomes[marketId][msg.sender] != outcome) {
             revert InvalidPosition();
         }
 
-        // Transfer USDC from user
-        if (!usdc.transferFrom(msg.sender, address(this), amount)) {
-            revert TransferFailed();
+        // Update pools
+        outcomePools[marketId][outcome] += amount;
+        cat.totalPool += amount;
+
+        // Update user stake
+        userStake.amount += amount;
+        stakeOutcomes[marketId][msg.sender] = outcome;
+        totalMarketFunds[market.token] += amount;
+
+        emit OutcomeStaked(marketId, msg.sender, outcome, amount);
+
+        _collect(market.token, msg.sender, amount);
+    }
+
+    /**
+     * @notice Stake on several markets with one transfer per run of markets
+     *         sharing a collateral token
+     * @dev Every stake follows the rules of stake(); one failing reverts the batch.
+     *      Order markets by token to make a single transfer per token.
+     * @param marketIds Markets to stake on
+     * @param sides True for YES, false for NO, per market
+     * @param amounts Amounts in each market token's base units, per market
+     */
+    function stakeMany(
+        uint256[] calldata marketIds,
+        bool[] calldata sides,
+        uint256[] calldata amounts
+    ) external nonReentrant {
+        require(marketIds.length == sides.length && marketIds.length == amounts.length, "Length mismatch");
+
+        address token;
+        uint256 total;
+        for (uint256 i = 0; i < marketIds.length; i++) {
+            if (marketIds[i] >= markets.length) revert MarketNotFound();
+            address marketToken = markets[marketIds[i]].token;
+            if (marketToken != token) {
+                _collect(token, msg.sender, total);
+                (token, total) = (marketToken, 0);
+            }
+            _addStake(msg.sender, marketIds[i], sides[i], amounts[i]);
+            total += amounts[i];
         }
 
+        _collect(token, msg.sender, total);
+    }
+
+    /**
+     * @notice Stake with a permit for the market's token instead of a prior approve()
+     * @dev A permit that fails (e.g. already used by a front-runner) is
+     *      ignored: the stake still goes through if the allowance is there.
+     * @param permitDeadline Deadline signed in the permit
+     * @param v Permit signature
+     * @param r Permit signature
+     * @param s Permit signature
+     */
+    function stakeWithPermit(
+        uint256 marketId,
+        bool isYes,
+        uint256 amount,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant marketExists(marketId) {
+        _permit(msg.sender, marketId, amount, permitDeadline, v, r, s);
+        _stake(msg.sender, marketId, isYes, amount);
+    }
+
+    /**
+     * @notice Submit a stake signed by the staker (EIP-712); the staker's
+     *      tokens are used, the caller pays the gas
+     * @param intent The signed stake
+     * @param signature 65-byte signature of hashStakeIntent(intent) by intent.staker
+     */
+    function stakeBySig(
+        StakeIntent calldata intent,
+        bytes calldata signature
+    ) external nonReentrant marketExists(intent.marketId) {
+        _useIntent(intent, signature);
+        _stake(intent.staker, intent.marketId, intent.isYes, intent.amount);
+    }
+
+    /**
+     * @notice stakeBySig() with a token permit for intent.amount, so the
+     *      staker needs neither gas nor a prior approve()
+     */
+    function stakeBySigWithPermit(
+        StakeIntent calldata intent,
+        bytes calldata signature,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant marketExists(intent.marketId) {
+        _useIntent(intent, signature);
+        _permit(intent.staker, intent.marketId, intent.amount, permitDeadline, v, r, s);
+        _stake(intent.staker, intent.marketId, intent.isYes, intent.amount);
+    }
+
+    /**
+     * @notice Invalidate every signed stake intent not yet submitted
+     */
+    function incrementNonce() external {
+        emit NonceIncremented(msg.sender, ++nonces[msg.sender]);
+    }
+
+    /**
+     * @notice Withdraw part or all of a stake before the deadline
+     * @dev The exit fee stays in the market for its winners. A partial exit
+     *      must leave at least the token's minStake.
+     * @param marketId The market to exit
+     * @param amount Amount of the stake to withdraw, in the market token's base units
+     */
+    function unstake(uint256 marketId, uint256 amount) external nonReentrant marketExists(marketId) {
+        Market storage market = markets[marketId];
+        Stake storage userStake = stakes[marketId][msg.sender];
+
+        // Validations
+        _requireOpen(market);
+        _requireBinary(marketId);
+        if (amount == 0 || amount > userStake.amount) revert InvalidAmount();
+        uint256 remaining = userStake.amount - amount;
+        if (remaining > 0 && remaining < stakeTokens[market.token].minStake) revert InvalidAmount();
+
+        uint256 fee = (amount * exitFeeBps) / 10000;
+
         // Update pools
-        if (isYes) {
-            market.yesPool += amount;
+        if (userStake.isYes) {
+            market.yesPool -= amount;
         } else {
-            market.noPool += amount;
+            market.noPool -= amount;
         }
+        market.exitFees += fee;
 
         // Update user stake
-        userStake.amount += amount;
-        userStake.isYes = isYes;
+        userStake.amount = remaining;
+        totalMarketFunds[market.token] -= amount - fee;
+
+        _pay(market.token, msg.sender, amount - fee);
+
+        emit Unstaked(marketId, msg.sender, userStake.isYes, amount, fee);
+    }
+
+    /**
+     * @notice Move a whole stake to the other side before the deadline
+     * @dev Charged the exit fee, which stays in the market for its winners
+     * @param marketId The market to switch sides in
+     */
+    function switchSide(uint256 marketId) external nonReentrant marketExists(marketId) {
+        Market storage market = markets[marketId];
+        Stake storage userStake = stakes[marketId][msg.sender];
+
+        // Validations
+        _requireOpen(market);
+        _requireBinary(marketId);
+        if (userStake.amount == 0) revert InvalidPosition();
+
+        uint256 fee = (userStake.amount * exitFeeBps) / 10000;
+        uint256 moved = userStake.amount - fee;
+        if (moved < stakeTokens[market.token].minStake) revert InvalidAmount();
+
+        // Update pools
+        if (userStake.isYes) {
+            market.yesPool -= userStake.amount;
+            market.noPool += moved;
+        } else {
+            market.noPool -= userStake.amount;
+            market.yesPool += moved;
+        }
+        market.exitFees += fee;
+
+        // Update user stake
+        userStake.amount = moved;
+        userStake.isYes = !userStake.isYes;
 
-        emit Staked(marketId, msg.sender, isYes, amount);
+        emit SideSwitched(marketId, msg.sender, userStake.isYes, moved, fee);
     }
 
     // ============ Resolution ============
 
     /**
      * @notice Resolve a market using its resolver
+     * @dev Categorical markets resolve through resolveOutcome(); an index
+     *      outside the market's outcomes reverts InvalidOutcome
      * @param marketId The market to resolve
      */
     function resolveMarket(uint256 marketId) external nonReentrant marketExists(marketId) {
@@ -261,6 +683,7 @@ contract MarketFactory {
 
         // Validations
         if (market.resolved) revert MarketAlreadyResolved();
+        if (market.cancelled) revert MarketCancelledError();
         if (block.timestamp < market.deadline) revert DeadlineNotPassed();
 
         IResolver resolver = IResolver(market.resolver);
@@ -271,13 +694,152 @@ contract MarketFactory {
         }
 
         // Get outcome from resolver
-        bool outcome = resolver.resolve(marketId, market.resolverData);
+        if (categoricals[marketId].outcomeCount > 0) {
+            _settleCategorical(
+                marketId,
+                market,
+                ICategoricalResolver(address(resolver)).resolveOutcome(marketId, market.resolverData)
+            );
+        } else {
+            _settleOutcome(marketId, market, resolver.resolve(marketId, market.resolverData));
+        }
+    }
+
+    /**
+     * @notice Resolve every market in the list that can be resolved now
+     * @dev Skips (instead of reverting on) unknown, resolved, cancelled and
+     *      open markets, and markets whose resolver's canResolve() or
+     *      resolve() returns false or reverts, or whose resolveOutcome()
+     *      reverts or returns an invalid index
+     * @param marketIds Markets to resolve
+     * @return resolvedCount Number of markets resolved
+     */
+    function resolveMany(uint256[] calldata marketIds) external nonReentrant returns (uint256 resolvedCount) {
+        for (uint256 i = 0; i < marketIds.length; i++) {
+            uint256 marketId = marketIds[i];
+            if (marketId >= markets.length) continue;
+
+            Market storage market = markets[marketId];
+            if (market.resolved || market.cancelled || block.timestamp < market.deadline) continue;
+
+            IResolver resolver = IResolver(market.resolver);
+            try resolver.canResolve(marketId, market.resolverData) returns (bool ready) {
+                if (!ready) continue;
+            } catch {
+                continue;
+            }
+
+            uint256 outcomeCount = categoricals[marketId].outcomeCount;
+            if (outcomeCount > 0) {
+                try ICategoricalResolver(address(resolver)).resolveOutcome(marketId, market.resolverData) returns (
+                    uint256 outcome
+                ) {
+                    if (outcome >= outcomeCount) continue;
+                    _settleCategorical(marketId, market, outcome);
+                    resolvedCount++;
+                } catch {}
+                continue;
+            }
+
+            try resolver.resolve(marketId, market.resolverData) returns (bool outcome) {
+                _settleOutcome(marketId, market, outcome);
+                resolvedCount++;
+            } catch {}
+        }
+    }
 
+    function _settleOutcome(uint256 marketId, Market storage market, bool outcome) internal {
         // Update market
         market.resolved = true;
         market.outcome = outcome;
 
         emit MarketResolved(marketId, outcome, market.yesPool, market.noPool);
+
+        // One-sided market: no counterparty on one side
+        uint256 winningPool = outcome ? market.yesPool : market.noPool;
+        uint256 losingPool = outcome ? market.noPool : market.yesPool;
+        if (winningPool > 0 && losingPool > 0) return;
+
+        _settleOneSided(marketId, market, winningPool, losingPool);
+    }
+
+    function _settleCategorical(uint256 marketId, Market storage market, uint256 outcome) internal {
+        Categorical storage cat = categoricals[marketId];
+        if (outcome >= cat.outcomeCount) revert InvalidOutcome();
+
+        // Update market
+        market.resolved = true;
+        cat.winningOutcome = outcome;
+
+        uint256 winningPool = outcomePools[marketId][outcome];
+        emit OutcomeResolved(marketId, outcome, winningPool, cat.totalPool);
+
+        // One-sided market: nobody backed the winner, or nobody else
+        uint256 losingPool = cat.totalPool - winningPool;
+        if (winningPool > 0 && losingPool > 0) return;
+
+        _settleOneSided(marketId, market, winningPool, losingPool);
+    }
+
+    // Applies oneSidedPolicy to a resolved market with an empty side
+    function _settleOneSided(uint256 marketId, Market storage market, uint256 winningPool, uint256 losingPool) internal {
+        if (oneSidedPolicy == OneSidedPolicy.Refund) {
+            market.refundOnly = true;
+            emit MarketRefundable(marketId);
+            _sweepExitFees(marketId, market);
+        } else if (winningPool == 0 && losingPool + market.exitFees > 0) {
+            // Nobody won: the losing stakes and exit fees would be stranded
+            uint256 stranded = losingPool + market.exitFees;
+            totalMarketFunds[market.token] -= stranded;
+            _accrueFees(marketId, market, stranded, 0);
+            emit LosingPoolSwept(marketId, stranded);
+        }
+    }
+
+    // ============ Cancellation ============
+
+    /**
+     * @notice Cancel an unresolved market; stakers withdraw with refund()
+     * @dev The owner and the market's resolver can cancel at any time before
+     *      resolution. Anyone can once `resolutionTimeout` has passed since
+     *      the deadline.
+     * @param marketId The market to cancel
+     */
+    function cancelMarket(uint256 marketId) external nonReentrant marketExists(marketId) {
+        Market storage market = markets[marketId];
+
+        // Validations
+        if (market.resolved) revert MarketAlreadyResolved();
+        if (market.cancelled) revert MarketCancelledError();
+        if (
+            msg.sender != owner &&
+            msg.sender != market.resolver &&
+            block.timestamp < market.deadline + resolutionTimeout
+        ) revert CannotCancelYet();
+
+        market.cancelled = true;
+
+        emit MarketCancelled(marketId, msg.sender);
+
+        // Stakes are refunded in full; nobody wins the exit fees
+        _sweepExitFees(marketId, market);
+    }
+
+    /**
+     * @notice Withdraw the full stake from a cancelled market, or a one-sided
+     *         market resolved under the Refund policy (no fees)
+     * @param marketId The cancelled or refund-only market
+     */
+    function refund(uint256 marketId) external nonReentrant marketExists(marketId) {
+        Market storage market = markets[marketId];
+        Stake storage userStake = stakes[marketId][msg.sender];
+
+        // Validations
+        if (!market.cancelled && !market.refundOnly) revert MarketNotCancelled();
+        if (userStake.claimed) revert AlreadyClaimed();
+        if (userStake.amount == 0) revert NothingToRefund();
+
+        _pay(market.token, msg.sender, _refund(marketId, userStake));
     }
 
     // ============ Claiming ============
@@ -295,40 +857,280 @@ contract MarketFactory {
         if (userStake.claimed) revert AlreadyClaimed();
         if (userStake.amount == 0) revert NoWinnings();
 
+        // One-sided market: both sides get their stake back
+        if (market.refundOnly) {
+            _pay(market.token, msg.sender, _refund(marketId, userStake));
+            return;
+        }
+
         // Check if user won
-        bool userWon = (market.outcome && userStake.isYes) ||
-                       (!market.outcome && !userStake.isYes);
+        if (!_isWinner(marketId, market)) revert NoWinnings();
 
-        if (!userWon) {
-            userStake.claimed = true;
-            revert NoWinnings();
+        // Transfer payout
+        _pay(market.token, msg.sender, _claimWinnings(marketId, market, userStake));
+    }
+
+    /**
+     * @notice Collect everything owed across many markets, with one transfer
+     *         per run of markets sharing a collateral token: winnings from
+     *         resolved markets and refunds from cancelled or refund-only ones
+     * @dev Skips markets with nothing to collect (unknown, unresolved, lost,
+     *      already claimed or no stake); reverts NoWinnings only if every
+     *      market was skipped
+     * @param marketIds Markets to claim from
+     * @return total Amount paid to the caller, summed across tokens (see the
+     *         Claimed and Refunded events for each market)
+     */
+    function claimMany(uint256[] calldata marketIds) external nonReentrant returns (uint256 total) {
+        address token;
+        uint256 owed;
+        for (uint256 i = 0; i < marketIds.length; i++) {
+            uint256 marketId = marketIds[i];
+            if (marketId >= markets.length) continue;
+
+            Market storage market = markets[marketId];
+            Stake storage userStake = stakes[marketId][msg.sender];
+            if (userStake.claimed || userStake.amount == 0) continue;
+
+            uint256 amount;
+            if (market.cancelled || market.refundOnly) {
+                amount = _refund(marketId, userStake);
+            } else if (market.resolved && _isWinner(marketId, market)) {
+                amount = _claimWinnings(marketId, market, userStake);
+            }
+            if (amount == 0) continue;
+
+            if (market.token != token) {
+                _pay(token, msg.sender, owed);
+                (token, owed) = (market.token, 0);
+            }
+            owed += amount;
+            total += amount;
         }
 
+        if (total == 0) revert NoWinnings();
+
+        _pay(token, msg.sender, owed);
+    }
+
+    // Marks a winning stake claimed and accrues its fees; the caller
+    // transfers the payout
+    function _claimWinnings(
+        uint256 marketId,
+        Market storage market,
+        Stake storage userStake
+    ) internal returns (uint256 netPayout) {
         // Calculate payout
-        uint256 totalPool = market.yesPool + market.noPool;
+        uint256 totalPool = market.yesPool + market.noPool + market.exitFees;
         uint256 winningPool = market.outcome ? market.yesPool : market.noPool;
+        Categorical storage cat = categoricals[marketId];
+        if (cat.outcomeCount > 0) {
+            totalPool = cat.totalPool + market.exitFees;
+            winningPool = outcomePools[marketId][cat.winningOutcome];
+        }
         uint256 grossPayout = (userStake.amount * totalPool) / winningPool;
 
         // Calculate fees
         uint256 protocolFee = (grossPayout * protocolFeeBps) / 10000;
         uint256 creatorFee = (grossPayout * market.creatorFee) / 10000;
-        uint256 netPayout = grossPayout - protocolFee - creatorFee;
+        netPayout = grossPayout - protocolFee - creatorFee;
 
         // Mark as claimed
         userStake.claimed = true;
+        totalMarketFunds[market.token] -= grossPayout;
+
+        emit Claimed(marketId, msg.sender, netPayout);
+
+        _accrueFees(marketId, market, protocolFee, creatorFee);
+    }
 
-        // Transfer fees
-        if (protocolFee > 0) {
-            if (!usdc.transfer(treasury, protocolFee)) revert TransferFailed();
+    // ============ Fees ============
+
+    /**
+     * @notice Withdraw the fees accrued to the caller (treasury or market
+     *         creator) in one token
+     * @param token Collateral token the fees were accrued in
+     * @return amount Amount withdrawn
+     */
+    function withdrawFees(address token) external nonReentrant returns (uint256 amount) {
+        return _withdrawFees(token, msg.sender);
+    }
+
+    /**
+     * @notice Withdraw the caller's accrued fees to another address, e.g.
+     *         when the caller cannot receive the token itself
+     * @param token Collateral token the fees were accrued in
+     * @param to Recipient of the tokens
+     * @return amount Amount withdrawn
+     */
+    function withdrawFeesTo(address token, address to) external nonReentrant returns (uint256 amount) {
+        if (to == address(0)) revert InvalidRecipient();
+        return _withdrawFees(token, to);
+    }
+
+    function _withdrawFees(address token, address to) internal returns (uint256 amount) {
+        amount = accruedFees[msg.sender][token];
+        if (amount == 0) revert NoFeesAccrued();
+
+        accruedFees[msg.sender][token] = 0;
+        totalAccruedFees[token] -= amount;
+
+        _pay(token, to, amount);
+
+        emit FeesWithdrawn(msg.sender, to, token, amount);
+    }
+
+    // Credits the current treasury and the market's creator, in the market's token
+    function _accrueFees(uint256 marketId, Market storage market, uint256 treasuryAmount, uint256 creatorAmount) internal {
+        if (treasuryAmount + creatorAmount == 0) return;
+
+        address token = market.token;
+        if (treasuryAmount > 0) {
+            accruedFees[treasury][token] += treasuryAmount;
+            lifetimeFees[treasury][token] += treasuryAmount;
+            marketFees[marketId].treasury += treasuryAmount;
         }
-        if (creatorFee > 0) {
-            if (!usdc.transfer(market.creator, creatorFee)) revert TransferFailed();
+        if (creatorAmount > 0) {
+            accruedFees[market.creator][token] += creatorAmount;
+            lifetimeFees[market.creator][token] += creatorAmount;
+            marketFees[marketId].creator += creatorAmount;
         }
+        totalAccruedFees[token] += treasuryAmount + creatorAmount;
 
-        // Transfer payout
-        if (!usdc.transfer(msg.sender, netPayout)) revert TransferFailed();
+        emit FeesAccrued(marketId, treasury, treasuryAmount, market.creator, creatorAmount);
+    }
 
-        emit Claimed(marketId, msg.sender, netPayout);
+    // ============ Internal ============
+
+    function _stake(address staker, uint256 marketId, bool isYes, uint256 amount) internal {
+        _addStake(staker, marketId, isYes, amount);
+
+        // Transfer the market's token from user
+        _collect(markets[marketId].token, staker, amount);
+    }
+
+    // Validates and records a stake; the caller collects the tokens
+    function _addStake(address staker, uint256 marketId, bool isYes, uint256 amount) internal {
+        Market storage market = markets[marketId];
+
+        // Validations
+        _requireOpen(market);
+        _requireBinary(marketId);
+        if (amount < stakeTokens[market.token].minStake) revert InvalidAmount();
+
+        // Get existing stake
+        Stake storage userStake = stakes[marketId][staker];
+
+        // If user already staked, must stake same side
+        if (userStake.amount > 0 && userStake.isYes != isYes) {
+            revert InvalidPosition();
+        }
+
+        // Update pools
+        if (isYes) {
+            market.yesPool += amount;
+        } else {
+            market.noPool += amount;
+        }
+
+        // Update user stake
+        userStake.amount += amount;
+        userStake.isYes = isYes;
+        totalMarketFunds[market.token] += amount;
+
+        emit Staked(marketId, staker, isYes, amount);
+    }
+
+    // Permit for the market's token; tokens without permit() fall back to the allowance
+    function _permit(
+        address staker,
+        uint256 marketId,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        address token = markets[marketId].token;
+        try IERC20Permit(token).permit(staker, address(this), amount, deadline, v, r, s) {} catch {}
+    }
+
+    // Pulls `amount` of `token` from `from`; a zero amount is a no-op
+    function _collect(address token, address from, uint256 amount) internal {
+        if (amount > 0 && !IERC20(token).transferFrom(from, address(this), amount)) revert TransferFailed();
+    }
+
+    // Sends `amount` of `token` to `to`; a zero amount is a no-op
+    function _pay(address token, address to, uint256 amount) internal {
+        if (amount > 0 && !IERC20(token).transfer(to, amount)) revert TransferFailed();
+    }
+
+    function _useIntent(StakeIntent calldata intent, bytes calldata signature) internal {
+        if (block.timestamp > intent.deadline) revert IntentExpired();
+        if (intent.nonce != nonces[intent.staker]) revert InvalidNonce();
+        if (_recover(hashStakeIntent(intent), signature) != intent.staker) revert InvalidSignature();
+
+        nonces[intent.staker]++;
+        emit StakeIntentExecuted(intent.staker, intent.nonce, msg.sender);
+    }
+
+    // ecrecover() for a 65-byte (r, s, v) signature, rejecting malleable ones
+    function _recover(bytes32 digest, bytes calldata signature) internal pure returns (address signer) {
+        if (signature.length != 65) revert InvalidSignature();
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) revert InvalidSignature();
+        if (v != 27 && v != 28) revert InvalidSignature();
+
+        signer = ecrecover(digest, v, r, s);
+        if (signer == address(0)) revert InvalidSignature();
+    }
+
+    // Re-raise a resolver's revert; an empty reason means the optional
+    // extension is not implemented and is ignored
+    function _revertWith(bytes memory reason) internal pure {
+        if (reason.length == 0) return;
+        assembly {
+            revert(add(reason, 32), mload(reason))
+        }
+    }
+
+    function _requireOpen(Market storage market) internal view {
+        if (market.resolved) revert MarketAlreadyResolved();
+        if (market.cancelled) revert MarketCancelledError();
+        if (market.paused) revert MarketPausedError();
+        if (block.timestamp >= market.deadline) revert DeadlinePassed();
+    }
+
+    // YES/NO operations on a categorical market
+    function _requireBinary(uint256 marketId) internal view {
+        if (categoricals[marketId].outcomeCount > 0) revert InvalidPosition();
+    }
+
+    // Whether the caller's stake backs the market's outcome
+    function _isWinner(uint256 marketId, Market storage market) internal view returns (bool) {
+        Categorical storage cat = categoricals[marketId];
+        if (cat.outcomeCount > 0) return stakeOutcomes[marketId][msg.sender] == cat.winningOutcome;
+        return stakes[marketId][msg.sender].isYes == market.outcome;
+    }
+
+    function _sweepExitFees(uint256 marketId, Market storage market) internal {
+        if (market.exitFees == 0) return;
+        totalMarketFunds[market.token] -= market.exitFees;
+        _accrueFees(marketId, market, market.exitFees, 0);
+        emit ExitFeesSwept(marketId, market.exitFees);
+    }
+
+    // Marks a stake refunded; the caller transfers the amount
+    function _refund(uint256 marketId, Stake storage userStake) internal returns (uint256) {
+        // Mark as claimed
+        userStake.claimed = true;
+        totalMarketFunds[markets[marketId].token] -= userStake.amount;
+
+        emit Refunded(marketId, msg.sender, userStake.amount);
+        return userStake.amount;
     }
 
     // ============ View Functions ============
@@ -340,6 +1142,61 @@ contract MarketFactory {
         return markets[marketId];
     }
 
+    /**
+     * @notice Resolver configuration pinned when the market was created
+     */
+    function getResolverSnapshot(uint256 marketId) external view marketExists(marketId) returns (ResolverSnapshot memory) {
+        return resolverSnapshots[marketId];
+    }
+
+    /**
+     * @notice Pool of every outcome of a categorical market, by index
+     * @return pools Empty for binary markets
+     */
+    function getOutcomePools(uint256 marketId) external view marketExists(marketId) returns (uint256[] memory pools) {
+        pools = new uint256[](categoricals[marketId].outcomeCount);
+        for (uint256 i = 0; i < pools.length; i++) {
+            pools[i] = outcomePools[marketId][i];
+        }
+    }
+
+    /**
+     * @notice Every token ever configured with setStakeToken(), approved or
+     *         not; see stakeTokens for each one's status
+     */
+    function getStakeTokens() external view returns (address[] memory) {
+        return stakeTokenList;
+    }
+
+    /**
+     * @notice EIP-712 domain separator for stake intents
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("Clawshi MarketFactory"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    /**
+     * @notice EIP-712 digest the staker signs for a stake intent
+     */
+    function hashStakeIntent(StakeIntent calldata intent) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            STAKE_INTENT_TYPEHASH,
+            intent.staker,
+            intent.marketId,
+            intent.isYes,
+            intent.amount,
+            intent.nonce,
+            intent.deadline
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+    }
+
     /**
      * @notice Get user stake for a market
      */
@@ -355,7 +1212,8 @@ contract MarketFactory {
     }
 
     /**
-     * @notice Calculate current odds for a market
+     * @notice Calculate current odds for a binary market
+     * @dev Reverts InvalidPosition for categorical markets
      * @return yesOdds YES percentage (0-100)
      * @return noOdds NO percentage (0-100)
      */
@@ -363,6 +1221,7 @@ contract MarketFactory {
         uint256 yesOdds,
         uint256 noOdds
     ) {
+        _requireBinary(marketId);
         Market storage market = markets[marketId];
         uint256 total = market.yesPool + market.noPool;
 
@@ -373,32 +1232,46 @@ contract MarketFactory {
     }
 
     /**
-     * @notice Calculate potential payout for a stake
+     * @notice Calculate potential payout for a stake, if the market resolved
+     *         now with `isYes` winning
+     * @dev With the other side empty the market would be one-sided: the stake
+     *      comes back in full under the Refund policy. Reverts InvalidPosition
+     *      for categorical markets.
      */
     function calculatePayout(
         uint256 marketId,
         bool isYes,
         uint256 amount
     ) external view marketExists(marketId) returns (uint256 potentialPayout) {
+        _requireBinary(marketId);
         Market storage market = markets[marketId];
 
+        if (amount == 0) return 0;
+        uint256 otherPool = isYes ? market.noPool : market.yesPool;
+        if (otherPool == 0 && oneSidedPolicy == OneSidedPolicy.Refund) return amount;
+
         uint256 newYesPool = isYes ? market.yesPool + amount : market.yesPool;
         uint256 newNoPool = isYes ? market.noPool : market.noPool + amount;
-        uint256 totalPool = newYesPool + newNoPool;
+        uint256 totalPool = newYesPool + newNoPool + market.exitFees;
         uint256 winningPool = isYes ? newYesPool : newNoPool;
 
         uint256 grossPayout = (amount * totalPool) / winningPool;
-        uint256 fees = (grossPayout * (protocolFeeBps + market.creatorFee)) / 10000;
 
-        return grossPayout - fees;
+        // Fees rounded separately, as in claim()
+        uint256 protocolFee = (grossPayout * protocolFeeBps) / 10000;
+        uint256 creatorFee = (grossPayout * market.creatorFee) / 10000;
+
+        return grossPayout - protocolFee - creatorFee;
     }
 
     // ============ Admin Functions ============
+    // Timelocked functions run through queueAction()/executeAction() once
+    // a timelock delay is set; pauseMarket() stays immediate.
 
     /**
      * @notice Approve or revoke a resolver
      */
-    function setResolverApproval(address resolver, bool approved) external onlyOwner {
+    function setResolverApproval(address resolver, bool approved) external onlyTimelock {
         approvedResolvers[resolver] = approved;
         emit ResolverApproved(resolver, approved);
     }
@@ -406,25 +1279,68 @@ contract MarketFactory {
     /**
      * @notice Update protocol fee
      */
-    function setProtocolFee(uint256 newFeeBps) external onlyOwner {
+    function setProtocolFee(uint256 newFeeBps) external onlyTimelock {
         require(newFeeBps <= 500, "Fee too high"); // Max 5%
         protocolFeeBps = newFeeBps;
         emit ProtocolFeeUpdated(newFeeBps);
     }
 
     /**
-     * @notice Update minimum stake
+     * @notice Approve or revoke a collateral token and set its minimum stake
+     * @dev Revoking only stops new markets in the token: live markets keep
+     *      staking and paying out in it
+     * @param minStake In the token's base units
+     */
+    function setStakeToken(address token, bool approved, uint256 minStake) external onlyTimelock {
+        _setStakeToken(token, approved, minStake);
+    }
+
+    function _setStakeToken(address token, bool approved, uint256 minStake) internal {
+        if (token == address(0)) revert ZeroAddress();
+        if (!stakeTokenListed[token]) {
+            stakeTokenListed[token] = true;
+            stakeTokenList.push(token);
+        }
+        stakeTokens[token] = StakeToken(approved, minStake);
+        emit StakeTokenUpdated(token, approved, minStake);
+    }
+
+    /**
+     * @notice Update the time after a market's deadline from which anyone
+     *         can cancel it if unresolved
      */
-    function setMinStake(uint256 newMinStake) external onlyOwner {
-        minStake = newMinStake;
-        emit MinStakeUpdated(newMinStake);
+    function setResolutionTimeout(uint256 newTimeout) external onlyTimelock {
+        require(newTimeout >= 1 days, "Timeout too short");
+        resolutionTimeout = newTimeout;
+        emit ResolutionTimeoutUpdated(newTimeout);
+    }
+
+    /**
+     * @notice Update the exit fee charged by unstake() and switchSide()
+     */
+    function setExitFee(uint256 newFeeBps) external onlyTimelock {
+        require(newFeeBps <= 1000, "Fee too high"); // Max 10%
+        exitFeeBps = newFeeBps;
+        emit ExitFeeUpdated(newFeeBps);
+    }
+
+    /**
+     * @notice Choose how markets with an empty side are settled
+     */
+    function setOneSidedPolicy(OneSidedPolicy policy) external onlyTimelock {
+        oneSidedPolicy = policy;
+        emit OneSidedPolicyUpdated(policy);
     }
 
     /**
      * @notice Update treasury address
+     * @dev Only fees accrued from now on go to the new treasury; the previous
+     *      one keeps its accrued balance
      */
-    function setTreasury(address newTreasury) external onlyOwner {
+    function setTreasury(address newTreasury) external onlyTimelock {
+        if (newTreasury == address(0)) revert ZeroAddress();
         treasury = newTreasury;
+        emit TreasuryUpdated(newTreasury);
     }
 
     /**
@@ -436,16 +1352,23 @@ contract MarketFactory {
     }
 
     /**
-     * @notice Transfer ownership
+     * @notice Emergency withdraw (only if contract is deprecated)
+     * @dev A token can only be withdrawn above what the factory owes
+     *      stakers (totalMarketFunds) and fee recipients (totalAccruedFees)
+     *      in it: see withdrawableSurplus()
      */
-    function transferOwnership(address newOwner) external onlyOwner {
-        owner = newOwner;
+    function emergencyWithdraw(address token, uint256 amount) external onlyTimelock {
+        if (amount > withdrawableSurplus(token)) revert ExceedsSurplus();
+        _pay(token, owner, amount);
     }
 
     /**
-     * @notice Emergency withdraw (only if contract is deprecated)
+     * @notice Tokens held beyond what is owed to stakers and fee recipients,
+     *         e.g. sent to the factory by mistake
      */
-    function emergencyWithdraw(address token, uint256 amount) external onlyOwner {
-        IERC20(token).transfer(owner, amount);
+    function withdrawableSurplus(address token) public view returns (uint256) {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 owed = totalMarketFunds[token] + totalAccruedFees[token];
+        return balance > owed ? balance - owed : 0;
     }
 }
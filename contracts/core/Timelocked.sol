@@ -0,0 +1,147 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title Timelocked
+ * @notice Two-step ownership and a timelock queue for admin changes
+ * @dev Functions guarded by onlyTimelock run only through executeAction(),
+ *      at least `timelockDelay` after the owner queued the exact calldata,
+ *      so a parameter change is public (ActionQueued) before it applies.
+ *      While the delay is 0 (initial setup, before the deployment sets
+ *      one) the owner calls them directly. Once a delay is set, lowering
+ *      it goes through the queue too.
+ */
+abstract contract Timelocked {
+    // Current and proposed owner (2-step transfer)
+    address public owner;
+    address public pendingOwner;
+
+    // Minimum time between queueing an action and executing it
+    uint256 public timelockDelay;
+
+    // An action can be executed until GRACE_PERIOD after its eta
+    uint256 public constant GRACE_PERIOD = 14 days;
+    uint256 public constant MAX_DELAY = 30 days;
+
+    // actionId(data, eta) => queued
+    mapping(bytes32 => bool) public queuedActions;
+
+    // Events
+    event OwnershipTransferInitiated(address indexed newOwner);
+    event OwnershipTransferCompleted(address indexed newOwner);
+    event ActionQueued(bytes32 indexed id, bytes data, uint256 eta);
+    event ActionCancelled(bytes32 indexed id);
+    event ActionExecuted(bytes32 indexed id, bytes data, uint256 eta);
+    event TimelockDelayUpdated(uint256 newDelay);
+
+    // Errors
+    error Unauthorized();
+    error ZeroAddress();
+    error InvalidDelay();
+    error ActionAlreadyQueued();
+    error ActionNotQueued();
+    error ActionNotReady();
+    error ActionExpired();
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert Unauthorized();
+        _;
+    }
+
+    modifier onlyTimelock() {
+        if (msg.sender != address(this) && (timelockDelay > 0 || msg.sender != owner)) revert Unauthorized();
+        _;
+    }
+
+    // ============ Ownership ============
+
+    /**
+     * @notice Initiate ownership transfer (2-step process)
+     */
+    function transferOwnership(address newOwner) external onlyOwner {
+        if (newOwner == address(0)) revert ZeroAddress();
+        pendingOwner = newOwner;
+        emit OwnershipTransferInitiated(newOwner);
+    }
+
+    /**
+     * @notice Accept ownership transfer
+     */
+    function acceptOwnership() external {
+        if (msg.sender != pendingOwner) revert Unauthorized();
+        owner = pendingOwner;
+        pendingOwner = address(0);
+        emit OwnershipTransferCompleted(msg.sender);
+    }
+
+    // ============ Timelock ============
+
+    /**
+     * @notice Queue a call to one of this contract's timelocked functions
+     * @param data ABI-encoded call, e.g. setProtocolFee(200)
+     * @return id Action identifier
+     * @return eta Earliest time executeAction() accepts it
+     */
+    function queueAction(bytes calldata data) external onlyOwner returns (bytes32 id, uint256 eta) {
+        eta = block.timestamp + timelockDelay;
+        id = actionId(data, eta);
+        if (queuedActions[id]) revert ActionAlreadyQueued();
+
+        queuedActions[id] = true;
+        emit ActionQueued(id, data, eta);
+    }
+
+    /**
+     * @notice Drop a queued action
+     */
+    function cancelAction(bytes calldata data, uint256 eta) external onlyOwner {
+        bytes32 id = actionId(data, eta);
+        if (!queuedActions[id]) revert ActionNotQueued();
+
+        delete queuedActions[id];
+        emit ActionCancelled(id);
+    }
+
+    /**
+     * @notice Run a queued action once its eta has passed
+     * @dev Reverts with the action's own error if the call fails; the
+     *      action stays queued so it can be retried until it expires
+     */
+    function executeAction(bytes calldata data, uint256 eta) external onlyOwner {
+        bytes32 id = actionId(data, eta);
+        if (!queuedActions[id]) revert ActionNotQueued();
+        if (block.timestamp < eta) revert ActionNotReady();
+        if (block.timestamp > eta + GRACE_PERIOD) revert ActionExpired();
+
+        delete queuedActions[id];
+
+        (bool success, bytes memory returnData) = address(this).call(data);
+        if (!success) {
+            assembly {
+                revert(add(returnData, 32), mload(returnData))
+            }
+        }
+
+        emit ActionExecuted(id, data, eta);
+    }
+
+    /**
+     * @notice Update the timelock delay (max MAX_DELAY)
+     */
+    function setTimelockDelay(uint256 newDelay) external onlyTimelock {
+        if (newDelay > MAX_DELAY) revert InvalidDelay();
+        timelockDelay = newDelay;
+        emit TimelockDelayUpdated(newDelay);
+    }
+
+    /**
+     * @notice Identifier of a queued action
+     */
+    function actionId(bytes calldata data, uint256 eta) public pure returns (bytes32) {
+        return keccak256(abi.encode(data, eta));
+    }
+}
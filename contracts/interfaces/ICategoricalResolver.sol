@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IResolver.sol";
+
+/**
+ * @title ICategoricalResolver
+ * @notice Resolver variant for categorical markets, which have N outcomes
+ *         instead of YES/NO
+ * @dev MarketFactory calls canResolve() as for binary markets, then
+ *      resolveOutcome() instead of resolve().
+ */
+interface ICategoricalResolver is IResolver {
+    /**
+     * @notice Resolve a categorical market and return the winning outcome
+     * @param marketId The market identifier
+     * @param resolverData Custom data for the resolver
+     * @return outcome Index of the winning outcome, below the market's outcome count
+     */
+    function resolveOutcome(
+        uint256 marketId,
+        bytes calldata resolverData
+    ) external returns (uint256 outcome);
+}
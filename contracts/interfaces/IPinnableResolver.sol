@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IPinnableResolver
+ * @notice Optional resolver extension for configuration that is fixed per market
+ * @dev MarketFactory.createMarket() calls pin() on resolvers that implement it
+ *      and stores the result. A resolver that pins must keep resolving the
+ *      market with the pinned configuration, whatever its owner changes later,
+ *      and accept pins only from the factory whose markets it settles.
+ */
+interface IPinnableResolver {
+    /**
+     * @notice Pin the configuration a market will resolve with
+     * @param marketId The new market's identifier
+     * @param resolverData The market's resolver data
+     * @return feed Price feed the market resolves on
+     * @return feedDecimals Decimals of the feed's answers at pin time
+     * @return version Resolver configuration version at pin time
+     */
+    function pin(uint256 marketId, bytes calldata resolverData) external returns (
+        address feed,
+        uint8 feedDecimals,
+        uint256 version
+    );
+}
@@ -4,7 +4,9 @@ pragma solidity ^0.8.20;
 /**
  * @title IResolver
  * @notice Interface for market resolution strategies
- * @dev All resolvers must implement this interface
+ * @dev All resolvers must implement this interface. Resolvers can also
+ *      implement IValidatingResolver (resolver data checked at creation) and
+ *      IPinnableResolver (configuration fixed at creation).
  */
 interface IResolver {
     /**
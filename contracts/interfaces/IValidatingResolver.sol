@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IValidatingResolver
+ * @notice Optional resolver extension that checks resolver data at market creation
+ * @dev MarketFactory.createMarket() calls validateParams() on resolvers that
+ *      implement it, so a market whose data can never resolve is rejected
+ *      before anyone stakes on it.
+ */
+interface IValidatingResolver {
+    /**
+     * @notice Check resolver data for a new market
+     * @dev Reverts with the resolver's own error when the data is invalid
+     * @param resolverData The market's resolver data
+     * @return resolvesAt Earliest time the market can resolve, 0 if not fixed
+     *         by the data (must not be before the market deadline)
+     */
+    function validateParams(bytes calldata resolverData) external view returns (uint256 resolvesAt);
+}
@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title FeedRounds
+ * @notice Historical round lookup for Chainlink feeds
+ * @dev Round IDs follow the proxy layout (phaseId << 64) | aggregatorRoundId:
+ *      contiguous within a phase, restarting at 1 when the proxy switches
+ *      to a new aggregator.
+ */
+library FeedRounds {
+    error RoundNotFound();
+
+    /**
+     * @notice Round current at `timestamp`: the hinted round if one is given,
+     *         otherwise the first round at or before it found walking back
+     *         from the latest round
+     * @dev The walk stops after `lookback` rounds and at the start of the
+     *      latest phase; older rounds need a hint. Hints are not checked
+     *      here, see isRoundAt().
+     */
+    function roundAt(
+        AggregatorV3Interface feed,
+        uint256 timestamp,
+        uint80 hint,
+        uint256 lookback
+    ) internal view returns (uint80 roundId, int256 answer, uint256 updatedAt) {
+        if (hint != 0) {
+            (, answer, , updatedAt, ) = feed.getRoundData(hint);
+            return (hint, answer, updatedAt);
+        }
+
+        (roundId, answer, , updatedAt, ) = feed.latestRoundData();
+
+        for (uint256 i = 0; updatedAt > timestamp; i++) {
+            // Round IDs restart with every phase; older phases need a hint
+            if (i == lookback || uint64(roundId) <= 1) revert RoundNotFound();
+            roundId--;
+
+            bool found;
+            (found, answer, updatedAt) = getRound(feed, roundId);
+            if (!found) revert RoundNotFound();
+        }
+    }
+
+    /**
+     * @notice Check that a round was the current one at `timestamp`: updated
+     *         at or before it, and the following round updated after it
+     * @dev The following round is roundId + 1, or the first round of the next
+     *      phase when roundId was the last round of its phase. Without a
+     *      following round, roundId must be the latest round.
+     */
+    function isRoundAt(
+        AggregatorV3Interface feed,
+        uint256 timestamp,
+        uint80 roundId
+    ) internal view returns (bool) {
+        (bool found, , uint256 updatedAt) = getRound(feed, roundId);
+        if (!found || updatedAt > timestamp) return false;
+
+        (found, , updatedAt) = getRound(feed, roundId + 1);
+        if (!found) {
+            uint80 nextPhaseStart = ((roundId >> 64) + 1) << 64 | 1;
+            (found, , updatedAt) = getRound(feed, nextPhaseStart);
+        }
+        if (!found) {
+            (uint80 latestRound, , , , ) = feed.latestRoundData();
+            return latestRound == roundId;
+        }
+        return updatedAt > timestamp;
+    }
+
+    /**
+     * @notice getRoundData() that reports missing rounds instead of reverting
+     */
+    function getRound(
+        AggregatorV3Interface feed,
+        uint80 roundId
+    ) internal view returns (bool found, int256 answer, uint256 updatedAt) {
+        try feed.getRoundData(roundId) returns (uint80, int256 _answer, uint256, uint256 _updatedAt, uint80) {
+            return (_updatedAt != 0, _answer, _updatedAt);
+        } catch {
+            return (false, 0, 0);
+        }
+    }
+}
@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockAggregator
+ * @notice Settable Chainlink AggregatorV3Interface for local testing
+ * @dev Keeps every round so getRoundData() can be tested against a scripted
+ *      history. Round IDs follow the proxy layout: (phaseId << 64) | aggregatorRoundId.
+ */
+contract MockAggregator {
+    struct Round {
+        int256 answer;
+        uint256 updatedAt;
+    }
+
+    uint8 public decimals;
+
+    uint16 public phaseId;
+    uint80 public roundId;
+    int256 public answer;
+    uint256 public updatedAt;
+
+    mapping(uint80 => Round) public rounds;
+
+    constructor(uint8 _decimals, int256 _answer) {
+        decimals = _decimals;
+        _setRound(_answer, block.timestamp);
+    }
+
+    /**
+     * @notice Publish a new answer at the current block time
+     */
+    function setAnswer(int256 _answer) external {
+        _setRound(_answer, block.timestamp);
+    }
+
+    /**
+     * @notice Publish a new answer with an explicit update time (e.g. stale)
+     */
+    function setRoundData(int256 _answer, uint256 _updatedAt) external {
+        _setRound(_answer, _updatedAt);
+    }
+
+    /**
+     * @notice Switch to a new underlying aggregator: the next round is
+     *         the first round of the next phase
+     */
+    function nextPhase() external {
+        phaseId++;
+        roundId = uint80(phaseId) << 64;
+    }
+
+    /**
+     * @notice Report answers in other decimals, like a proxy switched to an
+     *         aggregator with a different precision
+     */
+    function setDecimals(uint8 _decimals) external {
+        decimals = _decimals;
+    }
+
+    function latestRoundData() external view returns (
+        uint80,
+        int256,
+        uint256,
+        uint256,
+        uint80
+    ) {
+        return (roundId, answer, updatedAt, updatedAt, roundId);
+    }
+
+    function getRoundData(uint80 _roundId) external view returns (
+        uint80,
+        int256,
+        uint256,
+        uint256,
+        uint80
+    ) {
+        Round memory round = rounds[_roundId];
+        require(round.updatedAt > 0, "No data present");
+        return (_roundId, round.answer, round.updatedAt, round.updatedAt, _roundId);
+    }
+
+    function _setRound(int256 _answer, uint256 _updatedAt) internal {
+        roundId++;
+        answer = _answer;
+        updatedAt = _updatedAt;
+        rounds[roundId] = Round(_answer, _updatedAt);
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IResolver.sol";
+
+interface IMarketFactory {
+    function claim(uint256 marketId) external;
+}
+
+/**
+ * @title MockReentrantResolver
+ * @notice Resolver that re-enters MarketFactory during resolution (tests only)
+ */
+contract MockReentrantResolver is IResolver {
+    function canResolve(uint256, bytes calldata) external pure override returns (bool) {
+        return true;
+    }
+
+    function resolve(uint256 marketId, bytes calldata) external override returns (bool) {
+        IMarketFactory(msg.sender).claim(marketId);
+        return true;
+    }
+
+    function resolverType() external pure override returns (string memory) {
+        return "reentrant";
+    }
+}
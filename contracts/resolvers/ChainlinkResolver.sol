@@ -2,46 +2,72 @@
 pragma solidity ^0.8.20;
 
 import "../interfaces/IResolver.sol";
-
-/**
- * @title AggregatorV3Interface
- * @notice Chainlink Price Feed interface
- */
-interface AggregatorV3Interface {
-    function latestRoundData() external view returns (
-        uint80 roundId,
-        int256 answer,
-        uint256 startedAt,
-        uint256 updatedAt,
-        uint80 answeredInRound
-    );
-    function decimals() external view returns (uint8);
-}
+import "../interfaces/IPinnableResolver.sol";
+import "../interfaces/IValidatingResolver.sol";
+import "../interfaces/AggregatorV3Interface.sol";
+import "../libraries/FeedRounds.sol";
+import "../core/MarketFactory.sol";
+import "../core/Timelocked.sol";
 
 /**
  * @title ChainlinkResolver
  * @notice Resolves markets based on Chainlink price feeds
- * @dev Supports "greater than" and "less than" price conditions
+ * @dev Supports "greater than" and "less than" price conditions. Markets resolve
+ *      on the round that was current at the params deadline, not the latest round:
+ *      resolve() searches back up to MAX_ROUND_LOOKBACK rounds from the latest, and
+ *      setRoundHint() records an older round after checking it on-chain.
+ *      Its factory pins the asset's feed and its decimals when a market is
+ *      created (pin()), so later setPriceFeed() / removePriceFeed() calls
+ *      only apply to new markets; markets without a pin follow the registry.
+ *      Removing an asset's feed lets anyone cancel its unpinned markets
+ *      after their deadline (cancelMarket()), which refunds stakers rather
+ *      than changing an outcome. Registry changes go through the timelock
+ *      queue (see Timelocked).
  */
-contract ChainlinkResolver is IResolver {
+contract ChainlinkResolver is IResolver, IValidatingResolver, IPinnableResolver, Timelocked {
+    // Factory whose markets this resolver settles; the only caller of pin()
+    MarketFactory public immutable factory;
+
     // Supported price feeds on Base Mainnet
     mapping(string => address) public priceFeeds;
 
-    // Owner for adding new feeds
-    address public owner;
+    // Incremented by every registry change
+    uint256 public configVersion;
+
+    // Feed a market resolves on, fixed when it was created
+    struct FeedPin {
+        address feed;
+        uint8 decimals;
+        uint256 version;
+    }
+
+    // marketId => pinned feed
+    mapping(uint256 => FeedPin) public pins;
+
+    // Rounds resolve() searches back from the latest one when no hint is set
+    uint256 public constant MAX_ROUND_LOOKBACK = 50;
+
+    // marketId => round of its feed current at the params deadline
+    mapping(uint256 => uint80) public roundHints;
 
     // Events
     event PriceFeedAdded(string indexed asset, address feed);
     event PriceFeedRemoved(string indexed asset);
+    event RoundHintSet(uint256 indexed marketId, uint80 roundId);
+    event FeedPinned(uint256 indexed marketId, address feed, uint8 decimals, uint256 version);
 
     // Errors
     error InvalidFeed();
     error StalePrice();
     error DeadlineNotReached();
-    error Unauthorized();
+    error InvalidRoundHint();
+    error RoundNotFound();
+    error InvalidMarket();
+    error FeedAvailable();
+    error InvalidParams();
 
-    constructor() {
-        owner = msg.sender;
+    constructor(MarketFactory _factory) Timelocked(msg.sender) {
+        factory = _factory;
 
         // Base Mainnet Chainlink Price Feeds (verified correct addresses)
         priceFeeds["BTC"] = 0x64c911996D3c6aC71f9b455B1E8E7266BcbD848F;
@@ -49,11 +75,6 @@ contract ChainlinkResolver is IResolver {
         priceFeeds["USDC"] = 0x7e860098F58bBFC8648a4311b374B1D669a2bc6B;
     }
 
-    modifier onlyOwner() {
-        if (msg.sender != owner) revert Unauthorized();
-        _;
-    }
-
     /**
      * @notice Resolver data format:
      * - bytes32 asset (e.g., "BTC")
@@ -81,11 +102,30 @@ contract ChainlinkResolver is IResolver {
         return abi.encode(ResolverParams(asset, targetPrice, isGreaterThan, deadline));
     }
 
+    /**
+     * @notice Check a new market's resolver data: decodable ResolverParams,
+     *         a non-zero target and an asset with a price feed
+     * @return resolvesAt params.deadline, the time the price is read
+     */
+    function validateParams(bytes calldata resolverData) external view override returns (uint256 resolvesAt) {
+        ResolverParams memory params;
+        try this.decodeParams(resolverData) returns (ResolverParams memory decoded) {
+            params = decoded;
+        } catch {
+            revert InvalidParams();
+        }
+
+        if (params.targetPrice == 0) revert InvalidParams();
+        if (priceFeeds[params.asset] == address(0)) revert InvalidFeed();
+
+        return params.deadline;
+    }
+
     /**
      * @notice Check if market can be resolved
      */
     function canResolve(
-        uint256 /* marketId */,
+        uint256 marketId,
         bytes calldata resolverData
     ) external view override returns (bool) {
         ResolverParams memory params = decodeParams(resolverData);
@@ -93,8 +133,9 @@ contract ChainlinkResolver is IResolver {
         // Check deadline passed
         if (block.timestamp < params.deadline) return false;
 
-        // Check feed exists
-        if (priceFeeds[params.asset] == address(0)) return false;
+        // Check feed exists (pinned, or still in the registry)
+        (address feed, ) = feedFor(marketId, resolverData);
+        if (feed == address(0)) return false;
 
         return true;
     }
@@ -103,7 +144,7 @@ contract ChainlinkResolver is IResolver {
      * @notice Resolve market based on Chainlink price
      */
     function resolve(
-        uint256 /* marketId */,
+        uint256 marketId,
         bytes calldata resolverData
     ) external override returns (bool outcome) {
         ResolverParams memory params = decodeParams(resolverData);
@@ -112,24 +153,28 @@ contract ChainlinkResolver is IResolver {
         if (block.timestamp < params.deadline) revert DeadlineNotReached();
 
         // Get price feed
-        address feedAddress = priceFeeds[params.asset];
+        (address feedAddress, bool pinned) = feedFor(marketId, resolverData);
         if (feedAddress == address(0)) revert InvalidFeed();
 
         AggregatorV3Interface feed = AggregatorV3Interface(feedAddress);
 
-        // Get latest price
-        (
-            ,
-            int256 price,
-            ,
-            uint256 updatedAt,
-        ) = feed.latestRoundData();
+        // Get the price that was current at the deadline
+        (, int256 price, uint256 updatedAt) = FeedRounds.roundAt(
+            feed,
+            params.deadline,
+            roundHints[marketId],
+            MAX_ROUND_LOOKBACK
+        );
 
-        // Check for stale price (older than 1 hour)
-        if (block.timestamp - updatedAt > 3600) revert StalePrice();
+        // Check for stale price (older than 1 hour at the deadline)
+        if (params.deadline - updatedAt > 3600) revert StalePrice();
 
-        // Normalize price to 8 decimals (Chainlink standard)
+        // targetPrice is in the feed's decimals at creation; a proxy that
+        // switched to an aggregator with other decimals is scaled back
         uint256 currentPrice = uint256(price);
+        if (pinned) {
+            currentPrice = _scale(currentPrice, feed.decimals(), pins[marketId].decimals);
+        }
 
         // Determine outcome
         if (params.isGreaterThan) {
@@ -141,6 +186,101 @@ contract ChainlinkResolver is IResolver {
         return outcome;
     }
 
+    /**
+     * @notice Record the round of a market's feed that was current at its
+     *         deadline, for deadlines further back than MAX_ROUND_LOOKBACK rounds
+     * @dev Anyone can call this; the round is checked against the history of
+     *      the feed the market resolves on
+     * @param marketId The market identifier
+     * @param roundId Last round updated at or before params.deadline
+     */
+    function setRoundHint(uint256 marketId, uint80 roundId) external {
+        MarketFactory.Market memory market = factory.getMarket(marketId);
+        if (market.resolver != address(this)) revert InvalidMarket();
+
+        ResolverParams memory params = abi.decode(market.resolverData, (ResolverParams));
+        if (block.timestamp < params.deadline) revert DeadlineNotReached();
+
+        (address feed, ) = _feedFor(marketId, params.asset);
+        if (feed == address(0)) revert InvalidFeed();
+        if (!FeedRounds.isRoundAt(AggregatorV3Interface(feed), params.deadline, roundId)) revert InvalidRoundHint();
+
+        roundHints[marketId] = roundId;
+        emit RoundHintSet(marketId, roundId);
+    }
+
+    /**
+     * @notice Pin the asset's current feed for a new market
+     * @dev Only the factory calls this, from createMarket()
+     * @param marketId The new market's identifier
+     * @param resolverData The market's encoded ResolverParams
+     */
+    function pin(uint256 marketId, bytes calldata resolverData) external override returns (
+        address feed,
+        uint8 feedDecimals,
+        uint256 version
+    ) {
+        if (msg.sender != address(factory)) revert Unauthorized();
+
+        ResolverParams memory params = decodeParams(resolverData);
+        feed = priceFeeds[params.asset];
+        if (feed == address(0)) revert InvalidFeed();
+
+        feedDecimals = AggregatorV3Interface(feed).decimals();
+        version = configVersion;
+
+        pins[marketId] = FeedPin(feed, feedDecimals, version);
+        emit FeedPinned(marketId, feed, feedDecimals, version);
+    }
+
+    /**
+     * @notice Feed a market resolves on: its pin, or the registry's
+     *         current feed for unpinned markets
+     * @return feed Zero if unpinned and the asset has no feed
+     * @return pinned Whether the feed comes from a pin
+     */
+    function feedFor(uint256 marketId, bytes calldata resolverData) public view returns (address feed, bool pinned) {
+        return _feedFor(marketId, decodeParams(resolverData).asset);
+    }
+
+    /**
+     * @notice Cancel an unpinned market whose asset was removed from the
+     *         registry, so its stakers can be refunded
+     * @dev Anyone can call this once the params deadline has passed; the
+     *      factory accepts the cancellation because this is the market's resolver.
+     *      Pinned markets keep resolving on their feed, so they cannot be
+     *      cancelled this way.
+     * @param marketId The market identifier
+     */
+    function cancelMarket(uint256 marketId) external {
+        MarketFactory.Market memory market = factory.getMarket(marketId);
+        if (market.resolver != address(this)) revert InvalidMarket();
+
+        ResolverParams memory params = abi.decode(market.resolverData, (ResolverParams));
+        if (block.timestamp < params.deadline) revert DeadlineNotReached();
+        (address feed, ) = _feedFor(marketId, params.asset);
+        if (feed != address(0)) revert FeedAvailable();
+
+        factory.cancelMarket(marketId);
+    }
+
+    /**
+     * @notice Check that a round was the current one at `deadline`: updated at
+     *         or before it, and the following round updated after it
+     * @dev The following round is roundId + 1, or the first round of the next
+     *      phase when roundId was the last round of its phase. Without a
+     *      following round, roundId must be the latest round.
+     */
+    function isRoundAtDeadline(
+        string memory asset,
+        uint256 deadline,
+        uint80 roundId
+    ) public view returns (bool) {
+        address feedAddress = priceFeeds[asset];
+        if (feedAddress == address(0)) revert InvalidFeed();
+        return FeedRounds.isRoundAt(AggregatorV3Interface(feedAddress), deadline, roundId);
+    }
+
     /**
      * @notice Get current price for an asset
      */
@@ -157,27 +297,38 @@ contract ChainlinkResolver is IResolver {
     /**
      * @notice Add or update a price feed
      */
-    function setPriceFeed(string calldata asset, address feed) external onlyOwner {
+    function setPriceFeed(string calldata asset, address feed) external onlyTimelock {
         priceFeeds[asset] = feed;
+        configVersion++;
         emit PriceFeedAdded(asset, feed);
     }
 
     /**
      * @notice Remove a price feed
      */
-    function removePriceFeed(string calldata asset) external onlyOwner {
+    function removePriceFeed(string calldata asset) external onlyTimelock {
         delete priceFeeds[asset];
+        configVersion++;
         emit PriceFeedRemoved(asset);
     }
 
-    /**
-     * @notice Transfer ownership
-     */
-    function transferOwnership(address newOwner) external onlyOwner {
-        owner = newOwner;
-    }
-
     function resolverType() external pure override returns (string memory) {
         return "chainlink";
     }
+
+    function _feedFor(uint256 marketId, string memory asset) internal view returns (address feed, bool pinned) {
+        feed = pins[marketId].feed;
+        if (feed != address(0)) return (feed, true);
+
+        return (priceFeeds[asset], false);
+    }
+
+    /**
+     * @notice Convert a price between decimal precisions
+     */
+    function _scale(uint256 price, uint8 from, uint8 to) internal pure returns (uint256) {
+        if (from < to) return price * 10 ** (to - from);
+        if (from > to) return price / 10 ** (from - to);
+        return price;
+    }
 }
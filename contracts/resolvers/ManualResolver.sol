@@ -1,19 +1,31 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "../interfaces/IResolver.sol";
+import "../interfaces/ICategoricalResolver.sol";
+import "../interfaces/IValidatingResolver.sol";
+import "../core/MarketFactory.sol";
 
 /**
  * @title ManualResolver
  * @notice Resolves markets manually by admin or multi-sig
- * @dev Used for non-price markets (events, sports, politics, etc.)
+ * @dev Used for non-price markets (events, sports, politics, etc.), binary
+ *      (setOutcome) or categorical (setOutcomeIndex). Each setter only
+ *      accepts its factory's markets of the matching type, so a market with
+ *      an outcome set can always resolve.
  */
-contract ManualResolver is IResolver {
+contract ManualResolver is ICategoricalResolver, IValidatingResolver {
+    // Factory whose markets this resolver settles
+    MarketFactory public immutable factory;
+
     // Market outcomes set by admin
     mapping(uint256 => bool) public outcomes;
     mapping(uint256 => bool) public outcomeSet;
     mapping(uint256 => uint256) public deadlines;
 
+    // Winning outcome of categorical markets (outcomeSet is set too)
+    mapping(uint256 => uint256) public outcomeIndexes;
+    mapping(uint256 => bool) public outcomeIndexSet;
+
     // Admin address (can be multi-sig)
     address public admin;
 
@@ -23,6 +35,7 @@ contract ManualResolver is IResolver {
     // Events
     event OutcomeSet(uint256 indexed marketId, bool outcome, address indexed setBy);
     event DeadlineSet(uint256 indexed marketId, uint256 deadline);
+    event OutcomeIndexSet(uint256 indexed marketId, uint256 outcome, address indexed setBy);
     event AdminTransferInitiated(address indexed newAdmin);
     event AdminTransferCompleted(address indexed newAdmin);
 
@@ -32,8 +45,13 @@ contract ManualResolver is IResolver {
     error OutcomeNotSet();
     error DeadlineNotReached();
     error InvalidDeadline();
+    error InvalidParams();
+    error InvalidMarket();
+    error WrongMarketType();
+    error InvalidOutcome();
 
-    constructor() {
+    constructor(MarketFactory _factory) {
+        factory = _factory;
         admin = msg.sender;
     }
 
@@ -55,11 +73,13 @@ contract ManualResolver is IResolver {
 
     /**
      * @notice Set the outcome for a market
+     * @dev Reverts with WrongMarketType for categorical markets
      * @param marketId The market identifier
      * @param outcome True for YES, False for NO
      */
     function setOutcome(uint256 marketId, bool outcome) external onlyAdmin {
         if (outcomeSet[marketId]) revert OutcomeAlreadySet();
+        _checkMarket(marketId, false);
 
         outcomes[marketId] = outcome;
         outcomeSet[marketId] = true;
@@ -67,8 +87,29 @@ contract ManualResolver is IResolver {
         emit OutcomeSet(marketId, outcome, msg.sender);
     }
 
+    /**
+     * @notice Set the winning outcome of a categorical market
+     * @dev Reverts with WrongMarketType for binary markets and InvalidOutcome
+     *      for an index at or above the market's outcome count, which could
+     *      neither resolve nor be cancelled once set.
+     * @param marketId The market identifier
+     * @param outcome Index of the winning outcome
+     */
+    function setOutcomeIndex(uint256 marketId, uint256 outcome) external onlyAdmin {
+        if (outcomeSet[marketId]) revert OutcomeAlreadySet();
+        if (outcome >= _checkMarket(marketId, true)) revert InvalidOutcome();
+
+        outcomeIndexes[marketId] = outcome;
+        outcomeIndexSet[marketId] = true;
+        outcomeSet[marketId] = true;
+
+        emit OutcomeIndexSet(marketId, outcome, msg.sender);
+    }
+
     /**
      * @notice Batch set outcomes for multiple markets
+     * @dev Markets with an outcome already set are skipped; any categorical
+     *      market reverts the batch (WrongMarketType)
      * @param marketIds Array of market identifiers
      * @param _outcomes Array of outcomes
      */
@@ -80,6 +121,7 @@ contract ManualResolver is IResolver {
 
         for (uint256 i = 0; i < marketIds.length; i++) {
             if (!outcomeSet[marketIds[i]]) {
+                _checkMarket(marketIds[i], false);
                 outcomes[marketIds[i]] = _outcomes[i];
                 outcomeSet[marketIds[i]] = true;
                 emit OutcomeSet(marketIds[i], _outcomes[i], msg.sender);
@@ -87,6 +129,26 @@ contract ManualResolver is IResolver {
         }
     }
 
+    /**
+     * @notice Cancel a market that will not get an outcome, so its stakers
+     *         can be refunded
+     * @dev The factory accepts the cancellation because this is the market's resolver
+     * @param marketId The market identifier
+     */
+    function cancelMarket(uint256 marketId) external onlyAdmin {
+        if (outcomeSet[marketId]) revert OutcomeAlreadySet();
+        factory.cancelMarket(marketId);
+    }
+
+    /**
+     * @notice Check a new market's resolver data: ManualResolver takes none
+     * @return resolvesAt 0, the admin sets the outcome after creation
+     */
+    function validateParams(bytes calldata resolverData) external pure override returns (uint256 resolvesAt) {
+        if (resolverData.length != 0) revert InvalidParams();
+        return 0;
+    }
+
     /**
      * @notice Check if market can be resolved
      */
@@ -111,7 +173,7 @@ contract ManualResolver is IResolver {
         uint256 marketId,
         bytes calldata /* resolverData */
     ) external override returns (bool outcome) {
-        if (!outcomeSet[marketId]) revert OutcomeNotSet();
+        if (!outcomeSet[marketId] || outcomeIndexSet[marketId]) revert OutcomeNotSet();
 
         uint256 deadline = deadlines[marketId];
         if (deadline > 0 && block.timestamp < deadline) revert DeadlineNotReached();
@@ -119,6 +181,21 @@ contract ManualResolver is IResolver {
         return outcomes[marketId];
     }
 
+    /**
+     * @notice Resolve a categorical market with its pre-set outcome index
+     */
+    function resolveOutcome(
+        uint256 marketId,
+        bytes calldata /* resolverData */
+    ) external override returns (uint256 outcome) {
+        if (!outcomeIndexSet[marketId]) revert OutcomeNotSet();
+
+        uint256 deadline = deadlines[marketId];
+        if (deadline > 0 && block.timestamp < deadline) revert DeadlineNotReached();
+
+        return outcomeIndexes[marketId];
+    }
+
     /**
      * @notice Check if outcome is set for a market
      */
@@ -154,4 +231,15 @@ contract ManualResolver is IResolver {
     function resolverType() external pure override returns (string memory) {
         return "manual";
     }
+
+    /**
+     * @dev Reverts unless marketId is one of the factory's markets on this
+     *      resolver, categorical or binary as expected
+     * @return outcomeCount The market's outcome count, 0 for binary markets
+     */
+    function _checkMarket(uint256 marketId, bool categorical) internal view returns (uint256 outcomeCount) {
+        if (factory.getMarket(marketId).resolver != address(this)) revert InvalidMarket();
+        (outcomeCount, , ) = factory.categoricals(marketId);
+        if ((outcomeCount > 0) != categorical) revert WrongMarketType();
+    }
 }
@@ -0,0 +1,332 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IResolver.sol";
+import "../core/MarketFactory.sol";
+
+/**
+ * @title OptimisticResolver
+ * @notice Resolves event markets by bonded proposals instead of a single admin
+ * @dev After a market's deadline anyone can propose an outcome by posting a
+ *      USDC bond. If nobody disputes it (by posting the same bond) before the
+ *      challenge window ends, finalize() accepts it and returns the bond. A
+ *      dispute goes to the arbiter set: the first outcome to reach `quorum`
+ *      votes is final, and whichever of proposer and disputer was right
+ *      receives both bonds. Disputes need an arbiter set. If the market is
+ *      cancelled before its request is final (by the owner, or by anyone
+ *      once the factory's resolution timeout has passed), refundBonds()
+ *      returns each bond to whoever posted it.
+ *
+ *      The admin manages the arbiter set and bond parameters but cannot set
+ *      outcomes. Changing the arbiter set does not discard votes already cast.
+ */
+contract OptimisticResolver is IResolver {
+    enum Status {
+        None,
+        Proposed,
+        Disputed,
+        Finalized,
+        Refunded
+    }
+
+    struct Request {
+        Status status;
+        bool proposedOutcome;
+        bool outcome;
+        address proposer;
+        address disputer;
+        uint256 bond;
+        uint256 challengeEnds;
+        uint256 yesVotes;
+        uint256 noVotes;
+    }
+
+    // Factory whose markets this resolver settles
+    MarketFactory public immutable factory;
+
+    // Bond token (USDC)
+    IERC20 public immutable bondToken;
+
+    // Bond posted by proposer and disputer (snapshotted per request)
+    uint256 public bondAmount;
+
+    // Seconds a proposal can be disputed
+    uint256 public challengeWindow;
+
+    // Market outcome requests
+    mapping(uint256 => Request) public requests;
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+
+    // Dispute arbiters and the votes needed to settle a dispute
+    address[] public arbiters;
+    mapping(address => bool) public isArbiter;
+    uint256 public quorum;
+
+    // Admin address (can be multi-sig)
+    address public admin;
+
+    // Pending admin for 2-step transfer
+    address public pendingAdmin;
+
+    // Events
+    event OutcomeProposed(uint256 indexed marketId, bool outcome, address indexed proposer, uint256 bond, uint256 challengeEnds);
+    event OutcomeDisputed(uint256 indexed marketId, address indexed disputer);
+    event ArbiterVoted(uint256 indexed marketId, address indexed arbiter, bool outcome);
+    event OutcomeFinalized(uint256 indexed marketId, bool outcome, address indexed bondRecipient, uint256 payout);
+    event BondsRefunded(uint256 indexed marketId, address indexed proposer, address indexed disputer, uint256 bond);
+    event ArbitersUpdated(address[] arbiters, uint256 quorum);
+    event BondParamsUpdated(uint256 bondAmount, uint256 challengeWindow);
+    event AdminTransferInitiated(address indexed newAdmin);
+    event AdminTransferCompleted(address indexed newAdmin);
+
+    // Errors
+    error Unauthorized();
+    error InvalidMarket();
+    error InvalidConfig();
+    error InvalidArbiters();
+    error NoArbiters();
+    error MarketNotCancelled();
+    error DeadlineNotReached();
+    error AlreadyProposed();
+    error NotProposed();
+    error NotDisputed();
+    error NotFinalized();
+    error ChallengeWindowOpen();
+    error ChallengeWindowClosed();
+    error AlreadyVoted();
+    error TransferFailed();
+
+    constructor(MarketFactory _factory, IERC20 _bondToken, uint256 _bondAmount, uint256 _challengeWindow) {
+        if (_challengeWindow == 0) revert InvalidConfig();
+        factory = _factory;
+        bondToken = _bondToken;
+        bondAmount = _bondAmount;
+        challengeWindow = _challengeWindow;
+        admin = msg.sender;
+    }
+
+    modifier onlyAdmin() {
+        if (msg.sender != admin) revert Unauthorized();
+        _;
+    }
+
+    // ============ Proposals ============
+
+    /**
+     * @notice Propose a market outcome, posting `bondAmount`
+     * @dev Open once the market's deadline has passed, until it is resolved
+     *      or cancelled; needs a bond token approval
+     * @param marketId The market identifier
+     * @param outcome True for YES, False for NO
+     */
+    function propose(uint256 marketId, bool outcome) external {
+        MarketFactory.Market memory market = factory.getMarket(marketId);
+        if (market.resolver != address(this) || market.resolved || market.cancelled) revert InvalidMarket();
+        if (block.timestamp < market.deadline) revert DeadlineNotReached();
+
+        Request storage request = requests[marketId];
+        if (request.status != Status.None) revert AlreadyProposed();
+
+        request.status = Status.Proposed;
+        request.proposedOutcome = outcome;
+        request.proposer = msg.sender;
+        request.bond = bondAmount;
+        request.challengeEnds = block.timestamp + challengeWindow;
+
+        _pullBond(request.bond);
+
+        emit OutcomeProposed(marketId, outcome, msg.sender, request.bond, request.challengeEnds);
+    }
+
+    /**
+     * @notice Dispute a proposal within its challenge window, posting the same bond
+     * @dev Reverts with NoArbiters while no arbiter set is configured, since
+     *      nobody could settle the dispute
+     * @param marketId The market identifier
+     */
+    function dispute(uint256 marketId) external {
+        Request storage request = requests[marketId];
+        if (request.status != Status.Proposed) revert NotProposed();
+        if (block.timestamp >= request.challengeEnds) revert ChallengeWindowClosed();
+        if (quorum == 0) revert NoArbiters();
+
+        request.status = Status.Disputed;
+        request.disputer = msg.sender;
+
+        _pullBond(request.bond);
+
+        emit OutcomeDisputed(marketId, msg.sender);
+    }
+
+    /**
+     * @notice Accept an undisputed proposal once its challenge window has
+     *         ended and return the proposer's bond
+     * @param marketId The market identifier
+     */
+    function finalize(uint256 marketId) external {
+        Request storage request = requests[marketId];
+        if (request.status != Status.Proposed) revert NotProposed();
+        if (block.timestamp < request.challengeEnds) revert ChallengeWindowOpen();
+
+        _settle(marketId, request, request.proposedOutcome, request.proposer, request.bond);
+    }
+
+    /**
+     * @notice Arbiter vote on a disputed outcome; the first outcome to reach
+     *         `quorum` votes is final
+     * @param marketId The market identifier
+     * @param outcome True for YES, False for NO
+     */
+    function vote(uint256 marketId, bool outcome) external {
+        if (!isArbiter[msg.sender]) revert Unauthorized();
+
+        Request storage request = requests[marketId];
+        if (request.status != Status.Disputed) revert NotDisputed();
+        if (hasVoted[marketId][msg.sender]) revert AlreadyVoted();
+
+        hasVoted[marketId][msg.sender] = true;
+        uint256 votes = outcome ? ++request.yesVotes : ++request.noVotes;
+
+        emit ArbiterVoted(marketId, msg.sender, outcome);
+
+        if (votes >= quorum) {
+            address winner = outcome == request.proposedOutcome ? request.proposer : request.disputer;
+            _settle(marketId, request, outcome, winner, request.bond * 2);
+        }
+    }
+
+    /**
+     * @notice Return the bonds of a cancelled market's unfinished request to
+     *         the proposer and the disputer
+     * @dev Anyone can call it; `disputer` in the event is zero for an
+     *      undisputed proposal
+     * @param marketId The market identifier
+     */
+    function refundBonds(uint256 marketId) external {
+        Request storage request = requests[marketId];
+        Status status = request.status;
+        if (status != Status.Proposed && status != Status.Disputed) revert NotProposed();
+        if (!factory.getMarket(marketId).cancelled) revert MarketNotCancelled();
+
+        request.status = Status.Refunded;
+
+        _sendBond(request.proposer, request.bond);
+        if (status == Status.Disputed) _sendBond(request.disputer, request.bond);
+
+        emit BondsRefunded(marketId, request.proposer, request.disputer, request.bond);
+    }
+
+    // ============ IResolver ============
+
+    /**
+     * @notice Check if market can be resolved: only once its outcome is final
+     */
+    function canResolve(
+        uint256 marketId,
+        bytes calldata /* resolverData */
+    ) external view override returns (bool) {
+        return requests[marketId].status == Status.Finalized;
+    }
+
+    /**
+     * @notice Resolve market with the finalized outcome
+     */
+    function resolve(
+        uint256 marketId,
+        bytes calldata /* resolverData */
+    ) external override returns (bool outcome) {
+        Request storage request = requests[marketId];
+        if (request.status != Status.Finalized) revert NotFinalized();
+        return request.outcome;
+    }
+
+    function resolverType() external pure override returns (string memory) {
+        return "optimistic";
+    }
+
+    // ============ Views ============
+
+    /**
+     * @notice Get the outcome request for a market
+     */
+    function getRequest(uint256 marketId) external view returns (Request memory) {
+        return requests[marketId];
+    }
+
+    /**
+     * @notice Get the current arbiter set
+     */
+    function getArbiters() external view returns (address[] memory) {
+        return arbiters;
+    }
+
+    // ============ Admin ============
+
+    /**
+     * @notice Replace the arbiter set
+     * @dev `_quorum` must be a strict majority so two outcomes can never both
+     *      reach it
+     */
+    function setArbiters(address[] calldata _arbiters, uint256 _quorum) external onlyAdmin {
+        if (_quorum > _arbiters.length || _quorum * 2 <= _arbiters.length) revert InvalidArbiters();
+
+        for (uint256 i = 0; i < arbiters.length; i++) {
+            isArbiter[arbiters[i]] = false;
+        }
+        for (uint256 i = 0; i < _arbiters.length; i++) {
+            if (_arbiters[i] == address(0) || isArbiter[_arbiters[i]]) revert InvalidArbiters();
+            isArbiter[_arbiters[i]] = true;
+        }
+
+        arbiters = _arbiters;
+        quorum = _quorum;
+        emit ArbitersUpdated(_arbiters, _quorum);
+    }
+
+    /**
+     * @notice Update the bond and challenge window for new proposals
+     */
+    function setBondParams(uint256 _bondAmount, uint256 _challengeWindow) external onlyAdmin {
+        if (_challengeWindow == 0) revert InvalidConfig();
+        bondAmount = _bondAmount;
+        challengeWindow = _challengeWindow;
+        emit BondParamsUpdated(_bondAmount, _challengeWindow);
+    }
+
+    /**
+     * @notice Initiate admin transfer (2-step process)
+     */
+    function transferAdmin(address newAdmin) external onlyAdmin {
+        pendingAdmin = newAdmin;
+        emit AdminTransferInitiated(newAdmin);
+    }
+
+    /**
+     * @notice Accept admin transfer
+     */
+    function acceptAdmin() external {
+        if (msg.sender != pendingAdmin) revert Unauthorized();
+        admin = pendingAdmin;
+        pendingAdmin = address(0);
+        emit AdminTransferCompleted(msg.sender);
+    }
+
+    // ============ Internal ============
+
+    function _settle(uint256 marketId, Request storage request, bool outcome, address recipient, uint256 payout) internal {
+        request.status = Status.Finalized;
+        request.outcome = outcome;
+
+        _sendBond(recipient, payout);
+
+        emit OutcomeFinalized(marketId, outcome, recipient, payout);
+    }
+
+    function _sendBond(address recipient, uint256 amount) internal {
+        if (amount > 0 && !bondToken.transfer(recipient, amount)) revert TransferFailed();
+    }
+
+    function _pullBond(uint256 amount) internal {
+        if (amount > 0 && !bondToken.transferFrom(msg.sender, address(this), amount)) revert TransferFailed();
+    }
+}
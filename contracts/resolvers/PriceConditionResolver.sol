@@ -0,0 +1,428 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IResolver.sol";
+import "../interfaces/IPinnableResolver.sol";
+import "../interfaces/AggregatorV3Interface.sol";
+import "../libraries/FeedRounds.sol";
+import "./ChainlinkResolver.sol";
+
+/**
+ * @title PriceConditionResolver
+ * @notice Resolves markets on price conditions beyond a single threshold:
+ *         a price range, the ratio of two assets, or a time-weighted average
+ * @dev Feeds come from the ChainlinkResolver registry. Its factory pins each
+ *      asset's feed and decimals when a market is created (pin()), so later
+ *      registry changes only apply to new markets; markets without a pin
+ *      follow the registry. Prices come from the round that was current at
+ *      the params deadline; rounds more than MAX_ROUND_LOOKBACK rounds back,
+ *      or in an earlier phase, need a hint for their feed (setRoundHint).
+ *
+ *      resolverData = abi.encode(ConditionType, abi.encode(<Condition>Params))
+ */
+contract PriceConditionResolver is IResolver, IPinnableResolver {
+    enum ConditionType {
+        Range,
+        Ratio,
+        Twap
+    }
+
+    /**
+     * @notice YES if lowerPrice <= price < upperPrice at the deadline
+     * @dev Prices in the feed's decimals when the market was created
+     */
+    struct RangeParams {
+        string asset;
+        uint256 lowerPrice;
+        uint256 upperPrice;
+        uint256 deadline;
+    }
+
+    /**
+     * @notice YES if base/quote >= targetRatio (isGreaterThan) or
+     *         base/quote < targetRatio (!isGreaterThan) at the deadline
+     * @dev targetRatio has RATIO_DECIMALS decimals, whatever the feed decimals
+     */
+    struct RatioParams {
+        string baseAsset;
+        string quoteAsset;
+        uint256 targetRatio;
+        bool isGreaterThan;
+        uint256 deadline;
+    }
+
+    /**
+     * @notice Like ChainlinkResolver, compared against the time-weighted
+     *         average price over [deadline - window, deadline]
+     * @dev targetPrice in the feed's decimals when the market was created
+     */
+    struct TwapParams {
+        string asset;
+        uint256 targetPrice;
+        bool isGreaterThan;
+        uint256 window;
+        uint256 deadline;
+    }
+
+    // Feed an asset of a market resolves on, fixed when it was created
+    struct FeedPin {
+        address feed;
+        uint8 decimals;
+    }
+
+    // Feed registry shared with ChainlinkResolver
+    ChainlinkResolver public immutable registry;
+
+    // Factory whose markets this resolver settles; the only caller of pin()
+    MarketFactory public immutable factory;
+
+    // marketId => asset => pinned feed
+    mapping(uint256 => mapping(string => FeedPin)) public pins;
+
+    // Rounds searched back from the latest one when no hint is set
+    uint256 public constant MAX_ROUND_LOOKBACK = 50;
+
+    // Rounds a TWAP may span
+    uint256 public constant MAX_TWAP_ROUNDS = 100;
+
+    // Decimals of RatioParams.targetRatio
+    uint8 public constant RATIO_DECIMALS = 18;
+
+    // A price older than this (at the time it is used) is stale
+    uint256 public constant MAX_PRICE_AGE = 3600;
+
+    // feed => timestamp => round of that feed current at timestamp
+    mapping(address => mapping(uint256 => uint80)) public roundHints;
+
+    // Events
+    event RoundHintSet(address indexed feed, uint256 timestamp, uint80 roundId);
+    event FeedPinned(uint256 indexed marketId, string asset, address feed, uint8 decimals);
+
+    // Errors
+    error InvalidFeed();
+    error InvalidParams();
+    error StalePrice();
+    error DeadlineNotReached();
+    error InvalidRoundHint();
+    error RoundNotFound();
+    error Unauthorized();
+
+    constructor(ChainlinkResolver _registry, MarketFactory _factory) {
+        registry = _registry;
+        factory = _factory;
+    }
+
+    // ============ Params ============
+
+    function decodeCondition(bytes calldata data) public pure returns (ConditionType conditionType, bytes memory params) {
+        return abi.decode(data, (ConditionType, bytes));
+    }
+
+    function decodeRange(bytes calldata data) public pure returns (RangeParams memory) {
+        return abi.decode(_params(data, ConditionType.Range), (RangeParams));
+    }
+
+    function decodeRatio(bytes calldata data) public pure returns (RatioParams memory) {
+        return abi.decode(_params(data, ConditionType.Ratio), (RatioParams));
+    }
+
+    function decodeTwap(bytes calldata data) public pure returns (TwapParams memory) {
+        return abi.decode(_params(data, ConditionType.Twap), (TwapParams));
+    }
+
+    function encodeRange(
+        string memory asset,
+        uint256 lowerPrice,
+        uint256 upperPrice,
+        uint256 deadline
+    ) external pure returns (bytes memory) {
+        if (lowerPrice >= upperPrice) revert InvalidParams();
+        return abi.encode(ConditionType.Range, abi.encode(RangeParams(asset, lowerPrice, upperPrice, deadline)));
+    }
+
+    function encodeRatio(
+        string memory baseAsset,
+        string memory quoteAsset,
+        uint256 targetRatio,
+        bool isGreaterThan,
+        uint256 deadline
+    ) external pure returns (bytes memory) {
+        if (keccak256(bytes(baseAsset)) == keccak256(bytes(quoteAsset))) revert InvalidParams();
+        return abi.encode(
+            ConditionType.Ratio,
+            abi.encode(RatioParams(baseAsset, quoteAsset, targetRatio, isGreaterThan, deadline))
+        );
+    }
+
+    function encodeTwap(
+        string memory asset,
+        uint256 targetPrice,
+        bool isGreaterThan,
+        uint256 window,
+        uint256 deadline
+    ) external pure returns (bytes memory) {
+        if (window == 0 || window > deadline) revert InvalidParams();
+        return abi.encode(
+            ConditionType.Twap,
+            abi.encode(TwapParams(asset, targetPrice, isGreaterThan, window, deadline))
+        );
+    }
+
+    // ============ IResolver ============
+
+    /**
+     * @notice Check if market can be resolved: deadline passed and every
+     *         asset of the condition has a feed
+     */
+    function canResolve(
+        uint256 marketId,
+        bytes calldata resolverData
+    ) external view override returns (bool) {
+        (ConditionType conditionType, ) = decodeCondition(resolverData);
+
+        if (conditionType == ConditionType.Range) {
+            RangeParams memory params = decodeRange(resolverData);
+            return block.timestamp >= params.deadline && _hasFeed(marketId, params.asset);
+        }
+        if (conditionType == ConditionType.Ratio) {
+            RatioParams memory params = decodeRatio(resolverData);
+            return block.timestamp >= params.deadline &&
+                _hasFeed(marketId, params.baseAsset) && _hasFeed(marketId, params.quoteAsset);
+        }
+        TwapParams memory twap = decodeTwap(resolverData);
+        return block.timestamp >= twap.deadline && _hasFeed(marketId, twap.asset);
+    }
+
+    /**
+     * @notice Resolve market on its price condition
+     */
+    function resolve(
+        uint256 marketId,
+        bytes calldata resolverData
+    ) external override returns (bool outcome) {
+        (ConditionType conditionType, ) = decodeCondition(resolverData);
+
+        if (conditionType == ConditionType.Range) {
+            RangeParams memory params = decodeRange(resolverData);
+            if (block.timestamp < params.deadline) revert DeadlineNotReached();
+
+            (uint256 price, ) = _priceAt(marketId, params.asset, params.deadline);
+            return price >= params.lowerPrice && price < params.upperPrice;
+        }
+
+        if (conditionType == ConditionType.Ratio) {
+            RatioParams memory params = decodeRatio(resolverData);
+            if (block.timestamp < params.deadline) revert DeadlineNotReached();
+
+            (uint256 basePrice, uint8 baseDecimals) = _priceAt(marketId, params.baseAsset, params.deadline);
+            (uint256 quotePrice, uint8 quoteDecimals) = _priceAt(marketId, params.quoteAsset, params.deadline);
+            uint256 ratio = _ratio(basePrice, baseDecimals, quotePrice, quoteDecimals);
+            return params.isGreaterThan ? ratio >= params.targetRatio : ratio < params.targetRatio;
+        }
+
+        TwapParams memory twap = decodeTwap(resolverData);
+        if (block.timestamp < twap.deadline) revert DeadlineNotReached();
+
+        (address feed, uint8 decimals, bool pinned) = _feedFor(marketId, twap.asset);
+        uint256 average = twapAt(feed, twap.window, twap.deadline);
+        if (pinned) average = _scale(average, AggregatorV3Interface(feed).decimals(), decimals);
+        return twap.isGreaterThan ? average >= twap.targetPrice : average < twap.targetPrice;
+    }
+
+    /**
+     * @notice Pin the current feed of every asset of a new market's condition
+     * @dev Only the factory calls this, from createMarket(). The snapshot it
+     *      returns names the first asset's feed (the base asset of a ratio).
+     * @param marketId The new market's identifier
+     * @param resolverData The market's encoded condition
+     */
+    function pin(uint256 marketId, bytes calldata resolverData) external override returns (
+        address feed,
+        uint8 feedDecimals,
+        uint256 version
+    ) {
+        if (msg.sender != address(factory)) revert Unauthorized();
+
+        (ConditionType conditionType, ) = decodeCondition(resolverData);
+        if (conditionType == ConditionType.Range) {
+            (feed, feedDecimals) = _pin(marketId, decodeRange(resolverData).asset);
+        } else if (conditionType == ConditionType.Ratio) {
+            RatioParams memory params = decodeRatio(resolverData);
+            (feed, feedDecimals) = _pin(marketId, params.baseAsset);
+            _pin(marketId, params.quoteAsset);
+        } else {
+            (feed, feedDecimals) = _pin(marketId, decodeTwap(resolverData).asset);
+        }
+
+        version = registry.configVersion();
+    }
+
+    /**
+     * @notice Feed an asset of a market resolves on: its pin, or the
+     *         registry's current feed for unpinned markets
+     * @return feed Zero if unpinned and the asset has no feed
+     * @return pinned Whether the feed comes from a pin
+     */
+    function feedFor(uint256 marketId, string calldata asset) external view returns (address feed, bool pinned) {
+        (feed, , pinned) = _feedFor(marketId, asset);
+    }
+
+    function resolverType() external pure override returns (string memory) {
+        return "price-condition";
+    }
+
+    // ============ Prices ============
+
+    /**
+     * @notice Time-weighted average price over [timestamp - window, timestamp]
+     * @dev Each round is weighted by the time it was current within the
+     *      window. Reverts with StalePrice if any round was older than
+     *      MAX_PRICE_AGE while it was current. When the window crosses a
+     *      phase change, the last round of the earlier phase needs a hint
+     *      at (first round of the new phase).updatedAt - 1.
+     * @param feedAddress Price feed, in whose decimals the average is
+     */
+    function twapAt(address feedAddress, uint256 window, uint256 timestamp) public view returns (uint256) {
+        if (window == 0 || window > timestamp) revert InvalidParams();
+        if (feedAddress == address(0)) revert InvalidFeed();
+        AggregatorV3Interface feed = AggregatorV3Interface(feedAddress);
+        uint256 start = timestamp - window;
+
+        (uint80 roundId, int256 answer, uint256 updatedAt) = _roundAt(feed, timestamp);
+        uint256 end = timestamp;
+        uint256 weighted;
+
+        for (uint256 i = 1; ; i++) {
+            if (end - updatedAt > MAX_PRICE_AGE) revert StalePrice();
+            weighted += uint256(answer) * (end - (updatedAt > start ? updatedAt : start));
+            if (updatedAt <= start) break;
+            if (i == MAX_TWAP_ROUNDS) revert RoundNotFound();
+
+            end = updatedAt;
+            if (uint64(roundId) > 1) {
+                bool found;
+                roundId--;
+                (found, answer, updatedAt) = FeedRounds.getRound(feed, roundId);
+                if (!found) revert RoundNotFound();
+            } else {
+                // First round of a phase: the previous round is in the earlier phase
+                (roundId, answer, updatedAt) = _roundAt(feed, end - 1);
+            }
+        }
+
+        return weighted / window;
+    }
+
+    /**
+     * @notice Current base/quote ratio with RATIO_DECIMALS decimals
+     */
+    function getRatio(string calldata baseAsset, string calldata quoteAsset) external view returns (uint256) {
+        (uint256 basePrice, uint8 baseDecimals) = registry.getPrice(baseAsset);
+        (uint256 quotePrice, uint8 quoteDecimals) = registry.getPrice(quoteAsset);
+        return _ratio(basePrice, baseDecimals, quotePrice, quoteDecimals);
+    }
+
+    // ============ Round Hints ============
+
+    /**
+     * @notice Record the round of a feed that was current at `timestamp`,
+     *         for rounds resolve() does not reach on its own
+     * @dev Anyone can call this; the round is checked against the history of
+     *      that feed, and only markets resolving on it read the hint
+     * @param feed Price feed a market resolves on (see feedFor())
+     * @param timestamp A params deadline, or for a TWAP crossing a phase
+     *        change, the update time of the new phase's first round minus one
+     * @param roundId Last round updated at or before timestamp
+     */
+    function setRoundHint(address feed, uint256 timestamp, uint80 roundId) external {
+        if (block.timestamp < timestamp) revert DeadlineNotReached();
+        if (feed == address(0)) revert InvalidFeed();
+        if (!FeedRounds.isRoundAt(AggregatorV3Interface(feed), timestamp, roundId)) revert InvalidRoundHint();
+
+        roundHints[feed][timestamp] = roundId;
+        emit RoundHintSet(feed, timestamp, roundId);
+    }
+
+    // ============ Internal ============
+
+    function _params(bytes calldata data, ConditionType expected) internal pure returns (bytes memory params) {
+        ConditionType conditionType;
+        (conditionType, params) = decodeCondition(data);
+        if (conditionType != expected) revert InvalidParams();
+    }
+
+    function _pin(uint256 marketId, string memory asset) internal returns (address feed, uint8 decimals) {
+        feed = registry.priceFeeds(asset);
+        if (feed == address(0)) revert InvalidFeed();
+        decimals = AggregatorV3Interface(feed).decimals();
+
+        pins[marketId][asset] = FeedPin(feed, decimals);
+        emit FeedPinned(marketId, asset, feed, decimals);
+    }
+
+    /**
+     * @dev The market's pinned feed and decimals for `asset`, or the
+     *      registry's feed (and decimals 0) for unpinned markets
+     */
+    function _feedFor(
+        uint256 marketId,
+        string memory asset
+    ) internal view returns (address feed, uint8 decimals, bool pinned) {
+        FeedPin memory entry = pins[marketId][asset];
+        if (entry.feed != address(0)) return (entry.feed, entry.decimals, true);
+
+        return (registry.priceFeeds(asset), 0, false);
+    }
+
+    function _hasFeed(uint256 marketId, string memory asset) internal view returns (bool) {
+        (address feed, , ) = _feedFor(marketId, asset);
+        return feed != address(0);
+    }
+
+    function _roundAt(AggregatorV3Interface feed, uint256 timestamp) internal view returns (uint80, int256, uint256) {
+        return FeedRounds.roundAt(feed, timestamp, roundHints[address(feed)][timestamp], MAX_ROUND_LOOKBACK);
+    }
+
+    /**
+     * @dev Price at `timestamp` and the decimals it is in, reverting if
+     *      stale then. Pinned markets get the price in their pinned decimals.
+     */
+    function _priceAt(
+        uint256 marketId,
+        string memory asset,
+        uint256 timestamp
+    ) internal view returns (uint256 price, uint8 decimals) {
+        (address feedAddress, uint8 pinnedDecimals, bool pinned) = _feedFor(marketId, asset);
+        if (feedAddress == address(0)) revert InvalidFeed();
+        AggregatorV3Interface feed = AggregatorV3Interface(feedAddress);
+
+        (, int256 answer, uint256 updatedAt) = _roundAt(feed, timestamp);
+        if (timestamp - updatedAt > MAX_PRICE_AGE) revert StalePrice();
+
+        decimals = feed.decimals();
+        price = uint256(answer);
+        if (pinned) (price, decimals) = (_scale(price, decimals, pinnedDecimals), pinnedDecimals);
+    }
+
+    /**
+     * @dev Convert a price between decimal precisions
+     */
+    function _scale(uint256 price, uint8 from, uint8 to) internal pure returns (uint256) {
+        if (from < to) return price * 10 ** (to - from);
+        if (from > to) return price / 10 ** (from - to);
+        return price;
+    }
+
+    /**
+     * @dev base/quote scaled to RATIO_DECIMALS, normalizing feed decimals
+     */
+    function _ratio(
+        uint256 basePrice,
+        uint8 baseDecimals,
+        uint256 quotePrice,
+        uint8 quoteDecimals
+    ) internal pure returns (uint256) {
+        if (quotePrice == 0) revert InvalidFeed();
+        return basePrice * 10 ** (uint256(RATIO_DECIMALS) + quoteDecimals) / (quotePrice * 10 ** uint256(baseDecimals));
+    }
+}
@@ -0,0 +1,297 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IResolver.sol";
+import "../interfaces/IValidatingResolver.sol";
+import "../core/MarketFactory.sol";
+
+/**
+ * @title QuorumResolver
+ * @notice Resolves event markets by M-of-N reporter votes
+ * @dev Like ManualResolver, but an outcome is set once `quorum` reporters
+ *      have voted for it. A market picks its reporters at creation through
+ *      resolverData, abi.encode(ReporterSet); empty resolverData uses the
+ *      default set managed by the admin. Votes open at the market's deadline.
+ *      Every quorum is a strict majority of its set, so two outcomes can
+ *      never both reach it; per-market sets are checked at creation.
+ *
+ *      Changing the default set does not discard votes already cast.
+ */
+contract QuorumResolver is IResolver, IValidatingResolver {
+    enum Vote {
+        None,
+        Yes,
+        No
+    }
+
+    struct ReporterSet {
+        address[] reporters;
+        uint256 quorum;
+    }
+
+    // Factory whose markets this resolver settles
+    MarketFactory public immutable factory;
+
+    // Default reporter set, for markets created without resolverData
+    address[] public reporters;
+    mapping(address => bool) public isReporter;
+    uint256 public quorum;
+
+    // Market outcomes, set when a side reaches its quorum
+    mapping(uint256 => bool) public outcomes;
+    mapping(uint256 => bool) public outcomeSet;
+
+    // Votes per market
+    mapping(uint256 => mapping(address => Vote)) public votes;
+    mapping(uint256 => uint256) public yesVotes;
+    mapping(uint256 => uint256) public noVotes;
+
+    // Admin address (can be multi-sig)
+    address public admin;
+
+    // Pending admin for 2-step transfer
+    address public pendingAdmin;
+
+    // Events
+    event VoteCast(uint256 indexed marketId, address indexed reporter, bool outcome, uint256 yesVotes, uint256 noVotes);
+    event ConflictingVote(uint256 indexed marketId, address indexed reporter, bool outcome, uint256 yesVotes, uint256 noVotes);
+    event OutcomeSet(uint256 indexed marketId, bool outcome, address indexed setBy);
+    event ReportersUpdated(address[] reporters, uint256 quorum);
+    event AdminTransferInitiated(address indexed newAdmin);
+    event AdminTransferCompleted(address indexed newAdmin);
+
+    // Errors
+    error Unauthorized();
+    error InvalidMarket();
+    error InvalidReporters();
+    error DeadlineNotReached();
+    error OutcomeAlreadySet();
+    error OutcomeNotSet();
+    error AlreadyVoted();
+
+    constructor(MarketFactory _factory) {
+        factory = _factory;
+        admin = msg.sender;
+    }
+
+    modifier onlyAdmin() {
+        if (msg.sender != admin) revert Unauthorized();
+        _;
+    }
+
+    // ============ Voting ============
+
+    /**
+     * @notice Vote for a market's outcome; the outcome is set when a side
+     *         reaches the market's quorum
+     * @param marketId The market identifier
+     * @param outcome True for YES, False for NO
+     */
+    function setOutcome(uint256 marketId, bool outcome) external {
+        if (outcomeSet[marketId]) revert OutcomeAlreadySet();
+        if (votes[marketId][msg.sender] != Vote.None) revert AlreadyVoted();
+        _vote(marketId, outcome);
+    }
+
+    /**
+     * @notice Vote on several markets in one transaction
+     * @dev Markets already set, or already voted on by the sender, are skipped
+     * @param marketIds Array of market identifiers
+     * @param _outcomes Array of outcomes
+     */
+    function batchSetOutcome(
+        uint256[] calldata marketIds,
+        bool[] calldata _outcomes
+    ) external {
+        require(marketIds.length == _outcomes.length, "Length mismatch");
+
+        for (uint256 i = 0; i < marketIds.length; i++) {
+            if (!outcomeSet[marketIds[i]] && votes[marketIds[i]][msg.sender] == Vote.None) {
+                _vote(marketIds[i], _outcomes[i]);
+            }
+        }
+    }
+
+    // ============ IResolver ============
+
+    /**
+     * @notice Check a new market's resolver data: empty, or a valid reporter set
+     * @return resolvesAt 0, the outcome is set by votes after the deadline
+     */
+    function validateParams(bytes calldata resolverData) external view override returns (uint256 resolvesAt) {
+        if (resolverData.length == 0) return 0;
+
+        try this.decodeReporters(resolverData) returns (ReporterSet memory set) {
+            _validate(set.reporters, set.quorum);
+        } catch {
+            revert InvalidReporters();
+        }
+        return 0;
+    }
+
+    /**
+     * @notice Check if market can be resolved: once a side reached quorum
+     */
+    function canResolve(
+        uint256 marketId,
+        bytes calldata /* resolverData */
+    ) external view override returns (bool) {
+        return outcomeSet[marketId];
+    }
+
+    /**
+     * @notice Resolve market with the voted outcome
+     */
+    function resolve(
+        uint256 marketId,
+        bytes calldata /* resolverData */
+    ) external override returns (bool outcome) {
+        if (!outcomeSet[marketId]) revert OutcomeNotSet();
+        return outcomes[marketId];
+    }
+
+    function resolverType() external pure override returns (string memory) {
+        return "quorum";
+    }
+
+    // ============ Reporter Sets ============
+
+    /**
+     * @notice Encode a per-market reporter set as resolverData
+     * @dev Reverts InvalidReporters unless quorum is a strict majority of
+     *      the reporters, with no duplicate or zero addresses
+     */
+    function encodeReporters(address[] calldata _reporters, uint256 _quorum) external pure returns (bytes memory) {
+        _validate(_reporters, _quorum);
+        return abi.encode(ReporterSet(_reporters, _quorum));
+    }
+
+    /**
+     * @notice Decode per-market resolverData
+     */
+    function decodeReporters(bytes calldata data) external pure returns (ReporterSet memory) {
+        return abi.decode(data, (ReporterSet));
+    }
+
+    /**
+     * @notice Reporter set that votes on a market: its own, or the default set
+     */
+    function getReporters(uint256 marketId) public view returns (address[] memory, uint256) {
+        bytes memory data = factory.getMarket(marketId).resolverData;
+        if (data.length == 0) return (reporters, quorum);
+
+        ReporterSet memory set = abi.decode(data, (ReporterSet));
+        return (set.reporters, set.quorum);
+    }
+
+    /**
+     * @notice Get the vote counts and outcome for a market
+     */
+    function getVotes(uint256 marketId) external view returns (
+        uint256 yes,
+        uint256 no,
+        uint256 required,
+        bool isSet,
+        bool outcome
+    ) {
+        (, required) = getReporters(marketId);
+        return (yesVotes[marketId], noVotes[marketId], required, outcomeSet[marketId], outcomes[marketId]);
+    }
+
+    /**
+     * @notice Get the default reporter set
+     */
+    function getDefaultReporters() external view returns (address[] memory) {
+        return reporters;
+    }
+
+    // ============ Admin ============
+
+    /**
+     * @notice Replace the default reporter set
+     * @dev `_quorum` must be a strict majority of `_reporters`
+     */
+    function setReporters(address[] calldata _reporters, uint256 _quorum) external onlyAdmin {
+        _validate(_reporters, _quorum);
+
+        for (uint256 i = 0; i < reporters.length; i++) {
+            isReporter[reporters[i]] = false;
+        }
+        for (uint256 i = 0; i < _reporters.length; i++) {
+            isReporter[_reporters[i]] = true;
+        }
+
+        reporters = _reporters;
+        quorum = _quorum;
+        emit ReportersUpdated(_reporters, _quorum);
+    }
+
+    /**
+     * @notice Initiate admin transfer (2-step process)
+     */
+    function transferAdmin(address newAdmin) external onlyAdmin {
+        pendingAdmin = newAdmin;
+        emit AdminTransferInitiated(newAdmin);
+    }
+
+    /**
+     * @notice Accept admin transfer
+     */
+    function acceptAdmin() external {
+        if (msg.sender != pendingAdmin) revert Unauthorized();
+        admin = pendingAdmin;
+        pendingAdmin = address(0);
+        emit AdminTransferCompleted(msg.sender);
+    }
+
+    // ============ Internal ============
+
+    function _vote(uint256 marketId, bool outcome) internal {
+        MarketFactory.Market memory market = factory.getMarket(marketId);
+        if (market.resolver != address(this)) revert InvalidMarket();
+        if (block.timestamp < market.deadline) revert DeadlineNotReached();
+
+        uint256 required = _authorize(market.resolverData, msg.sender);
+
+        votes[marketId][msg.sender] = outcome ? Vote.Yes : Vote.No;
+        uint256 yes = outcome ? ++yesVotes[marketId] : yesVotes[marketId];
+        uint256 no = outcome ? noVotes[marketId] : ++noVotes[marketId];
+
+        emit VoteCast(marketId, msg.sender, outcome, yes, no);
+        if (outcome ? no > 0 : yes > 0) {
+            emit ConflictingVote(marketId, msg.sender, outcome, yes, no);
+        }
+
+        if ((outcome ? yes : no) >= required) {
+            outcomes[marketId] = outcome;
+            outcomeSet[marketId] = true;
+            emit OutcomeSet(marketId, outcome, msg.sender);
+        }
+    }
+
+    // Quorum of the market's reporter set; reverts unless `reporter` is in it
+    function _authorize(bytes memory data, address reporter) internal view returns (uint256) {
+        if (data.length == 0) {
+            if (!isReporter[reporter]) revert Unauthorized();
+            return quorum;
+        }
+
+        ReporterSet memory set = abi.decode(data, (ReporterSet));
+        _validate(set.reporters, set.quorum);
+        for (uint256 i = 0; i < set.reporters.length; i++) {
+            if (set.reporters[i] == reporter) return set.quorum;
+        }
+        revert Unauthorized();
+    }
+
+    function _validate(address[] memory _reporters, uint256 _quorum) internal pure {
+        if (_quorum > _reporters.length || _quorum * 2 <= _reporters.length) revert InvalidReporters();
+
+        for (uint256 i = 0; i < _reporters.length; i++) {
+            if (_reporters[i] == address(0)) revert InvalidReporters();
+            for (uint256 j = 0; j < i; j++) {
+                if (_reporters[i] == _reporters[j]) revert InvalidReporters();
+            }
+        }
+    }
+}
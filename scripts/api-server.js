@@ -0,0 +1,62 @@
+import 'dotenv/config';
+import { ethers } from 'ethers';
+import { existsSync, readFileSync } from 'fs';
+import networks from '../config/networks.js';
+import { ClawshiClient } from '../src/index.js';
+import { deploymentPath } from './lib/deploy.js';
+import { createApiServer } from './lib/api.js';
+
+// ============================================
+// Clawshi API Server
+// ============================================
+// Usage: npm run api -- --network <name> [--port 3000] [--host 127.0.0.1]
+//
+// Serves the read-only /api routes for the deployment recorded in
+// deployments/<name>.json (see scripts/lib/api.js).
+// ============================================
+
+function parseArgs(argv) {
+  const args = { port: process.env.PORT || 3000, host: '127.0.0.1' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--network') args.network = argv[++i];
+    else if (argv[i] === '--port') args.port = argv[++i];
+    else if (argv[i] === '--host') args.host = argv[++i];
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const config = networks[args.network];
+
+if (!config || !existsSync(deploymentPath(args.network))) {
+  console.error('Usage: npm run api -- --network <name> [--port 3000] [--host 127.0.0.1]');
+  console.error('');
+  console.error('Networks with a deployment record: ' +
+    Object.keys(networks).filter(n => existsSync(deploymentPath(n))).join(', '));
+  process.exit(1);
+}
+
+const record = JSON.parse(readFileSync(deploymentPath(args.network), 'utf8'));
+const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+
+const client = new ClawshiClient({
+  runner: provider,
+  addresses: {
+    MarketFactory: record.contracts.MarketFactory.address,
+    ChainlinkResolver: record.contracts.ChainlinkResolver?.address,
+    ManualResolver: record.contracts.ManualResolver?.address,
+    PriceConditionResolver: record.contracts.PriceConditionResolver?.address,
+    OptimisticResolver: record.contracts.OptimisticResolver?.address,
+    USDC: record.tokens?.USDC?.address
+  }
+});
+
+const server = createApiServer({ client, network: config.name });
+
+server.listen(Number(args.port), args.host, () => {
+  console.log('='.repeat(60));
+  console.log(`Clawshi API - ${config.name}`);
+  console.log('='.repeat(60));
+  console.log('');
+  console.log(`✅ Listening on http://${args.host}:${server.address().port}/api`);
+});
@@ -0,0 +1,102 @@
+import 'dotenv/config';
+import { ethers } from 'ethers';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import networks from '../config/networks.js';
+import { formatTokenAmount, readTokenInfo } from '../src/index.js';
+import { deploymentPath } from './lib/deploy.js';
+import { reconcileFees } from './lib/fees.js';
+
+// ============================================
+// Clawshi Fee Report
+// ============================================
+// Usage: npm run fees -- --network <name> [--from <block>] [--to <block>] [--json] [--out report.json]
+//
+// Lists the fees accrued and withdrawn per recipient and per market,
+// in each market's collateral token, and reconciles them against MarketFactory's accounting (see
+// scripts/lib/fees.js). Exit code 0 when everything matches, 1 on a
+// mismatch or error.
+// ============================================
+
+function parseArgs(argv) {
+  const args = { json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--network') args.network = argv[++i];
+    else if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--to') args.to = argv[++i];
+    else if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--json') args.json = true;
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const config = networks[args.network];
+
+if (!config || !existsSync(deploymentPath(args.network))) {
+  console.error('Usage: npm run fees -- --network <name> [--from <block>] [--to <block>] [--json] [--out report.json]');
+  console.error('');
+  console.error('Networks with a deployment record: ' +
+    Object.keys(networks).filter(n => existsSync(deploymentPath(n))).join(', '));
+  process.exit(1);
+}
+
+const log = args.json ? () => {} : console.log;
+
+async function run() {
+  const record = JSON.parse(readFileSync(deploymentPath(args.network), 'utf8'));
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+
+  const report = await reconcileFees({
+    provider,
+    factory: record.contracts.MarketFactory.address,
+    // Deployments made with `npm run deploy` record the factory's block
+    fromBlock: Number(args.from ?? record.steps?.['deploy:MarketFactory']?.blockNumber ?? 0),
+    toBlock: args.to !== undefined ? Number(args.to) : undefined
+  });
+
+  const infos = new Map();
+  for (const { token } of report.totals) infos.set(token, await readTokenInfo(provider, token));
+  const amount = (value, token) => formatTokenAmount(value, infos.get(token));
+
+  log('='.repeat(60));
+  log(`Fee Report - ${config.name} (blocks ${report.fromBlock}-${report.toBlock})`);
+  log('='.repeat(60));
+  log('');
+
+  log('Recipients:');
+  for (const r of report.recipients) {
+    const { token } = r;
+    log(`  ${r.address}  accrued ${amount(r.accrued, token)}, withdrawn ${amount(r.withdrawn, token)}, owed ${amount(r.owed, token)}`);
+  }
+  log('');
+  log('Markets:');
+  for (const m of report.markets) {
+    log(`  #${m.marketId}  treasury ${amount(m.treasury, m.token)}, creator ${amount(m.creator, m.token)}`);
+  }
+  log('');
+  for (const t of report.totals) {
+    log(`Total owed: ${amount(t.owed, t.token)} (factory holds ${amount(t.balance, t.token)})`);
+  }
+  log('');
+
+  for (const c of report.drift) {
+    log(`  ❌ ${c.check}`);
+    log(`     expected: ${c.expected}`);
+    log(`     actual:   ${c.actual}`);
+  }
+  log(report.ok ? `✅ ${report.checks.length} checks reconciled` : `❌ ${report.drift.length} check(s) do not reconcile`);
+
+  const json = JSON.stringify(report, (_, v) => typeof v === 'bigint' ? v.toString() : v, 2);
+  if (args.json) console.log(json);
+  if (args.out) {
+    writeFileSync(args.out, json + '\n');
+    log(`Report saved to: ${args.out}`);
+  }
+
+  process.exit(report.ok ? 0 : 1);
+}
+
+run().catch(err => {
+  console.error('Fee report failed:', err.shortMessage || err.message);
+  process.exit(1);
+});
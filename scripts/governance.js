@@ -0,0 +1,128 @@
+import 'dotenv/config';
+import { ethers } from 'ethers';
+import { existsSync, readFileSync } from 'fs';
+import networks from '../config/networks.js';
+import { ClawshiClient, decodeError } from '../src/index.js';
+import { deploymentPath } from './lib/deploy.js';
+import { GOVERNANCE_COMMANDS, runGovernance } from './lib/governance.js';
+
+// ============================================
+// Clawshi Governance
+// ============================================
+// Usage: npm run governance -- <command> [args...] --network <name> [--target factory|chainlink] [--from <block>] [--json]
+//
+//   status                         Owner, pending owner and timelock delay
+//   list                           Queued actions: pending, ready or expired
+//   queue <method> [args...]       Queue a timelocked call, e.g. `queue setProtocolFee 150`
+//   execute <id|all>               Run a ready action (or every ready one)
+//   cancel <id>                    Drop a queued action
+//   transfer-ownership <address>   Propose a new owner
+//   accept-ownership               Take over as the pending owner
+//
+// Action ids can be shortened to a unique prefix. Signs with the
+// network's private key (config.privateKeyEnv in .env).
+// ============================================
+
+function parseArgs(argv) {
+  const args = { target: 'factory', json: false, positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--network') args.network = argv[++i];
+    else if (argv[i] === '--target') args.target = argv[++i];
+    else if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--json') args.json = true;
+    else args.positional.push(argv[i]);
+  }
+  return args;
+}
+
+const USAGE = 'Usage: npm run governance -- <' + GOVERNANCE_COMMANDS.join('|') + '> [args...] --network <name> ' +
+  '[--target factory|chainlink] [--from <block>] [--json]';
+const TARGETS = { factory: 'MarketFactory', chainlink: 'ChainlinkResolver' };
+
+const args = parseArgs(process.argv.slice(2));
+const config = networks[args.network];
+const [command, ...commandArgs] = args.positional;
+
+if (!config || !existsSync(deploymentPath(args.network)) || !TARGETS[args.target] || !GOVERNANCE_COMMANDS.includes(command)) {
+  console.error(USAGE);
+  console.error('');
+  console.error('Networks with a deployment record: ' +
+    Object.keys(networks).filter(n => existsSync(deploymentPath(n))).join(', '));
+  process.exit(1);
+}
+
+const PRIVATE_KEY = process.env[config.privateKeyEnv] || config.defaultPrivateKey;
+
+if (!PRIVATE_KEY) {
+  console.error(`Missing ${config.privateKeyEnv} in .env`);
+  process.exit(1);
+}
+
+const log = args.json ? () => {} : console.log;
+const time = seconds => new Date(Number(seconds) * 1000).toISOString();
+const format = value => typeof value === 'bigint' ? value.toString() : value;
+
+async function run() {
+  const record = JSON.parse(readFileSync(deploymentPath(args.network), 'utf8'));
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+  const target = TARGETS[args.target];
+
+  const client = new ClawshiClient({
+    runner: wallet,
+    addresses: {
+      MarketFactory: record.contracts.MarketFactory.address,
+      ChainlinkResolver: record.contracts.ChainlinkResolver?.address
+    }
+  });
+
+  const result = await runGovernance({
+    client,
+    target,
+    command,
+    args: commandArgs,
+    // Deployments made with `npm run deploy` record each contract's block
+    fromBlock: Number(args.from ?? record.steps?.[`deploy:${target}`]?.blockNumber ?? 0)
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(result, (_, v) => format(v), 2));
+    return;
+  }
+
+  log('='.repeat(60));
+  log(`Governance - ${target} on ${config.name}`);
+  log('='.repeat(60));
+  log('');
+
+  if (command === 'status') {
+    log(`Owner:          ${result.owner}`);
+    log(`Pending owner:  ${result.pendingOwner === ethers.ZeroAddress ? '-' : result.pendingOwner}`);
+    log(`Timelock delay: ${result.timelockDelay}s (actions expire ${result.gracePeriod}s after their eta)`);
+  } else if (command === 'list') {
+    if (result.actions.length === 0) log('No queued actions');
+    for (const a of result.actions) {
+      const call = a.method ? `${a.method}(${Object.values(a.args).map(format).join(', ')})` : a.data;
+      log(`  ${a.status === 'ready' ? '✅' : a.status === 'expired' ? '❌' : '⏳'} ${a.id.slice(0, 10)}  ${call}`);
+      log(`     ${a.status}: eta ${time(a.eta)}, expires ${time(a.expiresAt)}`);
+    }
+  } else if (command === 'queue') {
+    log(`✅ Queued ${result.method} as ${result.id}`);
+    log(`   executable from ${time(result.eta)} - tx ${result.hash}`);
+  } else if (command === 'execute') {
+    if (result.executed.length === 0) log('No ready actions');
+    for (const a of result.executed) log(`✅ Executed ${a.method} (${a.id.slice(0, 10)}) - tx ${a.hash}`);
+  } else if (command === 'cancel') {
+    log(`✅ Cancelled ${result.method} (${result.id.slice(0, 10)}) - tx ${result.hash}`);
+  } else if (command === 'transfer-ownership') {
+    log(`✅ Ownership transfer to ${result.pendingOwner} initiated - tx ${result.hash}`);
+    log('   The new owner must run accept-ownership');
+  } else {
+    log(`✅ Ownership accepted by ${wallet.address} - tx ${result.hash}`);
+  }
+}
+
+run().catch(err => {
+  console.error(`❌ ${decodeError(err).message}`);
+  process.exit(1);
+});
@@ -0,0 +1,171 @@
+import 'dotenv/config';
+import { ethers } from 'ethers';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import networks from '../config/networks.js';
+import { formatTokenAmount } from '../src/index.js';
+import { ROOT } from './lib/compile.js';
+import { deploymentPath } from './lib/deploy.js';
+import { openIndexDb } from './lib/index-db.js';
+import { createIndexer } from './lib/indexer.js';
+
+// ============================================
+// Clawshi Market Indexer
+// ============================================
+// Usage:
+//   npm run index -- --network <name> [--from <block>] [--watch]
+//   npm run index -- markets --network <name> [--creator <addr>] [--resolver <addr|name>] [--status <status>]
+//   npm run index -- positions <address> --network <name> [--status <status>]
+//   npm run index -- tokens --network <name>
+//
+// Indexes into data/<name>.sqlite (override with --db). Add --json
+// to the query commands for machine-readable output.
+// ============================================
+
+const USAGE = [
+  'Usage: npm run index -- [sync] --network <name> [--db file] [--from block] [--batch n] [--confirmations n] [--watch] [--interval s]',
+  '       npm run index -- markets --network <name> [--creator addr] [--resolver addr|name] [--status open|closed|paused|resolved|cancelled] [--json]',
+  '       npm run index -- positions <address> --network <name> [--status open|claimable|claimed|lost|refundable|refunded] [--json]',
+  '       npm run index -- tokens --network <name> [--json]'
+];
+
+function parseArgs(argv) {
+  const args = { command: 'sync', positional: [], json: false, watch: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--watch') args.watch = true;
+    else if (arg.startsWith('--')) args[arg.slice(2)] = argv[++i];
+    else args.positional.push(arg);
+  }
+  if (args.positional.length) args.command = args.positional.shift();
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const config = networks[args.network];
+
+if (!config || !existsSync(deploymentPath(args.network)) || !['sync', 'markets', 'positions', 'tokens'].includes(args.command)) {
+  USAGE.forEach(line => console.error(line));
+  console.error('');
+  console.error('Networks with a deployment record: ' +
+    Object.keys(networks).filter(n => existsSync(deploymentPath(n))).join(', '));
+  process.exit(1);
+}
+
+const record = JSON.parse(readFileSync(deploymentPath(args.network), 'utf8'));
+const addresses = Object.fromEntries(Object.entries(record.contracts).map(([name, c]) => [name, c.address]));
+const dbFile = args.db || join(ROOT, 'data', `${args.network}.sqlite`);
+
+// Deployments made with `npm run deploy` record the factory's block
+const startBlock = Number(args.from ?? record.steps?.['deploy:MarketFactory']?.blockNumber ?? 0);
+
+const assets = [...new Set([
+  ...Object.keys(config.priceFeeds || {}),
+  ...Object.keys(config.mockPriceFeeds || {}),
+  ...Object.keys(record.priceFeeds || {}).map(pair => pair.split('/')[0])
+])];
+
+// Markets indexed before per-market collateral were all USDC
+const USDC = { symbol: 'USDC', decimals: 6 };
+
+function formatAmount(amount, token) {
+  token = token || USDC;
+  if (token.decimals === null) return `${amount} base units of ${token.address}`;
+  return formatTokenAmount(BigInt(amount), token);
+}
+
+async function sync(db) {
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const indexer = createIndexer({
+    provider,
+    db,
+    addresses,
+    startBlock,
+    batchSize: Number(args.batch || 2000),
+    confirmations: Number(args.confirmations || 0),
+    assets,
+    log: msg => console.log('  ' + msg)
+  });
+
+  console.log('='.repeat(60));
+  console.log(`Clawshi Indexer - ${config.name}`);
+  console.log('='.repeat(60));
+  console.log('');
+  console.log('Database: ' + dbFile);
+  console.log('');
+
+  for (;;) {
+    const result = await indexer.sync();
+    if (result.reorg !== null) console.log(`⚠️  Reorg: rolled back to block ${result.reorg}`);
+    console.log(`✅ Indexed to block ${result.toBlock} (${result.events} new event(s))`);
+
+    if (!args.watch) break;
+    await new Promise(resolve => setTimeout(resolve, Number(args.interval || 15) * 1000));
+  }
+}
+
+function showMarkets(db) {
+  const resolver = args.resolver && !ethers.isAddress(args.resolver) ? addresses[args.resolver] : args.resolver;
+  if (args.resolver && !resolver) throw new Error(`Unknown resolver: ${args.resolver}`);
+
+  const markets = db.getMarkets({ creator: args.creator, resolver, status: args.status });
+  if (args.json) return console.log(JSON.stringify(markets, null, 2));
+
+  for (const m of markets) {
+    const deadline = new Date(m.deadline * 1000).toISOString();
+    console.log(`#${m.id} [${m.status}] ${m.question}`);
+    if (!m.outcomes) {
+      console.log(`   YES ${formatAmount(m.yesPool, m.token)} / NO ${formatAmount(m.noPool, m.token)}, deadline ${deadline}`);
+      continue;
+    }
+    for (const o of m.outcomes) {
+      const won = m.winningOutcome === o.index ? ' (won)' : '';
+      console.log(`   [${o.index}] ${o.label}: ${formatAmount(o.pool, m.token)} (${o.odds}%)${won}`);
+    }
+    console.log(`   deadline ${deadline}`);
+  }
+  console.log(`${markets.length} market(s)`);
+}
+
+function showPositions(db) {
+  const [user] = args.positional;
+  if (!user || !ethers.isAddress(user)) throw new Error('positions requires a user address');
+
+  const positions = db.getPositions(user, { status: args.status });
+  if (args.json) return console.log(JSON.stringify(positions, null, 2));
+
+  for (const p of positions) {
+    const position = p.outcomeIndex !== null ? `outcome ${p.outcomeIndex}` : p.isYes ? 'YES' : 'NO';
+    console.log(`#${p.marketId} [${p.status}] ${position} ${formatAmount(p.amount, p.market.token)} - ${p.market.question}`);
+  }
+  console.log(`${positions.length} position(s)`);
+}
+
+function showTokens(db) {
+  const tokens = db.getStakeTokens();
+  if (args.json) return console.log(JSON.stringify(tokens, null, 2));
+
+  for (const t of tokens) {
+    const status = t.approved ? 'approved' : 'revoked';
+    console.log(`${t.symbol ?? '?'} ${t.address} [${status}] min stake ${formatAmount(t.minStake, t)}`);
+  }
+  console.log(`${tokens.length} token(s)`);
+}
+
+async function run() {
+  const db = await openIndexDb(dbFile);
+  try {
+    if (args.command === 'sync') await sync(db);
+    else if (args.command === 'markets') showMarkets(db);
+    else if (args.command === 'positions') showPositions(db);
+    else showTokens(db);
+  } finally {
+    db.close();
+  }
+}
+
+run().catch(err => {
+  console.error('❌ Indexer failed:', err.shortMessage || err.message);
+  process.exit(1);
+});
@@ -0,0 +1,117 @@
+import 'dotenv/config';
+import { ethers } from 'ethers';
+import { existsSync, readFileSync } from 'fs';
+import networks from '../config/networks.js';
+import { ClawshiClient } from '../src/index.js';
+import { deploymentPath } from './lib/deploy.js';
+import { createKeeper, createKeeperServer } from './lib/keeper.js';
+
+// ============================================
+// Clawshi Market Keeper
+// ============================================
+// Usage: npm run keeper -- --network <name> [--interval 15] [--port 9464]
+//
+// Resolves every market of the deployment in deployments/<name>.json
+// as soon as its resolver allows (see scripts/lib/keeper.js). Signs
+// with the network's private key (config.privateKeyEnv in .env).
+//
+// Options:
+//   --interval <s>      Seconds between passes (default 15; sooner near a deadline)
+//   --retry-delay <s>   Seconds before retrying StalePrice and other reverts (default 30)
+//   --bump-after <s>    Seconds before a pending transaction is re-sent with higher fees (default 60)
+//   --bump-percent <n>  Fee increase per bump (default 20)
+//   --max-fee <gwei>    Never bump maxFeePerGas (or gasPrice) above this
+//   --port <port>       Serve GET /status and GET /metrics on 127.0.0.1
+//   --once              Run a single pass and exit
+// ============================================
+
+function parseArgs(argv) {
+  const args = { once: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--once') args.once = true;
+    else if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[++i];
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const config = networks[args.network];
+
+if (!config || !existsSync(deploymentPath(args.network))) {
+  console.error('Usage: npm run keeper -- --network <name> [--interval s] [--retry-delay s] [--bump-after s] [--bump-percent n] [--max-fee gwei] [--port n] [--once]');
+  console.error('');
+  console.error('Networks with a deployment record: ' +
+    Object.keys(networks).filter(n => existsSync(deploymentPath(n))).join(', '));
+  process.exit(1);
+}
+
+const PRIVATE_KEY = process.env[config.privateKeyEnv] || config.defaultPrivateKey;
+
+if (!PRIVATE_KEY) {
+  console.error(`Missing ${config.privateKeyEnv} in .env`);
+  process.exit(1);
+}
+
+const record = JSON.parse(readFileSync(deploymentPath(args.network), 'utf8'));
+const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+
+const client = new ClawshiClient({
+  runner: wallet,
+  addresses: {
+    MarketFactory: record.contracts.MarketFactory.address,
+    ChainlinkResolver: record.contracts.ChainlinkResolver?.address,
+    ManualResolver: record.contracts.ManualResolver?.address,
+    PriceConditionResolver: record.contracts.PriceConditionResolver?.address,
+    OptimisticResolver: record.contracts.OptimisticResolver?.address
+  }
+});
+
+const keeper = createKeeper({
+  client,
+  retryDelay: Number(args['retry-delay'] || 30),
+  bumpAfter: Number(args['bump-after'] || 60),
+  bumpPercent: Number(args['bump-percent'] || 20),
+  maxFeePerGas: args['max-fee'] ? ethers.parseUnits(args['max-fee'], 'gwei') : null,
+  log: msg => console.log(`[${new Date().toISOString()}] ${msg}`)
+});
+
+async function run() {
+  console.log('='.repeat(60));
+  console.log(`Clawshi Keeper - ${config.name}`);
+  console.log('='.repeat(60));
+  console.log('');
+  console.log('Keeper:  ' + wallet.address);
+  console.log('Factory: ' + client.addresses.MarketFactory);
+  console.log('');
+
+  if (args.once) {
+    const result = await keeper.tick();
+    const { resolved, submitted } = keeper.metrics();
+    console.log(`✅ Block ${result.block}: ${submitted} sent, ${resolved} resolved, ${result.tracked} unresolved market(s), ${result.pending} pending`);
+    return;
+  }
+
+  let server = null;
+  if (args.port) {
+    server = createKeeperServer(keeper);
+    server.listen(Number(args.port), '127.0.0.1', () => {
+      console.log(`✅ Status on http://127.0.0.1:${server.address().port}/status and /metrics`);
+    });
+  }
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      console.log('Stopping...');
+      keeper.stop();
+      server?.close();
+    });
+  }
+
+  await keeper.start({ interval: Number(args.interval || 15) });
+}
+
+run().catch(err => {
+  console.error('❌ Keeper failed:', err.shortMessage || err.message);
+  process.exit(1);
+});
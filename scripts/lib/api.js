@@ -0,0 +1,344 @@
+import { createServer } from 'http';
+import { ethers } from 'ethers';
+import { mapLimit } from './map-limit.js';
+
+// ============================================
+// Read-only HTTP API
+// ============================================
+// Self-hosted version of the clawshi.app endpoints, read straight
+// from the contracts through a ClawshiClient:
+//
+//   GET /api/contract
+//   GET /api/markets?resolved=&paused=&cancelled=&resolver=&limit=&offset=
+//   GET /api/markets/:id
+//   GET /api/markets/:id/odds (per outcome for categorical markets)
+//   GET /api/markets/:id/quote?side=yes|no&amount= (outcome=<index> for categorical markets)
+//   GET /api/users/:address/positions?limit=&offset=
+//
+// Token amounts are strings in base units of the market's collateral
+// token, which each market reports as { address, symbol, decimals };
+// timestamps are Unix seconds. Errors are returned as
+// { error: { code, message } } with a 4xx/5xx status.
+// ============================================
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 500;
+
+// Parallel RPC calls when walking every market
+const CONCURRENCY = 10;
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const badRequest = message => new ApiError(400, 'invalid_parameter', message);
+
+function marketStatus(market, now) {
+  if (market.resolved) return 'resolved';
+  if (market.cancelled) return 'cancelled';
+  if (market.paused) return 'paused';
+  if (Number(market.deadline) <= now) return 'closed';
+  return 'open';
+}
+
+// `categorical` is factory.categoricals(id), outcomeCount 0 for binary markets;
+// `outcome` the staker's outcome index (stakeOutcomes) in a categorical market
+function positionStatus(stake, market, categorical, outcome) {
+  if (market.cancelled || market.refundOnly) return stake.claimed ? 'refunded' : 'refundable';
+  if (stake.claimed) return 'claimed';
+  if (!market.resolved) return 'open';
+  const won = categorical.outcomeCount > 0n ? outcome === categorical.winningOutcome : market.outcome === stake.isYes;
+  return won ? 'claimable' : 'lost';
+}
+
+function toMarketJson(market, now, token, categorical) {
+  const isCategorical = categorical.outcomeCount > 0n;
+  return {
+    id: Number(market.id),
+    question: market.question,
+    creator: market.creator,
+    resolver: market.resolver,
+    resolverData: market.resolverData,
+    deadline: Number(market.deadline),
+    token,
+    yesPool: market.yesPool.toString(),
+    noPool: market.noPool.toString(),
+    exitFees: market.exitFees.toString(),
+    totalPool: (isCategorical ? categorical.totalPool : market.yesPool + market.noPool).toString(),
+    creatorFeeBps: Number(market.creatorFee),
+    resolved: market.resolved,
+    outcome: market.resolved && !isCategorical ? market.outcome : null,
+    outcomeCount: Number(categorical.outcomeCount),
+    winningOutcome: market.resolved && isCategorical ? Number(categorical.winningOutcome) : null,
+    paused: market.paused,
+    cancelled: market.cancelled,
+    refundOnly: market.refundOnly,
+    status: marketStatus(market, now)
+  };
+}
+
+// ---- Query parameters ----
+
+function parseBool(query, name) {
+  const value = query.get(name);
+  if (value === null) return undefined;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw badRequest(`${name} must be true or false`);
+}
+
+function parseInteger(value, name, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+    throw badRequest(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return Number(value);
+}
+
+function parsePage(query) {
+  return {
+    limit: query.has('limit') ? parseInteger(query.get('limit'), 'limit', { min: 1, max: MAX_LIMIT }) : DEFAULT_LIMIT,
+    offset: query.has('offset') ? parseInteger(query.get('offset'), 'offset') : 0
+  };
+}
+
+function parseAddress(value, name) {
+  if (!ethers.isAddress(value)) throw badRequest(`${name} must be an address`);
+  return ethers.getAddress(value);
+}
+
+function paginate(items, { limit, offset }) {
+  return {
+    items: items.slice(offset, offset + limit),
+    pagination: { total: items.length, limit, offset }
+  };
+}
+
+/**
+ * Create the request handler
+ * @param {Object} options
+ * @param {import('../../src/index.js').ClawshiClient} options.client - Client with a provider runner
+ * @param {string} [options.network] - Network name reported by /api/contract
+ * @returns {Function} (req, res) => Promise<void>
+ */
+export function createApiHandler({ client, network = null }) {
+  const provider = client.runner.provider || client.runner;
+
+  async function now() {
+    return (await provider.getBlock('latest')).timestamp;
+  }
+
+  async function getMarket(id) {
+    try {
+      return await client.getMarket(id);
+    } catch (err) {
+      if (err.reason === 'MarketNotFound') throw new ApiError(404, 'not_found', `Market ${id} not found`);
+      throw err;
+    }
+  }
+
+  async function allMarkets() {
+    const count = Number(await client.getMarketCount());
+    return mapLimit([...Array(count).keys()], CONCURRENCY, id => client.getMarket(id));
+  }
+
+  // factory.categoricals() of each market, in order
+  function categoricalsOf(list) {
+    return mapLimit(list, CONCURRENCY, m => client.factory.categoricals(m.id));
+  }
+
+  // Collateral token info by address for a set of markets
+  async function tokensOf(list) {
+    const addresses = [...new Set(list.map(m => m.token))];
+    const infos = await Promise.all(addresses.map(address => client.getTokenInfo(address)));
+    return new Map(addresses.map((address, i) => [address, infos[i]]));
+  }
+
+  // ---- Routes ----
+
+  async function contract() {
+    const { factory } = client;
+    const [chain, usdc, owner, treasury, protocolFeeBps, stakeTokens, maxCreatorFeeBps, marketCount] = await Promise.all([
+      provider.getNetwork(),
+      factory.usdc(),
+      factory.owner(),
+      factory.treasury(),
+      factory.protocolFeeBps(),
+      client.getStakeTokens(),
+      factory.maxCreatorFeeBps(),
+      factory.getMarketCount()
+    ]);
+
+    return {
+      network,
+      chainId: Number(chain.chainId),
+      contracts: {
+        MarketFactory: client.addresses.MarketFactory,
+        ChainlinkResolver: client.addresses.ChainlinkResolver ?? null,
+        ManualResolver: client.addresses.ManualResolver ?? null
+      },
+      usdc,
+      owner,
+      treasury,
+      protocolFeeBps: Number(protocolFeeBps),
+      stakeTokens: stakeTokens.map(t => ({
+        address: t.address,
+        symbol: t.symbol,
+        decimals: t.decimals,
+        approved: t.approved,
+        minStake: t.minStake.toString()
+      })),
+      maxCreatorFeeBps: Number(maxCreatorFeeBps),
+      marketCount: Number(marketCount)
+    };
+  }
+
+  async function markets(query) {
+    const resolved = parseBool(query, 'resolved');
+    const paused = parseBool(query, 'paused');
+    const cancelled = parseBool(query, 'cancelled');
+    const resolver = query.has('resolver') ? parseAddress(query.get('resolver'), 'resolver') : undefined;
+    const page = parsePage(query);
+
+    const filtered = (await allMarkets()).filter(m =>
+      (resolved === undefined || m.resolved === resolved) &&
+      (paused === undefined || m.paused === paused) &&
+      (cancelled === undefined || m.cancelled === cancelled) &&
+      (resolver === undefined || m.resolver === resolver)
+    );
+
+    const time = await now();
+    const { items, pagination } = paginate(filtered, page);
+    const [tokens, categoricals] = await Promise.all([tokensOf(items), categoricalsOf(items)]);
+    return { markets: items.map((m, i) => toMarketJson(m, time, tokens.get(m.token), categoricals[i])), pagination };
+  }
+
+  async function market(_, id) {
+    const result = await getMarket(id);
+    const [time, token, categorical] = await Promise.all([
+      now(),
+      client.getTokenInfo(result.token),
+      client.factory.categoricals(id)
+    ]);
+    return { market: toMarketJson(result, time, token, categorical) };
+  }
+
+  async function odds(_, id) {
+    await getMarket(id);
+    const { outcomeCount } = await client.factory.categoricals(id);
+    if (outcomeCount > 0n) {
+      const { outcomes, pools, odds: shares } = await client.getCategoricalMarket(id);
+      return {
+        marketId: id,
+        outcomes: pools.map((pool, i) => ({ index: i, label: outcomes?.[i] ?? null, pool: pool.toString(), odds: Number(shares[i]) }))
+      };
+    }
+    const { yes, no } = await client.getOdds(id);
+    return { marketId: id, yes: Number(yes), no: Number(no) };
+  }
+
+  async function quote(query, id) {
+    await getMarket(id);
+    const { outcomeCount } = await client.factory.categoricals(id);
+    // Categorical markets take an outcome index instead of a side
+    const outcome = outcomeCount > 0n
+      ? parseInteger(query.get('outcome') ?? '', 'outcome', { max: Number(outcomeCount) - 1 })
+      : null;
+    const side = query.get('side');
+    if (outcome === null && side !== 'yes' && side !== 'no') throw badRequest('side must be yes or no');
+    if (!/^[1-9]\d*$/.test(query.get('amount') || '')) throw badRequest('amount must be a positive integer in base units of the market token');
+
+    const amount = BigInt(query.get('amount'));
+    // calculatePayout() only quotes binary markets
+    if (outcome !== null) {
+      const { payout } = await client.quoteOutcomePayout(id, outcome, amount);
+      return { marketId: id, outcome, amount: amount.toString(), payout: payout.toString() };
+    }
+    const payout = await client.calculatePayout(id, side === 'yes', amount);
+    return { marketId: id, side, amount: amount.toString(), payout: payout.toString() };
+  }
+
+  async function positions(query, user) {
+    const page = parsePage(query);
+
+    const all = await allMarkets();
+    const stakes = await mapLimit(all, CONCURRENCY, m => client.getStake(m.id, user));
+    const staked = all
+      .map((m, i) => ({ market: m, stake: stakes[i] }))
+      .filter(({ stake }) => stake.amount > 0n);
+    const markets = staked.map(({ market: m }) => m);
+
+    const time = await now();
+    const [tokens, categoricals] = await Promise.all([tokensOf(markets), categoricalsOf(markets)]);
+    // Outcome index of each categorical stake
+    const outcomes = await mapLimit(markets, CONCURRENCY, (m, i) =>
+      categoricals[i].outcomeCount > 0n ? client.factory.stakeOutcomes(m.id, user) : null);
+
+    const held = staked.map(({ market: m, stake }, i) => {
+      const isCategorical = categoricals[i].outcomeCount > 0n;
+      return {
+        marketId: Number(m.id),
+        side: isCategorical ? null : stake.isYes ? 'yes' : 'no',
+        outcomeIndex: isCategorical ? Number(outcomes[i]) : null,
+        amount: stake.amount.toString(),
+        claimed: stake.claimed,
+        status: positionStatus(stake, m, categoricals[i], outcomes[i]),
+        market: toMarketJson(m, time, tokens.get(m.token), categoricals[i])
+      };
+    });
+
+    const { items, pagination } = paginate(held, page);
+    return { address: user, positions: items, pagination };
+  }
+
+  // [pattern, handler, path parameter parser]
+  const marketId = value => parseInteger(value, 'market ID');
+  const userAddress = value => parseAddress(value, 'address');
+
+  const routes = [
+    [/^\/api\/contract$/, contract],
+    [/^\/api\/markets$/, markets],
+    [/^\/api\/markets\/([^/]+)$/, market, marketId],
+    [/^\/api\/markets\/([^/]+)\/odds$/, odds, marketId],
+    [/^\/api\/markets\/([^/]+)\/quote$/, quote, marketId],
+    [/^\/api\/users\/([^/]+)\/positions$/, positions, userAddress]
+  ];
+
+  function send(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  return async function handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const route = routes.find(([pattern]) => pattern.test(url.pathname));
+      if (!route) throw new ApiError(404, 'not_found', `No route for ${url.pathname}`);
+      if (req.method !== 'GET') throw new ApiError(405, 'method_not_allowed', 'Only GET is supported');
+
+      const [pattern, handler, parseParam] = route;
+      const [, param] = url.pathname.match(pattern);
+
+      send(res, 200, await handler(url.searchParams, parseParam?.(decodeURIComponent(param))));
+    } catch (err) {
+      if (err instanceof ApiError) {
+        send(res, err.status, { error: { code: err.code, message: err.message } });
+      } else {
+        send(res, 502, { error: { code: 'chain_error', message: err.reason || err.shortMessage || err.message } });
+      }
+    }
+  };
+}
+
+/**
+ * HTTP server for the API (call .listen(port) to start)
+ */
+export function createApiServer(options) {
+  return createServer(createApiHandler(options));
+}
@@ -0,0 +1,195 @@
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { dirname, join, relative, sep } from 'path';
+import { fileURLToPath } from 'url';
+import solc from 'solc';
+
+// ============================================
+// Shared Solidity compiler
+// ============================================
+// Compiles every contracts/**/*.sol in one solc invocation and
+// writes one JSON artifact per contract:
+//
+//   artifacts/<sourceName>/<ContractName>.json
+//
+// Output is cached by a hash of the sources, settings and solc
+// version, so unchanged trees are loaded from disk.
+// ============================================
+
+export const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+export const CONTRACTS_DIR = join(ROOT, 'contracts');
+export const ARTIFACTS_DIR = join(ROOT, 'artifacts');
+
+export const DEFAULT_SETTINGS = {
+  optimizer: { enabled: true, runs: 200 }
+};
+
+const OUTPUT_SELECTION = {
+  '*': {
+    '*': [
+      'abi',
+      'metadata',
+      'storageLayout',
+      'evm.bytecode.object',
+      'evm.bytecode.linkReferences',
+      'evm.deployedBytecode.object',
+      'evm.deployedBytecode.linkReferences',
+      'evm.deployedBytecode.immutableReferences'
+    ]
+  }
+};
+
+const BUILD_INFO = 'build-info.json';
+
+// Source unit names are repo-relative POSIX paths, e.g. "contracts/core/MarketFactory.sol"
+function toSourceName(file) {
+  return relative(ROOT, file).split(sep).join('/');
+}
+
+function findSources(dir) {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const full = join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...findSources(full));
+    else if (entry.name.endsWith('.sol')) files.push(full);
+  }
+  return files.sort();
+}
+
+// Imports that are not under contracts/ (e.g. node_modules packages)
+function findImports(importPath) {
+  for (const candidate of [join(ROOT, importPath), join(ROOT, 'node_modules', importPath)]) {
+    if (existsSync(candidate)) return { contents: readFileSync(candidate, 'utf8') };
+  }
+  return { error: 'File not found: ' + importPath };
+}
+
+function hashInput(input) {
+  return createHash('sha256')
+    .update(solc.version())
+    .update(JSON.stringify(input))
+    .digest('hex');
+}
+
+function toArtifact(sourceName, contractName, output, compiler) {
+  return {
+    contractName,
+    sourceName,
+    abi: output.abi,
+    bytecode: '0x' + output.evm.bytecode.object,
+    deployedBytecode: '0x' + output.evm.deployedBytecode.object,
+    linkReferences: output.evm.bytecode.linkReferences,
+    deployedLinkReferences: output.evm.deployedBytecode.linkReferences,
+    immutableReferences: output.evm.deployedBytecode.immutableReferences || {},
+    metadata: output.metadata,
+    storageLayout: output.storageLayout,
+    compiler
+  };
+}
+
+function readArtifacts(outDir, buildInfo) {
+  const artifacts = {};
+  for (const { sourceName, contractName } of buildInfo.contracts) {
+    const file = join(outDir, sourceName, contractName + '.json');
+    artifacts[`${sourceName}:${contractName}`] = JSON.parse(readFileSync(file, 'utf8'));
+  }
+  return artifacts;
+}
+
+function writeArtifacts(outDir, artifacts, buildInfo) {
+  // Only clear the source tree, so other builds nested in outDir survive
+  rmSync(join(outDir, 'contracts'), { recursive: true, force: true });
+  for (const artifact of Object.values(artifacts)) {
+    const dir = join(outDir, artifact.sourceName);
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(join(dir, artifact.contractName + '.json'), JSON.stringify(artifact, null, 2));
+  }
+  writeFileSync(join(outDir, BUILD_INFO), JSON.stringify(buildInfo, null, 2));
+}
+
+/**
+ * Compile all contracts, reusing cached artifacts when nothing changed
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - solc settings merged over DEFAULT_SETTINGS (e.g. { evmVersion: 'shanghai' })
+ * @param {string} [options.outDir] - Artifact directory (default: artifacts/)
+ * @param {boolean} [options.force] - Ignore the cache
+ * @returns {{ artifacts: Object<string, Object>, warnings: Object[], cached: boolean }}
+ *   artifacts keyed by fully qualified name ("contracts/core/MarketFactory.sol:MarketFactory")
+ */
+export function compile({ settings = {}, outDir = ARTIFACTS_DIR, force = false } = {}) {
+  const sources = {};
+  for (const file of findSources(CONTRACTS_DIR)) {
+    sources[toSourceName(file)] = { content: readFileSync(file, 'utf8') };
+  }
+
+  const input = {
+    language: 'Solidity',
+    sources,
+    settings: {
+      ...DEFAULT_SETTINGS,
+      ...settings,
+      outputSelection: OUTPUT_SELECTION
+    }
+  };
+
+  const inputHash = hashInput(input);
+  const buildInfoPath = join(outDir, BUILD_INFO);
+
+  if (!force && existsSync(buildInfoPath)) {
+    const buildInfo = JSON.parse(readFileSync(buildInfoPath, 'utf8'));
+    if (buildInfo.inputHash === inputHash) {
+      return { artifacts: readArtifacts(outDir, buildInfo), warnings: buildInfo.warnings, cached: true };
+    }
+  }
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+  const diagnostics = output.errors || [];
+
+  const errors = diagnostics.filter(e => e.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error('Compilation errors:\n' + errors.map(e => e.formattedMessage).join('\n'));
+  }
+
+  const { outputSelection, ...compilerSettings } = input.settings;
+  const compiler = { version: solc.version(), settings: compilerSettings };
+
+  const artifacts = {};
+  for (const [sourceName, contracts] of Object.entries(output.contracts || {})) {
+    for (const [contractName, contract] of Object.entries(contracts)) {
+      artifacts[`${sourceName}:${contractName}`] = toArtifact(sourceName, contractName, contract, compiler);
+    }
+  }
+
+  const warnings = diagnostics.filter(e => e.severity === 'warning');
+  writeArtifacts(outDir, artifacts, {
+    inputHash,
+    compiler,
+    warnings,
+    contracts: Object.values(artifacts).map(({ sourceName, contractName }) => ({ sourceName, contractName }))
+  });
+
+  return { artifacts, warnings, cached: false };
+}
+
+/**
+ * Look up one artifact by contract name or fully qualified name
+ * ("contracts/core/MarketFactory.sol:MarketFactory")
+ */
+export function findArtifact(artifacts, name) {
+  if (artifacts[name]) return artifacts[name];
+
+  const matches = Object.values(artifacts).filter(a => a.contractName === name);
+  if (matches.length === 0) throw new Error(`Artifact not found: ${name}`);
+  if (matches.length > 1) {
+    throw new Error(`Ambiguous contract name ${name}, use one of: ` +
+      matches.map(a => `${a.sourceName}:${a.contractName}`).join(', '));
+  }
+  return matches[0];
+}
+
+/**
+ * Compile (or load from cache) and return a single artifact
+ */
+export function getArtifact(name, options) {
+  return findArtifact(compile(options).artifacts, name);
+}
@@ -0,0 +1,429 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { ethers } from 'ethers';
+import { ROOT } from './compile.js';
+
+// ============================================
+// Resumable deployment plans
+// ============================================
+// A plan is an ordered list of steps. Each step sends one
+// transaction; its hash is written to deployments/<network>.json
+// before waiting for the receipt, so a rerun can pick up a pending
+// transaction instead of sending it again. Completed steps, and
+// steps whose effect is already visible on-chain, are skipped.
+// ============================================
+
+export const DEPLOYMENTS_DIR = join(ROOT, 'deployments');
+
+// Feeds hard-coded in the ChainlinkResolver constructor (Base Mainnet addresses)
+const CHAINLINK_DEFAULT_FEEDS = ['BTC', 'ETH', 'USDC'];
+
+const PROTOCOL_DEFAULTS = {
+  protocolFeeBps: 100,
+  minStake: 100000,
+  maxCreatorFeeBps: 500,
+  timelockDelay: 0
+};
+
+// OptimisticResolver bond (USDC, 6 decimals) and challenge window (seconds)
+const OPTIMISTIC_DEFAULTS = {
+  bondAmount: 100000000,
+  challengeWindow: 7200
+};
+
+export function deploymentPath(network) {
+  return join(DEPLOYMENTS_DIR, `${network}.json`);
+}
+
+/**
+ * Load the deployment record for a network, or start a new one
+ */
+export function loadDeployment(network, config) {
+  const file = deploymentPath(network);
+  const record = existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : {};
+
+  return {
+    network: config.name,
+    chainId: config.chainId,
+    deployedAt: new Date().toISOString().slice(0, 10),
+    contracts: {},
+    tokens: {},
+    priceFeeds: {},
+    config: {},
+    ...record,
+    steps: record.steps || {}
+  };
+}
+
+export function saveDeployment(network, record) {
+  writeFileSync(deploymentPath(network), JSON.stringify(record, null, 2) + '\n');
+}
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Build the deployment steps for a network config
+ * @param {Object} config - Entry from config/networks.js
+ * @param {Object} ctx
+ * @param {ethers.Signer} ctx.signer - Deployer
+ * @param {Function} ctx.getArtifact - Contract name => compiled artifact
+ * @param {Object} ctx.record - Deployment record (mutated as steps complete)
+ */
+export async function buildPlan(config, { signer, getArtifact, record }) {
+  // Its contracts predate this tree's ABIs; reusing them would mix versions
+  if (record.legacy) {
+    throw new Error(`The ${record.network} record holds legacy contracts; move it aside to redeploy`);
+  }
+
+  if (config.requireOwnerAndTreasury && (!config.owner || !config.treasury)) {
+    throw new Error(`${config.name} requires an explicit owner and treasury; the deployer is not used as a fallback`);
+  }
+
+  const deployer = await signer.getAddress();
+  const owner = config.owner || deployer;
+  const treasury = config.treasury || deployer;
+  const resolvers = config.resolvers || ['ChainlinkResolver', 'ManualResolver'];
+  const optimistic = { ...OPTIMISTIC_DEFAULTS, arbiters: [], ...config.optimistic };
+  const reporters = { reporters: [], ...config.quorum };
+
+  const address = name => record.contracts[name]?.address;
+  const contract = name => new ethers.Contract(address(name), getArtifact(name).abi, signer);
+  const link = addr => config.explorer ? { basescan: `${config.explorer}/address/${addr}` } : {};
+
+  record.deployer = record.deployer || deployer;
+  record.config = {
+    ...PROTOCOL_DEFAULTS,
+    ...record.config,
+    protocolFeeBps: config.protocolFeeBps ?? PROTOCOL_DEFAULTS.protocolFeeBps,
+    minStake: String(config.minStake ?? PROTOCOL_DEFAULTS.minStake),
+    stakeTokens: Object.fromEntries(Object.entries(config.stakeTokens || {}).map(([token, min]) => [token, String(min)])),
+    timelockDelay: config.timelockDelay ?? PROTOCOL_DEFAULTS.timelockDelay,
+    owner,
+    treasury,
+    approvedResolvers: resolvers
+  };
+
+  if (resolvers.includes('OptimisticResolver')) {
+    record.config.optimistic = { ...optimistic, bondAmount: String(optimistic.bondAmount) };
+  }
+
+  if (resolvers.includes('QuorumResolver')) {
+    record.config.quorum = reporters;
+  }
+
+  if (config.usdc) {
+    record.tokens.USDC = { address: config.usdc, decimals: 6 };
+  }
+
+  const steps = [];
+
+  // `recorded` returns an address already in the record (e.g. a deployment
+  // made before steps were tracked); it is reused if it has code
+  function deployStep(id, name, args, recorded, onDeployed) {
+    steps.push({
+      id,
+      description: `Deploy ${id.slice('deploy:'.length)}`,
+      send: async () => {
+        const { abi, bytecode } = getArtifact(name);
+        const factory = new ethers.ContractFactory(abi, bytecode, signer);
+        return signer.sendTransaction(await factory.getDeployTransaction(...args()));
+      },
+      done: async () => Boolean(recorded()) && (await signer.provider.getCode(recorded())) !== '0x',
+      complete: receipt => receipt && onDeployed(receipt.contractAddress, receipt.hash)
+    });
+  }
+
+  function callStep(id, description, send, done, complete) {
+    steps.push({ id, description, send, done, complete });
+  }
+
+  // ---- Mocks (local chains only) ----
+
+  if (!config.usdc) {
+    deployStep('deploy:MockUSDC', 'MockUSDC', () => [], () => record.tokens.USDC?.address, (addr, txHash) => {
+      record.tokens.USDC = { address: addr, decimals: 6, mock: true, txHash };
+    });
+  }
+
+  const mockFeeds = config.mockPriceFeeds || {};
+  for (const [asset, usdPrice] of Object.entries(mockFeeds)) {
+    deployStep(`deploy:MockAggregator:${asset}`, 'MockAggregator', () => [8, BigInt(usdPrice) * 10n ** 8n], () => record.priceFeeds[`${asset}/USD`], addr => {
+      record.priceFeeds[`${asset}/USD`] = addr;
+    });
+  }
+
+  const feedFor = asset => config.priceFeeds?.[asset] || record.priceFeeds[`${asset}/USD`];
+  const feedAssets = [...Object.keys(config.priceFeeds || {}), ...Object.keys(mockFeeds)];
+
+  // ---- Core contracts ----
+
+  // Deployer owns the factory until setup is finished
+  deployStep('deploy:MarketFactory', 'MarketFactory', () => [record.tokens.USDC.address, treasury, deployer], () => address('MarketFactory'), (addr, txHash) => {
+    record.contracts.MarketFactory = { address: addr, ...link(addr), txHash };
+    record.compiler = getArtifact('MarketFactory').compiler;
+  });
+
+  // Only the factory can pin its markets' feeds
+  if (resolvers.includes('ChainlinkResolver')) {
+    deployStep('deploy:ChainlinkResolver', 'ChainlinkResolver', () => [address('MarketFactory')], () => address('ChainlinkResolver'), (addr, txHash) => {
+      record.contracts.ChainlinkResolver = { address: addr, ...link(addr), txHash };
+    });
+  }
+
+  if (resolvers.includes('ManualResolver')) {
+    deployStep('deploy:ManualResolver', 'ManualResolver', () => [address('MarketFactory')], () => address('ManualResolver'), (addr, txHash) => {
+      record.contracts.ManualResolver = { address: addr, ...link(addr), txHash };
+    });
+  }
+
+  // Pins its markets' feeds from the ChainlinkResolver registry
+  if (resolvers.includes('PriceConditionResolver')) {
+    deployStep('deploy:PriceConditionResolver', 'PriceConditionResolver', () => [address('ChainlinkResolver'), address('MarketFactory')], () => address('PriceConditionResolver'), (addr, txHash) => {
+      record.contracts.PriceConditionResolver = { address: addr, ...link(addr), txHash };
+    });
+  }
+
+  // Checks proposals against the factory's markets and takes bonds in its USDC
+  if (resolvers.includes('OptimisticResolver')) {
+    deployStep('deploy:OptimisticResolver', 'OptimisticResolver', () => [address('MarketFactory'), record.tokens.USDC.address, optimistic.bondAmount, optimistic.challengeWindow], () => address('OptimisticResolver'), (addr, txHash) => {
+      record.contracts.OptimisticResolver = { address: addr, ...link(addr), txHash };
+    });
+  }
+
+  // Reads each market's reporter set and deadline from the factory
+  if (resolvers.includes('QuorumResolver')) {
+    deployStep('deploy:QuorumResolver', 'QuorumResolver', () => [address('MarketFactory')], () => address('QuorumResolver'), (addr, txHash) => {
+      record.contracts.QuorumResolver = { address: addr, ...link(addr), txHash };
+    });
+  }
+
+  // ---- Price feeds ----
+
+  if (resolvers.includes('ChainlinkResolver')) {
+    for (const asset of feedAssets) {
+      callStep(
+        `feed:${asset}`,
+        `Set ${asset} price feed`,
+        () => contract('ChainlinkResolver').setPriceFeed(asset, feedFor(asset)),
+        async () => sameAddress(await contract('ChainlinkResolver').priceFeeds(asset), feedFor(asset)),
+        () => { record.priceFeeds[`${asset}/USD`] = feedFor(asset); }
+      );
+    }
+
+    for (const asset of CHAINLINK_DEFAULT_FEEDS.filter(a => !feedAssets.includes(a))) {
+      callStep(
+        `removeFeed:${asset}`,
+        `Remove default ${asset} price feed`,
+        () => contract('ChainlinkResolver').removePriceFeed(asset),
+        async () => (await contract('ChainlinkResolver').priceFeeds(asset)) === ethers.ZeroAddress
+      );
+    }
+  }
+
+  // ---- Factory configuration ----
+
+  for (const name of resolvers) {
+    callStep(
+      `approve:${name}`,
+      `Approve ${name}`,
+      () => contract('MarketFactory').setResolverApproval(address(name), true),
+      async () => contract('MarketFactory').approvedResolvers(address(name))
+    );
+  }
+
+  if (resolvers.includes('OptimisticResolver') && optimistic.arbiters.length > 0) {
+    callStep(
+      'arbiters:OptimisticResolver',
+      `Set ${optimistic.arbiters.length} OptimisticResolver arbiters (quorum ${optimistic.quorum})`,
+      () => contract('OptimisticResolver').setArbiters(optimistic.arbiters, optimistic.quorum),
+      async () => {
+        const resolver = contract('OptimisticResolver');
+        const current = await resolver.getArbiters();
+        return (await resolver.quorum()) === BigInt(optimistic.quorum) &&
+          current.length === optimistic.arbiters.length &&
+          current.every((a, i) => sameAddress(a, optimistic.arbiters[i]));
+      }
+    );
+  }
+
+  if (resolvers.includes('QuorumResolver') && reporters.reporters.length > 0) {
+    callStep(
+      'reporters:QuorumResolver',
+      `Set ${reporters.reporters.length} QuorumResolver default reporters (quorum ${reporters.quorum})`,
+      () => contract('QuorumResolver').setReporters(reporters.reporters, reporters.quorum),
+      async () => {
+        const resolver = contract('QuorumResolver');
+        const current = await resolver.getDefaultReporters();
+        return (await resolver.quorum()) === BigInt(reporters.quorum) &&
+          current.length === reporters.reporters.length &&
+          current.every((a, i) => sameAddress(a, reporters.reporters[i]));
+      }
+    );
+  }
+
+  if (config.protocolFeeBps !== undefined) {
+    callStep(
+      'setProtocolFee',
+      `Set protocol fee to ${config.protocolFeeBps} bps`,
+      () => contract('MarketFactory').setProtocolFee(config.protocolFeeBps),
+      async () => (await contract('MarketFactory').protocolFeeBps()) === BigInt(config.protocolFeeBps)
+    );
+  }
+
+  // USDC is whitelisted by the constructor; `minStake` only overrides its minimum
+  const stakeTokens = {
+    ...(config.minStake !== undefined ? { [record.tokens.USDC.address]: config.minStake } : {}),
+    ...config.stakeTokens
+  };
+  for (const [token, minStake] of Object.entries(stakeTokens)) {
+    callStep(
+      `stakeToken:${ethers.getAddress(token)}`,
+      `Approve stake token ${token} (min stake ${minStake})`,
+      () => contract('MarketFactory').setStakeToken(token, true, minStake),
+      async () => {
+        const current = await contract('MarketFactory').stakeTokens(token);
+        return current.approved && current.minStake === BigInt(minStake);
+      }
+    );
+  }
+
+  // ---- Timelock ----
+  // After every other setting: from here on, admin changes are queued
+
+  if (config.timelockDelay) {
+    const timelocked = resolvers.includes('ChainlinkResolver') ? ['ChainlinkResolver', 'MarketFactory'] : ['MarketFactory'];
+    for (const name of timelocked) {
+      callStep(
+        `timelock:${name}`,
+        `Set ${name} timelock delay to ${config.timelockDelay}s`,
+        () => contract(name).setTimelockDelay(config.timelockDelay),
+        async () => (await contract(name).timelockDelay()) === BigInt(config.timelockDelay)
+      );
+    }
+  }
+
+  // ---- Ownership handoff ----
+
+  if (!sameAddress(owner, deployer)) {
+    if (resolvers.includes('ChainlinkResolver')) {
+      callStep(
+        'owner:ChainlinkResolver',
+        'Initiate ChainlinkResolver ownership transfer',
+        () => contract('ChainlinkResolver').transferOwnership(owner),
+        async () => {
+          const chainlink = contract('ChainlinkResolver');
+          return sameAddress(await chainlink.owner(), owner) || sameAddress(await chainlink.pendingOwner(), owner);
+        }
+      );
+    }
+
+    if (resolvers.includes('ManualResolver')) {
+      callStep(
+        'admin:ManualResolver',
+        'Initiate ManualResolver admin transfer',
+        () => contract('ManualResolver').transferAdmin(owner),
+        async () => {
+          const manual = contract('ManualResolver');
+          return sameAddress(await manual.admin(), owner) || sameAddress(await manual.pendingAdmin(), owner);
+        }
+      );
+    }
+
+    if (resolvers.includes('OptimisticResolver')) {
+      callStep(
+        'admin:OptimisticResolver',
+        'Initiate OptimisticResolver admin transfer',
+        () => contract('OptimisticResolver').transferAdmin(owner),
+        async () => {
+          const resolver = contract('OptimisticResolver');
+          return sameAddress(await resolver.admin(), owner) || sameAddress(await resolver.pendingAdmin(), owner);
+        }
+      );
+    }
+
+    if (resolvers.includes('QuorumResolver')) {
+      callStep(
+        'admin:QuorumResolver',
+        'Initiate QuorumResolver admin transfer',
+        () => contract('QuorumResolver').transferAdmin(owner),
+        async () => {
+          const resolver = contract('QuorumResolver');
+          return sameAddress(await resolver.admin(), owner) || sameAddress(await resolver.pendingAdmin(), owner);
+        }
+      );
+    }
+
+    callStep(
+      'owner:MarketFactory',
+      'Initiate MarketFactory ownership transfer',
+      () => contract('MarketFactory').transferOwnership(owner),
+      async () => {
+        const factory = contract('MarketFactory');
+        return sameAddress(await factory.owner(), owner) || sameAddress(await factory.pendingOwner(), owner);
+      }
+    );
+  }
+
+  return steps;
+}
+
+async function findReceipt(provider, txHash) {
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (receipt) return receipt;
+
+  // Still in the mempool: wait for it. Dropped: send again.
+  if (!(await provider.getTransaction(txHash))) return null;
+  return provider.waitForTransaction(txHash);
+}
+
+/**
+ * Run plan steps in order, saving the record after every state change
+ * @returns {{ sent: number, skipped: number }}
+ */
+export async function runPlan(steps, { record, save, provider, log = console.log }) {
+  let sent = 0;
+  let skipped = 0;
+
+  for (const [i, step] of steps.entries()) {
+    const prefix = `[${i + 1}/${steps.length}] ${step.description}`;
+    const previous = record.steps[step.id];
+
+    if (previous?.status === 'complete') {
+      log(`${prefix} - done`);
+      skipped++;
+      continue;
+    }
+
+    let receipt = null;
+
+    if (previous?.status === 'pending') {
+      log(`${prefix} - resuming ${previous.txHash}`);
+      receipt = await findReceipt(provider, previous.txHash);
+      if (receipt && receipt.status !== 1) receipt = null;
+    }
+
+    if (!receipt && step.done && await step.done()) {
+      log(`${prefix} - already on-chain`);
+      step.complete?.(null);
+      record.steps[step.id] = { status: 'complete', txHash: null };
+      save();
+      skipped++;
+      continue;
+    }
+
+    if (!receipt) {
+      const tx = await step.send();
+      record.steps[step.id] = { status: 'pending', txHash: tx.hash };
+      save();
+      log(`${prefix} - ${tx.hash}`);
+      receipt = await tx.wait();
+      sent++;
+    }
+
+    step.complete?.(receipt);
+    record.steps[step.id] = { status: 'complete', txHash: receipt.hash, blockNumber: receipt.blockNumber };
+    save();
+  }
+
+  return { sent, skipped };
+}
@@ -0,0 +1,121 @@
+import { ethers } from 'ethers';
+import { ERC20_ABI, FACTORY_ABI } from '../../src/index.js';
+
+// ============================================
+// Fee reconciliation
+// ============================================
+// Rebuilds every fee balance from MarketFactory's FeesAccrued and
+// FeesWithdrawn events and compares it with the contract's own
+// accounting at the same block: accruedFees and lifetimeFees per
+// recipient and token, marketFees per market, totalAccruedFees per
+// token, and the factory's balance of each token (which must cover
+// the fees it owes in it). Fees are paid in the market's collateral
+// token. Events are only complete when reading from the factory's
+// deployment block.
+// ============================================
+
+const iface = new ethers.Interface(FACTORY_ABI);
+const FEE_TOPICS = [iface.getEvent('FeesAccrued').topicHash, iface.getEvent('FeesWithdrawn').topicHash];
+
+/**
+ * Reconcile fee events against MarketFactory state
+ * @param {Object} params
+ * @param {ethers.Provider} params.provider
+ * @param {string} params.factory - MarketFactory address
+ * @param {number} [params.fromBlock] - Factory deployment block
+ * @param {number} [params.toBlock] - Last block to read, and the block state is read at (default: latest)
+ * @param {number} [params.batchSize] - Blocks per eth_getLogs request
+ * @returns {Promise<{ ok: boolean, fromBlock: number, toBlock: number, checks: Object[], drift: Object[],
+ *   recipients: Object[], markets: Object[], totals: Object[] }>}
+ *   checks: { check, expected, actual, ok } with amounts as strings; drift: the failed checks;
+ *   recipients, markets and totals (one per token) each carry their `token`
+ */
+export async function reconcileFees({ provider, factory, fromBlock = 0, toBlock, batchSize = 2000 }) {
+  const end = toBlock ?? await provider.getBlockNumber();
+
+  const contract = new ethers.Contract(factory, FACTORY_ABI, provider);
+  const at = { blockTag: end };
+
+  // `${token}:${address}` => { address, token, accrued, withdrawn };
+  // marketId => { token, treasury, creator }
+  const recipients = new Map();
+  const markets = new Map();
+  const recipient = (address, token) => {
+    const key = `${token}:${address}`;
+    if (!recipients.has(key)) recipients.set(key, { address, token, accrued: 0n, withdrawn: 0n });
+    return recipients.get(key);
+  };
+
+  for (let from = fromBlock; from <= end; from += batchSize) {
+    const logs = await provider.getLogs({
+      address: factory,
+      topics: [FEE_TOPICS],
+      fromBlock: from,
+      toBlock: Math.min(from + batchSize - 1, end)
+    });
+
+    for (const entry of logs) {
+      const { name, args } = iface.parseLog(entry);
+      if (name === 'FeesWithdrawn') {
+        recipient(args.recipient, args.token).withdrawn += args.amount;
+        continue;
+      }
+      if (!markets.has(args.marketId)) {
+        const { token } = await contract.getMarket(args.marketId, at);
+        markets.set(args.marketId, { token, treasury: 0n, creator: 0n });
+      }
+      const market = markets.get(args.marketId);
+      market.treasury += args.treasuryAmount;
+      market.creator += args.creatorAmount;
+      if (args.treasuryAmount > 0n) recipient(args.treasury, market.token).accrued += args.treasuryAmount;
+      if (args.creatorAmount > 0n) recipient(args.creator, market.token).accrued += args.creatorAmount;
+    }
+  }
+
+  // ---- Contract state at the last block read ----
+
+  const checks = [];
+  const check = (name, expected, actual, ok = expected === actual) => {
+    checks.push({ check: name, expected: String(expected), actual: String(actual), ok });
+  };
+
+  // token => { accrued, withdrawn }, for every whitelisted token even without events
+  const tokens = new Map();
+  for (const token of await contract.getStakeTokens(at)) tokens.set(token, { accrued: 0n, withdrawn: 0n });
+  for (const { address, token, accrued, withdrawn } of recipients.values()) {
+    const total = tokens.get(token) ?? { accrued: 0n, withdrawn: 0n };
+    total.accrued += accrued;
+    total.withdrawn += withdrawn;
+    tokens.set(token, total);
+    check(`accruedFees.${token}.${address}`, accrued - withdrawn, await contract.accruedFees(address, token, at));
+    check(`lifetimeFees.${token}.${address}`, accrued, await contract.lifetimeFees(address, token, at));
+  }
+
+  for (const [marketId, fees] of markets) {
+    const state = await contract.marketFees(marketId, at);
+    check(`marketFees.${marketId}.treasury`, fees.treasury, state.treasury);
+    check(`marketFees.${marketId}.creator`, fees.creator, state.creator);
+  }
+
+  const totals = [];
+  for (const [token, { accrued, withdrawn }] of tokens) {
+    const owed = accrued - withdrawn;
+    const totalAccrued = await contract.totalAccruedFees(token, at);
+    check(`totalAccruedFees.${token}`, owed, totalAccrued);
+
+    const balance = await new ethers.Contract(token, ERC20_ABI, provider).balanceOf(factory, at);
+    check(`balance covers fees.${token}`, `>= ${totalAccrued}`, balance, balance >= totalAccrued);
+    totals.push({ token, accrued, withdrawn, owed, balance });
+  }
+
+  return {
+    ok: checks.every(c => c.ok),
+    fromBlock,
+    toBlock: end,
+    checks,
+    drift: checks.filter(c => !c.ok),
+    recipients: [...recipients.values()].map(r => ({ ...r, owed: r.accrued - r.withdrawn })),
+    markets: [...markets].map(([marketId, fees]) => ({ marketId, ...fees })),
+    totals
+  };
+}
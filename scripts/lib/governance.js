@@ -0,0 +1,119 @@
+import { ethers } from 'ethers';
+import { TIMELOCKED_FUNCTIONS } from '../../src/index.js';
+
+// ============================================
+// Governance commands
+// ============================================
+// Queue, list, execute and cancel timelocked admin actions on
+// MarketFactory or ChainlinkResolver, and hand over ownership.
+// Arguments are given as strings and converted by the function's
+// ABI types: integers in base units (USDC amounts with 6 decimals),
+// booleans as true/false.
+// ============================================
+
+export const GOVERNANCE_COMMANDS = ['status', 'list', 'queue', 'execute', 'cancel', 'transfer-ownership', 'accept-ownership'];
+
+export class GovernanceError extends Error {}
+
+/**
+ * Convert string arguments to the types of a function's inputs
+ * @param {ethers.FunctionFragment} fragment
+ * @param {string[]} values
+ * @returns {Array}
+ */
+export function parseActionArgs(fragment, values) {
+  if (values.length !== fragment.inputs.length) {
+    throw new GovernanceError(`${fragment.format('sighash')} takes ${fragment.inputs.length} argument(s), got ${values.length}`);
+  }
+
+  return fragment.inputs.map((input, i) => {
+    const value = values[i];
+    if (input.type === 'bool') {
+      if (value !== 'true' && value !== 'false') throw new GovernanceError(`${input.name} must be true or false`);
+      return value === 'true';
+    }
+    if (input.type === 'address') {
+      if (!ethers.isAddress(value)) throw new GovernanceError(`${input.name} must be an address`);
+      return ethers.getAddress(value);
+    }
+    if (/^u?int\d*$/.test(input.type)) {
+      if (!/^\d+$/.test(value)) throw new GovernanceError(`${input.name} must be a non-negative integer`);
+      return BigInt(value);
+    }
+    return value;
+  });
+}
+
+/**
+ * Run one governance command
+ * @param {Object} params
+ * @param {ClawshiClient} params.client - Bound to the owner (or pending owner for accept-ownership)
+ * @param {'MarketFactory'|'ChainlinkResolver'} [params.target='MarketFactory']
+ * @param {string} params.command - One of GOVERNANCE_COMMANDS
+ * @param {string[]} [params.args] - queue: <method> [args...]; execute: <id|all>; cancel: <id>;
+ *   transfer-ownership: <address>
+ * @param {number} [params.fromBlock] - Where to start reading queue events
+ * @returns {Promise<Object>} Command result; transactions as { hash, ... } without receipts
+ */
+export async function runGovernance({ client, target = 'MarketFactory', command, args = [], fromBlock }) {
+  const options = { target };
+  const queued = () => client.getQueuedActions({ target, fromBlock });
+  const sent = ({ hash, receipt }) => ({ hash, blockNumber: receipt.blockNumber });
+
+  // Queued action by id (or unique id prefix)
+  async function find(id) {
+    if (!id) throw new GovernanceError('Missing action id');
+    const matches = (await queued()).filter(a => a.id.startsWith(id.toLowerCase()));
+    if (matches.length !== 1) {
+      throw new GovernanceError(matches.length === 0 ? `No queued action ${id}` : `Action id ${id} is ambiguous`);
+    }
+    return matches[0];
+  }
+
+  switch (command) {
+    case 'status':
+      return { target, ...(await client.getGovernance(options)) };
+
+    case 'list':
+      return { target, actions: await queued() };
+
+    case 'queue': {
+      const [method, ...values] = args;
+      if (!TIMELOCKED_FUNCTIONS[target].includes(method)) {
+        throw new GovernanceError(`Method must be one of: ${TIMELOCKED_FUNCTIONS[target].join(', ')}`);
+      }
+      const contract = target === 'MarketFactory' ? client.factory : client.chainlinkResolver;
+      const result = await client.queueAction(method, parseActionArgs(contract.interface.getFunction(method), values), options);
+      return { target, method, id: result.id, data: result.data, eta: result.eta, ...sent(result) };
+    }
+
+    case 'execute': {
+      const actions = args[0] === 'all'
+        ? (await queued()).filter(a => a.status === 'ready')
+        : [await find(args[0])];
+
+      const executed = [];
+      for (const action of actions) {
+        if (action.status !== 'ready') throw new GovernanceError(`Action ${action.id} is ${action.status}`);
+        executed.push({ id: action.id, method: action.method, ...sent(await client.executeAction(action, options)) });
+      }
+      return { target, executed };
+    }
+
+    case 'cancel': {
+      const action = await find(args[0]);
+      return { target, id: action.id, method: action.method, ...sent(await client.cancelAction(action, options)) };
+    }
+
+    case 'transfer-ownership': {
+      if (!ethers.isAddress(args[0] ?? '')) throw new GovernanceError('Missing new owner address');
+      return { target, pendingOwner: ethers.getAddress(args[0]), ...sent(await client.transferOwnership(args[0], options)) };
+    }
+
+    case 'accept-ownership':
+      return { target, ...sent(await client.acceptOwnership(options)) };
+
+    default:
+      throw new GovernanceError(`Command must be one of: ${GOVERNANCE_COMMANDS.join(', ')}`);
+  }
+}
@@ -0,0 +1,666 @@
+import initSqlJs from 'sql.js';
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { ethers } from 'ethers';
+import { computeOutcomeOdds } from '../../src/index.js';
+
+// ============================================
+// Market index database (SQLite via sql.js)
+// ============================================
+// Raw contract events are the source of truth (`events`); the
+// `markets`, `market_outcomes`, `positions`, `outcomes`, `price_feeds`
+// and `stake_tokens` tables are derived from them and rebuilt by
+// replaying events after a reorg. Categorical markets have
+// outcome_count > 0 and one `market_outcomes` row per outcome; their
+// positions record the outcome index instead of a side.
+//
+// Token amounts are stored as decimal strings (uint256 does not fit
+// in a SQLite integer), in base units of the market's collateral
+// token. Queries return that token's symbol and decimals alongside
+// (read by the indexer when the token is whitelisted).
+// ============================================
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    address TEXT NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS markets (
+    id INTEGER PRIMARY KEY,
+    question TEXT NOT NULL,
+    creator TEXT NOT NULL,
+    resolver TEXT NOT NULL,
+    deadline INTEGER NOT NULL,
+    token TEXT,
+    yes_pool TEXT NOT NULL DEFAULT '0',
+    no_pool TEXT NOT NULL DEFAULT '0',
+    exit_fees TEXT NOT NULL DEFAULT '0',
+    resolved INTEGER NOT NULL DEFAULT 0,
+    outcome INTEGER,
+    paused INTEGER NOT NULL DEFAULT 0,
+    cancelled INTEGER NOT NULL DEFAULT 0,
+    refund_only INTEGER NOT NULL DEFAULT 0,
+    outcome_count INTEGER NOT NULL DEFAULT 0,
+    winning_outcome INTEGER,
+    created_block INTEGER NOT NULL,
+    created_tx TEXT NOT NULL,
+    resolved_block INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS markets_creator ON markets (creator);
+  CREATE INDEX IF NOT EXISTS markets_resolver ON markets (resolver);
+
+  CREATE TABLE IF NOT EXISTS market_outcomes (
+    market_id INTEGER NOT NULL,
+    outcome_index INTEGER NOT NULL,
+    label TEXT NOT NULL,
+    pool TEXT NOT NULL DEFAULT '0',
+    PRIMARY KEY (market_id, outcome_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS positions (
+    market_id INTEGER NOT NULL,
+    user TEXT NOT NULL,
+    is_yes INTEGER NOT NULL,
+    outcome_index INTEGER,
+    amount TEXT NOT NULL,
+    claimed INTEGER NOT NULL DEFAULT 0,
+    payout TEXT,
+    PRIMARY KEY (market_id, user)
+  );
+  CREATE INDEX IF NOT EXISTS positions_user ON positions (user);
+
+  CREATE TABLE IF NOT EXISTS outcomes (
+    resolver TEXT NOT NULL,
+    market_id INTEGER NOT NULL,
+    outcome INTEGER NOT NULL,
+    outcome_index INTEGER,
+    set_by TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    PRIMARY KEY (resolver, market_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS price_feeds (
+    resolver TEXT NOT NULL,
+    asset_hash TEXT NOT NULL,
+    asset TEXT,
+    feed TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    PRIMARY KEY (resolver, asset_hash)
+  );
+
+  CREATE TABLE IF NOT EXISTS stake_tokens (
+    address TEXT PRIMARY KEY,
+    approved INTEGER NOT NULL,
+    min_stake TEXT NOT NULL,
+    symbol TEXT,
+    decimals INTEGER,
+    block_number INTEGER NOT NULL
+  );
+`;
+
+const DERIVED_TABLES = ['markets', 'market_outcomes', 'positions', 'outcomes', 'price_feeds', 'stake_tokens'];
+
+// Checkpoint hashes kept for reorg detection (event blocks are kept too)
+const KEEP_BLOCKS = 128;
+
+export const MARKET_STATUSES = ['open', 'closed', 'paused', 'resolved', 'cancelled'];
+export const POSITION_STATUSES = ['open', 'claimable', 'claimed', 'lost', 'refundable', 'refunded'];
+
+const MARKET_STATUS_SQL = `
+  CASE
+    WHEN m.resolved = 1 THEN 'resolved'
+    WHEN m.cancelled = 1 THEN 'cancelled'
+    WHEN m.paused = 1 THEN 'paused'
+    WHEN m.deadline <= :now THEN 'closed'
+    ELSE 'open'
+  END`;
+
+const POSITION_STATUS_SQL = `
+  CASE
+    WHEN (m.cancelled = 1 OR m.refund_only = 1) AND p.claimed = 1 THEN 'refunded'
+    WHEN m.cancelled = 1 OR m.refund_only = 1 THEN 'refundable'
+    WHEN p.claimed = 1 THEN 'claimed'
+    WHEN m.resolved = 0 THEN 'open'
+    WHEN m.outcome_count > 0 AND m.winning_outcome = p.outcome_index THEN 'claimable'
+    WHEN m.outcome_count > 0 THEN 'lost'
+    WHEN m.outcome = p.is_yes THEN 'claimable'
+    ELSE 'lost'
+  END`;
+
+let SQL;
+
+// Markets created before per-market collateral have no token
+function toTokenInfo(row) {
+  return row.token ? { address: row.token, symbol: row.token_symbol, decimals: row.token_decimals } : null;
+}
+
+// Joined onto `markets m` by the market and position queries
+const TOKEN_COLUMNS = 't.symbol AS token_symbol, t.decimals AS token_decimals';
+const TOKEN_JOIN = 'LEFT JOIN stake_tokens t ON t.address = m.token';
+
+function toMarketRow(row) {
+  return {
+    id: row.id,
+    question: row.question,
+    creator: row.creator,
+    resolver: row.resolver,
+    deadline: row.deadline,
+    token: toTokenInfo(row),
+    yesPool: row.yes_pool,
+    noPool: row.no_pool,
+    exitFees: row.exit_fees,
+    resolved: row.resolved === 1,
+    outcome: row.outcome === null ? null : row.outcome === 1,
+    paused: row.paused === 1,
+    cancelled: row.cancelled === 1,
+    refundOnly: row.refund_only === 1,
+    outcomeCount: row.outcome_count,
+    winningOutcome: row.winning_outcome,
+    status: row.status,
+    createdBlock: row.created_block,
+    createdTx: row.created_tx,
+    resolvedBlock: row.resolved_block
+  };
+}
+
+function toPositionRow(row) {
+  return {
+    marketId: row.market_id,
+    user: row.user,
+    isYes: row.is_yes === 1,
+    outcomeIndex: row.outcome_index,
+    amount: row.amount,
+    claimed: row.claimed === 1,
+    payout: row.payout,
+    status: row.status,
+    market: {
+      question: row.question,
+      resolver: row.resolver,
+      deadline: row.deadline,
+      token: toTokenInfo(row),
+      yesPool: row.yes_pool,
+      noPool: row.no_pool,
+      resolved: row.resolved === 1,
+      outcome: row.outcome === null ? null : row.outcome === 1,
+      cancelled: row.cancelled === 1,
+      refundOnly: row.refund_only === 1,
+      winningOutcome: row.winning_outcome
+    }
+  };
+}
+
+/**
+ * Open (or create) an index database
+ * @param {string} [file] - SQLite file; in-memory only when omitted
+ */
+export async function openIndexDb(file) {
+  SQL = SQL || await initSqlJs();
+  const db = file && existsSync(file) ? new SQL.Database(readFileSync(file)) : new SQL.Database();
+  db.run(SCHEMA);
+
+  // Files created before these market columns existed
+  const columns = db.exec('PRAGMA table_info(markets)')[0].values.map(column => column[1]);
+  for (const column of ['cancelled', 'refund_only']) {
+    if (!columns.includes(column)) db.run(`ALTER TABLE markets ADD COLUMN ${column} INTEGER NOT NULL DEFAULT 0`);
+  }
+  if (!columns.includes('exit_fees')) db.run('ALTER TABLE markets ADD COLUMN exit_fees TEXT NOT NULL DEFAULT \'0\'');
+  if (!columns.includes('outcome_count')) {
+    db.run('ALTER TABLE markets ADD COLUMN outcome_count INTEGER NOT NULL DEFAULT 0');
+    db.run('ALTER TABLE markets ADD COLUMN winning_outcome INTEGER');
+    db.run('ALTER TABLE positions ADD COLUMN outcome_index INTEGER');
+    db.run('ALTER TABLE outcomes ADD COLUMN outcome_index INTEGER');
+  }
+  if (!columns.includes('token')) db.run('ALTER TABLE markets ADD COLUMN token TEXT');
+
+  function all(sql, params = {}) {
+    const stmt = db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) rows.push(stmt.getAsObject());
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  const get = (sql, params) => all(sql, params)[0];
+  const run = (sql, params = {}) => db.run(sql, params);
+
+  // ---- Event application ----
+
+  // `amount` may be negative (unstakes and side switches)
+  function addToPool(marketId, isYes, amount) {
+    addToColumn(marketId, isYes ? 'yes_pool' : 'no_pool', amount);
+  }
+
+  function addToColumn(marketId, column, amount) {
+    const market = get(`SELECT ${column} AS value FROM markets WHERE id = :id`, { ':id': marketId });
+    if (!market) return;
+    run(`UPDATE markets SET ${column} = :value WHERE id = :id`, {
+      ':value': (BigInt(market.value) + BigInt(amount)).toString(),
+      ':id': marketId
+    });
+  }
+
+  const handlers = {
+    MarketCreated(a, e) {
+      run(`INSERT OR REPLACE INTO markets (id, question, creator, resolver, deadline, token, created_block, created_tx)
+           VALUES (:id, :question, :creator, :resolver, :deadline, :token, :block, :tx)`, {
+        ':id': Number(a.marketId),
+        ':question': a.question,
+        ':creator': a.creator,
+        ':resolver': a.resolver,
+        ':deadline': Number(a.deadline),
+        ':token': a.token ?? null,
+        ':block': e.blockNumber,
+        ':tx': e.txHash
+      });
+    },
+
+    Staked(a) {
+      const id = Number(a.marketId);
+      const position = get('SELECT amount FROM positions WHERE market_id = :id AND user = :user', { ':id': id, ':user': a.user });
+      run(`INSERT OR REPLACE INTO positions (market_id, user, is_yes, amount, claimed)
+           VALUES (:id, :user, :isYes, :amount, 0)`, {
+        ':id': id,
+        ':user': a.user,
+        ':isYes': a.isYes ? 1 : 0,
+        ':amount': (BigInt(position?.amount || 0) + BigInt(a.amount)).toString()
+      });
+      addToPool(id, a.isYes, a.amount);
+    },
+
+    Unstaked(a) {
+      const id = Number(a.marketId);
+      const position = get('SELECT amount FROM positions WHERE market_id = :id AND user = :user', { ':id': id, ':user': a.user });
+      const remaining = BigInt(position?.amount || 0) - BigInt(a.amount);
+      if (remaining > 0n) {
+        run('UPDATE positions SET amount = :amount WHERE market_id = :id AND user = :user', {
+          ':id': id,
+          ':user': a.user,
+          ':amount': remaining.toString()
+        });
+      } else {
+        // A full exit leaves no position
+        run('DELETE FROM positions WHERE market_id = :id AND user = :user', { ':id': id, ':user': a.user });
+      }
+      addToPool(id, a.isYes, -BigInt(a.amount));
+      addToColumn(id, 'exit_fees', a.fee);
+    },
+
+    SideSwitched(a) {
+      const id = Number(a.marketId);
+      run('UPDATE positions SET is_yes = :isYes, amount = :amount WHERE market_id = :id AND user = :user', {
+        ':id': id,
+        ':user': a.user,
+        ':isYes': a.isYes ? 1 : 0,
+        ':amount': String(a.amount)
+      });
+      // `isYes` is the new side; the old side loses the amount plus the fee
+      addToPool(id, !a.isYes, -(BigInt(a.amount) + BigInt(a.fee)));
+      addToPool(id, a.isYes, a.amount);
+      addToColumn(id, 'exit_fees', a.fee);
+    },
+
+    CategoricalMarketCreated(a) {
+      const id = Number(a.marketId);
+      run('UPDATE markets SET outcome_count = :count WHERE id = :id', { ':id': id, ':count': a.outcomes.length });
+      a.outcomes.forEach((label, i) => {
+        run(`INSERT OR REPLACE INTO market_outcomes (market_id, outcome_index, label, pool)
+             VALUES (:id, :index, :label, '0')`, { ':id': id, ':index': i, ':label': label });
+      });
+    },
+
+    OutcomeStaked(a) {
+      const id = Number(a.marketId);
+      const index = Number(a.outcome);
+      const position = get('SELECT amount FROM positions WHERE market_id = :id AND user = :user', { ':id': id, ':user': a.user });
+      run(`INSERT OR REPLACE INTO positions (market_id, user, is_yes, outcome_index, amount, claimed)
+           VALUES (:id, :user, 0, :index, :amount, 0)`, {
+        ':id': id,
+        ':user': a.user,
+        ':index': index,
+        ':amount': (BigInt(position?.amount || 0) + BigInt(a.amount)).toString()
+      });
+      const outcome = get('SELECT pool FROM market_outcomes WHERE market_id = :id AND outcome_index = :index', {
+        ':id': id,
+        ':index': index
+      });
+      run('UPDATE market_outcomes SET pool = :pool WHERE market_id = :id AND outcome_index = :index', {
+        ':id': id,
+        ':index': index,
+        ':pool': (BigInt(outcome?.pool || 0) + BigInt(a.amount)).toString()
+      });
+    },
+
+    OutcomeResolved(a, e) {
+      run('UPDATE markets SET resolved = 1, winning_outcome = :outcome, resolved_block = :block WHERE id = :id', {
+        ':id': Number(a.marketId),
+        ':outcome': Number(a.outcome),
+        ':block': e.blockNumber
+      });
+    },
+
+    MarketResolved(a, e) {
+      run(`UPDATE markets SET resolved = 1, outcome = :outcome, yes_pool = :yes, no_pool = :no, resolved_block = :block
+           WHERE id = :id`, {
+        ':id': Number(a.marketId),
+        ':outcome': a.outcome ? 1 : 0,
+        ':yes': String(a.yesPool),
+        ':no': String(a.noPool),
+        ':block': e.blockNumber
+      });
+    },
+
+    Claimed(a) {
+      run('UPDATE positions SET claimed = 1, payout = :payout WHERE market_id = :id AND user = :user', {
+        ':id': Number(a.marketId),
+        ':user': a.user,
+        ':payout': String(a.payout)
+      });
+    },
+
+    MarketPaused(a) {
+      run('UPDATE markets SET paused = :paused WHERE id = :id', {
+        ':id': Number(a.marketId),
+        ':paused': a.paused ? 1 : 0
+      });
+    },
+
+    MarketCancelled(a) {
+      run('UPDATE markets SET cancelled = 1 WHERE id = :id', { ':id': Number(a.marketId) });
+    },
+
+    MarketRefundable(a) {
+      run('UPDATE markets SET refund_only = 1 WHERE id = :id', { ':id': Number(a.marketId) });
+    },
+
+    Refunded(a) {
+      run('UPDATE positions SET claimed = 1, payout = :amount WHERE market_id = :id AND user = :user', {
+        ':id': Number(a.marketId),
+        ':user': a.user,
+        ':amount': String(a.amount)
+      });
+    },
+
+    OutcomeSet(a, e) {
+      run(`INSERT OR REPLACE INTO outcomes (resolver, market_id, outcome, set_by, block_number)
+           VALUES (:resolver, :id, :outcome, :setBy, :block)`, {
+        ':resolver': e.address,
+        ':id': Number(a.marketId),
+        ':outcome': a.outcome ? 1 : 0,
+        ':setBy': a.setBy,
+        ':block': e.blockNumber
+      });
+    },
+
+    OutcomeIndexSet(a, e) {
+      run(`INSERT OR REPLACE INTO outcomes (resolver, market_id, outcome, outcome_index, set_by, block_number)
+           VALUES (:resolver, :id, 0, :index, :setBy, :block)`, {
+        ':resolver': e.address,
+        ':id': Number(a.marketId),
+        ':index': Number(a.outcome),
+        ':setBy': a.setBy,
+        ':block': e.blockNumber
+      });
+    },
+
+    PriceFeedAdded(a, e) {
+      run(`INSERT OR REPLACE INTO price_feeds (resolver, asset_hash, asset, feed, block_number)
+           VALUES (:resolver, :hash, :asset, :feed, :block)`, {
+        ':resolver': e.address,
+        ':hash': a.assetHash,
+        ':asset': a.asset ?? null,
+        ':feed': a.feed,
+        ':block': e.blockNumber
+      });
+    },
+
+    PriceFeedRemoved(a, e) {
+      run('DELETE FROM price_feeds WHERE resolver = :resolver AND asset_hash = :hash', {
+        ':resolver': e.address,
+        ':hash': a.assetHash
+      });
+    },
+
+    StakeTokenUpdated(a, e) {
+      run(`INSERT OR REPLACE INTO stake_tokens (address, approved, min_stake, symbol, decimals, block_number)
+           VALUES (:address, :approved, :minStake, :symbol, :decimals, :block)`, {
+        ':address': a.token,
+        ':approved': a.approved ? 1 : 0,
+        ':minStake': String(a.minStake),
+        ':symbol': a.symbol ?? null,
+        ':decimals': a.decimals ?? null,
+        ':block': e.blockNumber
+      });
+    }
+  };
+
+  function apply(event) {
+    handlers[event.name]?.(event.args, event);
+  }
+
+  const normalize = address => ethers.getAddress(address);
+
+  // Categorical markets get `outcomes`: label, pool and odds per index
+  function withOutcomes(market) {
+    if (market.outcomeCount === 0) return market;
+    const rows = all('SELECT * FROM market_outcomes WHERE market_id = :id ORDER BY outcome_index', { ':id': market.id });
+    const odds = computeOutcomeOdds(rows.map(r => BigInt(r.pool)));
+    return {
+      ...market,
+      outcomes: rows.map((r, i) => ({ index: r.outcome_index, label: r.label, pool: r.pool, odds: Number(odds[i]) }))
+    };
+  }
+
+  function setCheckpoint(number, hash) {
+    setMeta('checkpoint_block', number);
+    setMeta('checkpoint_hash', hash);
+    run('INSERT OR REPLACE INTO blocks (number, hash) VALUES (:number, :hash)', { ':number': number, ':hash': hash });
+    run(`DELETE FROM blocks WHERE number NOT IN (SELECT number FROM blocks ORDER BY number DESC LIMIT ${KEEP_BLOCKS})`);
+  }
+
+  const getMeta = key => get('SELECT value FROM meta WHERE key = :key', { ':key': key })?.value ?? null;
+  const setMeta = (key, value) => {
+    run('INSERT OR REPLACE INTO meta (key, value) VALUES (:key, :value)', { ':key': key, ':value': String(value) });
+  };
+
+  return {
+    db,
+
+    /**
+     * Run fn inside a transaction (rolled back if it throws)
+     */
+    transaction(fn) {
+      db.run('BEGIN');
+      try {
+        const result = fn();
+        db.run('COMMIT');
+        return result;
+      } catch (err) {
+        db.run('ROLLBACK');
+        throw err;
+      }
+    },
+
+    getMeta,
+    setMeta,
+
+    /**
+     * Last fully indexed block, or null before the first sync
+     * @returns {{ number: number, hash: string } | null}
+     */
+    getCheckpoint() {
+      const number = getMeta('checkpoint_block');
+      return number === null ? null : { number: Number(number), hash: getMeta('checkpoint_hash') };
+    },
+
+    setCheckpoint,
+
+    /**
+     * Known block hashes, newest first (checkpoints and blocks with events)
+     */
+    getKnownBlocks() {
+      return all(`SELECT number, hash FROM blocks
+                  UNION SELECT DISTINCT block_number, block_hash FROM events
+                  ORDER BY number DESC`);
+    },
+
+    /**
+     * Store an event and apply it to the derived tables
+     * @param {{ blockNumber, logIndex, blockHash, txHash, address, name, args }} event
+     */
+    addEvent(event) {
+      run(`INSERT OR REPLACE INTO events (block_number, log_index, block_hash, tx_hash, address, name, args)
+           VALUES (:block, :index, :blockHash, :tx, :address, :name, :args)`, {
+        ':block': event.blockNumber,
+        ':index': event.logIndex,
+        ':blockHash': event.blockHash,
+        ':tx': event.txHash,
+        ':address': event.address,
+        ':name': event.name,
+        ':args': JSON.stringify(event.args, (_, v) => typeof v === 'bigint' ? v.toString() : v)
+      });
+      apply(event);
+    },
+
+    /**
+     * Drop everything above `blockNumber`, rebuild the derived tables and
+     * move the checkpoint there (cleared when `hash` is null)
+     */
+    rollback(blockNumber, hash) {
+      run('DELETE FROM events WHERE block_number > :n', { ':n': blockNumber });
+      run('DELETE FROM blocks WHERE number > :n', { ':n': blockNumber });
+      for (const table of DERIVED_TABLES) run(`DELETE FROM ${table}`);
+
+      if (hash) setCheckpoint(blockNumber, hash);
+      else run("DELETE FROM meta WHERE key IN ('checkpoint_block', 'checkpoint_hash')");
+
+      const events = all('SELECT * FROM events ORDER BY block_number, log_index');
+      for (const row of events) {
+        apply({
+          blockNumber: row.block_number,
+          logIndex: row.log_index,
+          blockHash: row.block_hash,
+          txHash: row.tx_hash,
+          address: row.address,
+          name: row.name,
+          args: JSON.parse(row.args)
+        });
+      }
+      return events.length;
+    },
+
+    // ---- Queries ----
+
+    /**
+     * @param {Object} [filter]
+     * @param {string} [filter.creator]
+     * @param {string} [filter.resolver]
+     * @param {string} [filter.status] - open | closed | paused | resolved | cancelled
+     * @param {number} [filter.now] - Unix time deciding open vs closed (default: wall clock)
+     * @param {number} [filter.limit]
+     * @param {number} [filter.offset]
+     */
+    getMarkets({ creator, resolver, status, now = Math.floor(Date.now() / 1000), limit = -1, offset = 0 } = {}) {
+      if (status && !MARKET_STATUSES.includes(status)) throw new Error(`Unknown market status: ${status}`);
+
+      const where = [];
+      const params = { ':now': now, ':limit': limit, ':offset': offset };
+      if (creator) { where.push('m.creator = :creator'); params[':creator'] = normalize(creator); }
+      if (resolver) { where.push('m.resolver = :resolver'); params[':resolver'] = normalize(resolver); }
+      if (status) { where.push(`${MARKET_STATUS_SQL} = :status`); params[':status'] = status; }
+
+      return all(`SELECT m.*, ${TOKEN_COLUMNS}, ${MARKET_STATUS_SQL} AS status FROM markets m ${TOKEN_JOIN}
+                  ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+                  ORDER BY m.id LIMIT :limit OFFSET :offset`, params).map(row => withOutcomes(toMarketRow(row)));
+    },
+
+    getMarket(id, { now = Math.floor(Date.now() / 1000) } = {}) {
+      const row = get(`SELECT m.*, ${TOKEN_COLUMNS}, ${MARKET_STATUS_SQL} AS status FROM markets m ${TOKEN_JOIN} WHERE m.id = :id`, { ':id': Number(id), ':now': now });
+      return row ? withOutcomes(toMarketRow(row)) : null;
+    },
+
+    /**
+     * Positions of one user
+     * @param {string} user
+     * @param {Object} [filter]
+     * @param {string} [filter.status] - open | claimable | claimed | lost | refundable | refunded
+     */
+    getPositions(user, { status } = {}) {
+      if (status && !POSITION_STATUSES.includes(status)) throw new Error(`Unknown position status: ${status}`);
+
+      const params = { ':user': normalize(user) };
+      if (status) params[':status'] = status;
+
+      return all(`SELECT p.*, m.question, m.resolver, m.deadline, m.yes_pool, m.no_pool, m.resolved, m.outcome, m.cancelled, m.refund_only,
+                  m.winning_outcome, m.token, ${TOKEN_COLUMNS},
+                  ${POSITION_STATUS_SQL} AS status
+                  FROM positions p JOIN markets m ON m.id = p.market_id ${TOKEN_JOIN}
+                  WHERE p.user = :user ${status ? `AND ${POSITION_STATUS_SQL} = :status` : ''}
+                  ORDER BY p.market_id`, params).map(toPositionRow);
+    },
+
+    getOutcomes(resolver) {
+      return all('SELECT * FROM outcomes WHERE resolver = :resolver ORDER BY market_id', { ':resolver': normalize(resolver) })
+        .map(r => ({
+          marketId: r.market_id,
+          outcome: r.outcome === 1,
+          outcomeIndex: r.outcome_index,
+          setBy: r.set_by,
+          blockNumber: r.block_number
+        }));
+    },
+
+    getPriceFeeds(resolver) {
+      return all('SELECT * FROM price_feeds WHERE resolver = :resolver ORDER BY asset', { ':resolver': normalize(resolver) })
+        .map(r => ({ asset: r.asset, assetHash: r.asset_hash, feed: r.feed, blockNumber: r.block_number }));
+    },
+
+    /**
+     * Every token ever configured as collateral, approved or not
+     */
+    getStakeTokens() {
+      return all('SELECT * FROM stake_tokens ORDER BY block_number, address').map(r => ({
+        address: r.address,
+        symbol: r.symbol,
+        decimals: r.decimals,
+        approved: r.approved === 1,
+        minStake: r.min_stake,
+        blockNumber: r.block_number
+      }));
+    },
+
+    /**
+     * Write the database to disk (atomically, via a temp file)
+     */
+    save() {
+      if (!file) return;
+      mkdirSync(dirname(file), { recursive: true });
+      writeFileSync(file + '.tmp', db.export());
+      renameSync(file + '.tmp', file);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
@@ -0,0 +1,193 @@
+import { ethers } from 'ethers';
+import {
+  FACTORY_ABI, CHAINLINK_RESOLVER_ABI, MANUAL_RESOLVER_ABI, QUORUM_RESOLVER_ABI, readTokenInfo
+} from '../../src/index.js';
+
+// ============================================
+// Event indexer
+// ============================================
+// Reads MarketFactory and resolver logs in block ranges and feeds
+// them to an index database (see index-db.js). After every range
+// the last block number and hash are checkpointed; on the next sync
+// a changed checkpoint hash means a reorg, so the index is rolled
+// back to the newest block whose hash still matches and re-read.
+// Stake token events carry the token's symbol and decimals, read
+// once per token, so replays never go back to the RPC.
+// ============================================
+
+const INDEXED_EVENTS = {
+  MarketFactory: {
+    abi: FACTORY_ABI,
+    events: [
+      'MarketCreated', 'Staked', 'Unstaked', 'SideSwitched', 'MarketResolved', 'Claimed',
+      'MarketPaused', 'MarketCancelled', 'MarketRefundable', 'Refunded',
+      'CategoricalMarketCreated', 'OutcomeStaked', 'OutcomeResolved', 'StakeTokenUpdated'
+    ]
+  },
+  ChainlinkResolver: { abi: CHAINLINK_RESOLVER_ABI, events: ['PriceFeedAdded', 'PriceFeedRemoved'] },
+  ManualResolver: { abi: MANUAL_RESOLVER_ABI, events: ['OutcomeSet', 'OutcomeIndexSet'] },
+  QuorumResolver: { abi: QUORUM_RESOLVER_ABI, events: ['OutcomeSet'] }
+};
+
+// Assets tried when a feed event's asset name cannot be read from calldata
+const KNOWN_ASSETS = ['BTC', 'ETH', 'USDC'];
+
+/**
+ * Create an indexer for one deployment
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider
+ * @param {Object} options.db - Database from openIndexDb()
+ * @param {Object} options.addresses - { MarketFactory, ChainlinkResolver?, ManualResolver?, QuorumResolver? }
+ * @param {number} [options.startBlock] - First block to read (usually the factory deployment block)
+ * @param {number} [options.batchSize] - Blocks per eth_getLogs request
+ * @param {number} [options.confirmations] - Blocks to stay behind the head
+ * @param {string[]} [options.assets] - Asset names to match indexed PriceFeed* topics against
+ * @param {Function} [options.log]
+ */
+export function createIndexer({
+  provider,
+  db,
+  addresses,
+  startBlock = 0,
+  batchSize = 2000,
+  confirmations = 0,
+  assets = KNOWN_ASSETS,
+  log = () => {}
+}) {
+  // address (lowercase) => { name, iface, events }
+  const contracts = new Map();
+  const topics = new Set();
+
+  for (const [name, { abi, events }] of Object.entries(INDEXED_EVENTS)) {
+    if (!addresses[name]) continue;
+    const iface = new ethers.Interface(abi);
+    contracts.set(addresses[name].toLowerCase(), { name, iface, events });
+    events.forEach(e => topics.add(iface.getEvent(e).topicHash));
+  }
+
+  const assetByHash = new Map(assets.map(a => [ethers.id(a), a]));
+
+  // Indexed strings only carry their hash: recover the name from the
+  // setPriceFeed/removePriceFeed calldata, or from the known assets
+  async function findAsset(iface, txHash, hash) {
+    const tx = await provider.getTransaction(txHash);
+    const call = tx && iface.parseTransaction({ data: tx.data, value: tx.value });
+    const asset = call?.args?.asset;
+    if (typeof asset === 'string' && ethers.id(asset) === hash) return asset;
+    return assetByHash.get(hash) ?? null;
+  }
+
+  // address (lowercase) => TokenInfo, or null when unreadable
+  const tokenInfo = new Map();
+
+  async function findTokenInfo(address) {
+    const key = address.toLowerCase();
+    if (!tokenInfo.has(key)) {
+      tokenInfo.set(key, await readTokenInfo(provider, address).catch(() => null));
+    }
+    return tokenInfo.get(key);
+  }
+
+  async function toEvent(logEntry) {
+    const contract = contracts.get(logEntry.address.toLowerCase());
+    const parsed = contract?.iface.parseLog(logEntry);
+    if (!parsed || !contract.events.includes(parsed.name)) return null;
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => { args[input.name] = parsed.args[i]; });
+
+    if (args.asset instanceof ethers.Indexed) {
+      args.assetHash = args.asset.hash;
+      args.asset = await findAsset(contract.iface, logEntry.transactionHash, args.assetHash);
+    }
+
+    if (parsed.name === 'StakeTokenUpdated') {
+      const info = await findTokenInfo(args.token);
+      args.symbol = info?.symbol ?? null;
+      args.decimals = info?.decimals ?? null;
+    }
+
+    return {
+      blockNumber: logEntry.blockNumber,
+      logIndex: logEntry.index,
+      blockHash: logEntry.blockHash,
+      txHash: logEntry.transactionHash,
+      address: ethers.getAddress(logEntry.address),
+      contract: contract.name,
+      name: parsed.name,
+      args
+    };
+  }
+
+  async function blockHash(number) {
+    const block = await provider.getBlock(number);
+    return block?.hash ?? null;
+  }
+
+  /**
+   * Roll back to the newest known block still on the canonical chain
+   * @returns {number|null} Block rolled back to, or null if no reorg
+   */
+  async function checkReorg() {
+    const checkpoint = db.getCheckpoint();
+    if (!checkpoint || await blockHash(checkpoint.number) === checkpoint.hash) return null;
+
+    let ancestor = startBlock - 1;
+    for (const known of db.getKnownBlocks()) {
+      if (known.number <= ancestor) break;
+      if (await blockHash(known.number) === known.hash) {
+        ancestor = known.number;
+        break;
+      }
+    }
+
+    log(`Reorg detected at block ${checkpoint.number}, rolling back to ${ancestor}`);
+    const kept = db.getKnownBlocks().find(b => b.number === ancestor);
+    db.transaction(() => db.rollback(ancestor, kept?.hash ?? null));
+    db.save();
+    return ancestor;
+  }
+
+  return {
+    /**
+     * Index everything up to `toBlock` (default: head minus confirmations)
+     * @returns {Promise<{ fromBlock: number, toBlock: number, events: number, reorg: number|null }>}
+     */
+    async sync({ toBlock } = {}) {
+      const reorg = await checkReorg();
+
+      const head = toBlock ?? (await provider.getBlockNumber()) - confirmations;
+      const checkpoint = db.getCheckpoint();
+      const fromBlock = Math.max(startBlock, checkpoint ? checkpoint.number + 1 : startBlock);
+      let events = 0;
+
+      for (let from = fromBlock; from <= head; from += batchSize) {
+        const to = Math.min(from + batchSize - 1, head);
+        const logs = await provider.getLogs({
+          address: [...contracts.keys()],
+          topics: [[...topics]],
+          fromBlock: from,
+          toBlock: to
+        });
+
+        const batch = [];
+        for (const entry of logs) {
+          const event = await toEvent(entry);
+          if (event) batch.push(event);
+        }
+        const hash = await blockHash(to);
+
+        db.transaction(() => {
+          batch.forEach(event => db.addEvent(event));
+          db.setCheckpoint(to, hash);
+        });
+        db.save();
+
+        events += batch.length;
+        log(`Blocks ${from}-${to}: ${batch.length} event(s)`);
+      }
+
+      return { fromBlock, toBlock: head, events, reorg };
+    }
+  };
+}
@@ -0,0 +1,505 @@
+import { createServer } from 'http';
+import { ethers } from 'ethers';
+import { RESOLVER_ABI, decodeError, findConditionHints, findRoundHint } from '../../src/index.js';
+import { mapLimit } from './map-limit.js';
+
+// ============================================
+// Market keeper
+// ============================================
+// Resolves markets as soon as their deadline passes. ChainlinkResolver
+// and PriceConditionResolver resolve on the round current at the
+// deadline but only search MAX_ROUND_LOOKBACK rounds back from the
+// latest one, so a late call first needs a round hint. An
+// OptimisticResolver market resolves once its proposal is final; the
+// keeper finalizes undisputed proposals after their challenge window.
+//
+// Every tick:
+//   1. Load markets created since the last tick
+//   2. For each unresolved, uncancelled market past its deadline, poll the resolver's
+//      canResolve() and simulate resolveMarket(); RoundNotFound sends
+//      setRoundHint(), StalePrice (and other reverts) are retried after
+//      `retryDelay`. An OptimisticResolver market whose undisputed
+//      proposal is out of its challenge window gets finalize() first
+//   3. Send resolveMarket() with a locally tracked nonce
+//   4. Check pending transactions; one still pending after `bumpAfter`
+//      is replaced (same nonce) with fees raised by `bumpPercent`
+//
+// The signer must be a plain Wallet (not a NonceManager): the keeper
+// assigns nonces itself so replacements reuse the original nonce.
+// ============================================
+
+// Parallel RPC calls when loading markets
+const CONCURRENCY = 10;
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Market states reported by status():
+ *   scheduled - deadline not reached
+ *   waiting   - deadline passed, resolver's canResolve() is false
+ *   retrying  - resolution reverted (e.g. StalePrice), retried after retryDelay
+ *   pending   - resolveMarket() sent, waiting for a receipt
+ */
+export const MARKET_STATES = ['scheduled', 'waiting', 'retrying', 'pending'];
+
+// Revert reason, or the node's own message (ethers wraps unknown
+// JSON-RPC errors as "could not coalesce error")
+function errorMessage(err) {
+  return decodeError(err).reason ?? err.error?.message ?? err.shortMessage ?? err.message;
+}
+
+function bumpFees(fees, percent, current, cap) {
+  const bumped = {};
+  for (const [key, value] of Object.entries(fees)) {
+    const raised = value * BigInt(100 + percent) / 100n;
+    bumped[key] = current[key] > raised ? current[key] : raised;
+  }
+  if (cap !== null) {
+    const capKey = 'maxFeePerGas' in bumped ? 'maxFeePerGas' : 'gasPrice';
+    if (bumped[capKey] > cap) bumped[capKey] = cap;
+    if (bumped.maxPriorityFeePerGas > bumped.maxFeePerGas) bumped.maxPriorityFeePerGas = bumped.maxFeePerGas;
+  }
+  return bumped;
+}
+
+/**
+ * Create a keeper for one deployment
+ * @param {Object} options
+ * @param {ClawshiClient} options.client - Client whose runner is a Wallet connected to a provider
+ * @param {number} [options.retryDelay] - Seconds before retrying a reverted resolution
+ * @param {number} [options.bumpAfter] - Seconds a transaction may stay pending before its fees are bumped
+ * @param {number} [options.bumpPercent] - Fee increase per bump (nodes require at least 10)
+ * @param {bigint|null} [options.maxFeePerGas] - Cap for bumped fees in wei (null: no cap)
+ * @param {Function} [options.clock] - Milliseconds since epoch, for retry and bump timing
+ * @param {Function} [options.log]
+ */
+export function createKeeper({
+  client,
+  retryDelay = 30,
+  bumpAfter = 60,
+  bumpPercent = 20,
+  maxFeePerGas = null,
+  clock = () => Date.now(),
+  log = () => {}
+}) {
+  const signer = client.runner;
+  const provider = signer.provider;
+  if (!provider || typeof signer.getAddress !== 'function') {
+    throw new Error('Keeper requires a signer connected to a provider');
+  }
+  const { factory } = client;
+
+  // marketId (number) => tracked market
+  const markets = new Map();
+  let scanned = 0;
+  let nonce = null;
+  let lastBlock = null;
+  let lastResolved = null;
+  let running = false;
+  let wake = null;
+
+  const metrics = {
+    ticks: 0,
+    tickErrors: 0,
+    submitted: 0,
+    resolved: 0,
+    resolvedElsewhere: 0,
+    reverted: 0,
+    bumps: 0,
+    staleRetries: 0,
+    roundHints: 0,
+    finalizations: 0,
+    errors: 0,
+    // Seconds between the market deadline and the resolving block
+    totalDelay: 0,
+    lastDelay: null
+  };
+
+  const resolverFor = address => new ethers.Contract(address, RESOLVER_ABI, provider);
+
+  async function discover() {
+    const count = Number(await factory.getMarketCount());
+    if (count <= scanned) return;
+
+    const ids = Array.from({ length: count - scanned }, (_, i) => scanned + i);
+    const loaded = await mapLimit(ids, CONCURRENCY, id => client.getMarket(id));
+    for (const market of loaded) {
+      if (market.resolved || market.cancelled) continue;
+      markets.set(Number(market.id), {
+        id: Number(market.id),
+        deadline: Number(market.deadline),
+        resolver: market.resolver,
+        resolverData: market.resolverData,
+        state: 'scheduled',
+        attempts: 0,
+        nextAttempt: 0,
+        lastError: null,
+        tx: null,
+        hint: null,
+        finalize: null
+      });
+    }
+    scanned = count;
+  }
+
+  function retryLater(entry, reason, delay = retryDelay) {
+    entry.state = 'retrying';
+    entry.lastError = reason;
+    entry.nextAttempt = clock() + delay * 1000;
+  }
+
+  async function currentFees() {
+    const data = await provider.getFeeData();
+    return data.maxFeePerGas !== null
+      ? { maxFeePerGas: data.maxFeePerGas, maxPriorityFeePerGas: data.maxPriorityFeePerGas }
+      : { gasPrice: data.gasPrice };
+  }
+
+  // Send with the next local nonce
+  async function broadcast(contract, method, args) {
+    try {
+      if (nonce === null) nonce = await provider.getTransactionCount(await signer.getAddress(), 'pending');
+      const gasLimit = await contract[method].estimateGas(...args) * 12n / 10n;
+      const fees = await currentFees();
+      const tx = await contract[method](...args, { nonce, gasLimit, ...fees });
+      nonce++;
+      return { tx, gasLimit, fees };
+    } catch (err) {
+      // Re-read the nonce next time: another transaction from this
+      // account (or a dropped one) may have moved it
+      nonce = null;
+      throw err;
+    }
+  }
+
+  async function send(entry) {
+    try {
+      const { tx, gasLimit, fees } = await broadcast(factory, 'resolveMarket', [entry.id]);
+      entry.state = 'pending';
+      entry.tx = { nonce: tx.nonce, hashes: [tx.hash], gasLimit, fees, sentAt: clock() };
+      metrics.submitted++;
+      log(`Market #${entry.id}: sent ${tx.hash} (nonce ${entry.tx.nonce})`);
+    } catch (err) {
+      metrics.errors++;
+      const message = errorMessage(err);
+      retryLater(entry, message, /nonce/i.test(message) ? 0 : retryDelay);
+      log(`Market #${entry.id}: send failed: ${message}`);
+    }
+  }
+
+  // setRoundHint() calls a market needs: [contract, args] pairs
+  async function roundHintCalls(entry) {
+    if (sameAddress(entry.resolver, client.addresses.ChainlinkResolver)) {
+      const resolver = client.chainlinkResolver;
+      const { roundId } = await findRoundHint(resolver, entry.id, entry.resolverData);
+      return [[resolver, [entry.id, roundId]]];
+    }
+    const resolver = client.priceConditionResolver;
+    const hints = await findConditionHints(resolver, entry.id, entry.resolverData);
+    return hints
+      .filter(hint => hint.needsHint && !hint.hintSet)
+      .map(hint => [resolver, [hint.feed, hint.timestamp, hint.roundId]]);
+  }
+
+  // A round is too far back for resolve() to find: record it with
+  // setRoundHint(), then resolve on the next tick
+  async function sendRoundHint(entry) {
+    retryLater(entry, 'RoundNotFound', 0);
+    if (entry.hint && !await provider.getTransactionReceipt(entry.hint)) return;
+
+    try {
+      for (const [resolver, args] of await roundHintCalls(entry)) {
+        const { tx } = await broadcast(resolver, 'setRoundHint', args);
+        entry.hint = tx.hash;
+        metrics.roundHints++;
+        log(`Market #${entry.id}: sent round hint ${args.at(-1)} in ${tx.hash}`);
+      }
+    } catch (err) {
+      metrics.errors++;
+      entry.lastError = errorMessage(err);
+      log(`Market #${entry.id}: round hint failed: ${entry.lastError}`);
+    }
+  }
+
+  // An undisputed proposal past its challenge window needs finalize()
+  // before canResolve() is true; resolve on a later tick
+  async function sendFinalize(entry) {
+    entry.state = 'waiting';
+    const request = await client.getOutcomeRequest(entry.id);
+    const { timestamp } = await provider.getBlock('latest');
+    if (request.status !== 'proposed' || timestamp < Number(request.challengeEnds)) return;
+    if (entry.finalize && !await provider.getTransactionReceipt(entry.finalize)) return;
+
+    try {
+      const { tx } = await broadcast(client.optimisticResolver, 'finalize', [entry.id]);
+      entry.finalize = tx.hash;
+      metrics.finalizations++;
+      log(`Market #${entry.id}: sent finalize in ${tx.hash}`);
+    } catch (err) {
+      metrics.errors++;
+      entry.lastError = errorMessage(err);
+      log(`Market #${entry.id}: finalize failed: ${entry.lastError}`);
+    }
+  }
+
+  async function attempt(entry) {
+    entry.attempts++;
+
+    const market = await client.getMarket(entry.id);
+    if (market.resolved) {
+      markets.delete(entry.id);
+      metrics.resolvedElsewhere++;
+      log(`Market #${entry.id}: already resolved`);
+      return;
+    }
+    if (market.cancelled) {
+      markets.delete(entry.id);
+      log(`Market #${entry.id}: cancelled`);
+      return;
+    }
+
+    if (!await resolverFor(entry.resolver).canResolve(entry.id, entry.resolverData)) {
+      if (sameAddress(entry.resolver, client.addresses.OptimisticResolver)) return sendFinalize(entry);
+      entry.state = 'waiting';
+      return;
+    }
+
+    try {
+      await factory.resolveMarket.staticCall(entry.id);
+    } catch (err) {
+      const reason = errorMessage(err);
+      const hinted = [client.addresses.ChainlinkResolver, client.addresses.PriceConditionResolver]
+        .some(address => sameAddress(entry.resolver, address));
+      if (reason === 'RoundNotFound' && hinted) return sendRoundHint(entry);
+
+      if (reason === 'StalePrice') metrics.staleRetries++;
+      else metrics.errors++;
+      retryLater(entry, reason);
+      log(`Market #${entry.id}: ${reason}, retrying in ${retryDelay}s`);
+      return;
+    }
+
+    await send(entry);
+  }
+
+  async function settle(entry, receipt) {
+    if (receipt.status !== 1) {
+      metrics.reverted++;
+      entry.tx = null;
+      retryLater(entry, 'Transaction reverted');
+      log(`Market #${entry.id}: ${receipt.hash} reverted`);
+      return;
+    }
+
+    const parsed = receipt.logs
+      .filter(l => l.address.toLowerCase() === client.addresses.MarketFactory.toLowerCase())
+      .map(l => factory.interface.parseLog(l))
+      .find(e => e?.name === 'MarketResolved' || e?.name === 'OutcomeResolved');
+    const block = await provider.getBlock(receipt.blockNumber);
+    const delay = block.timestamp - entry.deadline;
+
+    markets.delete(entry.id);
+    metrics.resolved++;
+    metrics.totalDelay += delay;
+    metrics.lastDelay = delay;
+    lastResolved = { marketId: entry.id, outcome: parsed?.args.outcome ?? null, hash: receipt.hash, block: receipt.blockNumber, delay };
+    const outcome = parsed?.name === 'OutcomeResolved' ? `outcome ${lastResolved.outcome}` : lastResolved.outcome ? 'YES' : 'NO';
+    log(`Market #${entry.id}: resolved ${outcome} in block ${receipt.blockNumber} (${delay}s after deadline)`);
+  }
+
+  async function bump(entry) {
+    const fees = bumpFees(entry.tx.fees, bumpPercent, await currentFees(), maxFeePerGas);
+    if (Object.entries(fees).every(([key, value]) => value <= entry.tx.fees[key])) {
+      // Already at the cap: keep waiting on the last transaction
+      return;
+    }
+
+    try {
+      const tx = await factory.resolveMarket(entry.id, { nonce: entry.tx.nonce, gasLimit: entry.tx.gasLimit, ...fees });
+      entry.tx.hashes.push(tx.hash);
+      entry.tx.fees = fees;
+      entry.tx.sentAt = clock();
+      metrics.bumps++;
+      log(`Market #${entry.id}: bumped fees, sent ${tx.hash} (nonce ${entry.tx.nonce})`);
+    } catch (err) {
+      // Usually the original was mined meanwhile; the next check finds its receipt
+      log(`Market #${entry.id}: bump failed: ${err.shortMessage || err.message}`);
+    }
+  }
+
+  async function checkPending() {
+    const from = await signer.getAddress();
+
+    for (const entry of [...markets.values()].filter(e => e.state === 'pending')) {
+      let receipt = null;
+      for (const hash of entry.tx.hashes) {
+        receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) break;
+      }
+      if (receipt) {
+        await settle(entry, receipt);
+        continue;
+      }
+
+      if (await provider.getTransactionCount(from, 'latest') > entry.tx.nonce) {
+        // The nonce was used by a transaction the keeper didn't send
+        entry.state = 'scheduled';
+        entry.tx = null;
+        nonce = null;
+        continue;
+      }
+
+      if (clock() - entry.tx.sentAt >= bumpAfter * 1000) await bump(entry);
+    }
+  }
+
+  /**
+   * Run one keeper pass
+   * @returns {Promise<{ block: number, timestamp: number, tracked: number, pending: number }>}
+   */
+  async function tick() {
+    const block = await provider.getBlock('latest');
+    await discover();
+
+    const due = [...markets.values()].filter(e =>
+      e.state !== 'pending' && e.deadline <= block.timestamp && clock() >= e.nextAttempt
+    );
+    for (const entry of due) {
+      try {
+        await attempt(entry);
+      } catch (err) {
+        metrics.errors++;
+        retryLater(entry, errorMessage(err));
+      }
+    }
+
+    await checkPending();
+
+    metrics.ticks++;
+    lastBlock = { number: block.number, timestamp: block.timestamp };
+    const pending = [...markets.values()].filter(e => e.state === 'pending').length;
+    return { block: block.number, timestamp: block.timestamp, tracked: markets.size, pending };
+  }
+
+  // Seconds until the next deadline, so markets are picked up right after
+  // their deadline instead of up to one interval later
+  function nextDeadlineIn() {
+    if (!lastBlock) return Infinity;
+    const upcoming = [...markets.values()]
+      .filter(e => e.state === 'scheduled' && e.deadline > lastBlock.timestamp)
+      .map(e => e.deadline - lastBlock.timestamp);
+    return upcoming.length ? Math.min(...upcoming) : Infinity;
+  }
+
+  /**
+   * Tick every `interval` seconds (sooner when a deadline is closer) until stop()
+   * @param {Object} [options]
+   * @param {number} [options.interval]
+   */
+  async function start({ interval = 15 } = {}) {
+    running = true;
+    while (running) {
+      try {
+        await tick();
+      } catch (err) {
+        metrics.tickErrors++;
+        log(`Tick failed: ${err.shortMessage || err.message}`);
+      }
+      if (!running) break;
+
+      const seconds = Math.max(1, Math.min(interval, nextDeadlineIn() + 1));
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, seconds * 1000);
+        wake = () => { clearTimeout(timer); resolve(); };
+      });
+      wake = null;
+    }
+  }
+
+  function stop() {
+    running = false;
+    wake?.();
+  }
+
+  function status() {
+    return {
+      running,
+      block: lastBlock,
+      nonce,
+      lastResolved,
+      markets: [...markets.values()]
+        .sort((a, b) => a.deadline - b.deadline)
+        .map(e => ({
+          marketId: e.id,
+          state: e.state,
+          deadline: e.deadline,
+          attempts: e.attempts,
+          lastError: e.lastError,
+          transactions: e.tx?.hashes ?? []
+        }))
+    };
+  }
+
+  function getMetrics() {
+    const states = Object.fromEntries(MARKET_STATES.map(s => [s, 0]));
+    for (const entry of markets.values()) states[entry.state]++;
+    return {
+      ...metrics,
+      averageDelay: metrics.resolved ? metrics.totalDelay / metrics.resolved : null,
+      tracked: markets.size,
+      states
+    };
+  }
+
+  return { tick, start, stop, status, metrics: getMetrics };
+}
+
+// Prometheus text exposition of keeper.metrics()
+export function formatMetrics(metrics) {
+  const lines = [];
+  const add = (name, type, value, help) => {
+    lines.push(`# HELP clawshi_keeper_${name} ${help}`, `# TYPE clawshi_keeper_${name} ${type}`);
+    if (value !== null && typeof value === 'object') {
+      for (const [state, count] of Object.entries(value)) lines.push(`clawshi_keeper_${name}{state="${state}"} ${count}`);
+    } else {
+      lines.push(`clawshi_keeper_${name} ${value ?? 'NaN'}`);
+    }
+  };
+
+  add('ticks_total', 'counter', metrics.ticks, 'Keeper passes run');
+  add('tick_errors_total', 'counter', metrics.tickErrors, 'Keeper passes that failed');
+  add('submitted_total', 'counter', metrics.submitted, 'resolveMarket transactions sent');
+  add('resolved_total', 'counter', metrics.resolved, 'Markets resolved by the keeper');
+  add('resolved_elsewhere_total', 'counter', metrics.resolvedElsewhere, 'Markets found already resolved');
+  add('reverted_total', 'counter', metrics.reverted, 'resolveMarket transactions that reverted');
+  add('bumps_total', 'counter', metrics.bumps, 'Fee-bumped replacement transactions');
+  add('stale_retries_total', 'counter', metrics.staleRetries, 'Resolutions retried after StalePrice');
+  add('round_hints_total', 'counter', metrics.roundHints, 'setRoundHint transactions sent');
+  add('finalizations_total', 'counter', metrics.finalizations, 'OptimisticResolver finalize transactions sent');
+  add('errors_total', 'counter', metrics.errors, 'Other failed resolution attempts');
+  add('last_delay_seconds', 'gauge', metrics.lastDelay, 'Seconds between deadline and resolution, last market');
+  add('average_delay_seconds', 'gauge', metrics.averageDelay, 'Seconds between deadline and resolution, average');
+  add('markets', 'gauge', metrics.states, 'Tracked unresolved markets by state');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * HTTP server exposing GET /status (JSON) and GET /metrics (Prometheus)
+ * @param {Object} keeper - From createKeeper()
+ * @returns {import('http').Server}
+ */
+export function createKeeperServer(keeper) {
+  return createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && pathname === '/status') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ...keeper.status(), metrics: keeper.metrics() }, (_, v) => typeof v === 'bigint' ? v.toString() : v));
+    } else if (req.method === 'GET' && pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(formatMetrics(keeper.metrics()));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { code: 'not_found', message: `No route for ${pathname}` } }));
+    }
+  });
+}
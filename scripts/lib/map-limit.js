@@ -0,0 +1,16 @@
+/**
+ * Map over items with at most `limit` calls of `fn` in flight,
+ * preserving order (used to fan out RPC reads)
+ */
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
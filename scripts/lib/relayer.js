@@ -0,0 +1,183 @@
+import { createServer } from 'http';
+import { ethers } from 'ethers';
+import { decodeError, recoverStakeIntentSigner, stakeIntentDomain, toStakeIntent } from '../../src/index.js';
+
+// ============================================
+// Stake intent relayer
+// ============================================
+// Submits EIP-712 stake intents signed by users (see src/signatures.js)
+// and pays their gas:
+//
+//   GET  /relay/info    Relayer address and the EIP-712 domain to sign for
+//   POST /relay/stake   { intent, signature, permit? } -> { hash, staker, nonce }
+//
+// Intents are checked before anything is sent: the signature must
+// recover to intent.staker, the deadline must not have passed, the
+// nonce must be the staker's current one, and stakeBySig() (or
+// stakeBySigWithPermit() with a permit) must succeed in a simulation.
+// Submissions are sent one at a time so the relayer's own nonces
+// never collide. Errors are returned as { error: { code, message } }.
+// ============================================
+
+// Largest request body accepted
+const MAX_BODY = 16 * 1024;
+
+class RelayError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const badRequest = message => new RelayError(400, 'invalid_request', message);
+
+function parsePermit(permit) {
+  if (permit === undefined || permit === null) return null;
+  try {
+    return {
+      deadline: BigInt(permit.deadline),
+      v: Number(permit.v),
+      r: ethers.hexlify(permit.r),
+      s: ethers.hexlify(permit.s)
+    };
+  } catch {
+    throw badRequest('permit must have deadline, v, r and s');
+  }
+}
+
+function parseRelayRequest(body) {
+  let intent;
+  try {
+    intent = toStakeIntent(body.intent);
+  } catch {
+    throw badRequest('intent must have staker, marketId, isYes, amount, nonce and deadline');
+  }
+  if (!ethers.isHexString(body.signature, 65)) throw badRequest('signature must be 65 bytes of hex');
+  return { intent, signature: body.signature, permit: parsePermit(body.permit) };
+}
+
+/**
+ * Create the relayer
+ * @param {Object} options
+ * @param {import('../../src/index.js').ClawshiClient} options.client - Client with the relayer's signer
+ * @param {Function} [options.log]
+ */
+export function createRelayer({ client, log = () => {} }) {
+  const provider = client.runner.provider;
+  let queue = Promise.resolve();
+
+  async function domain() {
+    const { chainId } = await provider.getNetwork();
+    return { chainId, factory: client.addresses.MarketFactory };
+  }
+
+  async function check({ intent, signature, permit }) {
+    let signer;
+    try {
+      signer = recoverStakeIntentSigner(await domain(), intent, signature);
+    } catch {
+      throw new RelayError(400, 'invalid_signature', 'Signature cannot be recovered');
+    }
+    if (signer !== intent.staker) throw new RelayError(400, 'invalid_signature', `Signed by ${signer}, not ${intent.staker}`);
+
+    const { timestamp } = await provider.getBlock('latest');
+    if (BigInt(timestamp) > intent.deadline) throw new RelayError(400, 'expired', 'Intent deadline has passed');
+
+    const nonce = await client.factory.nonces(intent.staker);
+    if (nonce !== intent.nonce) throw new RelayError(409, 'invalid_nonce', `Expected nonce ${nonce}`);
+
+    try {
+      if (permit) {
+        await client.factory.stakeBySigWithPermit.staticCall(intent, signature, permit.deadline, permit.v, permit.r, permit.s);
+      } else {
+        await client.factory.stakeBySig.staticCall(intent, signature);
+      }
+    } catch (err) {
+      throw new RelayError(422, 'would_revert', decodeError(err).reason || 'stakeBySig would revert');
+    }
+  }
+
+  return {
+    async info() {
+      const { chainId, factory } = await domain();
+      return {
+        relayer: await client.runner.getAddress(),
+        domain: stakeIntentDomain({ chainId: chainId.toString(), factory })
+      };
+    },
+
+    /**
+     * Check and submit a signed stake intent
+     * @param {{ intent: Object, signature: string, permit?: Object }} body - JSON request body
+     */
+    relay(body) {
+      const request = parseRelayRequest(body);
+      const result = queue.then(async () => {
+        await check(request);
+        const { hash, staker, nonce } = await client.relayStake(request);
+        log(`Relayed stake of ${staker} on #${request.intent.marketId} (nonce ${nonce}): ${hash}`);
+        return { hash, staker, nonce: nonce.toString(), marketId: request.intent.marketId.toString() };
+      });
+      queue = result.catch(() => {});
+      return result;
+    }
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    const onData = chunk => {
+      body += chunk;
+      if (body.length <= MAX_BODY) return;
+      // Stop buffering and drop the connection rather than read the rest
+      req.off('data', onData);
+      body = '';
+      req.destroy();
+      reject(new RelayError(413, 'too_large', 'Request body too large'));
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * HTTP server for the relayer (call .listen(port) to start)
+ * @param {ReturnType<typeof createRelayer>} relayer
+ */
+export function createRelayerServer(relayer) {
+  function send(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  return createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (req.method === 'GET' && pathname === '/relay/info') {
+        send(res, 200, await relayer.info());
+      } else if (req.method === 'POST' && pathname === '/relay/stake') {
+        let body;
+        try {
+          body = JSON.parse(await readBody(req));
+        } catch (err) {
+          throw err instanceof RelayError ? err : badRequest('Body must be JSON');
+        }
+        send(res, 200, await relayer.relay(body ?? {}));
+      } else {
+        throw new RelayError(404, 'not_found', `No route for ${req.method} ${pathname}`);
+      }
+    } catch (err) {
+      if (err instanceof RelayError) {
+        send(res, err.status, { error: { code: err.code, message: err.message } });
+      } else {
+        send(res, 502, { error: { code: 'chain_error', message: err.reason || err.shortMessage || err.message } });
+      }
+    }
+  });
+}
@@ -0,0 +1,158 @@
+import { ethers } from 'ethers';
+
+// ============================================
+// Deployment verification
+// ============================================
+// Compares a deployment record (deployments/<network>.json) with
+// what is actually on-chain: runtime bytecode against the local
+// artifacts, and protocol parameters against the recorded config.
+// ============================================
+
+const VERIFIED_CONTRACTS = [
+  'MarketFactory',
+  'ChainlinkResolver',
+  'ManualResolver',
+  'PriceConditionResolver',
+  'OptimisticResolver',
+  'QuorumResolver'
+];
+
+/**
+ * Normalize runtime bytecode for comparison:
+ * zero out immutable values and drop the trailing CBOR metadata
+ */
+export function normalizeBytecode(code, immutableReferences = {}) {
+  const bytes = ethers.getBytes(code);
+
+  for (const refs of Object.values(immutableReferences)) {
+    for (const { start, length } of refs) {
+      bytes.fill(0, start, start + length);
+    }
+  }
+
+  // Last two bytes are the big-endian length of the CBOR metadata map
+  if (bytes.length >= 2) {
+    const cborLength = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+    const cborStart = bytes.length - 2 - cborLength;
+    const isMap = cborStart >= 0 && (bytes[cborStart] & 0xe0) === 0xa0;
+    if (isMap) return ethers.hexlify(bytes.slice(0, cborStart));
+  }
+
+  return ethers.hexlify(bytes);
+}
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// A failed read is reported as drift rather than aborting the run
+async function read(fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    return `call failed: ${err.shortMessage || err.message}`;
+  }
+}
+
+/**
+ * Verify a deployment record against the chain
+ * @param {Object} params
+ * @param {ethers.Provider} params.provider
+ * @param {Object} params.record - Deployment record
+ * @param {Function} params.getArtifact - Contract name => compiled artifact
+ * @returns {Promise<{ ok: boolean, network: string, chainId: number, checks: Object[], drift: Object[] }>}
+ *   checks: { check, expected, actual, ok }; drift: the failed checks
+ */
+export async function verifyDeployment({ provider, record, getArtifact }) {
+  const checks = [];
+  const check = (name, expected, actual, ok = expected === actual) => {
+    checks.push({ check: name, expected, actual, ok });
+  };
+
+  const { chainId } = await provider.getNetwork();
+  check('chainId', Number(record.chainId), Number(chainId));
+
+  // ---- Bytecode ----
+
+  for (const name of VERIFIED_CONTRACTS) {
+    const address = record.contracts[name]?.address;
+    if (!address) continue;
+
+    const artifact = getArtifact(name);
+    const onChain = await provider.getCode(address);
+
+    if (onChain === '0x') {
+      check(`bytecode.${name}`, 'contract code', 'no code', false);
+      continue;
+    }
+
+    const expected = normalizeBytecode(artifact.deployedBytecode, artifact.immutableReferences);
+    const actual = normalizeBytecode(onChain, artifact.immutableReferences);
+    check(`bytecode.${name}`, ethers.keccak256(expected), ethers.keccak256(actual));
+  }
+
+  // ---- MarketFactory parameters ----
+
+  const factoryAddress = record.contracts.MarketFactory?.address;
+  if (factoryAddress) {
+    const factory = new ethers.Contract(factoryAddress, getArtifact('MarketFactory').abi, provider);
+    const config = record.config || {};
+
+    if (record.tokens?.USDC) {
+      const usdc = await read(() => factory.usdc());
+      check('usdc', record.tokens.USDC.address, usdc, sameAddress(usdc, record.tokens.USDC.address));
+    }
+
+    for (const key of ['owner', 'treasury']) {
+      if (config[key] === undefined) continue;
+      const actual = await read(() => factory[key]());
+      check(key, config[key], actual, sameAddress(actual, config[key]));
+    }
+
+    for (const key of ['protocolFeeBps', 'maxCreatorFeeBps', 'timelockDelay']) {
+      if (config[key] === undefined) continue;
+      check(key, String(config[key]), String(await read(() => factory[key]())));
+    }
+
+    // A revoked token reports 'revoked' instead of its minimum
+    const stakeTokens = Object.entries(config.stakeTokens || {});
+    if (config.minStake !== undefined && record.tokens?.USDC) stakeTokens.unshift(['USDC', config.minStake]);
+    for (const [token, minStake] of stakeTokens) {
+      const current = await read(() => factory.stakeTokens(token === 'USDC' ? record.tokens.USDC.address : token));
+      const actual = typeof current === 'string' ? current : current.approved ? String(current.minStake) : 'revoked';
+      check(`stakeTokens.${token}`, String(minStake), actual);
+    }
+
+    const approved = config.approvedResolvers || VERIFIED_CONTRACTS.filter(n => n !== 'MarketFactory');
+    for (const name of approved) {
+      const address = record.contracts[name]?.address;
+      if (!address) continue;
+      check(`approvedResolvers.${name}`, true, await read(() => factory.approvedResolvers(address)));
+    }
+  }
+
+  // ---- Price feeds ----
+
+  const chainlinkAddress = record.contracts.ChainlinkResolver?.address;
+  if (chainlinkAddress) {
+    const chainlink = new ethers.Contract(chainlinkAddress, getArtifact('ChainlinkResolver').abi, provider);
+
+    if (record.config?.timelockDelay !== undefined) {
+      check('chainlinkTimelockDelay', String(record.config.timelockDelay), String(await read(() => chainlink.timelockDelay())));
+    }
+
+    // Recorded as "BTC/USD"; the resolver is keyed by asset ("BTC")
+    for (const [pair, feed] of Object.entries(record.priceFeeds || {})) {
+      const asset = pair.split('/')[0];
+      const actual = await read(() => chainlink.priceFeeds(asset));
+      check(`priceFeeds.${pair}`, feed, actual, sameAddress(actual, feed));
+    }
+  }
+
+  return {
+    ok: checks.every(c => c.ok),
+    network: record.network,
+    chainId: Number(chainId),
+    compiler: record.compiler?.version || null,
+    checks,
+    drift: checks.filter(c => !c.ok)
+  };
+}
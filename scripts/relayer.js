@@ -0,0 +1,81 @@
+import 'dotenv/config';
+import { ethers } from 'ethers';
+import { existsSync, readFileSync } from 'fs';
+import networks from '../config/networks.js';
+import { ClawshiClient } from '../src/index.js';
+import { deploymentPath } from './lib/deploy.js';
+import { createRelayer, createRelayerServer } from './lib/relayer.js';
+
+// ============================================
+// Clawshi Stake Relayer
+// ============================================
+// Usage: npm run relayer -- --network <name> [--port 3001] [--host 127.0.0.1]
+//
+// Submits signed stake intents for the deployment recorded in
+// deployments/<name>.json and pays their gas (see scripts/lib/relayer.js).
+// Signs with the network's private key (config.privateKeyEnv in .env).
+// ============================================
+
+function parseArgs(argv) {
+  const args = { port: process.env.RELAYER_PORT || 3001, host: '127.0.0.1' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--network') args.network = argv[++i];
+    else if (argv[i] === '--port') args.port = argv[++i];
+    else if (argv[i] === '--host') args.host = argv[++i];
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const config = networks[args.network];
+
+if (!config || !existsSync(deploymentPath(args.network))) {
+  console.error('Usage: npm run relayer -- --network <name> [--port 3001] [--host 127.0.0.1]');
+  console.error('');
+  console.error('Networks with a deployment record: ' +
+    Object.keys(networks).filter(n => existsSync(deploymentPath(n))).join(', '));
+  process.exit(1);
+}
+
+const PRIVATE_KEY = process.env[config.privateKeyEnv] || config.defaultPrivateKey;
+
+if (!PRIVATE_KEY) {
+  console.error(`Missing ${config.privateKeyEnv} in .env`);
+  process.exit(1);
+}
+
+const record = JSON.parse(readFileSync(deploymentPath(args.network), 'utf8'));
+const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+
+const client = new ClawshiClient({
+  runner: wallet,
+  addresses: {
+    MarketFactory: record.contracts.MarketFactory.address,
+    USDC: record.tokens?.USDC?.address
+  }
+});
+
+const relayer = createRelayer({
+  client,
+  log: msg => console.log(`[${new Date().toISOString()}] ${msg}`)
+});
+const server = createRelayerServer(relayer);
+
+server.listen(Number(args.port), args.host, () => {
+  console.log('='.repeat(60));
+  console.log(`Clawshi Relayer - ${config.name}`);
+  console.log('='.repeat(60));
+  console.log('');
+  console.log('Relayer: ' + wallet.address);
+  console.log('Factory: ' + client.addresses.MarketFactory);
+  console.log('');
+  console.log(`✅ Listening on http://${args.host}:${server.address().port}/relay`);
+});
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    console.log('Stopping...');
+    server.close();
+  });
+}
@@ -0,0 +1,77 @@
+import { readdirSync } from 'fs';
+import { startChain } from '../test/helpers/chain.js';
+import { log, getResults } from '../test/helpers/report.js';
+
+// ============================================
+// Clawshi Protocol Local Test Suite
+// ============================================
+// Runs every test/*.test.js against a fresh in-process chain.
+// No RPC, private key or USDC required.
+//
+// Usage: node scripts/test-local.js [filter]
+// ============================================
+
+const TEST_DIR = new URL('../test/', import.meta.url);
+
+async function run() {
+  const filter = process.argv[2];
+  const suites = readdirSync(TEST_DIR)
+    .filter(f => f.endsWith('.test.js'))
+    .filter(f => !filter || f.includes(filter))
+    .sort();
+
+  log('');
+  log('╔════════════════════════════════════════════════════════════╗');
+  log('║         CLAWSHI PROTOCOL - LOCAL TEST SUITE                ║');
+  log('╚════════════════════════════════════════════════════════════╝');
+  log('');
+
+  const started = Date.now();
+
+  for (const file of suites) {
+    log(`▶ ${file}`);
+    log('');
+
+    const { default: suite } = await import(new URL(file, TEST_DIR));
+    const chain = await startChain();
+    try {
+      await suite(chain);
+    } finally {
+      await chain.close();
+    }
+  }
+
+  const results = getResults();
+  const seconds = ((Date.now() - started) / 1000).toFixed(1);
+
+  log('╔════════════════════════════════════════════════════════════╗');
+  log('║                    TEST SUMMARY                            ║');
+  log('╚════════════════════════════════════════════════════════════╝');
+  log('');
+  log(`  Suites: ${suites.length}`);
+  log(`  Passed: ${results.passed}`);
+  log(`  Failed: ${results.failed}`);
+  log(`  Time:   ${seconds}s`);
+  log('');
+
+  if (results.failed === 0) {
+    log('  ✅ ALL TESTS PASSED!');
+  } else {
+    log('  ❌ SOME TESTS FAILED');
+    log('');
+    log('  Failed tests:');
+    results.tests
+      .filter(t => !t.passed)
+      .forEach(t => log(`    - ${t.name}: ${t.details || 'Unknown error'}`));
+  }
+
+  log('');
+  log('════════════════════════════════════════════════════════════════');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+run().catch(err => {
+  console.error('Test suite failed:', err);
+  process.exit(1);
+});
@@ -1,5 +1,6 @@
 import 'dotenv/config';
 import { ethers } from 'ethers';
+import { getNetwork, FACTORY_ABI, LEGACY_FACTORY_ABI, CHAINLINK_RESOLVER_ABI, MANUAL_RESOLVER_ABI, ERC20_ABI } from '../src/index.js';
 
 // ============================================
 // Clawshi Protocol Test Suite
@@ -11,54 +12,13 @@ import { ethers } from 'ethers';
 const RPC_URL = process.env.MAINNET_RPC_URL || 'https://base.publicnode.com';
 const PRIVATE_KEY = process.env.MAINNET_PRIVATE_KEY;
 
-// Deployed contracts
+const network = getNetwork('base-mainnet');
+
 const CONTRACTS = {
-  MarketFactory: '0xc0DeBCEa2F1BcB268b01777ff9c8E3BB4dA85559',
-  ChainlinkResolver: '0xDEbe4E62bEE1DA1657008480e6d91a3f1E3CCaeC',
-  ManualResolver: '0x3602D8989920B9A9451BF9D9562Bb97BA7cEd1bb',
-  USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
+  ...network.contracts,
+  USDC: network.usdc
 };
 
-// ABIs
-const FACTORY_ABI = [
-  'function createMarket(string calldata question, address resolver, bytes calldata resolverData, uint256 deadline, uint256 creatorFeeBps) external returns (uint256)',
-  'function stake(uint256 marketId, bool isYes, uint256 amount) external',
-  'function resolveMarket(uint256 marketId) external',
-  'function claim(uint256 marketId) external',
-  'function getMarket(uint256 marketId) external view returns (tuple(uint256 id, string question, address creator, address resolver, bytes resolverData, uint256 deadline, uint256 yesPool, uint256 noPool, uint256 creatorFee, bool resolved, bool outcome, bool paused))',
-  'function getStake(uint256 marketId, address user) external view returns (tuple(uint256 amount, bool isYes, bool claimed))',
-  'function getMarketCount() external view returns (uint256)',
-  'function getOdds(uint256 marketId) external view returns (uint256 yesOdds, uint256 noOdds)',
-  'function calculatePayout(uint256 marketId, bool isYes, uint256 amount) external view returns (uint256)',
-  'function approvedResolvers(address) external view returns (bool)',
-  'function owner() external view returns (address)',
-  'function protocolFeeBps() external view returns (uint256)',
-  'function minStake() external view returns (uint256)'
-];
-
-const RESOLVER_ABI = [
-  'function encodeParams(string memory asset, uint256 targetPrice, bool isGreaterThan, uint256 deadline) external pure returns (bytes memory)',
-  'function getPrice(string calldata asset) external view returns (uint256 price, uint8 decimals)',
-  'function canResolve(uint256 marketId, bytes calldata resolverData) external view returns (bool)',
-  'function resolverType() external pure returns (string memory)'
-];
-
-const MANUAL_RESOLVER_ABI = [
-  'function setOutcome(uint256 marketId, bool outcome) external',
-  'function setDeadline(uint256 marketId, uint256 deadline) external',
-  'function isOutcomeSet(uint256 marketId) external view returns (bool)',
-  'function getOutcome(uint256 marketId) external view returns (bool outcome, bool isSet)',
-  'function canResolve(uint256 marketId, bytes calldata resolverData) external view returns (bool)',
-  'function admin() external view returns (address)'
-];
-
-const ERC20_ABI = [
-  'function approve(address spender, uint256 amount) external returns (bool)',
-  'function allowance(address owner, address spender) external view returns (uint256)',
-  'function balanceOf(address account) external view returns (uint256)',
-  'function decimals() external view returns (uint8)'
-];
-
 // Test results
 const results = {
   passed: 0,
@@ -103,8 +63,9 @@ async function runTests() {
   log('');
 
   // Contracts
-  const factory = new ethers.Contract(CONTRACTS.MarketFactory, FACTORY_ABI, wallet);
-  const chainlinkResolver = new ethers.Contract(CONTRACTS.ChainlinkResolver, RESOLVER_ABI, provider);
+  // The recorded factory predates stake tokens until it is redeployed
+  const factory = new ethers.Contract(CONTRACTS.MarketFactory, network.legacy ? LEGACY_FACTORY_ABI : FACTORY_ABI, wallet);
+  const chainlinkResolver = new ethers.Contract(CONTRACTS.ChainlinkResolver, CHAINLINK_RESOLVER_ABI, provider);
   const manualResolver = new ethers.Contract(CONTRACTS.ManualResolver, MANUAL_RESOLVER_ABI, wallet);
   const usdc = new ethers.Contract(CONTRACTS.USDC, ERC20_ABI, wallet);
 
@@ -145,8 +106,14 @@ async function runTests() {
   test('Protocol fee is 1%', protocolFee === 100n, `Got: ${protocolFee} bps`);
 
   // Check min stake
-  const minStake = await factory.minStake();
-  test('Min stake is 0.1 USDC', minStake === 100000n, `Got: ${minStake}`);
+  if (network.legacy) {
+    const minStake = await factory.minStake();
+    test('Min stake is 0.1 USDC', minStake === 100000n, `Got: ${minStake}`);
+  } else {
+    const usdcStake = await factory.stakeTokens(await factory.usdc());
+    test('USDC is an approved stake token', usdcStake.approved);
+    test('Min stake is 0.1 USDC', usdcStake.minStake === 100000n, `Got: ${usdcStake.minStake}`);
+  }
 
   // Check resolvers approved
   const chainlinkApproved = await factory.approvedResolvers(CONTRACTS.ChainlinkResolver);
@@ -222,13 +189,15 @@ async function runTests() {
   const deadline = Math.floor(Date.now() / 1000) + 120; // 2 minutes
 
   try {
-    const createTx = await factory.createMarket(
+    const createArgs = [
       testQuestion,
       CONTRACTS.ManualResolver,
       '0x', // No resolver data needed for manual
       deadline,
       0 // No creator fee
-    );
+    ];
+    // Current factories take the collateral token too
+    const createTx = await factory.createMarket(...createArgs, ...(network.legacy ? [] : [await factory.usdc()]));
     await createTx.wait();
 
     const marketCountAfter = await factory.getMarketCount();
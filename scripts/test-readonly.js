@@ -1,5 +1,6 @@
 import 'dotenv/config';
 import { ethers } from 'ethers';
+import { getNetwork, FACTORY_ABI, LEGACY_FACTORY_ABI, CHAINLINK_RESOLVER_ABI, MANUAL_RESOLVER_ABI } from '../src/index.js';
 
 // ============================================
 // Clawshi Protocol Read-Only Tests
@@ -10,37 +11,13 @@ import { ethers } from 'ethers';
 
 const RPC_URL = process.env.MAINNET_RPC_URL || 'https://base.publicnode.com';
 
+const network = getNetwork('base-mainnet');
+
 const CONTRACTS = {
-  MarketFactory: '0xc0DeBCEa2F1BcB268b01777ff9c8E3BB4dA85559',
-  ChainlinkResolver: '0xDEbe4E62bEE1DA1657008480e6d91a3f1E3CCaeC',
-  ManualResolver: '0x3602D8989920B9A9451BF9D9562Bb97BA7cEd1bb',
-  USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
+  ...network.contracts,
+  USDC: network.usdc
 };
 
-const FACTORY_ABI = [
-  'function getMarket(uint256 marketId) external view returns (tuple(uint256 id, string question, address creator, address resolver, bytes resolverData, uint256 deadline, uint256 yesPool, uint256 noPool, uint256 creatorFee, bool resolved, bool outcome, bool paused))',
-  'function getMarketCount() external view returns (uint256)',
-  'function getOdds(uint256 marketId) external view returns (uint256 yesOdds, uint256 noOdds)',
-  'function approvedResolvers(address) external view returns (bool)',
-  'function owner() external view returns (address)',
-  'function treasury() external view returns (address)',
-  'function protocolFeeBps() external view returns (uint256)',
-  'function minStake() external view returns (uint256)',
-  'function maxCreatorFeeBps() external view returns (uint256)'
-];
-
-const RESOLVER_ABI = [
-  'function getPrice(string calldata asset) external view returns (uint256 price, uint8 decimals)',
-  'function priceFeeds(string) external view returns (address)',
-  'function resolverType() external pure returns (string memory)',
-  'function owner() external view returns (address)'
-];
-
-const MANUAL_ABI = [
-  'function admin() external view returns (address)',
-  'function resolverType() external pure returns (string memory)'
-];
-
 let passed = 0;
 let failed = 0;
 
@@ -64,9 +41,10 @@ async function run() {
   const provider = new ethers.JsonRpcProvider(RPC_URL);
 
   // Contracts
-  const factory = new ethers.Contract(CONTRACTS.MarketFactory, FACTORY_ABI, provider);
-  const chainlink = new ethers.Contract(CONTRACTS.ChainlinkResolver, RESOLVER_ABI, provider);
-  const manual = new ethers.Contract(CONTRACTS.ManualResolver, MANUAL_ABI, provider);
+  // The recorded factory predates stake tokens until it is redeployed
+  const factory = new ethers.Contract(CONTRACTS.MarketFactory, network.legacy ? LEGACY_FACTORY_ABI : FACTORY_ABI, provider);
+  const chainlink = new ethers.Contract(CONTRACTS.ChainlinkResolver, CHAINLINK_RESOLVER_ABI, provider);
+  const manual = new ethers.Contract(CONTRACTS.ManualResolver, MANUAL_RESOLVER_ABI, provider);
 
   // ========================================
   // 1. DEPLOYMENT CHECK
@@ -98,8 +76,14 @@ async function run() {
   const protocolFee = await factory.protocolFeeBps();
   test('Protocol fee = 1%', protocolFee === 100n, `${protocolFee} bps`);
 
-  const minStake = await factory.minStake();
-  test('Min stake = 0.1 USDC', minStake === 100000n, `${ethers.formatUnits(minStake, 6)} USDC`);
+  if (network.legacy) {
+    const minStake = await factory.minStake();
+    test('Min stake = 0.1 USDC', minStake === 100000n, `${ethers.formatUnits(minStake, 6)} USDC`);
+  } else {
+    const usdcStake = await factory.stakeTokens(await factory.usdc());
+    test('USDC approved as collateral', usdcStake.approved);
+    test('Min stake = 0.1 USDC', usdcStake.minStake === 100000n, `${ethers.formatUnits(usdcStake.minStake, 6)} USDC`);
+  }
 
   const maxCreatorFee = await factory.maxCreatorFeeBps();
   test('Max creator fee = 5%', maxCreatorFee === 500n, `${maxCreatorFee} bps`);
@@ -186,7 +170,7 @@ async function run() {
 
   if (failed === 0) {
     console.log('  All read-only tests passed!');
-    console.log('  Run `npm run test:full` for complete test with transactions.');
+    console.log('  Run `npm run test:mainnet` for complete test with transactions.');
   } else {
     console.log('  Some tests failed. Check contract deployment.');
   }
@@ -197,4 +181,7 @@ async function run() {
   process.exit(failed > 0 ? 1 : 0);
 }
 
-run().catch(console.error);
+run().catch(err => {
+  console.error('Read-only tests failed:', err);
+  process.exit(1);
+});
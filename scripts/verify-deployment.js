@@ -0,0 +1,86 @@
+import 'dotenv/config';
+import { ethers } from 'ethers';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import networks from '../config/networks.js';
+import { compile, findArtifact, ARTIFACTS_DIR } from './lib/compile.js';
+import { deploymentPath } from './lib/deploy.js';
+import { verifyDeployment } from './lib/verify.js';
+
+// ============================================
+// Clawshi Deployment Verification
+// ============================================
+// Usage: npm run verify-deployment -- --network <name> [--json] [--out report.json]
+//
+// Exit code 0 when the chain matches deployments/<name>.json,
+// 1 on drift or error.
+// ============================================
+
+function parseArgs(argv) {
+  const args = { json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--network') args.network = argv[++i];
+    else if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--json') args.json = true;
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const config = networks[args.network];
+
+if (!config || !existsSync(deploymentPath(args.network))) {
+  console.error('Usage: npm run verify-deployment -- --network <name> [--json] [--out report.json]');
+  console.error('');
+  console.error('Networks with a deployment record: ' +
+    Object.keys(networks).filter(n => existsSync(deploymentPath(n))).join(', '));
+  process.exit(1);
+}
+
+const log = args.json ? () => {} : console.log;
+
+async function run() {
+  const record = JSON.parse(readFileSync(deploymentPath(args.network), 'utf8'));
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+
+  // Rebuild with the settings the deployment was compiled with, when recorded
+  const { artifacts } = compile(record.compiler
+    ? { settings: record.compiler.settings, outDir: join(ARTIFACTS_DIR, args.network) }
+    : {});
+
+  const report = await verifyDeployment({
+    provider,
+    record,
+    getArtifact: name => findArtifact(artifacts, name)
+  });
+
+  log('='.repeat(60));
+  log(`Deployment Verification - ${config.name}`);
+  log('='.repeat(60));
+  log('');
+
+  for (const c of report.checks) {
+    log(`  ${c.ok ? '✅' : '❌'} ${c.check}`);
+    if (!c.ok) {
+      log(`     expected: ${c.expected}`);
+      log(`     actual:   ${c.actual}`);
+    }
+  }
+
+  log('');
+  log(report.ok ? '✅ No drift detected' : `❌ ${report.drift.length} check(s) drifted`);
+
+  const json = JSON.stringify(report, null, 2);
+  if (args.json) console.log(json);
+  if (args.out) {
+    writeFileSync(args.out, json + '\n');
+    log(`Report saved to: ${args.out}`);
+  }
+
+  process.exit(report.ok ? 0 : 1);
+}
+
+run().catch(err => {
+  console.error('Verification failed:', err.shortMessage || err.message);
+  process.exit(1);
+});
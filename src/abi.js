@@ -0,0 +1,487 @@
+// ============================================
+// Clawshi Protocol ABIs
+// ============================================
+// Human-readable ABI fragments for the contracts in contracts/, as
+// deployed by scripts/deploy-protocol.js. Checked against the compiled
+// contracts by test/abi.test.js. LEGACY_FACTORY_ABI covers the older
+// factory still recorded for networks marked `legacy`.
+// ============================================
+
+const MARKET_TUPLE = 'tuple(uint256 id, string question, address creator, address resolver, bytes resolverData, address token, uint256 deadline, uint256 yesPool, uint256 noPool, uint256 exitFees, uint256 creatorFee, bool resolved, bool outcome, bool paused, bool cancelled, bool refundOnly)';
+const STAKE_TUPLE = 'tuple(uint256 amount, bool isYes, bool claimed)';
+const STAKE_INTENT_TUPLE = 'tuple(address staker, uint256 marketId, bool isYes, uint256 amount, uint256 nonce, uint256 deadline)';
+
+// Two-step ownership and timelock queue (contracts/core/Timelocked.sol),
+// shared by MarketFactory and ChainlinkResolver
+export const TIMELOCK_ABI = [
+  'function owner() external view returns (address)',
+  'function pendingOwner() external view returns (address)',
+  'function transferOwnership(address newOwner) external',
+  'function acceptOwnership() external',
+  'function timelockDelay() external view returns (uint256)',
+  'function GRACE_PERIOD() external view returns (uint256)',
+  'function MAX_DELAY() external view returns (uint256)',
+  'function queuedActions(bytes32) external view returns (bool)',
+  'function queueAction(bytes calldata data) external returns (bytes32 id, uint256 eta)',
+  'function cancelAction(bytes calldata data, uint256 eta) external',
+  'function executeAction(bytes calldata data, uint256 eta) external',
+  'function setTimelockDelay(uint256 newDelay) external',
+  'function actionId(bytes calldata data, uint256 eta) external pure returns (bytes32)',
+
+  'event OwnershipTransferInitiated(address indexed newOwner)',
+  'event OwnershipTransferCompleted(address indexed newOwner)',
+  'event ActionQueued(bytes32 indexed id, bytes data, uint256 eta)',
+  'event ActionCancelled(bytes32 indexed id)',
+  'event ActionExecuted(bytes32 indexed id, bytes data, uint256 eta)',
+  'event TimelockDelayUpdated(uint256 newDelay)',
+
+  'error Unauthorized()',
+  'error ZeroAddress()',
+  'error InvalidDelay()',
+  'error ActionAlreadyQueued()',
+  'error ActionNotQueued()',
+  'error ActionNotReady()',
+  'error ActionExpired()'
+];
+
+export const FACTORY_ABI = [
+  ...TIMELOCK_ABI,
+
+  // Market lifecycle
+  'function createMarket(string calldata question, address resolver, bytes calldata resolverData, uint256 deadline, uint256 creatorFeeBps, address token) external returns (uint256 marketId)',
+  'function createCategoricalMarket(string calldata question, string[] calldata outcomes, address resolver, bytes calldata resolverData, uint256 deadline, uint256 creatorFeeBps, address token) external returns (uint256 marketId)',
+  'function stakeOutcome(uint256 marketId, uint256 outcome, uint256 amount) external',
+  'function stake(uint256 marketId, bool isYes, uint256 amount) external',
+  'function unstake(uint256 marketId, uint256 amount) external',
+  'function switchSide(uint256 marketId) external',
+  'function stakeWithPermit(uint256 marketId, bool isYes, uint256 amount, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s) external',
+  `function stakeBySig(${STAKE_INTENT_TUPLE} intent, bytes signature) external`,
+  `function stakeBySigWithPermit(${STAKE_INTENT_TUPLE} intent, bytes signature, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s) external`,
+  'function incrementNonce() external',
+  'function resolveMarket(uint256 marketId) external',
+  'function claim(uint256 marketId) external',
+  'function cancelMarket(uint256 marketId) external',
+  'function refund(uint256 marketId) external',
+  'function stakeMany(uint256[] calldata marketIds, bool[] calldata sides, uint256[] calldata amounts) external',
+  'function resolveMany(uint256[] calldata marketIds) external returns (uint256 resolvedCount)',
+  'function claimMany(uint256[] calldata marketIds) external returns (uint256 total)',
+
+  // Fees
+  'function withdrawFees(address token) external returns (uint256 amount)',
+  'function withdrawFeesTo(address token, address to) external returns (uint256 amount)',
+  'function accruedFees(address recipient, address token) external view returns (uint256)',
+  'function lifetimeFees(address recipient, address token) external view returns (uint256)',
+  'function totalAccruedFees(address token) external view returns (uint256)',
+  'function marketFees(uint256) external view returns (uint256 treasury, uint256 creator)',
+  'function totalMarketFunds(address token) external view returns (uint256)',
+  'function withdrawableSurplus(address token) external view returns (uint256)',
+
+  // Views
+  `function getMarket(uint256 marketId) external view returns (${MARKET_TUPLE})`,
+  'function getResolverSnapshot(uint256 marketId) external view returns (tuple(bool pinned, address feed, uint8 feedDecimals, uint256 version))',
+  `function getStake(uint256 marketId, address user) external view returns (${STAKE_TUPLE})`,
+  'function getMarketCount() external view returns (uint256)',
+  'function getOdds(uint256 marketId) external view returns (uint256 yesOdds, uint256 noOdds)',
+  'function calculatePayout(uint256 marketId, bool isYes, uint256 amount) external view returns (uint256 potentialPayout)',
+  'function categoricals(uint256) external view returns (uint256 outcomeCount, uint256 totalPool, uint256 winningOutcome)',
+  'function outcomePools(uint256, uint256) external view returns (uint256)',
+  'function stakeOutcomes(uint256, address) external view returns (uint256)',
+  'function getOutcomePools(uint256 marketId) external view returns (uint256[] pools)',
+  'function usdc() external view returns (address)',
+  'function stakeTokens(address token) external view returns (bool approved, uint256 minStake)',
+  'function getStakeTokens() external view returns (address[])',
+  'function treasury() external view returns (address)',
+  'function protocolFeeBps() external view returns (uint256)',
+  'function maxCreatorFeeBps() external view returns (uint256)',
+  'function MAX_QUESTION_LENGTH() external view returns (uint256)',
+  'function MAX_DEADLINE_HORIZON() external view returns (uint256)',
+  'function MAX_OUTCOMES() external view returns (uint256)',
+  'function exitFeeBps() external view returns (uint256)',
+  'function resolutionTimeout() external view returns (uint256)',
+  'function oneSidedPolicy() external view returns (uint8)',
+  'function approvedResolvers(address) external view returns (bool)',
+  'function nonces(address) external view returns (uint256)',
+  'function DOMAIN_SEPARATOR() external view returns (bytes32)',
+  'function STAKE_INTENT_TYPEHASH() external view returns (bytes32)',
+  `function hashStakeIntent(${STAKE_INTENT_TUPLE} intent) external view returns (bytes32)`,
+
+  // Admin
+  'function setResolverApproval(address resolver, bool approved) external',
+  'function setProtocolFee(uint256 newFeeBps) external',
+  'function setStakeToken(address token, bool approved, uint256 minStake) external',
+  'function setExitFee(uint256 newFeeBps) external',
+  'function setResolutionTimeout(uint256 newTimeout) external',
+  'function setOneSidedPolicy(uint8 policy) external',
+  'function setTreasury(address newTreasury) external',
+  'function pauseMarket(uint256 marketId, bool paused) external',
+  'function emergencyWithdraw(address token, uint256 amount) external',
+
+  // Events
+  'event MarketCreated(uint256 indexed marketId, string question, address indexed creator, address indexed resolver, uint256 deadline, address token)',
+  'event ResolverPinned(uint256 indexed marketId, address feed, uint8 feedDecimals, uint256 version)',
+  'event Staked(uint256 indexed marketId, address indexed user, bool isYes, uint256 amount)',
+  'event MarketResolved(uint256 indexed marketId, bool outcome, uint256 yesPool, uint256 noPool)',
+  'event Claimed(uint256 indexed marketId, address indexed user, uint256 payout)',
+  'event ResolverApproved(address indexed resolver, bool approved)',
+  'event ProtocolFeeUpdated(uint256 newFeeBps)',
+  'event TreasuryUpdated(address newTreasury)',
+  'event StakeTokenUpdated(address indexed token, bool approved, uint256 minStake)',
+  'event MarketPaused(uint256 indexed marketId, bool paused)',
+  'event MarketCancelled(uint256 indexed marketId, address indexed cancelledBy)',
+  'event Refunded(uint256 indexed marketId, address indexed user, uint256 amount)',
+  'event ResolutionTimeoutUpdated(uint256 newTimeout)',
+  'event OneSidedPolicyUpdated(uint8 policy)',
+  'event MarketRefundable(uint256 indexed marketId)',
+  'event LosingPoolSwept(uint256 indexed marketId, uint256 amount)',
+  'event Unstaked(uint256 indexed marketId, address indexed user, bool isYes, uint256 amount, uint256 fee)',
+  'event SideSwitched(uint256 indexed marketId, address indexed user, bool isYes, uint256 amount, uint256 fee)',
+  'event ExitFeeUpdated(uint256 newFeeBps)',
+  'event ExitFeesSwept(uint256 indexed marketId, uint256 amount)',
+  'event StakeIntentExecuted(address indexed staker, uint256 nonce, address indexed relayer)',
+  'event NonceIncremented(address indexed staker, uint256 newNonce)',
+  'event FeesAccrued(uint256 indexed marketId, address indexed treasury, uint256 treasuryAmount, address indexed creator, uint256 creatorAmount)',
+  'event FeesWithdrawn(address indexed recipient, address indexed to, address token, uint256 amount)',
+  'event CategoricalMarketCreated(uint256 indexed marketId, string[] outcomes)',
+  'event OutcomeStaked(uint256 indexed marketId, address indexed user, uint256 outcome, uint256 amount)',
+  'event OutcomeResolved(uint256 indexed marketId, uint256 outcome, uint256 winningPool, uint256 totalPool)',
+
+  // Errors
+  'error InvalidResolver()',
+  'error InvalidDeadline()',
+  'error InvalidAmount()',
+  'error InvalidPosition()',
+  'error MarketNotFound()',
+  'error MarketAlreadyResolved()',
+  'error MarketNotResolved()',
+  'error MarketPausedError()',
+  'error DeadlinePassed()',
+  'error DeadlineNotPassed()',
+  'error AlreadyClaimed()',
+  'error NoWinnings()',
+  'error TransferFailed()',
+  'error ReentrancyGuard()',
+  'error CreatorFeeTooHigh()',
+  'error CannotResolveYet()',
+  'error MarketCancelledError()',
+  'error MarketNotCancelled()',
+  'error CannotCancelYet()',
+  'error NothingToRefund()',
+  'error InvalidSignature()',
+  'error IntentExpired()',
+  'error InvalidNonce()',
+  'error NoFeesAccrued()',
+  'error InvalidRecipient()',
+  'error ExceedsSurplus()',
+  'error InvalidQuestion()',
+  'error ResolutionBeforeDeadline()',
+  'error InvalidOutcome()',
+  'error InvalidToken()'
+];
+
+// MarketFactory of deployments marked `legacy` (base-mainnet): the
+// original contract, without stake tokens, cancellation or the later
+// market fields. Used by scripts/test-*.js until it is redeployed.
+const LEGACY_MARKET_TUPLE = 'tuple(uint256 id, string question, address creator, address resolver, bytes resolverData, uint256 deadline, uint256 yesPool, uint256 noPool, uint256 creatorFee, bool resolved, bool outcome, bool paused)';
+
+export const LEGACY_FACTORY_ABI = [
+  // Market lifecycle
+  'function createMarket(string calldata question, address resolver, bytes calldata resolverData, uint256 deadline, uint256 creatorFeeBps) external returns (uint256 marketId)',
+  'function stake(uint256 marketId, bool isYes, uint256 amount) external',
+  'function resolveMarket(uint256 marketId) external',
+  'function claim(uint256 marketId) external',
+
+  // Views
+  `function getMarket(uint256 marketId) external view returns (${LEGACY_MARKET_TUPLE})`,
+  `function getStake(uint256 marketId, address user) external view returns (${STAKE_TUPLE})`,
+  'function getMarketCount() external view returns (uint256)',
+  'function getOdds(uint256 marketId) external view returns (uint256 yesOdds, uint256 noOdds)',
+  'function calculatePayout(uint256 marketId, bool isYes, uint256 amount) external view returns (uint256 potentialPayout)',
+  'function usdc() external view returns (address)',
+  'function owner() external view returns (address)',
+  'function treasury() external view returns (address)',
+  'function protocolFeeBps() external view returns (uint256)',
+  'function minStake() external view returns (uint256)',
+  'function maxCreatorFeeBps() external view returns (uint256)',
+  'function approvedResolvers(address) external view returns (bool)',
+
+  // Admin
+  'function setResolverApproval(address resolver, bool approved) external',
+  'function setProtocolFee(uint256 newFeeBps) external',
+  'function setMinStake(uint256 newMinStake) external',
+  'function setTreasury(address newTreasury) external',
+  'function pauseMarket(uint256 marketId, bool paused) external',
+  'function transferOwnership(address newOwner) external',
+  'function emergencyWithdraw(address token, uint256 amount) external',
+
+  // Events
+  'event MarketCreated(uint256 indexed marketId, string question, address indexed creator, address indexed resolver, uint256 deadline)',
+  'event Staked(uint256 indexed marketId, address indexed user, bool isYes, uint256 amount)',
+  'event MarketResolved(uint256 indexed marketId, bool outcome, uint256 yesPool, uint256 noPool)',
+  'event Claimed(uint256 indexed marketId, address indexed user, uint256 payout)',
+  'event ResolverApproved(address indexed resolver, bool approved)',
+  'event ProtocolFeeUpdated(uint256 newFeeBps)',
+  'event MinStakeUpdated(uint256 newMinStake)',
+  'event MarketPaused(uint256 indexed marketId, bool paused)',
+
+  // Errors
+  'error Unauthorized()',
+  'error InvalidResolver()',
+  'error InvalidDeadline()',
+  'error InvalidAmount()',
+  'error InvalidPosition()',
+  'error MarketNotFound()',
+  'error MarketAlreadyResolved()',
+  'error MarketNotResolved()',
+  'error MarketPausedError()',
+  'error DeadlinePassed()',
+  'error DeadlineNotPassed()',
+  'error AlreadyClaimed()',
+  'error NoWinnings()',
+  'error TransferFailed()',
+  'error ReentrancyGuard()',
+  'error CreatorFeeTooHigh()',
+  'error CannotResolveYet()'
+];
+
+export const RESOLVER_ABI = [
+  'function canResolve(uint256 marketId, bytes calldata resolverData) external view returns (bool)',
+  'function resolve(uint256 marketId, bytes calldata resolverData) external returns (bool outcome)',
+  'function resolverType() external pure returns (string memory)'
+];
+
+// Categorical markets: resolvers that return an outcome index (ICategoricalResolver)
+export const CATEGORICAL_RESOLVER_ABI = [
+  ...RESOLVER_ABI,
+  'function resolveOutcome(uint256 marketId, bytes calldata resolverData) external returns (uint256 outcome)'
+];
+
+// Optional: resolver data checks run by createMarket() (IValidatingResolver)
+export const VALIDATING_RESOLVER_ABI = [
+  'function validateParams(bytes calldata resolverData) external view returns (uint256 resolvesAt)'
+];
+
+export const CHAINLINK_RESOLVER_ABI = [
+  ...RESOLVER_ABI,
+  ...VALIDATING_RESOLVER_ABI,
+  ...TIMELOCK_ABI,
+  'function encodeParams(string memory asset, uint256 targetPrice, bool isGreaterThan, uint256 deadline) external pure returns (bytes memory)',
+  'function decodeParams(bytes calldata data) external pure returns (tuple(string asset, uint256 targetPrice, bool isGreaterThan, uint256 deadline))',
+  'function getPrice(string calldata asset) external view returns (uint256 price, uint8 decimals)',
+  'function priceFeeds(string) external view returns (address)',
+  'function setPriceFeed(string calldata asset, address feed) external',
+  'function removePriceFeed(string calldata asset) external',
+  'function configVersion() external view returns (uint256)',
+  'function factory() external view returns (address)',
+  'function pins(uint256 marketId) external view returns (address feed, uint8 decimals, uint256 version)',
+  'function pin(uint256 marketId, bytes calldata resolverData) external returns (address feed, uint8 feedDecimals, uint256 version)',
+  'function feedFor(uint256 marketId, bytes calldata resolverData) external view returns (address feed, bool pinned)',
+  'function MAX_ROUND_LOOKBACK() external view returns (uint256)',
+  'function roundHints(uint256 marketId) external view returns (uint80)',
+  'function setRoundHint(uint256 marketId, uint80 roundId) external',
+  'function isRoundAtDeadline(string memory asset, uint256 deadline, uint80 roundId) external view returns (bool)',
+  'function cancelMarket(uint256 marketId) external',
+
+  'event PriceFeedAdded(string indexed asset, address feed)',
+  'event PriceFeedRemoved(string indexed asset)',
+  'event RoundHintSet(uint256 indexed marketId, uint80 roundId)',
+  'event FeedPinned(uint256 indexed marketId, address feed, uint8 decimals, uint256 version)',
+
+  'error InvalidFeed()',
+  'error StalePrice()',
+  'error DeadlineNotReached()',
+  'error InvalidRoundHint()',
+  'error RoundNotFound()',
+  'error InvalidMarket()',
+  'error FeedAvailable()',
+  'error InvalidParams()'
+];
+
+const RANGE_TUPLE = 'tuple(string asset, uint256 lowerPrice, uint256 upperPrice, uint256 deadline)';
+const RATIO_TUPLE = 'tuple(string baseAsset, string quoteAsset, uint256 targetRatio, bool isGreaterThan, uint256 deadline)';
+const TWAP_TUPLE = 'tuple(string asset, uint256 targetPrice, bool isGreaterThan, uint256 window, uint256 deadline)';
+
+export const PRICE_CONDITION_RESOLVER_ABI = [
+  ...RESOLVER_ABI,
+  'function encodeRange(string memory asset, uint256 lowerPrice, uint256 upperPrice, uint256 deadline) external pure returns (bytes memory)',
+  'function encodeRatio(string memory baseAsset, string memory quoteAsset, uint256 targetRatio, bool isGreaterThan, uint256 deadline) external pure returns (bytes memory)',
+  'function encodeTwap(string memory asset, uint256 targetPrice, bool isGreaterThan, uint256 window, uint256 deadline) external pure returns (bytes memory)',
+  'function decodeCondition(bytes calldata data) external pure returns (uint8 conditionType, bytes memory params)',
+  `function decodeRange(bytes calldata data) external pure returns (${RANGE_TUPLE})`,
+  `function decodeRatio(bytes calldata data) external pure returns (${RATIO_TUPLE})`,
+  `function decodeTwap(bytes calldata data) external pure returns (${TWAP_TUPLE})`,
+  'function twapAt(address feed, uint256 window, uint256 timestamp) external view returns (uint256)',
+  'function getRatio(string calldata baseAsset, string calldata quoteAsset) external view returns (uint256)',
+  'function registry() external view returns (address)',
+  'function factory() external view returns (address)',
+  'function pins(uint256 marketId, string asset) external view returns (address feed, uint8 decimals)',
+  'function pin(uint256 marketId, bytes calldata resolverData) external returns (address feed, uint8 feedDecimals, uint256 version)',
+  'function feedFor(uint256 marketId, string calldata asset) external view returns (address feed, bool pinned)',
+  'function MAX_ROUND_LOOKBACK() external view returns (uint256)',
+  'function MAX_TWAP_ROUNDS() external view returns (uint256)',
+  'function RATIO_DECIMALS() external view returns (uint8)',
+  'function MAX_PRICE_AGE() external view returns (uint256)',
+  'function roundHints(address feed, uint256 timestamp) external view returns (uint80)',
+  'function setRoundHint(address feed, uint256 timestamp, uint80 roundId) external',
+
+  'event RoundHintSet(address indexed feed, uint256 timestamp, uint80 roundId)',
+  'event FeedPinned(uint256 indexed marketId, string asset, address feed, uint8 decimals)',
+
+  'error InvalidFeed()',
+  'error InvalidParams()',
+  'error StalePrice()',
+  'error DeadlineNotReached()',
+  'error InvalidRoundHint()',
+  'error RoundNotFound()',
+  'error Unauthorized()'
+];
+
+export const MANUAL_RESOLVER_ABI = [
+  ...CATEGORICAL_RESOLVER_ABI,
+  'function validateParams(bytes calldata resolverData) external pure returns (uint256 resolvesAt)',
+  'function setOutcome(uint256 marketId, bool outcome) external',
+  'function setOutcomeIndex(uint256 marketId, uint256 outcome) external',
+  'function batchSetOutcome(uint256[] calldata marketIds, bool[] calldata _outcomes) external',
+  'function setDeadline(uint256 marketId, uint256 deadline) external',
+  'function cancelMarket(uint256 marketId) external',
+  'function isOutcomeSet(uint256 marketId) external view returns (bool)',
+  'function getOutcome(uint256 marketId) external view returns (bool outcome, bool isSet)',
+  'function outcomes(uint256) external view returns (bool)',
+  'function outcomeIndexes(uint256) external view returns (uint256)',
+  'function outcomeIndexSet(uint256) external view returns (bool)',
+  'function deadlines(uint256) external view returns (uint256)',
+  'function factory() external view returns (address)',
+  'function admin() external view returns (address)',
+  'function pendingAdmin() external view returns (address)',
+  'function transferAdmin(address newAdmin) external',
+  'function acceptAdmin() external',
+
+  'event OutcomeSet(uint256 indexed marketId, bool outcome, address indexed setBy)',
+  'event OutcomeIndexSet(uint256 indexed marketId, uint256 outcome, address indexed setBy)',
+  'event DeadlineSet(uint256 indexed marketId, uint256 deadline)',
+  'event AdminTransferInitiated(address indexed newAdmin)',
+  'event AdminTransferCompleted(address indexed newAdmin)',
+
+  'error Unauthorized()',
+  'error OutcomeAlreadySet()',
+  'error OutcomeNotSet()',
+  'error DeadlineNotReached()',
+  'error InvalidDeadline()',
+  'error InvalidParams()',
+  'error InvalidMarket()',
+  'error WrongMarketType()',
+  'error InvalidOutcome()'
+];
+
+const OUTCOME_REQUEST = 'tuple(uint8 status, bool proposedOutcome, bool outcome, address proposer, address disputer, uint256 bond, uint256 challengeEnds, uint256 yesVotes, uint256 noVotes)';
+
+export const OPTIMISTIC_RESOLVER_ABI = [
+  ...RESOLVER_ABI,
+  'function propose(uint256 marketId, bool outcome) external',
+  'function dispute(uint256 marketId) external',
+  'function finalize(uint256 marketId) external',
+  'function vote(uint256 marketId, bool outcome) external',
+  'function refundBonds(uint256 marketId) external',
+  `function getRequest(uint256 marketId) external view returns (${OUTCOME_REQUEST})`,
+  'function getArbiters() external view returns (address[])',
+  'function hasVoted(uint256 marketId, address arbiter) external view returns (bool)',
+  'function isArbiter(address) external view returns (bool)',
+  'function quorum() external view returns (uint256)',
+  'function bondAmount() external view returns (uint256)',
+  'function challengeWindow() external view returns (uint256)',
+  'function bondToken() external view returns (address)',
+  'function factory() external view returns (address)',
+  'function setArbiters(address[] calldata _arbiters, uint256 _quorum) external',
+  'function setBondParams(uint256 _bondAmount, uint256 _challengeWindow) external',
+  'function admin() external view returns (address)',
+  'function pendingAdmin() external view returns (address)',
+  'function transferAdmin(address newAdmin) external',
+  'function acceptAdmin() external',
+
+  'event OutcomeProposed(uint256 indexed marketId, bool outcome, address indexed proposer, uint256 bond, uint256 challengeEnds)',
+  'event OutcomeDisputed(uint256 indexed marketId, address indexed disputer)',
+  'event ArbiterVoted(uint256 indexed marketId, address indexed arbiter, bool outcome)',
+  'event OutcomeFinalized(uint256 indexed marketId, bool outcome, address indexed bondRecipient, uint256 payout)',
+  'event BondsRefunded(uint256 indexed marketId, address indexed proposer, address indexed disputer, uint256 bond)',
+  'event ArbitersUpdated(address[] arbiters, uint256 quorum)',
+  'event BondParamsUpdated(uint256 bondAmount, uint256 challengeWindow)',
+  'event AdminTransferInitiated(address indexed newAdmin)',
+  'event AdminTransferCompleted(address indexed newAdmin)',
+
+  'error Unauthorized()',
+  'error InvalidMarket()',
+  'error InvalidConfig()',
+  'error InvalidArbiters()',
+  'error NoArbiters()',
+  'error MarketNotCancelled()',
+  'error DeadlineNotReached()',
+  'error AlreadyProposed()',
+  'error NotProposed()',
+  'error NotDisputed()',
+  'error NotFinalized()',
+  'error ChallengeWindowOpen()',
+  'error ChallengeWindowClosed()',
+  'error AlreadyVoted()',
+  'error TransferFailed()'
+];
+
+const REPORTER_SET = 'tuple(address[] reporters, uint256 quorum)';
+
+export const QUORUM_RESOLVER_ABI = [
+  ...RESOLVER_ABI,
+  'function validateParams(bytes calldata resolverData) external view returns (uint256 resolvesAt)',
+  'function setOutcome(uint256 marketId, bool outcome) external',
+  'function batchSetOutcome(uint256[] calldata marketIds, bool[] calldata _outcomes) external',
+  'function encodeReporters(address[] calldata _reporters, uint256 _quorum) external pure returns (bytes memory)',
+  `function decodeReporters(bytes calldata data) external pure returns (${REPORTER_SET})`,
+  'function getReporters(uint256 marketId) external view returns (address[], uint256)',
+  'function getVotes(uint256 marketId) external view returns (uint256 yes, uint256 no, uint256 required, bool isSet, bool outcome)',
+  'function getDefaultReporters() external view returns (address[])',
+  'function votes(uint256 marketId, address reporter) external view returns (uint8)',
+  'function outcomes(uint256) external view returns (bool)',
+  'function outcomeSet(uint256) external view returns (bool)',
+  'function isReporter(address) external view returns (bool)',
+  'function quorum() external view returns (uint256)',
+  'function factory() external view returns (address)',
+  'function setReporters(address[] calldata _reporters, uint256 _quorum) external',
+  'function admin() external view returns (address)',
+  'function pendingAdmin() external view returns (address)',
+  'function transferAdmin(address newAdmin) external',
+  'function acceptAdmin() external',
+
+  'event VoteCast(uint256 indexed marketId, address indexed reporter, bool outcome, uint256 yesVotes, uint256 noVotes)',
+  'event ConflictingVote(uint256 indexed marketId, address indexed reporter, bool outcome, uint256 yesVotes, uint256 noVotes)',
+  'event OutcomeSet(uint256 indexed marketId, bool outcome, address indexed setBy)',
+  'event ReportersUpdated(address[] reporters, uint256 quorum)',
+  'event AdminTransferInitiated(address indexed newAdmin)',
+  'event AdminTransferCompleted(address indexed newAdmin)',
+
+  'error Unauthorized()',
+  'error InvalidMarket()',
+  'error InvalidReporters()',
+  'error DeadlineNotReached()',
+  'error OutcomeAlreadySet()',
+  'error OutcomeNotSet()',
+  'error AlreadyVoted()'
+];
+
+// Chainlink AggregatorV3Interface
+export const AGGREGATOR_ABI = [
+  'function decimals() external view returns (uint8)',
+  'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+  'function getRoundData(uint80 _roundId) external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+export const ERC20_ABI = [
+  'function approve(address spender, uint256 amount) external returns (bool)',
+  'function allowance(address owner, address spender) external view returns (uint256)',
+  'function balanceOf(address account) external view returns (uint256)',
+  'function transfer(address to, uint256 amount) external returns (bool)',
+  'function decimals() external view returns (uint8)',
+  'function symbol() external view returns (string)',
+
+  // EIP-2612 (USDC and other permit tokens)
+  'function name() external view returns (string)',
+  'function version() external view returns (string)',
+  'function nonces(address owner) external view returns (uint256)',
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external'
+];
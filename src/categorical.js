@@ -0,0 +1,35 @@
+import { ethers } from 'ethers';
+
+// ============================================
+// Categorical markets
+// ============================================
+// Outcome labels are not stored on chain: createCategoricalMarket()
+// emits them once, in CategoricalMarketCreated.
+// ============================================
+
+/**
+ * Outcome labels of a categorical market, read from its
+ * CategoricalMarketCreated event
+ * @param {Object} params
+ * @param {ethers.Contract} params.factory - MarketFactory
+ * @param {bigint|number} params.marketId
+ * @param {number} [params.fromBlock] - Factory deployment block
+ * @param {number} [params.toBlock] - Default: latest
+ * @param {number} [params.batchSize] - Blocks per eth_getLogs request
+ * @returns {Promise<string[]|null>} Labels by outcome index, null for a binary market
+ */
+export async function findOutcomeLabels({ factory, marketId, fromBlock = 0, toBlock, batchSize = 2000 }) {
+  const provider = factory.runner.provider || factory.runner;
+  const address = await factory.getAddress();
+  const end = toBlock ?? await provider.getBlockNumber();
+  const topics = [
+    factory.interface.getEvent('CategoricalMarketCreated').topicHash,
+    ethers.toBeHex(marketId, 32)
+  ];
+
+  for (let from = fromBlock; from <= end; from += batchSize) {
+    const [entry] = await provider.getLogs({ address, topics, fromBlock: from, toBlock: Math.min(from + batchSize - 1, end) });
+    if (entry) return [...factory.interface.parseLog(entry).args.outcomes];
+  }
+  return null;
+}
@@ -0,0 +1,306 @@
+import { ethers } from 'ethers';
+import { AGGREGATOR_ABI } from './abi.js';
+
+// ============================================
+// ChainlinkResolver helpers
+// ============================================
+// buildChainlinkMarket() turns a human spec ("BTC >= $100,000 at
+// 2026-03-04 00:00 UTC") into createMarket() params. The target is
+// scaled to the feed's own decimals because the resolver compares it
+// against the raw feed answer.
+//
+// findRoundHint() finds the feed round that was current at a market's
+// resolution time, for ChainlinkResolver.setRoundHint(). It reads the
+// feed pinned when the market was created, not the registry's current one.
+// ============================================
+
+const PARAMS_TYPE = 'tuple(string asset, uint256 targetPrice, bool isGreaterThan, uint256 deadline)';
+
+// ChainlinkResolver: isGreaterThan ? price >= target : price < target
+const COMPARATORS = {
+  '>=': true,
+  above: true,
+  '<': false,
+  below: false
+};
+
+/**
+ * @typedef {Object} ChainlinkParams
+ * @property {string} asset - Price feed key (e.g. "BTC")
+ * @property {bigint} targetPrice - In the feed's decimals
+ * @property {boolean} isGreaterThan - true: YES wins if price >= target, false: YES wins if price < target
+ * @property {bigint} deadline - Resolution time: the market resolves on the feed round current at this Unix timestamp
+ */
+
+/**
+ * @typedef {Object} ChainlinkMarketSpec
+ * @property {string} asset - Price feed key (e.g. "BTC")
+ * @property {string} comparator - ">=" or "above", "<" or "below"
+ * @property {string|number} target - USD price (e.g. "100000" or 2500.5)
+ * @property {bigint|number|Date} resolutionTime - When the price is read (ResolverParams.deadline)
+ * @property {bigint|number|Date} [deadline] - Market staking deadline (default: resolutionTime)
+ * @property {string} [question] - Overrides the generated question
+ * @property {bigint|number} [creatorFeeBps]
+ */
+
+/**
+ * ABI-encode resolver params, identical to ChainlinkResolver.encodeParams()
+ * @param {ChainlinkParams} params
+ * @returns {string} Hex resolver data
+ */
+export function encodeChainlinkParams({ asset, targetPrice, isGreaterThan, deadline }) {
+  return ethers.AbiCoder.defaultAbiCoder().encode([PARAMS_TYPE], [[asset, targetPrice, isGreaterThan, deadline]]);
+}
+
+/**
+ * Decode resolver data, identical to ChainlinkResolver.decodeParams()
+ * @param {string} data - Hex resolver data
+ * @returns {ChainlinkParams}
+ */
+export function decodeChainlinkParams(data) {
+  const [params] = ethers.AbiCoder.defaultAbiCoder().decode([PARAMS_TYPE], data);
+  return {
+    asset: params.asset,
+    targetPrice: params.targetPrice,
+    isGreaterThan: params.isGreaterThan,
+    deadline: params.deadline
+  };
+}
+
+function toTimestamp(value, name) {
+  if (value instanceof Date) value = Math.floor(value.getTime() / 1000);
+  if (typeof value === 'number' && !Number.isInteger(value)) value = NaN;
+  let timestamp;
+  try {
+    timestamp = BigInt(value);
+  } catch {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  if (timestamp <= 0n) throw new Error(`Invalid ${name}: ${value}`);
+  return timestamp;
+}
+
+function formatUsd(amount, decimals) {
+  const [whole, fraction] = ethers.formatUnits(amount, decimals).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return fraction === '0' ? `$${grouped}` : `$${grouped}.${fraction}`;
+}
+
+function formatTime(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+}
+
+/**
+ * Build createMarket() params for a ChainlinkResolver price market.
+ * Reads the feed's decimals through getPrice() and rejects assets without a feed,
+ * and resolution times before the market deadline (createMarket() would revert).
+ *
+ * @param {ethers.Contract} resolver - ChainlinkResolver contract (CHAINLINK_RESOLVER_ABI)
+ * @param {ChainlinkMarketSpec} spec
+ * @returns {Promise<{
+ *   question: string, resolver: string, resolverData: string, deadline: bigint, creatorFeeBps: bigint,
+ *   params: ChainlinkParams, decimals: number, currentPrice: bigint
+ * }>}
+ *
+ * @example
+ * const market = await buildChainlinkMarket(resolver, {
+ *   asset: 'BTC', comparator: '>=', target: '100000', resolutionTime: 1741046400
+ * });
+ * // market.question === 'Will BTC be at or above $100,000 at 2025-03-04 00:00 UTC?'
+ * await client.createMarket(market);
+ */
+export async function buildChainlinkMarket(resolver, {
+  asset,
+  comparator,
+  target,
+  resolutionTime,
+  deadline,
+  question,
+  creatorFeeBps = 0
+}) {
+  if (typeof asset !== 'string' || asset.length === 0) throw new Error('Asset is required');
+  if (!Object.hasOwn(COMPARATORS, comparator)) {
+    throw new Error(`Invalid comparator: ${comparator} (use ${Object.keys(COMPARATORS).join(', ')})`);
+  }
+  const isGreaterThan = COMPARATORS[comparator];
+
+  const resolveAt = toTimestamp(resolutionTime, 'resolution time');
+  const marketDeadline = deadline === undefined ? resolveAt : toTimestamp(deadline, 'deadline');
+
+  if (resolveAt < marketDeadline) {
+    // The market resolves on the price at the resolution time, so staking
+    // would stay open after the outcome is known
+    throw new Error(
+      `Resolution time ${formatTime(resolveAt)} is before the market deadline ${formatTime(marketDeadline)}`
+    );
+  }
+
+  const resolverAddress = await resolver.getAddress();
+  if (await resolver.priceFeeds(asset) === ethers.ZeroAddress) {
+    throw new Error(`Unknown asset: ${asset} has no price feed on ChainlinkResolver ${resolverAddress}`);
+  }
+  const [currentPrice, feedDecimals] = await resolver.getPrice(asset);
+  const decimals = Number(feedDecimals);
+
+  let targetPrice;
+  try {
+    targetPrice = ethers.parseUnits(String(target), decimals);
+  } catch {
+    throw new Error(`Invalid target: ${target} (the ${asset} feed has ${decimals} decimals)`);
+  }
+  if (targetPrice <= 0n) throw new Error(`Invalid target: ${target}`);
+
+  const params = { asset, targetPrice, isGreaterThan, deadline: resolveAt };
+  const relation = isGreaterThan ? 'at or above' : 'below';
+
+  return {
+    question: question ?? `Will ${asset} be ${relation} ${formatUsd(targetPrice, decimals)} at ${formatTime(resolveAt)}?`,
+    resolver: resolverAddress,
+    resolverData: encodeChainlinkParams(params),
+    deadline: marketDeadline,
+    creatorFeeBps: BigInt(creatorFeeBps),
+    params,
+    decimals,
+    currentPrice
+  };
+}
+
+// ============ Round Hints ============
+
+const PHASE_SHIFT = 64n;
+
+/**
+ * getRoundData() as { roundId, answer, updatedAt }, or null for a missing round
+ */
+export async function readRound(feed, roundId) {
+  try {
+    const round = await feed.getRoundData(roundId);
+    return round.updatedAt === 0n ? null : { roundId, answer: round.answer, updatedAt: round.updatedAt };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * First round of the phase `roundId` belongs to, or null if missing
+ */
+export function firstRoundOfPhase(feed, roundId) {
+  return readRound(feed, ((roundId >> PHASE_SHIFT) << PHASE_SHIFT) | 1n);
+}
+
+// Last round of a phase: round IDs within a phase are contiguous, so
+// double the step until a round is missing, then bisect
+async function lastRoundOfPhase(feed, phase) {
+  const base = phase << PHASE_SHIFT;
+  if (!await readRound(feed, base | 1n)) return null;
+
+  let found = 1n;
+  let missing = 2n;
+  while (await readRound(feed, base | missing)) {
+    found = missing;
+    missing *= 2n;
+  }
+  while (missing - found > 1n) {
+    const mid = (found + missing) / 2n;
+    if (await readRound(feed, base | mid)) found = mid;
+    else missing = mid;
+  }
+  return readRound(feed, base | found);
+}
+
+/**
+ * Find the last round of a feed updated at or before `timestamp`, searching
+ * back across aggregator phases
+ *
+ * @param {ethers.Contract} feed - Aggregator (AGGREGATOR_ABI)
+ * @param {string} asset - Feed key, for error messages
+ * @param {bigint} timestamp
+ * @param {Object} [latest] - latestRoundData() if already read
+ * @returns {Promise<{ roundId: bigint, answer: bigint, updatedAt: bigint }>}
+ */
+export async function findRoundAt(feed, asset, timestamp, latest) {
+  latest ??= await feed.latestRoundData();
+
+  // Invariant: `after` was updated after the timestamp
+  let round = { roundId: latest.roundId, answer: latest.answer, updatedAt: latest.updatedAt };
+  let after = null;
+  let phase = latest.roundId >> PHASE_SHIFT;
+
+  while (round.updatedAt > timestamp) {
+    after = round;
+    const first = await readRound(feed, (phase << PHASE_SHIFT) | 1n);
+
+    if (first && first.updatedAt <= timestamp) {
+      // Bisect between the first round of the phase and `after`
+      let low = first;
+      let high = after.roundId;
+      while (high - low.roundId > 1n) {
+        const mid = await readRound(feed, (low.roundId + high) / 2n);
+        if (!mid) throw new Error(`Missing round ${(low.roundId + high) / 2n} in the ${asset} feed`);
+        if (mid.updatedAt <= timestamp) low = mid;
+        else high = mid.roundId;
+      }
+      round = low;
+      break;
+    }
+
+    // The whole phase is after the timestamp: continue in the previous one
+    if (phase === 0n) throw new Error(`No ${asset} round at or before ${timestamp}`);
+    phase--;
+    round = await lastRoundOfPhase(feed, phase);
+    if (!round) throw new Error(`No ${asset} round at or before ${timestamp}`);
+  }
+
+  return round;
+}
+
+/**
+ * Whether a resolver walking back from the latest round misses `round`:
+ * more than `lookback` rounds back, or in an earlier phase
+ */
+export function beyondLookback(round, latestRoundId, lookback) {
+  const samePhase = (round.roundId >> PHASE_SHIFT) === (latestRoundId >> PHASE_SHIFT);
+  return !samePhase || latestRoundId - round.roundId > lookback;
+}
+
+/**
+ * Find the feed round that was current at a ChainlinkResolver market's
+ * resolution time (ResolverParams.deadline): the last round updated at or
+ * before it. Searches back across aggregator phases.
+ *
+ * @param {ethers.Contract} resolver - ChainlinkResolver contract (CHAINLINK_RESOLVER_ABI)
+ * @param {bigint|number} marketId - The market's ID (its pinned feed and hint)
+ * @param {string} resolverData - The market's encoded ResolverParams
+ * @returns {Promise<{ roundId: bigint, answer: bigint, updatedAt: bigint, needsHint: boolean, hintSet: boolean }>}
+ *   `needsHint` is true when resolve() would not reach the round on its own
+ *   (more than MAX_ROUND_LOOKBACK rounds back, or an earlier phase)
+ *
+ * @example
+ * const { roundId, needsHint } = await findRoundHint(client.chainlinkResolver, market.id, market.resolverData);
+ * if (needsHint) await client.chainlinkResolver.setRoundHint(market.id, roundId);
+ */
+export async function findRoundHint(resolver, marketId, resolverData) {
+  const { asset, deadline } = decodeChainlinkParams(resolverData);
+
+  const [feedAddress] = await resolver.feedFor(marketId, resolverData);
+  if (feedAddress === ethers.ZeroAddress) {
+    throw new Error(`Unknown asset: ${asset} has no price feed on ChainlinkResolver ${await resolver.getAddress()}`);
+  }
+  const feed = new ethers.Contract(feedAddress, AGGREGATOR_ABI, resolver.runner);
+
+  const [latest, lookback, hint] = await Promise.all([
+    feed.latestRoundData(),
+    resolver.MAX_ROUND_LOOKBACK(),
+    resolver.roundHints(marketId)
+  ]);
+
+  const round = await findRoundAt(feed, asset, deadline, latest);
+
+  return {
+    roundId: round.roundId,
+    answer: round.answer,
+    updatedAt: round.updatedAt,
+    needsHint: beyondLookback(round, latest.roundId, lookback),
+    hintSet: hint !== 0n
+  };
+}
@@ -0,0 +1,1292 @@
+import { ethers } from 'ethers';
+import {
+  FACTORY_ABI,
+  CHAINLINK_RESOLVER_ABI,
+  MANUAL_RESOLVER_ABI,
+  PRICE_CONDITION_RESOLVER_ABI,
+  OPTIMISTIC_RESOLVER_ABI,
+  QUORUM_RESOLVER_ABI,
+  ERC20_ABI
+} from './abi.js';
+import { getNetwork } from './networks.js';
+import { ClawshiError, decodeError } from './errors.js';
+import { buildChainlinkMarket } from './chainlink.js';
+import { findOutcomeLabels } from './categorical.js';
+import {
+  ONE_SIDED_POLICIES,
+  claimOutcomePayout,
+  claimPayout,
+  computeOutcomeOdds,
+  quoteOutcomePayout,
+  quotePayout
+} from './payout.js';
+import { TIMELOCKED_FUNCTIONS, actionId, findQueuedActions } from './governance.js';
+import { signPermit, signStakeIntent, toStakeIntent } from './signatures.js';
+import { readTokenInfo } from './tokens.js';
+import { validateMarketParams, validateOutcomes, validateResolverData } from './validation.js';
+
+/**
+ * @typedef {Object} Market
+ * @property {bigint} id
+ * @property {string} question
+ * @property {string} creator
+ * @property {string} resolver
+ * @property {string} resolverData
+ * @property {string} token - Collateral: stakes, payouts and fees are in this token's base units
+ * @property {bigint} deadline
+ * @property {bigint} yesPool
+ * @property {bigint} noPool
+ * @property {bigint} exitFees - Fees paid by unstake() and switchSide(), shared by the winners
+ * @property {bigint} creatorFee - basis points
+ * @property {boolean} resolved
+ * @property {boolean} outcome
+ * @property {boolean} paused
+ * @property {boolean} cancelled - Stakers withdraw their stakes with refund()
+ * @property {boolean} refundOnly - Resolved with an empty side: every stake is refunded
+ */
+
+/**
+ * @typedef {Object} Stake
+ * @property {bigint} amount
+ * @property {boolean} isYes
+ * @property {boolean} claimed
+ */
+
+/**
+ * @typedef {Object} CategoricalMarket - A market with N outcomes (see createCategoricalMarket)
+ * @property {Market} market - yesPool, noPool and outcome are unused
+ * @property {string[]|null} outcomes - Labels by index, null if the creation event was not found
+ * @property {bigint[]} pools - Amount staked on each outcome
+ * @property {bigint} totalPool
+ * @property {bigint[]} odds - Percentage of the total on each outcome (0-100)
+ * @property {bigint|null} winningOutcome - Set once resolved
+ */
+
+/**
+ * @typedef {Object} OutcomeStake - A stake in a categorical market
+ * @property {bigint} amount
+ * @property {bigint} outcome - Outcome index backed
+ * @property {boolean} claimed
+ */
+
+/**
+ * @typedef {import('./tokens.js').TokenInfo & { approved: boolean, minStake: bigint }} StakeToken
+ *   - A token on the factory's collateral whitelist; `approved` tokens can back new markets
+ */
+
+/**
+ * @typedef {Object} ResolverSnapshot - Resolver configuration pinned when the market was created
+ * @property {boolean} pinned - False for resolvers that do not pin (the fields below are then zero)
+ * @property {string} feed - Price feed the market resolves on
+ * @property {number} feedDecimals - Decimals of the feed (and of a ChainlinkResolver targetPrice)
+ * @property {bigint} version - Resolver configuration version at creation
+ */
+
+/**
+ * @typedef {Object} Odds
+ * @property {bigint} yes - YES percentage (0-100)
+ * @property {bigint} no - NO percentage (0-100)
+ */
+
+/**
+ * @typedef {Object} OutcomeRequest - OptimisticResolver proposal for a market
+ * @property {'none'|'proposed'|'disputed'|'finalized'|'refunded'} status
+ * @property {boolean} proposedOutcome
+ * @property {boolean} outcome - Final outcome, once finalized
+ * @property {string} proposer
+ * @property {string} disputer
+ * @property {bigint} bond - USDC posted by the proposer (and the disputer)
+ * @property {bigint} challengeEnds - Unix timestamp the proposal can be disputed until
+ * @property {bigint} yesVotes
+ * @property {bigint} noVotes
+ */
+
+// OptimisticResolver.Status
+const REQUEST_STATUS = ['none', 'proposed', 'disputed', 'finalized', 'refunded'];
+
+/**
+ * @typedef {Object} VoteStatus - QuorumResolver votes on a market
+ * @property {Array<{ address: string, vote: 'yes'|'no'|null }>} reporters - The market's reporter set
+ * @property {boolean} defaultSet - True when the market uses the resolver's default reporters
+ * @property {bigint} quorum - Votes needed for an outcome
+ * @property {bigint} yesVotes
+ * @property {bigint} noVotes
+ * @property {boolean} isSet - An outcome reached quorum
+ * @property {boolean} outcome - The outcome, once set
+ */
+
+// QuorumResolver.Vote
+const VOTES = [null, 'yes', 'no'];
+
+/**
+ * @typedef {Object} Claimable - Something a user can collect with claimMany()
+ * @property {bigint} marketId
+ * @property {'winnings'|'refund'} kind - Winnings from a resolved market, or
+ *   a stake refunded by a cancelled or refund-only market
+ * @property {string} token - The market's collateral token
+ * @property {bigint} amount - Net amount paid out, in the token's base units
+ */
+
+// Markets per claimMany() transaction unless a batchSize is given
+const DEFAULT_BATCH_SIZE = 50;
+
+/**
+ * @typedef {Object} TxResult
+ * @property {string} hash
+ * @property {ethers.TransactionReceipt} receipt
+ */
+
+function toMarket(m) {
+  return {
+    id: m.id,
+    question: m.question,
+    creator: m.creator,
+    resolver: m.resolver,
+    resolverData: m.resolverData,
+    token: m.token,
+    deadline: m.deadline,
+    yesPool: m.yesPool,
+    noPool: m.noPool,
+    exitFees: m.exitFees,
+    creatorFee: m.creatorFee,
+    resolved: m.resolved,
+    outcome: m.outcome,
+    paused: m.paused,
+    cancelled: m.cancelled,
+    refundOnly: m.refundOnly
+  };
+}
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+function toOutcomeRequest(r) {
+  return {
+    status: REQUEST_STATUS[Number(r.status)],
+    proposedOutcome: r.proposedOutcome,
+    outcome: r.outcome,
+    proposer: r.proposer,
+    disputer: r.disputer,
+    bond: r.bond,
+    challengeEnds: r.challengeEnds,
+    yesVotes: r.yesVotes,
+    noVotes: r.noVotes
+  };
+}
+
+function toResolverSnapshot(s) {
+  return {
+    pinned: s.pinned,
+    feed: s.feed,
+    feedDecimals: Number(s.feedDecimals),
+    version: s.version
+  };
+}
+
+function toStake(s) {
+  return {
+    amount: s.amount,
+    isYes: s.isYes,
+    claimed: s.claimed
+  };
+}
+
+/**
+ * Client for the Clawshi MarketFactory and its resolvers
+ *
+ * @example
+ * const client = new ClawshiClient({ network: 'base-mainnet', runner: signer });
+ * const { marketId } = await client.createMarket({ question, resolver, resolverData, deadline });
+ * await client.stake(marketId, true, ethers.parseUnits('10', 6));
+ */
+export class ClawshiClient {
+  // TokenInfo by lowercase address, and collateral token by market ID: neither changes
+  #tokens = new Map();
+  #marketTokens = new Map();
+
+  /**
+   * @param {Object} options
+   * @param {string|number} [options.network] - Preset key or chain ID (see NETWORKS); legacy
+   *   presets need `addresses.MarketFactory`
+   * @param {ethers.ContractRunner} options.runner - Signer for writes, or provider for reads
+   * @param {Object} [options.addresses] - Overrides for MarketFactory, ChainlinkResolver, ManualResolver,
+   *   PriceConditionResolver, OptimisticResolver, QuorumResolver, USDC
+   */
+  constructor({ network, runner, addresses = {} } = {}) {
+    if (!runner) throw new Error('ClawshiClient requires a runner (signer or provider)');
+
+    const preset = network !== undefined ? getNetwork(network) : null;
+    if (preset?.legacy && !addresses.MarketFactory) {
+      throw new Error(`Network ${preset.key} records legacy contracts that this SDK's ABIs do not match; ` +
+        'pass the addresses of a current deployment');
+    }
+
+    this.network = preset;
+    this.runner = runner;
+    this.addresses = {
+      MarketFactory: preset?.contracts.MarketFactory,
+      ChainlinkResolver: preset?.contracts.ChainlinkResolver,
+      ManualResolver: preset?.contracts.ManualResolver,
+      PriceConditionResolver: preset?.contracts.PriceConditionResolver,
+      OptimisticResolver: preset?.contracts.OptimisticResolver,
+      QuorumResolver: preset?.contracts.QuorumResolver,
+      USDC: preset?.usdc,
+      ...addresses
+    };
+
+    if (!this.addresses.MarketFactory) {
+      throw new Error('ClawshiClient requires a MarketFactory address');
+    }
+
+    this.factory = new ethers.Contract(this.addresses.MarketFactory, FACTORY_ABI, runner);
+  }
+
+  // ============ Contracts ============
+
+  /**
+   * ChainlinkResolver contract bound to this client's runner
+   */
+  get chainlinkResolver() {
+    return new ethers.Contract(this.addresses.ChainlinkResolver, CHAINLINK_RESOLVER_ABI, this.runner);
+  }
+
+  /**
+   * ManualResolver contract bound to this client's runner
+   */
+  get manualResolver() {
+    return new ethers.Contract(this.addresses.ManualResolver, MANUAL_RESOLVER_ABI, this.runner);
+  }
+
+  /**
+   * PriceConditionResolver (range, ratio and TWAP markets) bound to this client's runner
+   */
+  get priceConditionResolver() {
+    return new ethers.Contract(this.addresses.PriceConditionResolver, PRICE_CONDITION_RESOLVER_ABI, this.runner);
+  }
+
+  /**
+   * OptimisticResolver (bonded proposals with disputes) bound to this client's runner
+   */
+  get optimisticResolver() {
+    return new ethers.Contract(this.addresses.OptimisticResolver, OPTIMISTIC_RESOLVER_ABI, this.runner);
+  }
+
+  /**
+   * QuorumResolver (M-of-N reporter votes) bound to this client's runner
+   */
+  get quorumResolver() {
+    return new ethers.Contract(this.addresses.QuorumResolver, QUORUM_RESOLVER_ABI, this.runner);
+  }
+
+  /**
+   * USDC contract, read from the factory if no address was configured.
+   * The default collateral for new markets and the OptimisticResolver bond token.
+   */
+  async usdc() {
+    if (!this.addresses.USDC) {
+      this.addresses.USDC = await this.factory.usdc();
+    }
+    return this.token(this.addresses.USDC);
+  }
+
+  /**
+   * ERC-20 contract bound to this client's runner, e.g. a market's collateral
+   * @param {string} address
+   */
+  token(address) {
+    return new ethers.Contract(address, ERC20_ABI, this.runner);
+  }
+
+  async #usdcAddress() {
+    return (await this.usdc()).target;
+  }
+
+  async #signerAddress() {
+    if (typeof this.runner.getAddress !== 'function') {
+      throw new Error('This operation requires a signer');
+    }
+    return this.runner.getAddress();
+  }
+
+  async #send(promise) {
+    try {
+      const tx = await promise;
+      const receipt = await tx.wait();
+      return { hash: tx.hash, receipt };
+    } catch (err) {
+      throw decodeError(err);
+    }
+  }
+
+  async #call(promise) {
+    try {
+      return await promise;
+    } catch (err) {
+      throw decodeError(err);
+    }
+  }
+
+  async #chainId() {
+    const provider = this.runner.provider || this.runner;
+    return (await this.#call(provider.getNetwork())).chainId;
+  }
+
+  // Signatures expire an hour after the latest block unless a deadline is given
+  async #defaultDeadline() {
+    const provider = this.runner.provider || this.runner;
+    const block = await this.#call(provider.getBlock('latest'));
+    return BigInt(block.timestamp + 3600);
+  }
+
+  #findEvent(receipt, name, contract = this.factory) {
+    return this.#findEvents(receipt, name, contract)[0] ?? null;
+  }
+
+  #findEvents(receipt, name, contract = this.factory) {
+    const address = contract.target.toLowerCase();
+    const events = [];
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== address) continue;
+      const parsed = contract.interface.parseLog(log);
+      if (parsed?.name === name) events.push(parsed);
+    }
+    return events;
+  }
+
+  // Approve `spender` for `amount` of `token` unless the allowance already covers it
+  async #ensureAllowance(token, spender, amount, { approve = true, approveMax = false } = {}) {
+    if (!approve || amount === 0n) return null;
+
+    const owner = await this.#signerAddress();
+    const contract = this.token(token);
+    const allowance = await this.#call(contract.allowance(owner, spender));
+    if (allowance >= amount) return null;
+
+    return this.#send(contract.approve(spender, approveMax ? ethers.MaxUint256 : amount));
+  }
+
+  // ============ Market Lifecycle ============
+
+  /**
+   * Create a new prediction market
+   * @param {Object} params
+   * @param {string} params.question
+   * @param {string} params.resolver - Approved resolver address
+   * @param {string} [params.resolverData] - Encoded resolver params (default "0x")
+   * @param {bigint|number} params.deadline - Unix timestamp for staking deadline
+   * @param {bigint|number} [params.creatorFeeBps] - Creator fee in basis points (0-500)
+   * @param {string} [params.token] - Collateral token from the whitelist (default: USDC)
+   * @param {Object} [options]
+   * @param {boolean} [options.validate=true] - Run validateMarket() before sending
+   * @returns {Promise<TxResult & { marketId: bigint }>}
+   */
+  async createMarket({ question, resolver, resolverData = '0x', deadline, creatorFeeBps = 0, token }, { validate = true } = {}) {
+    token = token ?? await this.#usdcAddress();
+    if (validate) await this.validateMarket({ question, resolver, resolverData, deadline, creatorFeeBps, token });
+
+    const result = await this.#send(
+      this.factory.createMarket(question, resolver, resolverData, deadline, creatorFeeBps, token)
+    );
+    const event = this.#findEvent(result.receipt, 'MarketCreated');
+    return { ...result, marketId: event.args.marketId };
+  }
+
+  /**
+   * Create a categorical market: exactly one of `outcomes` wins. The
+   * resolver must return an outcome index (ManualResolver.setOutcomeIndex()).
+   * @param {Object} params - As for createMarket(), plus:
+   * @param {string[]} params.outcomes - Outcome labels, 2 to MAX_OUTCOMES
+   * @param {Object} [options]
+   * @param {boolean} [options.validate=true] - Run validateMarket() before sending
+   * @returns {Promise<TxResult & { marketId: bigint }>}
+   */
+  async createCategoricalMarket(
+    { question, outcomes, resolver, resolverData = '0x', deadline, creatorFeeBps = 0, token },
+    { validate = true } = {}
+  ) {
+    token = token ?? await this.#usdcAddress();
+    if (validate) await this.validateMarket({ question, outcomes, resolver, resolverData, deadline, creatorFeeBps, token });
+
+    const result = await this.#send(
+      this.factory.createCategoricalMarket(question, outcomes, resolver, resolverData, deadline, creatorFeeBps, token)
+    );
+    const event = this.#findEvent(result.receipt, 'CategoricalMarketCreated');
+    return { ...result, marketId: event.args.marketId };
+  }
+
+  /**
+   * Run createMarket()'s checks without sending a transaction: resolver
+   * and collateral approval, question length, deadline horizon, creator
+   * fee and the resolver's validateParams(). Limits are checked at the
+   * latest block.
+   * With `outcomes`, the labels are checked as createCategoricalMarket() does.
+   * @param {Object} params - As for createMarket() or createCategoricalMarket()
+   * @returns {Promise<{ resolvesAt: bigint }>} Earliest resolution time the
+   *   resolver reported, 0 if none
+   * @throws {ClawshiError} With the error createMarket() would revert with
+   */
+  async validateMarket({ question, outcomes, resolver, resolverData = '0x', deadline, creatorFeeBps = 0, token }) {
+    if (outcomes !== undefined) {
+      const invalid = validateOutcomes(outcomes, await this.#call(this.factory.MAX_OUTCOMES()));
+      if (invalid) throw new ClawshiError(invalid);
+    }
+
+    const provider = this.runner.provider || this.runner;
+    const [block, approved, stakeToken, maxQuestionLength, maxDeadlineHorizon, maxCreatorFeeBps] = await this.#call(Promise.all([
+      provider.getBlock('latest'),
+      this.factory.approvedResolvers(resolver),
+      this.factory.stakeTokens(token ?? await this.#usdcAddress()),
+      this.factory.MAX_QUESTION_LENGTH(),
+      this.factory.MAX_DEADLINE_HORIZON(),
+      this.factory.maxCreatorFeeBps()
+    ]));
+    if (!approved) throw new ClawshiError('InvalidResolver');
+    if (!stakeToken.approved) throw new ClawshiError('InvalidToken');
+
+    const reason = validateMarketParams({ question, deadline, creatorFeeBps }, {
+      now: BigInt(block.timestamp),
+      maxQuestionLength,
+      maxDeadlineHorizon,
+      maxCreatorFeeBps
+    });
+    if (reason) throw new ClawshiError(reason);
+
+    return { resolvesAt: await validateResolverData(this.runner, resolver, resolverData, deadline) };
+  }
+
+  /**
+   * Build createMarket() params for a ChainlinkResolver price market
+   * (see buildChainlinkMarket). Pass the result straight to createMarket().
+   * @param {import('./chainlink.js').ChainlinkMarketSpec} spec
+   */
+  async buildChainlinkMarket(spec) {
+    try {
+      return await buildChainlinkMarket(this.chainlinkResolver, spec);
+    } catch (err) {
+      throw decodeError(err);
+    }
+  }
+
+  /**
+   * Stake on a market outcome, approving the factory for the market's
+   * token first if needed
+   * @param {bigint|number} marketId
+   * @param {boolean} isYes
+   * @param {bigint} amount - In the market token's base units
+   * @param {Object} [options]
+   * @param {boolean} [options.approve=true] - Send an approval when allowance is insufficient
+   * @param {boolean} [options.approveMax=false] - Approve MaxUint256 instead of the exact amount
+   * @returns {Promise<TxResult & { approval: TxResult|null }>}
+   */
+  async stake(marketId, isYes, amount, options) {
+    const token = await this.#marketToken(marketId);
+    const approval = await this.#ensureAllowance(token, this.addresses.MarketFactory, BigInt(amount), options);
+    const result = await this.#send(this.factory.stake(marketId, isYes, amount));
+    return { ...result, approval };
+  }
+
+  /**
+   * Stake on an outcome of a categorical market, approving the factory
+   * for the market's token first if needed
+   * @param {bigint|number} marketId
+   * @param {bigint|number} outcome - Outcome index
+   * @param {bigint} amount - In the market token's base units
+   * @param {Object} [options] - Same approval options as stake()
+   * @returns {Promise<TxResult & { approval: TxResult|null }>}
+   */
+  async stakeOutcome(marketId, outcome, amount, options) {
+    const token = await this.#marketToken(marketId);
+    const approval = await this.#ensureAllowance(token, this.addresses.MarketFactory, BigInt(amount), options);
+    const result = await this.#send(this.factory.stakeOutcome(marketId, outcome, amount));
+    return { ...result, approval };
+  }
+
+  /**
+   * Stake with a permit for the market's token signed by this client's
+   * signer, in one transaction instead of approve() + stake()
+   * @param {bigint|number} marketId
+   * @param {boolean} isYes
+   * @param {bigint} amount - In the market token's base units
+   * @param {Object} [options]
+   * @param {bigint|number} [options.deadline] - Permit deadline (default: one hour from the latest block)
+   * @returns {Promise<TxResult>}
+   */
+  async stakeWithPermit(marketId, isYes, amount, { deadline } = {}) {
+    const permit = await this.signPermit(amount, { deadline, token: await this.#marketToken(marketId) });
+    return this.#send(this.factory.stakeWithPermit(marketId, isYes, amount, permit.deadline, permit.v, permit.r, permit.s));
+  }
+
+  /**
+   * Withdraw part or all of a stake before the deadline. The exit fee
+   * (exitFeeBps) stays in the market; a partial exit must leave at least
+   * the token's minStake staked.
+   * @param {bigint|number} marketId
+   * @param {bigint} amount - Amount of the stake to withdraw, in the market token's base units
+   * @returns {Promise<TxResult & { received: bigint, fee: bigint }>}
+   */
+  async unstake(marketId, amount) {
+    const result = await this.#send(this.factory.unstake(marketId, amount));
+    const event = this.#findEvent(result.receipt, 'Unstaked');
+    return { ...result, received: event.args.amount - event.args.fee, fee: event.args.fee };
+  }
+
+  /**
+   * Move the whole stake to the other side before the deadline, less the exit fee
+   * @returns {Promise<TxResult & { isYes: boolean, amount: bigint, fee: bigint }>}
+   */
+  async switchSide(marketId) {
+    const result = await this.#send(this.factory.switchSide(marketId));
+    const event = this.#findEvent(result.receipt, 'SideSwitched');
+    return { ...result, isYes: event.args.isYes, amount: event.args.amount, fee: event.args.fee };
+  }
+
+  /**
+   * Resolve a market through its resolver (after the deadline)
+   * @returns {Promise<TxResult & { outcome: boolean|bigint }>} The winning
+   *   outcome index for a categorical market
+   */
+  async resolveMarket(marketId) {
+    const result = await this.#send(this.factory.resolveMarket(marketId));
+    const event = this.#findEvent(result.receipt, 'MarketResolved') ?? this.#findEvent(result.receipt, 'OutcomeResolved');
+    return { ...result, outcome: event.args.outcome };
+  }
+
+  /**
+   * Claim winnings from a resolved market. In a one-sided (refund-only)
+   * market every staker gets their stake back instead, with `refunded` set.
+   * @returns {Promise<TxResult & { payout: bigint, refunded: boolean }>}
+   */
+  async claim(marketId) {
+    const result = await this.#send(this.factory.claim(marketId));
+    const claimed = this.#findEvent(result.receipt, 'Claimed');
+    if (claimed) return { ...result, payout: claimed.args.payout, refunded: false };
+
+    const refunded = this.#findEvent(result.receipt, 'Refunded');
+    return { ...result, payout: refunded.args.amount, refunded: true };
+  }
+
+  // ============ Batches ============
+
+  /**
+   * Stake on several markets in one transaction, approving each
+   * collateral token's total first if needed. Stakes are sent grouped by
+   * token, so the factory makes one transfer per token.
+   * @param {Array<{ marketId: bigint|number, isYes: boolean, amount: bigint }>} stakes
+   * @param {Object} [options] - Same approval options as stake()
+   * @returns {Promise<TxResult & { approvals: TxResult[], totals: Array<{ token: string, amount: bigint }> }>}
+   *   `approvals` holds the approvals that were needed, `totals` the amount staked per token
+   */
+  async stakeMany(stakes, options) {
+    const byToken = new Map();
+    for (const stake of stakes) {
+      const token = await this.#marketToken(stake.marketId);
+      if (!byToken.has(token)) byToken.set(token, []);
+      byToken.get(token).push(stake);
+    }
+
+    const approvals = [];
+    const totals = [];
+    for (const [token, group] of byToken) {
+      const amount = group.reduce((sum, s) => sum + BigInt(s.amount), 0n);
+      const approval = await this.#ensureAllowance(token, this.addresses.MarketFactory, amount, options);
+      if (approval) approvals.push(approval);
+      totals.push({ token, amount });
+    }
+
+    const ordered = [...byToken.values()].flat();
+    const result = await this.#send(this.factory.stakeMany(
+      ordered.map(s => s.marketId),
+      ordered.map(s => s.isYes),
+      ordered.map(s => s.amount)
+    ));
+    return { ...result, approvals, totals };
+  }
+
+  /**
+   * Resolve every listed market that can be resolved now. Markets that
+   * are not ready (open, already resolved, cancelled, or their resolver
+   * has no outcome yet) are skipped instead of failing the transaction.
+   * @param {Array<bigint|number>} marketIds
+   * @returns {Promise<TxResult & { resolved: Array<{ marketId: bigint, outcome: boolean|bigint }>, skipped: bigint[] }>}
+   *   `outcome` is the winning index for categorical markets
+   */
+  async resolveMany(marketIds) {
+    const result = await this.#send(this.factory.resolveMany(marketIds));
+    const resolved = [
+      ...this.#findEvents(result.receipt, 'MarketResolved'),
+      ...this.#findEvents(result.receipt, 'OutcomeResolved')
+    ].map(e => ({ marketId: e.args.marketId, outcome: e.args.outcome }));
+    const done = new Set(resolved.map(r => r.marketId));
+    const skipped = marketIds.map(BigInt).filter(id => !done.has(id));
+    return { ...result, resolved, skipped };
+  }
+
+  /**
+   * Everything `user` can collect right now: winnings from resolved
+   * markets and refunds from cancelled or refund-only ones
+   * @param {string} [user] - Defaults to this client's signer
+   * @param {Object} [options]
+   * @param {Array<bigint|number>} [options.marketIds] - Markets to check (default: all)
+   * @returns {Promise<Claimable[]>}
+   */
+  async findClaimable(user, { marketIds } = {}) {
+    const owner = user ?? await this.#signerAddress();
+    if (!marketIds) {
+      const count = await this.getMarketCount();
+      marketIds = Array.from({ length: Number(count) }, (_, i) => BigInt(i));
+    }
+
+    const [protocolFeeBps, ...entries] = await Promise.all([
+      this.#call(this.factory.protocolFeeBps()),
+      ...marketIds.map(id => Promise.all([
+        this.getMarket(id),
+        this.getStake(id, owner),
+        this.#call(this.factory.categoricals(id))
+      ]))
+    ]);
+
+    const claimable = [];
+    for (const [market, stake, categorical] of entries) {
+      if (stake.amount === 0n || stake.claimed) continue;
+      if (market.cancelled) {
+        claimable.push({ marketId: market.id, kind: 'refund', token: market.token, amount: stake.amount });
+      } else if (market.resolved) {
+        const quote = categorical.outcomeCount === 0n
+          ? claimPayout(market, stake, protocolFeeBps)
+          : await this.#outcomeClaim(market, categorical, stake, owner, protocolFeeBps);
+        if (quote) {
+          claimable.push({ marketId: market.id, kind: quote.refund ? 'refund' : 'winnings', token: market.token, amount: quote.payout });
+        }
+      }
+    }
+    return claimable;
+  }
+
+  // claimOutcomePayout() for a stake in a resolved categorical market
+  async #outcomeClaim(market, categorical, stake, owner, protocolFeeBps) {
+    const [pools, outcome] = await this.#call(Promise.all([
+      this.factory.getOutcomePools(market.id),
+      this.factory.stakeOutcomes(market.id, owner)
+    ]));
+    return claimOutcomePayout(
+      { ...market, pools: [...pools], winningOutcome: categorical.winningOutcome },
+      { amount: stake.amount, outcome },
+      protocolFeeBps
+    );
+  }
+
+  /**
+   * Collect winnings and refunds from many markets, one transfer per
+   * collateral token per transaction. Without marketIds, claims
+   * everything findClaimable() finds.
+   * @param {Array<bigint|number>} [marketIds]
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=50] - Markets per transaction
+   * @returns {Promise<{ transactions: TxResult[], claims: Claimable[], totals: Array<{ token: string, amount: bigint }> }>}
+   *   `totals` is the amount received per token
+   */
+  async claimMany(marketIds, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    const ids = marketIds ?? (await this.findClaimable()).map(c => c.marketId);
+
+    // Grouped by token so each batch pays out with as few transfers as possible
+    const tokens = await Promise.all(ids.map(id => this.#marketToken(id)));
+    const ordered = ids
+      .map((id, i) => ({ id, token: tokens[i] }))
+      .sort((a, b) => (a.token < b.token ? -1 : a.token > b.token ? 1 : 0))
+      .map(entry => entry.id);
+
+    const transactions = [];
+    const claims = [];
+    for (let i = 0; i < ordered.length; i += batchSize) {
+      const result = await this.#send(this.factory.claimMany(ordered.slice(i, i + batchSize)));
+      transactions.push(result);
+      for (const e of this.#findEvents(result.receipt, 'Claimed')) {
+        claims.push({ marketId: e.args.marketId, kind: 'winnings', token: await this.#marketToken(e.args.marketId), amount: e.args.payout });
+      }
+      for (const e of this.#findEvents(result.receipt, 'Refunded')) {
+        claims.push({ marketId: e.args.marketId, kind: 'refund', token: await this.#marketToken(e.args.marketId), amount: e.args.amount });
+      }
+    }
+
+    const totals = [];
+    for (const claim of claims) {
+      const entry = totals.find(t => t.token === claim.token);
+      if (entry) entry.amount += claim.amount;
+      else totals.push({ token: claim.token, amount: claim.amount });
+    }
+    return { transactions, claims, totals };
+  }
+
+  // ============ Gasless Staking ============
+
+  /**
+   * Sign an EIP-2612 permit letting the factory pull `amount` of a stake
+   * token from this client's signer
+   * @param {bigint} amount - In the token's base units
+   * @param {Object} [options]
+   * @param {bigint|number} [options.deadline] - Default: one hour from the latest block
+   * @param {string} [options.token] - Token to permit (default: USDC)
+   * @returns {Promise<import('./signatures.js').PermitSignature>}
+   */
+  async signPermit(amount, { deadline, token } = {}) {
+    const owner = await this.#signerAddress();
+    const contract = this.token(token ?? await this.#usdcAddress());
+    const [name, version, nonce, chainId] = await Promise.all([
+      this.#call(contract.name()),
+      // Tokens without version() sign with the EIP-2612 default
+      contract.version().catch(() => '1'),
+      this.#call(contract.nonces(owner)),
+      this.#chainId()
+    ]);
+    return signPermit(this.runner, {
+      token: contract.target,
+      name,
+      version,
+      chainId,
+      spender: this.addresses.MarketFactory,
+      value: BigInt(amount),
+      nonce,
+      deadline: deadline ?? await this.#defaultDeadline()
+    });
+  }
+
+  /**
+   * Sign a stake intent that a relayer can submit with relayStake(). The
+   * staker still needs an allowance for the factory in the market's token,
+   * unless the relayer also gets a permit (`withPermit`).
+   * @param {Object} params
+   * @param {bigint|number} params.marketId
+   * @param {boolean} params.isYes
+   * @param {bigint} params.amount - In the market token's base units
+   * @param {bigint|number} [params.deadline] - Default: one hour from the latest block
+   * @param {bigint|number} [params.nonce] - Default: the signer's current nonce
+   * @param {boolean} [params.withPermit=false] - Also sign a permit for the amount
+   * @returns {Promise<{ intent: import('./signatures.js').StakeIntent, signature: string,
+   *   permit: import('./signatures.js').PermitSignature|null }>}
+   */
+  async signStakeIntent({ marketId, isYes, amount, deadline, nonce, withPermit = false }) {
+    const staker = await this.#signerAddress();
+    const intent = toStakeIntent({
+      staker,
+      marketId,
+      isYes,
+      amount,
+      nonce: nonce ?? await this.#call(this.factory.nonces(staker)),
+      deadline: deadline ?? await this.#defaultDeadline()
+    });
+    const domain = { chainId: await this.#chainId(), factory: this.addresses.MarketFactory };
+    const signature = await signStakeIntent(this.runner, domain, intent);
+    const permit = withPermit
+      ? await this.signPermit(intent.amount, { deadline: intent.deadline, token: await this.#marketToken(marketId) })
+      : null;
+    return { intent, signature, permit };
+  }
+
+  /**
+   * Submit a signed stake intent, paying the gas (relayer side)
+   * @param {Object} params
+   * @param {import('./signatures.js').StakeIntent} params.intent
+   * @param {string} params.signature
+   * @param {import('./signatures.js').PermitSignature|null} [params.permit]
+   * @returns {Promise<TxResult & { staker: string, nonce: bigint }>}
+   */
+  async relayStake({ intent, signature, permit = null }) {
+    const tx = permit
+      ? this.factory.stakeBySigWithPermit(toStakeIntent(intent), signature, permit.deadline, permit.v, permit.r, permit.s)
+      : this.factory.stakeBySig(toStakeIntent(intent), signature);
+    const result = await this.#send(tx);
+    const event = this.#findEvent(result.receipt, 'StakeIntentExecuted');
+    return { ...result, staker: event.args.staker, nonce: event.args.nonce };
+  }
+
+  /**
+   * Invalidate every stake intent this signer has signed but not yet had relayed
+   * @returns {Promise<TxResult & { nonce: bigint }>}
+   */
+  async cancelStakeIntents() {
+    const result = await this.#send(this.factory.incrementNonce());
+    const event = this.#findEvent(result.receipt, 'NonceIncremented');
+    return { ...result, nonce: event.args.newNonce };
+  }
+
+  // ============ Cancellation ============
+
+  /**
+   * Cancel an unresolved market so its stakers can be refunded. The factory
+   * owner can cancel at any time, anyone once cancellableAt() has passed.
+   * With `viaResolver`, the market's resolver cancels it instead: the
+   * ManualResolver admin, or anyone for an unpinned ChainlinkResolver
+   * market whose price feed was removed.
+   * @param {bigint|number} marketId
+   * @param {Object} [options]
+   * @param {boolean} [options.viaResolver=false]
+   * @returns {Promise<TxResult & { cancelledBy: string }>}
+   */
+  async cancelMarket(marketId, { viaResolver = false } = {}) {
+    let tx;
+    if (viaResolver) {
+      const { resolver } = await this.getMarket(marketId);
+      const contract = sameAddress(resolver, this.addresses.ManualResolver) ? this.manualResolver
+        : sameAddress(resolver, this.addresses.ChainlinkResolver) ? this.chainlinkResolver
+        : null;
+      if (!contract) throw new Error(`Resolver ${resolver} cannot cancel markets`);
+      tx = contract.cancelMarket(marketId);
+    } else {
+      tx = this.factory.cancelMarket(marketId);
+    }
+
+    const result = await this.#send(tx);
+    const event = this.#findEvent(result.receipt, 'MarketCancelled');
+    return { ...result, cancelledBy: event.args.cancelledBy };
+  }
+
+  /**
+   * Withdraw the full stake from a cancelled market (no fees)
+   * @returns {Promise<TxResult & { amount: bigint }>}
+   */
+  async refund(marketId) {
+    const result = await this.#send(this.factory.refund(marketId));
+    const event = this.#findEvent(result.receipt, 'Refunded');
+    return { ...result, amount: event.args.amount };
+  }
+
+  /**
+   * Unix time from which anyone can cancel the market if it is still unresolved
+   * @returns {Promise<bigint>}
+   */
+  async cancellableAt(marketId) {
+    const [market, timeout] = await Promise.all([
+      this.#call(this.factory.getMarket(marketId)),
+      this.#call(this.factory.resolutionTimeout())
+    ]);
+    return market.deadline + timeout;
+  }
+
+  // ============ Fees ============
+
+  /**
+   * Withdraw the protocol or creator fees accrued to this client's signer
+   * in one token
+   * @param {Object} [options]
+   * @param {string} [options.token] - Token the fees were accrued in (default: USDC)
+   * @param {string} [options.to] - Send the tokens elsewhere (default: the signer)
+   * @returns {Promise<TxResult & { token: string, amount: bigint, to: string }>}
+   */
+  async withdrawFees({ token, to } = {}) {
+    token = token ?? await this.#usdcAddress();
+    const result = await this.#send(to ? this.factory.withdrawFeesTo(token, to) : this.factory.withdrawFees(token));
+    const event = this.#findEvent(result.receipt, 'FeesWithdrawn');
+    return { ...result, token: event.args.token, amount: event.args.amount, to: event.args.to };
+  }
+
+  /**
+   * Fees credited to a recipient (the treasury or a market creator) in one token
+   * @param {string} [recipient] - Defaults to this client's signer
+   * @param {Object} [options]
+   * @param {string} [options.token] - Default: USDC
+   * @returns {Promise<{ token: string, accrued: bigint, lifetime: bigint }>} Withdrawable now, and credited in total
+   */
+  async getAccruedFees(recipient, { token } = {}) {
+    const address = recipient ?? await this.#signerAddress();
+    token = token ?? await this.#usdcAddress();
+    const [accrued, lifetime] = await Promise.all([
+      this.#call(this.factory.accruedFees(address, token)),
+      this.#call(this.factory.lifetimeFees(address, token))
+    ]);
+    return { token, accrued, lifetime };
+  }
+
+  /**
+   * Fees a market has credited so far, in the market's token
+   * @returns {Promise<{ treasury: bigint, creator: bigint }>}
+   */
+  async getMarketFees(marketId) {
+    const { treasury, creator } = await this.#call(this.factory.marketFees(marketId));
+    return { treasury, creator };
+  }
+
+  // ============ Governance ============
+
+  // Timelocked contract by name: MarketFactory (default) or ChainlinkResolver
+  #timelocked(target = 'MarketFactory') {
+    if (target === 'MarketFactory') return this.factory;
+    if (target === 'ChainlinkResolver') return this.chainlinkResolver;
+    throw new Error(`${target} has no timelock`);
+  }
+
+  /**
+   * Owner, pending owner and timelock settings of a timelocked contract
+   * @param {Object} [options]
+   * @param {'MarketFactory'|'ChainlinkResolver'} [options.target='MarketFactory']
+   * @returns {Promise<{ owner: string, pendingOwner: string, timelockDelay: bigint, gracePeriod: bigint }>}
+   */
+  async getGovernance({ target } = {}) {
+    const contract = this.#timelocked(target);
+    const [owner, pendingOwner, timelockDelay, gracePeriod] = await Promise.all([
+      this.#call(contract.owner()),
+      this.#call(contract.pendingOwner()),
+      this.#call(contract.timelockDelay()),
+      this.#call(contract.GRACE_PERIOD())
+    ]);
+    return { owner, pendingOwner, timelockDelay, gracePeriod };
+  }
+
+  /**
+   * Queue an admin call (owner). executeAction() runs it from `eta` until
+   * `eta + GRACE_PERIOD`.
+   * @param {string} method - One of TIMELOCKED_FUNCTIONS[target], e.g. "setProtocolFee"
+   * @param {Array} [args]
+   * @param {Object} [options]
+   * @param {'MarketFactory'|'ChainlinkResolver'} [options.target='MarketFactory']
+   * @returns {Promise<TxResult & { id: string, data: string, eta: bigint }>}
+   */
+  async queueAction(method, args = [], { target = 'MarketFactory' } = {}) {
+    if (!TIMELOCKED_FUNCTIONS[target]?.includes(method)) {
+      throw new Error(`${method} is not a timelocked ${target} function`);
+    }
+    const contract = this.#timelocked(target);
+    const data = contract.interface.encodeFunctionData(method, args);
+    const result = await this.#send(contract.queueAction(data));
+    const event = this.#findEvent(result.receipt, 'ActionQueued', contract);
+    return { ...result, id: event.args.id, data, eta: event.args.eta };
+  }
+
+  /**
+   * Run a queued action once its eta has passed (owner)
+   * @param {{ data: string, eta: bigint }} action - As returned by queueAction() or getQueuedActions()
+   * @param {Object} [options]
+   * @param {'MarketFactory'|'ChainlinkResolver'} [options.target='MarketFactory']
+   * @returns {Promise<TxResult & { id: string }>}
+   */
+  async executeAction({ data, eta }, { target } = {}) {
+    const result = await this.#send(this.#timelocked(target).executeAction(data, eta));
+    return { ...result, id: actionId(data, eta) };
+  }
+
+  /**
+   * Drop a queued action (owner)
+   * @returns {Promise<TxResult & { id: string }>}
+   */
+  async cancelAction({ data, eta }, { target } = {}) {
+    const result = await this.#send(this.#timelocked(target).cancelAction(data, eta));
+    return { ...result, id: actionId(data, eta) };
+  }
+
+  /**
+   * Actions queued and not yet executed or cancelled, read from events
+   * @param {Object} [options]
+   * @param {'MarketFactory'|'ChainlinkResolver'} [options.target='MarketFactory']
+   * @param {number} [options.fromBlock] - The contract's deployment block
+   * @param {number} [options.toBlock]
+   * @returns {Promise<import('./governance.js').QueuedAction[]>}
+   */
+  async getQueuedActions({ target, fromBlock, toBlock } = {}) {
+    return this.#call(findQueuedActions({ contract: this.#timelocked(target), fromBlock, toBlock }));
+  }
+
+  /**
+   * Propose a new owner; they take over with acceptOwnership()
+   * @returns {Promise<TxResult>}
+   */
+  async transferOwnership(newOwner, { target } = {}) {
+    return this.#send(this.#timelocked(target).transferOwnership(newOwner));
+  }
+
+  /**
+   * Accept ownership proposed to this client's signer
+   * @returns {Promise<TxResult>}
+   */
+  async acceptOwnership({ target } = {}) {
+    return this.#send(this.#timelocked(target).acceptOwnership());
+  }
+
+  // ============ Optimistic Resolution ============
+
+  /**
+   * Propose the outcome of an OptimisticResolver market (after its deadline),
+   * posting the resolver's bond. Approves the bond first if needed.
+   * @param {bigint|number} marketId
+   * @param {boolean} outcome
+   * @param {Object} [options] - `approve` / `approveMax`, as for stake()
+   * @returns {Promise<TxResult & { approval: TxResult|null, bond: bigint, challengeEnds: bigint }>}
+   */
+  async proposeOutcome(marketId, outcome, options) {
+    const resolver = this.optimisticResolver;
+    const bond = await this.#call(resolver.bondAmount());
+    const approval = await this.#ensureAllowance(await this.#usdcAddress(), this.addresses.OptimisticResolver, bond, options);
+
+    const result = await this.#send(resolver.propose(marketId, outcome));
+    const event = this.#findEvent(result.receipt, 'OutcomeProposed', resolver);
+    return { ...result, approval, bond: event.args.bond, challengeEnds: event.args.challengeEnds };
+  }
+
+  /**
+   * Dispute a proposed outcome within its challenge window, posting the
+   * proposal's bond. Approves the bond first if needed.
+   * @param {bigint|number} marketId
+   * @param {Object} [options] - `approve` / `approveMax`, as for stake()
+   * @returns {Promise<TxResult & { approval: TxResult|null }>}
+   */
+  async disputeOutcome(marketId, options) {
+    const resolver = this.optimisticResolver;
+    const { bond } = await this.getOutcomeRequest(marketId);
+    const approval = await this.#ensureAllowance(await this.#usdcAddress(), this.addresses.OptimisticResolver, bond, options);
+
+    const result = await this.#send(resolver.dispute(marketId));
+    return { ...result, approval };
+  }
+
+  /**
+   * Accept an undisputed proposal after its challenge window
+   * @returns {Promise<TxResult & { outcome: boolean }>}
+   */
+  async finalizeOutcome(marketId) {
+    const resolver = this.optimisticResolver;
+    const result = await this.#send(resolver.finalize(marketId));
+    const event = this.#findEvent(result.receipt, 'OutcomeFinalized', resolver);
+    return { ...result, outcome: event.args.outcome };
+  }
+
+  /**
+   * Vote on a disputed outcome (arbiters only)
+   * @returns {Promise<TxResult & { finalized: boolean }>} `finalized` when this vote reached quorum
+   */
+  async voteOutcome(marketId, outcome) {
+    const resolver = this.optimisticResolver;
+    const result = await this.#send(resolver.vote(marketId, outcome));
+    return { ...result, finalized: !!this.#findEvent(result.receipt, 'OutcomeFinalized', resolver) };
+  }
+
+  /**
+   * Return the proposer's and disputer's bonds once the market is cancelled
+   * before its request was final
+   * @returns {Promise<TxResult & { bond: bigint }>} `bond` returned to each party
+   */
+  async refundBonds(marketId) {
+    const resolver = this.optimisticResolver;
+    const result = await this.#send(resolver.refundBonds(marketId));
+    const event = this.#findEvent(result.receipt, 'BondsRefunded', resolver);
+    return { ...result, bond: event.args.bond };
+  }
+
+  /**
+   * @returns {Promise<OutcomeRequest>}
+   */
+  async getOutcomeRequest(marketId) {
+    return toOutcomeRequest(await this.#call(this.optimisticResolver.getRequest(marketId)));
+  }
+
+  // ============ Quorum Resolution ============
+
+  /**
+   * Vote for a QuorumResolver market's outcome (reporters only, after the deadline)
+   * @returns {Promise<TxResult & { finalized: boolean, conflicting: boolean }>}
+   *   `finalized` when this vote reached quorum, `conflicting` when it disagrees with an earlier vote
+   */
+  async reportOutcome(marketId, outcome) {
+    const resolver = this.quorumResolver;
+    const result = await this.#send(resolver.setOutcome(marketId, outcome));
+    return {
+      ...result,
+      finalized: !!this.#findEvent(result.receipt, 'OutcomeSet', resolver),
+      conflicting: !!this.#findEvent(result.receipt, 'ConflictingVote', resolver)
+    };
+  }
+
+  /**
+   * @returns {Promise<VoteStatus>}
+   */
+  async getVoteStatus(marketId) {
+    const resolver = this.quorumResolver;
+    const [[reporters, quorum], votes, market] = await Promise.all([
+      this.#call(resolver.getReporters(marketId)),
+      this.#call(resolver.getVotes(marketId)),
+      this.getMarket(marketId)
+    ]);
+    const cast = await Promise.all(reporters.map(address => this.#call(resolver.votes(marketId, address))));
+
+    return {
+      reporters: reporters.map((address, i) => ({ address, vote: VOTES[Number(cast[i])] })),
+      defaultSet: ethers.dataLength(market.resolverData) === 0,
+      quorum,
+      yesVotes: votes.yes,
+      noVotes: votes.no,
+      isSet: votes.isSet,
+      outcome: votes.outcome
+    };
+  }
+
+  // ============ Views ============
+
+  /**
+   * @returns {Promise<Market>}
+   */
+  async getMarket(marketId) {
+    return toMarket(await this.#call(this.factory.getMarket(marketId)));
+  }
+
+  /**
+   * @returns {Promise<ResolverSnapshot>}
+   */
+  async getResolverSnapshot(marketId) {
+    return toResolverSnapshot(await this.#call(this.factory.getResolverSnapshot(marketId)));
+  }
+
+  /**
+   * @returns {Promise<Stake>}
+   */
+  async getStake(marketId, user) {
+    return toStake(await this.#call(this.factory.getStake(marketId, user)));
+  }
+
+  /**
+   * A categorical market with its outcome labels, pools and odds
+   * @param {bigint|number} marketId
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock] - Factory deployment block, where the label search starts
+   * @returns {Promise<CategoricalMarket>}
+   */
+  async getCategoricalMarket(marketId, { fromBlock } = {}) {
+    const [market, categorical, pools, outcomes] = await Promise.all([
+      this.getMarket(marketId),
+      this.#call(this.factory.categoricals(marketId)),
+      this.#call(this.factory.getOutcomePools(marketId)),
+      this.#call(findOutcomeLabels({ factory: this.factory, marketId, fromBlock }))
+    ]);
+    if (categorical.outcomeCount === 0n) throw new Error(`Market ${marketId} is not categorical`);
+
+    return {
+      market,
+      outcomes,
+      pools: [...pools],
+      totalPool: categorical.totalPool,
+      odds: computeOutcomeOdds([...pools]),
+      winningOutcome: market.resolved ? categorical.winningOutcome : null
+    };
+  }
+
+  /**
+   * @returns {Promise<OutcomeStake>}
+   */
+  async getOutcomeStake(marketId, user) {
+    const [stake, outcome] = await Promise.all([
+      this.getStake(marketId, user),
+      this.#call(this.factory.stakeOutcomes(marketId, user))
+    ]);
+    return { amount: stake.amount, outcome, claimed: stake.claimed };
+  }
+
+  /**
+   * Symbol and decimals of a token, read once per client
+   * @param {string} address
+   * @returns {Promise<import('./tokens.js').TokenInfo>}
+   */
+  async getTokenInfo(address) {
+    const key = address.toLowerCase();
+    if (!this.#tokens.has(key)) {
+      const info = this.#call(readTokenInfo(this.runner, address));
+      this.#tokens.set(key, info);
+      info.catch(() => this.#tokens.delete(key));
+    }
+    return this.#tokens.get(key);
+  }
+
+  /**
+   * The collateral token of a market, with its symbol and decimals
+   * @returns {Promise<import('./tokens.js').TokenInfo>}
+   */
+  async getMarketToken(marketId) {
+    return this.getTokenInfo(await this.#marketToken(marketId));
+  }
+
+  /**
+   * A token's whitelist entry, with its symbol and decimals
+   * @param {string} address
+   * @returns {Promise<StakeToken>}
+   */
+  async getStakeToken(address) {
+    const [info, { approved, minStake }] = await Promise.all([
+      this.getTokenInfo(address),
+      this.#call(this.factory.stakeTokens(address))
+    ]);
+    return { ...info, approved, minStake };
+  }
+
+  /**
+   * Every token ever put on the collateral whitelist, approved or revoked
+   * @returns {Promise<StakeToken[]>}
+   */
+  async getStakeTokens() {
+    const tokens = await this.#call(this.factory.getStakeTokens());
+    return Promise.all(tokens.map(address => this.getStakeToken(address)));
+  }
+
+  // Collateral token address of a market
+  async #marketToken(marketId) {
+    const key = BigInt(marketId);
+    if (!this.#marketTokens.has(key)) {
+      this.#marketTokens.set(key, (await this.getMarket(key)).token);
+    }
+    return this.#marketTokens.get(key);
+  }
+
+  /**
+   * @returns {Promise<bigint>}
+   */
+  async getMarketCount() {
+    return this.#call(this.factory.getMarketCount());
+  }
+
+  /**
+   * @returns {Promise<Odds>}
+   */
+  async getOdds(marketId) {
+    const [yes, no] = await this.#call(this.factory.getOdds(marketId));
+    return { yes, no };
+  }
+
+  /**
+   * Preview the net payout for staking `amount` on a side
+   * @returns {Promise<bigint>}
+   */
+  async calculatePayout(marketId, isYes, amount) {
+    return this.#call(this.factory.calculatePayout(marketId, isYes, amount));
+  }
+
+  /**
+   * calculatePayout() computed locally, with the fee breakdown
+   * @returns {Promise<import('./payout.js').PayoutQuote>}
+   */
+  async quotePayout(marketId, isYes, amount) {
+    const [market, protocolFeeBps, oneSidedPolicy] = await Promise.all([
+      this.getMarket(marketId),
+      this.#call(this.factory.protocolFeeBps()),
+      this.getOneSidedPolicy()
+    ]);
+    return quotePayout(market, { isYes, amount, protocolFeeBps, oneSidedPolicy });
+  }
+
+  /**
+   * quotePayout() for an outcome of a categorical market, which
+   * calculatePayout() does not quote
+   * @returns {Promise<import('./payout.js').PayoutQuote>}
+   */
+  async quoteOutcomePayout(marketId, outcome, amount) {
+    const [market, pools, protocolFeeBps, oneSidedPolicy] = await Promise.all([
+      this.getMarket(marketId),
+      this.#call(this.factory.getOutcomePools(marketId)),
+      this.#call(this.factory.protocolFeeBps()),
+      this.getOneSidedPolicy()
+    ]);
+    if (pools.length === 0) throw new Error(`Market ${marketId} is not categorical`);
+    if (BigInt(outcome) >= BigInt(pools.length)) throw new Error(`Market ${marketId} has no outcome ${outcome}`);
+    return quoteOutcomePayout({ ...market, pools: [...pools] }, { outcome, amount, protocolFeeBps, oneSidedPolicy });
+  }
+
+  /**
+   * How markets with an empty side are settled
+   * @returns {Promise<'refund'|'treasury'>}
+   */
+  async getOneSidedPolicy() {
+    return ONE_SIDED_POLICIES[Number(await this.#call(this.factory.oneSidedPolicy()))];
+  }
+}
@@ -0,0 +1,174 @@
+import { ethers } from 'ethers';
+import { AGGREGATOR_ABI } from './abi.js';
+import { beyondLookback, findRoundAt, firstRoundOfPhase } from './chainlink.js';
+
+// ============================================
+// PriceConditionResolver helpers
+// ============================================
+// Range, ratio and TWAP markets share one resolver. Resolver data is
+// abi.encode(uint8 conditionType, bytes params), where params is the
+// ABI-encoded struct of that condition type. Prices are in the feed's
+// decimals, ratios in RATIO_DECIMALS (18).
+// ============================================
+
+// PriceConditionResolver.ConditionType
+export const CONDITION_TYPES = {
+  range: 0,
+  ratio: 1,
+  twap: 2
+};
+
+const PARAMS_TYPES = {
+  range: 'tuple(string asset, uint256 lowerPrice, uint256 upperPrice, uint256 deadline)',
+  ratio: 'tuple(string baseAsset, string quoteAsset, uint256 targetRatio, bool isGreaterThan, uint256 deadline)',
+  twap: 'tuple(string asset, uint256 targetPrice, bool isGreaterThan, uint256 window, uint256 deadline)'
+};
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * @typedef {Object} RangeParams - YES if lowerPrice <= price < upperPrice at the deadline
+ * @property {string} asset
+ * @property {bigint} lowerPrice - In the feed's decimals
+ * @property {bigint} upperPrice - In the feed's decimals
+ * @property {bigint} deadline - Resolution time
+ */
+
+/**
+ * @typedef {Object} RatioParams - YES if base/quote >= targetRatio (isGreaterThan) or < targetRatio
+ * @property {string} baseAsset
+ * @property {string} quoteAsset
+ * @property {bigint} targetRatio - 18 decimals (e.g. 0.03 ETH/BTC = 3n * 10n ** 16n)
+ * @property {boolean} isGreaterThan
+ * @property {bigint} deadline - Resolution time
+ */
+
+/**
+ * @typedef {Object} TwapParams - Like ChainlinkParams, on the average price over [deadline - window, deadline]
+ * @property {string} asset
+ * @property {bigint} targetPrice - In the feed's decimals
+ * @property {boolean} isGreaterThan
+ * @property {bigint} window - Seconds
+ * @property {bigint} deadline - Resolution time (end of the window)
+ */
+
+function encode(type, fields) {
+  const params = coder.encode([PARAMS_TYPES[type]], [fields]);
+  return coder.encode(['uint8', 'bytes'], [CONDITION_TYPES[type], params]);
+}
+
+/**
+ * ABI-encode a range condition, identical to PriceConditionResolver.encodeRange()
+ * @param {RangeParams} params
+ * @returns {string} Hex resolver data
+ */
+export function encodeRangeParams({ asset, lowerPrice, upperPrice, deadline }) {
+  if (BigInt(lowerPrice) >= BigInt(upperPrice)) {
+    throw new Error(`Invalid range: lowerPrice ${lowerPrice} must be below upperPrice ${upperPrice}`);
+  }
+  return encode('range', [asset, lowerPrice, upperPrice, deadline]);
+}
+
+/**
+ * ABI-encode a ratio condition, identical to PriceConditionResolver.encodeRatio()
+ * @param {RatioParams} params
+ * @returns {string} Hex resolver data
+ */
+export function encodeRatioParams({ baseAsset, quoteAsset, targetRatio, isGreaterThan, deadline }) {
+  if (baseAsset === quoteAsset) throw new Error(`Invalid ratio: ${baseAsset}/${quoteAsset}`);
+  return encode('ratio', [baseAsset, quoteAsset, targetRatio, isGreaterThan, deadline]);
+}
+
+/**
+ * ABI-encode a TWAP condition, identical to PriceConditionResolver.encodeTwap()
+ * @param {TwapParams} params
+ * @returns {string} Hex resolver data
+ */
+export function encodeTwapParams({ asset, targetPrice, isGreaterThan, window, deadline }) {
+  if (BigInt(window) <= 0n || BigInt(window) > BigInt(deadline)) {
+    throw new Error(`Invalid TWAP window: ${window}`);
+  }
+  return encode('twap', [asset, targetPrice, isGreaterThan, window, deadline]);
+}
+
+/**
+ * Decode PriceConditionResolver data of any condition type
+ * @param {string} data - Hex resolver data
+ * @returns {({ type: 'range' } & RangeParams) | ({ type: 'ratio' } & RatioParams) | ({ type: 'twap' } & TwapParams)}
+ */
+export function decodeConditionParams(data) {
+  const [typeId, params] = coder.decode(['uint8', 'bytes'], data);
+  const type = Object.keys(CONDITION_TYPES).find(key => CONDITION_TYPES[key] === Number(typeId));
+  if (!type) throw new Error(`Unknown condition type: ${typeId}`);
+
+  const [fields] = coder.decode([PARAMS_TYPES[type]], params);
+  return { type, ...fields.toObject() };
+}
+
+/**
+ * Find the feed rounds a PriceConditionResolver market resolves on, for
+ * setRoundHint(feed, timestamp, roundId): the round of the market's feed
+ * current at the deadline for every asset, and for a TWAP window that
+ * crosses a phase change, the last round before each new phase.
+ *
+ * @param {ethers.Contract} resolver - PriceConditionResolver contract (PRICE_CONDITION_RESOLVER_ABI)
+ * @param {bigint|number} marketId - The market's ID (its pinned feeds)
+ * @param {string} resolverData - The market's encoded condition
+ * @returns {Promise<Array<{
+ *   asset: string, feed: string, timestamp: bigint, roundId: bigint, answer: bigint, updatedAt: bigint,
+ *   needsHint: boolean, hintSet: boolean
+ * }>>} `needsHint` is true when resolve() would not reach the round on its own
+ *
+ * @example
+ * for (const hint of await findConditionHints(resolver, market.id, market.resolverData)) {
+ *   if (hint.needsHint && !hint.hintSet) await resolver.setRoundHint(hint.feed, hint.timestamp, hint.roundId);
+ * }
+ */
+export async function findConditionHints(resolver, marketId, resolverData) {
+  const condition = decodeConditionParams(resolverData);
+  const lookback = await resolver.MAX_ROUND_LOOKBACK();
+
+  const assets = condition.type === 'ratio' ? [condition.baseAsset, condition.quoteAsset] : [condition.asset];
+  const hints = [];
+
+  for (const asset of assets) {
+    const [feedAddress] = await resolver.feedFor(marketId, asset);
+    if (feedAddress === ethers.ZeroAddress) {
+      throw new Error(`Unknown asset: ${asset} has no price feed on PriceConditionResolver ${await resolver.getAddress()}`);
+    }
+    const feed = new ethers.Contract(feedAddress, AGGREGATOR_ABI, resolver.runner);
+    const latest = await feed.latestRoundData();
+
+    const add = async (timestamp, round) => {
+      hints.push({
+        asset,
+        feed: feedAddress,
+        timestamp,
+        roundId: round.roundId,
+        answer: round.answer,
+        updatedAt: round.updatedAt,
+        needsHint: beyondLookback(round, latest.roundId, lookback),
+        hintSet: await resolver.roundHints(feedAddress, timestamp) !== 0n
+      });
+    };
+
+    let round = await findRoundAt(feed, asset, condition.deadline, latest);
+    await add(condition.deadline, round);
+
+    if (condition.type !== 'twap') continue;
+
+    // twapAt() steps from the first round of a phase to the round current
+    // just before it, which is looked up by timestamp
+    const start = condition.deadline - condition.window;
+    for (;;) {
+      const first = await firstRoundOfPhase(feed, round.roundId);
+      if (!first || first.updatedAt <= start) break;
+
+      const timestamp = first.updatedAt - 1n;
+      round = await findRoundAt(feed, asset, timestamp, latest);
+      await add(timestamp, round);
+    }
+  }
+
+  return hints;
+}
@@ -0,0 +1,71 @@
+import { ethers } from 'ethers';
+import {
+  FACTORY_ABI,
+  CHAINLINK_RESOLVER_ABI,
+  MANUAL_RESOLVER_ABI,
+  PRICE_CONDITION_RESOLVER_ABI,
+  OPTIMISTIC_RESOLVER_ABI,
+  QUORUM_RESOLVER_ABI
+} from './abi.js';
+
+// All protocol custom errors, used to decode revert data from any contract
+const errorInterface = new ethers.Interface([
+  ...new Set([
+    ...FACTORY_ABI,
+    ...CHAINLINK_RESOLVER_ABI,
+    ...MANUAL_RESOLVER_ABI,
+    ...PRICE_CONDITION_RESOLVER_ABI,
+    ...OPTIMISTIC_RESOLVER_ABI,
+    ...QUORUM_RESOLVER_ABI
+  ].filter(f => f.startsWith('error ')))
+]);
+
+/**
+ * Error thrown by ClawshiClient when a call reverts.
+ * `reason` is the Solidity custom error name (e.g. "CreatorFeeTooHigh")
+ * or the revert string, when one could be decoded.
+ */
+export class ClawshiError extends Error {
+  constructor(reason, { args = [], data = null, cause } = {}) {
+    super(reason ? `Clawshi: ${reason}` : 'Clawshi: call reverted', { cause });
+    this.name = 'ClawshiError';
+    this.reason = reason;
+    this.args = args;
+    this.data = data;
+  }
+}
+
+function findRevertData(err) {
+  for (let e = err; e; e = e.error || e.info?.error || e.cause) {
+    if (typeof e.data === 'string' && e.data.startsWith('0x')) return e.data;
+    // Nested node error payloads: { data: "0x..." } or { result: "0x..." } (ganache)
+    if (typeof e.data?.data === 'string') return e.data.data;
+    if (typeof e.data?.result === 'string') return e.data.result;
+  }
+  return null;
+}
+
+/**
+ * Decode revert data into a ClawshiError.
+ * Returns the original error if it is not a contract revert.
+ */
+export function decodeError(err) {
+  if (err instanceof ClawshiError) return err;
+
+  const data = findRevertData(err);
+  if (data && data !== '0x') {
+    const parsed = errorInterface.parseError(data);
+    if (parsed?.name === 'Error') {
+      return new ClawshiError(parsed.args[0], { data, cause: err });
+    }
+    if (parsed) {
+      return new ClawshiError(parsed.name, { args: [...parsed.args], data, cause: err });
+    }
+  }
+
+  if (err?.code === 'CALL_EXCEPTION') {
+    return new ClawshiError(err.reason || null, { data, cause: err });
+  }
+
+  return err;
+}
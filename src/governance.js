@@ -0,0 +1,130 @@
+import { ethers } from 'ethers';
+import { TIMELOCK_ABI } from './abi.js';
+
+// ============================================
+// Timelock helpers
+// ============================================
+// MarketFactory and ChainlinkResolver run admin changes through a
+// queue: queueAction(data) records keccak256(abi.encode(data, eta))
+// with eta = queue time + timelockDelay, and executeAction(data, eta)
+// calls the contract with `data` between eta and eta + GRACE_PERIOD.
+// The queue itself is only readable from events, so pending actions
+// are rebuilt from ActionQueued / ActionCancelled / ActionExecuted.
+// ============================================
+
+// Functions that only run through the queue once a delay is set
+export const TIMELOCKED_FUNCTIONS = {
+  MarketFactory: [
+    'setResolverApproval',
+    'setProtocolFee',
+    'setStakeToken',
+    'setExitFee',
+    'setResolutionTimeout',
+    'setOneSidedPolicy',
+    'setTreasury',
+    'emergencyWithdraw',
+    'setTimelockDelay'
+  ],
+  ChainlinkResolver: ['setPriceFeed', 'removePriceFeed', 'setTimelockDelay']
+};
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const timelock = new ethers.Interface(TIMELOCK_ABI);
+const ACTION_TOPICS = ['ActionQueued', 'ActionCancelled', 'ActionExecuted'].map(name => timelock.getEvent(name).topicHash);
+
+/**
+ * @typedef {Object} QueuedAction
+ * @property {string} id - actionId(data, eta)
+ * @property {string} data - Calldata executeAction() sends to the contract
+ * @property {bigint} eta - Earliest execution time
+ * @property {bigint} expiresAt - eta + GRACE_PERIOD
+ * @property {'pending'|'ready'|'expired'} status - At the block read
+ * @property {string|null} method - Decoded call, null if `data` is not in the ABI
+ * @property {Object|null} args - Decoded arguments by name
+ * @property {string} txHash - Transaction that queued it
+ */
+
+/**
+ * ABI-encode a call for queueAction()
+ * @param {ethers.Interface|Array} abi - The target contract's ABI
+ * @param {string} method - e.g. "setProtocolFee"
+ * @param {Array} args
+ * @returns {string} Hex calldata
+ */
+export function encodeAction(abi, method, args = []) {
+  return ethers.Interface.from(abi).encodeFunctionData(method, args);
+}
+
+/**
+ * Decode queued calldata
+ * @returns {{ method: string, args: Object }|null} null if no function in `abi` matches
+ */
+export function decodeAction(abi, data) {
+  const parsed = ethers.Interface.from(abi).parseTransaction({ data });
+  if (!parsed) return null;
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => { args[input.name || i] = parsed.args[i]; });
+  return { method: parsed.name, args };
+}
+
+/**
+ * Action identifier, identical to Timelocked.actionId()
+ */
+export function actionId(data, eta) {
+  return ethers.keccak256(coder.encode(['bytes', 'uint256'], [data, eta]));
+}
+
+/**
+ * List the actions queued on a timelocked contract and not yet executed or cancelled
+ * @param {Object} params
+ * @param {ethers.Contract} params.contract - MarketFactory or ChainlinkResolver (decodes the calldata)
+ * @param {number} [params.fromBlock] - Contract deployment block
+ * @param {number} [params.toBlock] - Default: latest
+ * @param {number} [params.batchSize] - Blocks per eth_getLogs request
+ * @returns {Promise<QueuedAction[]>} Ordered by eta
+ */
+export async function findQueuedActions({ contract, fromBlock = 0, toBlock, batchSize = 2000 }) {
+  const provider = contract.runner.provider || contract.runner;
+  const address = await contract.getAddress();
+  const end = toBlock ?? await provider.getBlockNumber();
+
+  const queued = new Map();
+  for (let from = fromBlock; from <= end; from += batchSize) {
+    const logs = await provider.getLogs({
+      address,
+      topics: [ACTION_TOPICS],
+      fromBlock: from,
+      toBlock: Math.min(from + batchSize - 1, end)
+    });
+
+    for (const entry of logs) {
+      const { name, args } = timelock.parseLog(entry);
+      if (name === 'ActionQueued') {
+        queued.set(args.id, { id: args.id, data: args.data, eta: args.eta, txHash: entry.transactionHash });
+      } else {
+        queued.delete(args.id);
+      }
+    }
+  }
+
+  const [{ timestamp }, gracePeriod] = await Promise.all([
+    provider.getBlock(end),
+    contract.GRACE_PERIOD({ blockTag: end })
+  ]);
+  const now = BigInt(timestamp);
+
+  return [...queued.values()]
+    .sort((a, b) => (a.eta < b.eta ? -1 : a.eta > b.eta ? 1 : 0))
+    .map(action => {
+      const expiresAt = action.eta + gracePeriod;
+      const decoded = decodeAction(contract.interface, action.data);
+      return {
+        ...action,
+        expiresAt,
+        status: now < action.eta ? 'pending' : now > expiresAt ? 'expired' : 'ready',
+        method: decoded?.method ?? null,
+        args: decoded?.args ?? null
+      };
+    });
+}
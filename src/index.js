@@ -0,0 +1,66 @@
+// ============================================
+// @clawshi/protocol
+// ============================================
+// JavaScript SDK for the Clawshi prediction market protocol
+// ============================================
+
+export { ClawshiClient } from './client.js';
+export { ClawshiError, decodeError } from './errors.js';
+export { NETWORKS, getNetwork } from './networks.js';
+export {
+  buildChainlinkMarket,
+  encodeChainlinkParams,
+  decodeChainlinkParams,
+  findRoundHint
+} from './chainlink.js';
+export {
+  CONDITION_TYPES,
+  encodeRangeParams,
+  encodeRatioParams,
+  encodeTwapParams,
+  decodeConditionParams,
+  findConditionHints
+} from './conditions.js';
+export { encodeReporterSet, decodeReporterSet } from './quorum.js';
+export { findOutcomeLabels } from './categorical.js';
+export { readTokenInfo, formatTokenAmount, parseTokenAmount } from './tokens.js';
+export { validateMarketParams, validateOutcomes, validateResolverData } from './validation.js';
+export {
+  ONE_SIDED_POLICIES,
+  quotePayout,
+  claimPayout,
+  computeOdds,
+  computeOutcomeOdds,
+  claimOutcomePayout,
+  quoteOutcomePayout
+} from './payout.js';
+export {
+  TIMELOCKED_FUNCTIONS,
+  encodeAction,
+  decodeAction,
+  actionId,
+  findQueuedActions
+} from './governance.js';
+export {
+  STAKE_INTENT_TYPES,
+  stakeIntentDomain,
+  toStakeIntent,
+  signStakeIntent,
+  recoverStakeIntentSigner,
+  signPermit
+} from './signatures.js';
+export {
+  TIMELOCK_ABI,
+  FACTORY_ABI,
+  LEGACY_FACTORY_ABI,
+  RESOLVER_ABI,
+  CATEGORICAL_RESOLVER_ABI,
+  VALIDATING_RESOLVER_ABI,
+  CHAINLINK_RESOLVER_ABI,
+  MANUAL_RESOLVER_ABI,
+  PRICE_CONDITION_RESOLVER_ABI,
+  OPTIMISTIC_RESOLVER_ABI,
+  QUORUM_RESOLVER_ABI,
+  AGGREGATOR_ABI,
+  ERC20_ABI
+} from './abi.js';
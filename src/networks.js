@@ -0,0 +1,60 @@
+import { readFileSync, readdirSync } from 'fs';
+
+// ============================================
+// Network Presets
+// ============================================
+// Built from the deployment records in deployments/*.json.
+// The file name (without .json) is the network key. Records marked
+// `legacy` hold contracts older than the ABIs in abi.js; ClawshiClient
+// refuses them until they are redeployed.
+// ============================================
+
+const DEPLOYMENTS_DIR = new URL('../deployments/', import.meta.url);
+
+function toPreset(key, deployment) {
+  const contracts = {};
+  for (const [name, info] of Object.entries(deployment.contracts || {})) {
+    contracts[name] = info.address;
+  }
+
+  const usdc = deployment.tokens?.USDC || {};
+
+  return {
+    key,
+    name: deployment.network,
+    chainId: deployment.chainId,
+    contracts,
+    usdc: usdc.address,
+    usdcDecimals: usdc.decimals ?? 6,
+    priceFeeds: deployment.priceFeeds || {},
+    config: deployment.config || {},
+    legacy: Boolean(deployment.legacy)
+  };
+}
+
+function loadNetworks() {
+  const networks = {};
+  for (const file of readdirSync(DEPLOYMENTS_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    const key = file.slice(0, -'.json'.length);
+    const deployment = JSON.parse(readFileSync(new URL(file, DEPLOYMENTS_DIR), 'utf8'));
+    networks[key] = toPreset(key, deployment);
+  }
+  return networks;
+}
+
+export const NETWORKS = loadNetworks();
+
+/**
+ * Look up a network preset by key (e.g. "base-mainnet") or chain ID
+ */
+export function getNetwork(keyOrChainId) {
+  if (typeof keyOrChainId === 'string' && NETWORKS[keyOrChainId]) {
+    return NETWORKS[keyOrChainId];
+  }
+
+  const chainId = Number(keyOrChainId);
+  const preset = Object.values(NETWORKS).find(n => n.chainId === chainId);
+  if (!preset) throw new Error(`Unknown network: ${keyOrChainId}`);
+  return preset;
+}
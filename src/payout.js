@@ -0,0 +1,162 @@
+// ============================================
+// Payout math
+// ============================================
+// Local copies of MarketFactory.calculatePayout(), claim() and
+// getOdds(), for quoting from already-loaded market state. Amounts
+// are the market token's base units (bigint), fees are basis points, and every
+// division truncates exactly like the contract's.
+// ============================================
+
+// MarketFactory.OneSidedPolicy
+export const ONE_SIDED_POLICIES = ['refund', 'treasury'];
+
+/**
+ * @typedef {Object} PayoutQuote
+ * @property {bigint} payout - Net amount paid to the staker
+ * @property {bigint} gross - Share of the total pool before fees
+ * @property {bigint} protocolFee
+ * @property {bigint} creatorFee
+ * @property {boolean} refund - The stake comes back in full, without fees
+ */
+
+/**
+ * @typedef {Object} PoolState
+ * @property {bigint} yesPool
+ * @property {bigint} noPool
+ * @property {bigint} [exitFees] - Exit fees kept in the pool for the winners
+ * @property {bigint} creatorFee - Creator fee in basis points
+ */
+
+const refund = amount => ({ payout: amount, gross: amount, protocolFee: 0n, creatorFee: 0n, refund: true });
+
+function split(amount, totalPool, winningPool, protocolFeeBps, creatorFeeBps) {
+  const gross = (amount * totalPool) / winningPool;
+  const protocolFee = (gross * BigInt(protocolFeeBps)) / 10000n;
+  const creatorFee = (gross * BigInt(creatorFeeBps)) / 10000n;
+  return { payout: gross - protocolFee - creatorFee, gross, protocolFee, creatorFee, refund: false };
+}
+
+/**
+ * Net payout for staking `amount` now if that side wins, identical to
+ * MarketFactory.calculatePayout(). With the other side empty the market
+ * would be one-sided: under the 'refund' policy the stake comes back in full.
+ * @param {PoolState} market
+ * @param {Object} params
+ * @param {boolean} params.isYes
+ * @param {bigint|number} params.amount
+ * @param {bigint|number} params.protocolFeeBps
+ * @param {'refund'|'treasury'} [params.oneSidedPolicy='refund']
+ * @returns {PayoutQuote}
+ */
+export function quotePayout(market, { isYes, amount, protocolFeeBps, oneSidedPolicy = 'refund' }) {
+  const stake = BigInt(amount);
+  if (stake === 0n) return { payout: 0n, gross: 0n, protocolFee: 0n, creatorFee: 0n, refund: false };
+
+  const otherPool = isYes ? market.noPool : market.yesPool;
+  if (otherPool === 0n && oneSidedPolicy === 'refund') return refund(stake);
+
+  const yesPool = isYes ? market.yesPool + stake : market.yesPool;
+  const noPool = isYes ? market.noPool : market.noPool + stake;
+  const totalPool = yesPool + noPool + (market.exitFees ?? 0n);
+  return split(stake, totalPool, isYes ? yesPool : noPool, protocolFeeBps, market.creatorFee);
+}
+
+/**
+ * What claim() pays for a stake in a resolved market: null for a losing
+ * stake, the full stake for a refund-only (one-sided) market
+ * @param {PoolState & { outcome: boolean, refundOnly: boolean }} market
+ * @param {{ amount: bigint, isYes: boolean }} stake
+ * @param {bigint|number} protocolFeeBps
+ * @returns {PayoutQuote|null}
+ */
+export function claimPayout(market, stake, protocolFeeBps) {
+  if (market.refundOnly) return refund(stake.amount);
+  if (stake.isYes !== market.outcome) return null;
+
+  const winningPool = market.outcome ? market.yesPool : market.noPool;
+  const totalPool = market.yesPool + market.noPool + (market.exitFees ?? 0n);
+  return split(stake.amount, totalPool, winningPool, protocolFeeBps, market.creatorFee);
+}
+
+/**
+ * YES/NO percentages, identical to MarketFactory.getOdds(): 50/50 for an
+ * empty market, 100/0 when only one side has stakes
+ * @param {{ yesPool: bigint, noPool: bigint }} market
+ * @returns {{ yes: bigint, no: bigint }}
+ */
+export function computeOdds({ yesPool, noPool }) {
+  const total = yesPool + noPool;
+  if (total === 0n) return { yes: 50n, no: 50n };
+
+  const yes = (yesPool * 100n) / total;
+  return { yes, no: 100n - yes };
+}
+
+// ============================================
+// Categorical markets
+// ============================================
+
+/**
+ * @typedef {Object} OutcomePoolState - A categorical market's pools
+ * @property {bigint[]} pools - Pool of each outcome, by index
+ * @property {bigint} [exitFees]
+ * @property {bigint} creatorFee - Creator fee in basis points
+ */
+
+/**
+ * Percentage of the total stake on each outcome (0-100, truncated, so
+ * the sum can fall short of 100). An empty market splits evenly.
+ * @param {bigint[]} pools
+ * @returns {bigint[]}
+ */
+export function computeOutcomeOdds(pools) {
+  const total = pools.reduce((sum, pool) => sum + pool, 0n);
+  if (total === 0n) return pools.map(() => 100n / BigInt(pools.length));
+  return pools.map(pool => (pool * 100n) / total);
+}
+
+/**
+ * What claim() pays for a stake in a resolved categorical market: null
+ * for a losing stake, the full stake for a refund-only market
+ * @param {OutcomePoolState & { winningOutcome: bigint, refundOnly: boolean }} market
+ * @param {{ amount: bigint, outcome: bigint }} stake
+ * @param {bigint|number} protocolFeeBps
+ * @returns {PayoutQuote|null}
+ */
+export function claimOutcomePayout(market, stake, protocolFeeBps) {
+  if (market.refundOnly) return refund(stake.amount);
+  if (BigInt(stake.outcome) !== BigInt(market.winningOutcome)) return null;
+
+  const winningPool = market.pools[Number(market.winningOutcome)];
+  const totalPool = market.pools.reduce((sum, pool) => sum + pool, 0n) + (market.exitFees ?? 0n);
+  return split(stake.amount, totalPool, winningPool, protocolFeeBps, market.creatorFee);
+}
+
+/**
+ * Net payout for staking `amount` on an outcome now if it wins: what
+ * claimOutcomePayout() would pay after the stake. With every other
+ * outcome empty the market would be one-sided: under the 'refund' policy
+ * the stake comes back in full.
+ * @param {OutcomePoolState} market
+ * @param {Object} params
+ * @param {bigint|number} params.outcome - Outcome index
+ * @param {bigint|number} params.amount
+ * @param {bigint|number} params.protocolFeeBps
+ * @param {'refund'|'treasury'} [params.oneSidedPolicy='refund']
+ * @returns {PayoutQuote}
+ */
+export function quoteOutcomePayout(market, { outcome, amount, protocolFeeBps, oneSidedPolicy = 'refund' }) {
+  const stake = BigInt(amount);
+  if (stake === 0n) return { payout: 0n, gross: 0n, protocolFee: 0n, creatorFee: 0n, refund: false };
+
+  const index = Number(outcome);
+  const pools = market.pools.map((pool, i) => i === index ? pool + stake : pool);
+  const others = pools.reduce((sum, pool) => sum + pool, 0n) - pools[index];
+  if (others === 0n && oneSidedPolicy === 'refund') return refund(stake);
+
+  return claimOutcomePayout(
+    { ...market, pools, winningOutcome: index, refundOnly: false },
+    { amount: stake, outcome: index },
+    protocolFeeBps
+  );
+}
@@ -0,0 +1,47 @@
+import { ethers } from 'ethers';
+
+// ============================================
+// QuorumResolver helpers
+// ============================================
+// A market picks its own reporters with resolverData
+// abi.encode(ReporterSet(address[] reporters, uint256 quorum));
+// empty resolverData ("0x") uses the resolver's default set.
+// ============================================
+
+const REPORTER_SET = 'tuple(address[] reporters, uint256 quorum)';
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * @typedef {Object} ReporterSet
+ * @property {string[]} reporters
+ * @property {bigint|number} quorum - Votes needed for an outcome, a strict majority of the reporters
+ */
+
+/**
+ * ABI-encode a per-market reporter set, identical to QuorumResolver.encodeReporters()
+ * @param {ReporterSet} set
+ * @returns {string} Hex resolver data
+ */
+export function encodeReporterSet({ reporters, quorum }) {
+  const count = BigInt(reporters.length);
+  if (BigInt(quorum) > count || BigInt(quorum) * 2n <= count) {
+    throw new Error(`Invalid reporter set: quorum ${quorum} of ${count} reporters`);
+  }
+  const unique = new Set(reporters.map(r => ethers.getAddress(r)));
+  if (unique.size !== reporters.length || unique.has(ethers.ZeroAddress)) {
+    throw new Error('Invalid reporter set: duplicate or zero address');
+  }
+  return coder.encode([REPORTER_SET], [[reporters, quorum]]);
+}
+
+/**
+ * Decode per-market QuorumResolver data
+ * @param {string} data - Hex resolver data
+ * @returns {{ reporters: string[], quorum: bigint }|null} null for "0x" (default set)
+ */
+export function decodeReporterSet(data) {
+  if (ethers.dataLength(data) === 0) return null;
+  const [set] = coder.decode([REPORTER_SET], data);
+  return { reporters: [...set.reporters], quorum: set.quorum };
+}
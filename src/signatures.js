@@ -0,0 +1,119 @@
+import { ethers } from 'ethers';
+
+// ============================================
+// Gasless staking signatures
+// ============================================
+// EIP-712 stake intents for MarketFactory.stakeBySig(), and EIP-2612
+// permits for stake tokens such as USDC. A relayer submits the signed
+// intent and pays the gas; with a permit too (stakeBySigWithPermit)
+// the staker needs neither gas nor a prior approve().
+// ============================================
+
+export const STAKE_INTENT_TYPES = {
+  StakeIntent: [
+    { name: 'staker', type: 'address' },
+    { name: 'marketId', type: 'uint256' },
+    { name: 'isYes', type: 'bool' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * @typedef {Object} StakeIntent
+ * @property {string} staker
+ * @property {bigint} marketId
+ * @property {boolean} isYes
+ * @property {bigint} amount - In the market token's base units
+ * @property {bigint} nonce - The staker's MarketFactory.nonces() value
+ * @property {bigint} deadline - Unix time after which the intent cannot be used
+ */
+
+/**
+ * @typedef {Object} PermitSignature
+ * @property {bigint} value - Allowance granted
+ * @property {bigint} deadline
+ * @property {number} v
+ * @property {string} r
+ * @property {string} s
+ */
+
+/**
+ * EIP-712 domain of MarketFactory stake intents, identical to
+ * MarketFactory.DOMAIN_SEPARATOR()
+ * @param {{ chainId: bigint|number, factory: string }} params
+ */
+export function stakeIntentDomain({ chainId, factory }) {
+  return { name: 'Clawshi MarketFactory', version: '1', chainId, verifyingContract: factory };
+}
+
+/**
+ * Normalize an intent (e.g. parsed from JSON) to the StakeIntent shape
+ * @param {Object} intent
+ * @returns {StakeIntent}
+ */
+export function toStakeIntent(intent) {
+  return {
+    staker: ethers.getAddress(intent.staker),
+    marketId: BigInt(intent.marketId),
+    isYes: Boolean(intent.isYes),
+    amount: BigInt(intent.amount),
+    nonce: BigInt(intent.nonce),
+    deadline: BigInt(intent.deadline)
+  };
+}
+
+/**
+ * Sign a stake intent as `signer` (who must be intent.staker)
+ * @param {ethers.Signer} signer
+ * @param {{ chainId: bigint|number, factory: string }} domain
+ * @param {StakeIntent} intent
+ * @returns {Promise<string>} 65-byte signature
+ */
+export async function signStakeIntent(signer, domain, intent) {
+  return signer.signTypedData(stakeIntentDomain(domain), STAKE_INTENT_TYPES, toStakeIntent(intent));
+}
+
+/**
+ * Address that signed a stake intent (for checking it before relaying)
+ * @param {{ chainId: bigint|number, factory: string }} domain
+ * @param {StakeIntent} intent
+ * @param {string} signature
+ * @returns {string}
+ */
+export function recoverStakeIntentSigner(domain, intent, signature) {
+  return ethers.verifyTypedData(stakeIntentDomain(domain), STAKE_INTENT_TYPES, toStakeIntent(intent), signature);
+}
+
+/**
+ * Sign an EIP-2612 permit letting `spender` pull `value` of `owner`'s tokens
+ * @param {ethers.Signer} signer - The token owner
+ * @param {Object} params
+ * @param {string} params.token - Token address
+ * @param {string} params.name - Token name() (e.g. "USD Coin")
+ * @param {string} params.version - Token version() (e.g. "2")
+ * @param {bigint|number} params.chainId
+ * @param {string} params.spender
+ * @param {bigint} params.value
+ * @param {bigint} params.nonce - The owner's token nonces() value
+ * @param {bigint|number} params.deadline
+ * @returns {Promise<PermitSignature>}
+ */
+export async function signPermit(signer, { token, name, version, chainId, spender, value, nonce, deadline }) {
+  const owner = await signer.getAddress();
+  const domain = { name, version, chainId, verifyingContract: token };
+  const signature = await signer.signTypedData(domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline });
+  const { v, r, s } = ethers.Signature.from(signature);
+  return { value: BigInt(value), deadline: BigInt(deadline), v, r, s };
+}
@@ -0,0 +1,54 @@
+import { ethers } from 'ethers';
+import { ERC20_ABI } from './abi.js';
+
+// ============================================
+// Stake tokens
+// ============================================
+// Each market is collateralised in one token from the factory's
+// whitelist (MarketFactory.stakeTokens). Amounts stay in the token's
+// base units everywhere in the SDK; these helpers read a token's
+// symbol and decimals to turn amounts into display strings and back.
+// ============================================
+
+/**
+ * @typedef {Object} TokenInfo
+ * @property {string} address
+ * @property {string} symbol
+ * @property {number} decimals
+ */
+
+/**
+ * Read a token's symbol and decimals
+ * @param {ethers.ContractRunner} runner
+ * @param {string} address
+ * @returns {Promise<TokenInfo>}
+ */
+export async function readTokenInfo(runner, address) {
+  const token = new ethers.Contract(address, ERC20_ABI, runner);
+  const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+  return { address: ethers.getAddress(address), symbol, decimals: Number(decimals) };
+}
+
+/**
+ * Format base units for display, e.g. 1500000n in USDC -> "1.5 USDC"
+ * @param {bigint} amount
+ * @param {TokenInfo} token
+ * @param {Object} [options]
+ * @param {boolean} [options.symbol=true] - Append the token symbol
+ * @returns {string}
+ */
+export function formatTokenAmount(amount, token, { symbol = true } = {}) {
+  const formatted = ethers.formatUnits(amount, token.decimals);
+  return symbol ? `${formatted} ${token.symbol}` : formatted;
+}
+
+/**
+ * Parse a decimal string into base units, e.g. "1.5" in USDC -> 1500000n
+ * @param {string} value
+ * @param {TokenInfo} token
+ * @returns {bigint}
+ * @throws {Error} If `value` has more decimals than the token
+ */
+export function parseTokenAmount(value, token) {
+  return ethers.parseUnits(value, token.decimals);
+}
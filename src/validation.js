@@ -0,0 +1,81 @@
+import { ethers } from 'ethers';
+import { VALIDATING_RESOLVER_ABI } from './abi.js';
+import { ClawshiError, decodeError } from './errors.js';
+
+// ============================================
+// Market validation
+// ============================================
+// The checks MarketFactory.createMarket() makes, run before a
+// transaction is signed. Problems are reported under the custom error
+// the contract would revert with, so callers handle a rejected market
+// the same way whether the SDK or the chain caught it.
+// ============================================
+
+/**
+ * @typedef {Object} MarketLimits - MarketFactory creation limits
+ * @property {bigint} now - Timestamp the market is checked at (latest block)
+ * @property {bigint} maxQuestionLength - MAX_QUESTION_LENGTH, in UTF-8 bytes
+ * @property {bigint} maxDeadlineHorizon - MAX_DEADLINE_HORIZON, seconds after `now`
+ * @property {bigint} maxCreatorFeeBps
+ */
+
+/**
+ * Check a market's question, deadline and creator fee
+ * @param {Object} params - createMarket() params
+ * @param {string} params.question
+ * @param {bigint|number} params.deadline
+ * @param {bigint|number} [params.creatorFeeBps]
+ * @param {MarketLimits} limits
+ * @returns {string|null} The error createMarket() would revert with, or null
+ */
+export function validateMarketParams({ question, deadline, creatorFeeBps = 0 }, limits) {
+  const length = BigInt(ethers.toUtf8Bytes(question ?? '').length);
+  if (length === 0n || length > limits.maxQuestionLength) return 'InvalidQuestion';
+
+  const end = BigInt(deadline);
+  if (end <= limits.now || end > limits.now + limits.maxDeadlineHorizon) return 'InvalidDeadline';
+
+  if (BigInt(creatorFeeBps) > limits.maxCreatorFeeBps) return 'CreatorFeeTooHigh';
+
+  return null;
+}
+
+/**
+ * Check a categorical market's outcome labels
+ * @param {string[]} outcomes
+ * @param {bigint|number} maxOutcomes - MAX_OUTCOMES
+ * @returns {string|null} 'InvalidOutcome' as createCategoricalMarket() would revert, or null
+ */
+export function validateOutcomes(outcomes, maxOutcomes) {
+  if (!Array.isArray(outcomes) || outcomes.length < 2 || BigInt(outcomes.length) > BigInt(maxOutcomes)) {
+    return 'InvalidOutcome';
+  }
+  if (outcomes.some(label => ethers.toUtf8Bytes(label ?? '').length === 0)) return 'InvalidOutcome';
+  return null;
+}
+
+/**
+ * Run the resolver's validateParams() on a new market's resolver data
+ * @param {ethers.ContractRunner} runner
+ * @param {string} resolver - Resolver address
+ * @param {string} resolverData
+ * @param {bigint|number} deadline - Market staking deadline
+ * @returns {Promise<bigint>} The earliest resolution time, 0 if the data does
+ *   not fix one or the resolver has no validateParams()
+ * @throws {ClawshiError} The resolver's error, or ResolutionBeforeDeadline
+ */
+export async function validateResolverData(runner, resolver, resolverData, deadline) {
+  const contract = new ethers.Contract(resolver, VALIDATING_RESOLVER_ABI, runner);
+
+  let resolvesAt;
+  try {
+    resolvesAt = await contract.validateParams(resolverData);
+  } catch (err) {
+    // Resolvers without validateParams() revert without data
+    if (err?.code === 'CALL_EXCEPTION' && (!err.data || err.data === '0x')) return 0n;
+    throw decodeError(err);
+  }
+
+  if (resolvesAt !== 0n && resolvesAt < BigInt(deadline)) throw new ClawshiError('ResolutionBeforeDeadline');
+  return resolvesAt;
+}
@@ -0,0 +1,68 @@
+import { ethers } from 'ethers';
+import {
+  ClawshiClient,
+  NETWORKS,
+  FACTORY_ABI,
+  CHAINLINK_RESOLVER_ABI,
+  MANUAL_RESOLVER_ABI,
+  PRICE_CONDITION_RESOLVER_ABI,
+  OPTIMISTIC_RESOLVER_ABI,
+  QUORUM_RESOLVER_ABI,
+  AGGREGATOR_ABI,
+  ERC20_ABI
+} from '../src/index.js';
+import { getCompiled } from './helpers/chain.js';
+import { log, section, test } from './helpers/report.js';
+
+// ============================================
+// SDK ABIs match the compiled contracts
+// ============================================
+
+function missingFragments(sdkAbi, compiledAbi) {
+  const compiled = new Set(
+    new ethers.Interface(compiledAbi).fragments.map(f => f.format('minimal'))
+  );
+  return new ethers.Interface(sdkAbi).fragments
+    .map(f => f.format('minimal'))
+    .filter(f => !compiled.has(f));
+}
+
+export default async function () {
+  section('SDK ABI CONSISTENCY');
+
+  const pairs = [
+    ['MarketFactory', FACTORY_ABI],
+    ['ChainlinkResolver', CHAINLINK_RESOLVER_ABI],
+    ['ManualResolver', MANUAL_RESOLVER_ABI],
+    ['PriceConditionResolver', PRICE_CONDITION_RESOLVER_ABI],
+    ['OptimisticResolver', OPTIMISTIC_RESOLVER_ABI],
+    ['QuorumResolver', QUORUM_RESOLVER_ABI],
+    ['MockAggregator', AGGREGATOR_ABI],
+    ['MockUSDC', ERC20_ABI]
+  ];
+
+  for (const [name, abi] of pairs) {
+    const missing = missingFragments(abi, getCompiled(name).abi);
+    test(`${name} ABI matches`, missing.length === 0, missing.join('; '));
+  }
+
+  log('');
+
+  section('LEGACY DEPLOYMENTS');
+
+  const runner = ethers.Wallet.createRandom();
+  test('base-mainnet records the original contracts', NETWORKS['base-mainnet'].legacy === true);
+
+  let refused = null;
+  try {
+    new ClawshiClient({ network: 'base-mainnet', runner });
+  } catch (err) {
+    refused = err.message;
+  }
+  test('Client refuses a legacy preset', refused?.includes('legacy contracts'));
+
+  const redeployed = new ClawshiClient({ network: 'base-mainnet', runner, addresses: { MarketFactory: ethers.ZeroAddress } });
+  test('Client accepts a legacy preset with current addresses', redeployed.addresses.USDC === NETWORKS['base-mainnet'].usdc);
+
+  log('');
+}
@@ -0,0 +1,198 @@
+import { ethers } from 'ethers';
+import { ClawshiClient, encodeChainlinkParams } from '../src/index.js';
+import { createApiServer } from '../scripts/lib/api.js';
+import { deployProtocol } from './helpers/chain.js';
+import { log, section, test } from './helpers/report.js';
+
+// ============================================
+// Read-only HTTP API
+// ============================================
+
+const usd = n => ethers.parseUnits(String(n), 6);
+
+const MARKET_KEYS = [
+  'id', 'question', 'creator', 'resolver', 'resolverData', 'deadline', 'token', 'yesPool', 'noPool', 'exitFees',
+  'totalPool', 'creatorFeeBps', 'resolved', 'outcome', 'outcomeCount', 'winningOutcome', 'paused', 'cancelled', 'refundOnly',
+  'status'
+].join(',');
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { creator, usdc, factory, manual } = p;
+  const [alice, bob] = p.users;
+
+  for (const user of [alice, bob]) {
+    await (await usdc.connect(user).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  }
+
+  const now = await chain.now();
+  const create = async (question, resolver, deadline, fee = 0, resolverData = '0x') =>
+    (await factory.connect(creator).createMarket(question, resolver, resolverData, deadline, fee, p.addresses.USDC)).wait();
+
+  await create('Resolved market', p.addresses.ManualResolver, now + 600, 200);
+  await create('Open manual market', p.addresses.ManualResolver, now + 86400);
+  await create('Open chainlink market', p.addresses.ChainlinkResolver, now + 86400, 0,
+    encodeChainlinkParams({ asset: 'ETH', targetPrice: 3500n * 10n ** 8n, isGreaterThan: true, deadline: now + 86400 }));
+  await create('Paused market', p.addresses.ManualResolver, now + 86400);
+
+  await (await factory.connect(alice).stake(0, true, usd(10))).wait();
+  await (await factory.connect(bob).stake(0, false, usd(30))).wait();
+  await (await factory.connect(alice).stake(1, false, usd(2))).wait();
+  await (await factory.pauseMarket(3, true)).wait();
+  await (await manual.setOutcome(0, true)).wait();
+  await chain.increaseTime(601);
+  await (await factory.resolveMarket(0)).wait();
+
+  const client = new ClawshiClient({ runner: chain.provider, addresses: p.addresses });
+  const server = createApiServer({ client, network: 'Local' });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function get(path, options) {
+    const res = await fetch(base + path, options);
+    return { status: res.status, body: await res.json() };
+  }
+
+  try {
+    // ========================================
+    // 1. CONTRACT
+    // ========================================
+    section('1. CONTRACT');
+
+    const { body: info } = await get('/api/contract');
+    test('Network and chain ID', info.network === 'Local' && info.chainId === 31337);
+    test('Contract addresses', info.contracts.MarketFactory === p.addresses.MarketFactory &&
+      info.contracts.ManualResolver === p.addresses.ManualResolver);
+    test('Protocol parameters', info.protocolFeeBps === 100 && info.maxCreatorFeeBps === 500);
+    test('Stake tokens', info.stakeTokens.length === 1 && info.stakeTokens[0].address === p.addresses.USDC &&
+      info.stakeTokens[0].approved && info.stakeTokens[0].minStake === '100000' && info.stakeTokens[0].decimals === 6);
+    test('Market count', info.marketCount === 4);
+    test('USDC address', info.usdc === p.addresses.USDC);
+
+    log('');
+
+    // ========================================
+    // 2. MARKETS
+    // ========================================
+    section('2. MARKETS');
+
+    const { body: list } = await get('/api/markets');
+    test('Lists every market', list.markets.length === 4 && list.pagination.total === 4);
+    test('Stable market schema', list.markets.every(m => Object.keys(m).join(',') === MARKET_KEYS));
+    test('Collateral token with decimals', list.markets.every(m => m.token.address === p.addresses.USDC &&
+      m.token.symbol === 'USDC' && m.token.decimals === 6));
+    test('Amounts as strings', list.markets[0].yesPool === usd(10).toString() && list.markets[0].totalPool === usd(40).toString());
+    test('Statuses', list.markets.map(m => m.status).join(',') === 'resolved,open,open,paused');
+    test('Unresolved outcome is null', list.markets[1].outcome === null);
+
+    const ids = body => body.markets.map(m => m.id).join(',');
+    test('Filter resolved=true', ids((await get('/api/markets?resolved=true')).body) === '0');
+    test('Filter resolved=false', ids((await get('/api/markets?resolved=false')).body) === '1,2,3');
+    test('Filter paused=true', ids((await get('/api/markets?paused=true')).body) === '3');
+    test('Filter by resolver', ids((await get(`/api/markets?resolver=${p.addresses.ChainlinkResolver.toLowerCase()}`)).body) === '2');
+
+    const page = (await get('/api/markets?resolved=false&limit=2&offset=1')).body;
+    test('Pagination', ids(page) === '2,3' && page.pagination.total === 3 && page.pagination.limit === 2 && page.pagination.offset === 1);
+
+    const { body: single } = await get('/api/markets/0');
+    test('Market details', single.market.question === 'Resolved market' && single.market.outcome === true &&
+      single.market.creatorFeeBps === 200);
+
+    log('');
+
+    // ========================================
+    // 3. ODDS AND QUOTES
+    // ========================================
+    section('3. ODDS AND QUOTES');
+
+    const { body: odds } = await get('/api/markets/0/odds');
+    test('Odds', odds.marketId === 0 && odds.yes === 25 && odds.no === 75);
+
+    const expected = await factory.calculatePayout(1, true, usd(5));
+    const { body: quote } = await get(`/api/markets/1/quote?side=yes&amount=${usd(5)}`);
+    test('Quote matches calculatePayout', quote.payout === expected.toString() && quote.side === 'yes' && quote.amount === usd(5).toString());
+
+    log('');
+
+    // ========================================
+    // 4. POSITIONS
+    // ========================================
+    section('4. POSITIONS');
+
+    const { body: alicePositions } = await get(`/api/users/${alice.address.toLowerCase()}/positions`);
+    test('Address checksummed', alicePositions.address === alice.address);
+    test('Only markets with a stake', alicePositions.positions.map(x => x.marketId).join(',') === '0,1');
+    test('Claimable position', alicePositions.positions[0].status === 'claimable' && alicePositions.positions[0].side === 'yes');
+    test('Open position', alicePositions.positions[1].status === 'open' && alicePositions.positions[1].amount === usd(2).toString());
+    test('Position includes market', alicePositions.positions[0].market.question === 'Resolved market');
+
+    const { body: bobPositions } = await get(`/api/users/${bob.address}/positions`);
+    test('Lost position', bobPositions.positions.length === 1 && bobPositions.positions[0].status === 'lost');
+
+    await (await factory.connect(alice).claim(0)).wait();
+    const { body: claimed } = await get(`/api/users/${alice.address}/positions?limit=1`);
+    test('Claimed position', claimed.positions[0].status === 'claimed' && claimed.positions.length === 1 &&
+      claimed.pagination.total === 2);
+
+    log('');
+
+    // ========================================
+    // 5. CATEGORICAL MARKETS
+    // ========================================
+    section('5. CATEGORICAL MARKETS');
+
+    await (await factory.connect(creator).createCategoricalMarket('Categorical market', ['Red', 'Blue', 'Green'],
+      p.addresses.ManualResolver, '0x', (await chain.now()) + 600, 0, p.addresses.USDC)).wait();
+    await (await factory.connect(alice).stakeOutcome(4, 0, usd(4))).wait();
+
+    const outcomeQuote = await get(`/api/markets/4/quote?outcome=2&amount=${usd(6)}`);
+    test('Quote per outcome', outcomeQuote.status === 200 && outcomeQuote.body.outcome === 2 &&
+      outcomeQuote.body.payout === (await client.quoteOutcomePayout(4, 2, usd(6))).payout.toString());
+    test('Categorical quote needs an outcome', (await get(`/api/markets/4/quote?side=yes&amount=${usd(1)}`)).status === 400);
+    test('Outcome out of range is 400', (await get(`/api/markets/4/quote?outcome=3&amount=${usd(1)}`)).status === 400);
+
+    await (await factory.connect(bob).stakeOutcome(4, 2, usd(6))).wait();
+    await (await manual.setOutcomeIndex(4, 2)).wait();
+    await chain.increaseTime(601);
+    await (await factory.resolveMarket(4)).wait();
+
+    const { body: categorical } = await get('/api/markets/4');
+    test('Categorical market total pool', categorical.market.totalPool === usd(10).toString() &&
+      categorical.market.outcomeCount === 3 && categorical.market.winningOutcome === 2 && categorical.market.outcome === null);
+
+    const [aliceOutcome] = (await get(`/api/users/${alice.address}/positions`)).body.positions.filter(x => x.marketId === 4);
+    test('Losing outcome position', aliceOutcome?.status === 'lost' && aliceOutcome.side === null && aliceOutcome.outcomeIndex === 0);
+    const [bobOutcome] = (await get(`/api/users/${bob.address}/positions`)).body.positions.filter(x => x.marketId === 4);
+    test('Winning outcome position', bobOutcome?.status === 'claimable' && bobOutcome.outcomeIndex === 2);
+
+    const before = await usdc.balanceOf(bob.address);
+    await (await factory.connect(bob).claim(4)).wait();
+    test('Quote matches the claim', (await usdc.balanceOf(bob.address)) - before === BigInt(outcomeQuote.body.payout));
+
+    log('');
+
+    // ========================================
+    // 6. ERRORS
+    // ========================================
+    section('6. ERRORS');
+
+    const missing = await get('/api/markets/99');
+    test('Unknown market is 404', missing.status === 404 && missing.body.error.code === 'not_found');
+    test('Unknown market odds is 404', (await get('/api/markets/99/odds')).status === 404);
+    test('Unknown route is 404', (await get('/api/nope')).status === 404);
+
+    const badId = await get('/api/markets/abc');
+    test('Invalid market ID is 400', badId.status === 400 && badId.body.error.code === 'invalid_parameter');
+    test('Invalid filter is 400', (await get('/api/markets?resolved=maybe')).status === 400);
+    test('Invalid resolver is 400', (await get('/api/markets?resolver=0x1234')).status === 400);
+    test('Limit above maximum is 400', (await get('/api/markets?limit=100000')).status === 400);
+    test('Invalid quote side is 400', (await get('/api/markets/1/quote?side=maybe&amount=1')).status === 400);
+    test('Zero quote amount is 400', (await get('/api/markets/1/quote?side=yes&amount=0')).status === 400);
+    test('Invalid user address is 400', (await get('/api/users/alice/positions')).status === 400);
+    test('Writes rejected with 405', (await get('/api/markets', { method: 'POST' })).status === 405);
+
+    log('');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
@@ -0,0 +1,251 @@
+import { ethers } from 'ethers';
+import { run } from '../cli/index.js';
+import { ClawshiClient, claimPayout } from '../src/index.js';
+import { deployProtocol } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// Batched staking, resolution and claims
+// ============================================
+
+const usd = n => ethers.parseUnits(String(n), 6);
+const sum = values => values.reduce((a, b) => a + b, 0n);
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { treasury, creator, usdc, factory, manual } = p;
+  const [alice, bob, carol, dave, erin, frank, grace] = p.users;
+
+  for (const user of [alice, bob, carol, dave, erin]) {
+    await (await usdc.connect(user).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  }
+
+  const clientFor = signer => new ClawshiClient({ runner: signer, addresses: p.addresses });
+  const creatorClient = clientFor(creator);
+  const balance = address => usdc.balanceOf(address);
+  const gasOf = async tx => (await (await tx).wait()).gasUsed;
+  const percent = (batch, single) => `${batch} vs ${single} gas (${100n - batch * 100n / single}% less)`;
+
+  // USDC transfers in a receipt
+  const transfers = receipt => receipt.logs
+    .filter(l => l.address === p.addresses.USDC)
+    .map(l => usdc.interface.parseLog(l))
+    .filter(e => e?.name === 'Transfer');
+
+  // ManualResolver market (1% creator fee) with the given stakes ([signer, isYes, amount])
+  async function market(question, stakes = [], { resolver = p.addresses.ManualResolver, deadline = 600 } = {}) {
+    const { marketId } = await creatorClient.createMarket({
+      question,
+      resolver,
+      deadline: (await chain.now()) + deadline,
+      creatorFeeBps: 100
+    });
+    for (const [signer, isYes, amount] of stakes) {
+      await (await factory.connect(signer).stake(marketId, isYes, amount)).wait();
+    }
+    return marketId;
+  }
+
+  // Eight markets with both sides backed by carol (YES) and dave (NO)
+  const seeded = [];
+  for (let i = 0; i < 8; i++) {
+    seeded.push(await market(`Seeded #${i}`, [[carol, true, usd(1)], [dave, false, usd(1)]]));
+  }
+  const [m0, m1, m2, m3] = seeded;
+
+  // ========================================
+  // 1. STAKE MANY
+  // ========================================
+  section('1. STAKE MANY');
+
+  let single = 0n;
+  for (const id of [m0, m1, m2, m3]) single += await gasOf(factory.connect(alice).stake(id, true, usd(2)));
+
+  const bobBefore = await balance(bob.address);
+  const batchStake = await (await factory.connect(bob).stakeMany([m0, m1, m2, m3], [true, true, true, true],
+    [usd(2), usd(2), usd(2), usd(2)])).wait();
+  const stakedEvents = batchStake.logs.map(l => factory.interface.parseLog(l)).filter(e => e?.name === 'Staked');
+  const bobStakes = await Promise.all([m0, m1, m2, m3].map(id => factory.getStake(id, bob.address)));
+
+  test('stakeMany records every stake', bobStakes.every(s => s.amount === usd(2) && s.isYes) && stakedEvents.length === 4);
+  test('One USDC transfer for the total', transfers(batchStake).length === 1 &&
+    bobBefore - await balance(bob.address) === usd(8));
+  test('Pools updated', (await factory.getMarket(m3)).yesPool === usd(5));
+  test('stakeMany uses less gas than 4 stakes', batchStake.gasUsed < single, percent(batchStake.gasUsed, single));
+
+  await expectRevert('Length mismatch', factory.connect(bob).stakeMany([m0, m1], [true], [usd(1), usd(1)]), 'Length mismatch');
+  await expectRevert('One invalid stake reverts the batch',
+    factory.connect(bob).stakeMany([m0, m1], [true, false], [usd(1), usd(1)]), 'InvalidPosition');
+  await expectRevert('Unknown market', factory.connect(bob).stakeMany([m0, 999], [true, true], [usd(1), usd(1)]), 'MarketNotFound');
+  await expectRevert('Below the minimum stake', factory.connect(bob).stakeMany([m0], [true], [1n]), 'InvalidAmount');
+  test('Failed batches staked nothing', (await factory.getStake(m0, bob.address)).amount === usd(2));
+
+  log('');
+
+  // ========================================
+  // 2. RESOLVE MANY
+  // ========================================
+  section('2. RESOLVE MANY');
+
+  const notReady = await market('Outcome never set', [[erin, false, usd(1)]]);
+  const early = await market('Deadline far away', [], { deadline: 86400 });
+  const cancelled = await market('Cancelled', [[erin, true, usd(3)]]);
+  const oneSided = await market('One-sided', [[erin, true, usd(4)]]);
+  await (await factory.cancelMarket(cancelled)).wait();
+
+  const reentrant = await chain.deploy('MockReentrantResolver');
+  await (await factory.setResolverApproval(await reentrant.getAddress(), true)).wait();
+  const reverting = await market('Resolver reverts', [], { resolver: await reentrant.getAddress() });
+
+  await chain.increaseTime(601);
+  const outcomes = [true, true, false, true, true, true, true, true];
+  await (await manual.batchSetOutcome([...seeded, early, oneSided], [...outcomes, true, true])).wait();
+
+  single = 0n;
+  for (const id of seeded.slice(4)) single += await gasOf(factory.resolveMarket(id));
+  const batchResolve = await (await factory.resolveMany([m0, m1, m2, m3])).wait();
+  test('resolveMany resolves every ready market',
+    (await Promise.all([m0, m1, m2, m3].map(id => factory.getMarket(id)))).every((m, i) => m.resolved && m.outcome === outcomes[i]));
+  test('resolveMany uses less gas than 4 resolveMarket calls', batchResolve.gasUsed < single, percent(batchResolve.gasUsed, single));
+
+  const mixed = [notReady, early, cancelled, reverting, m0, 999, oneSided, oneSided];
+  test('Unresolvable markets are skipped, not reverted', await factory.resolveMany.staticCall(mixed) === 1n);
+  await (await factory.resolveMany(mixed)).wait();
+  const skippedStates = await Promise.all([notReady, early, cancelled, reverting].map(id => factory.getMarket(id)));
+  test('Only the ready market was resolved', (await factory.getMarket(oneSided)).refundOnly &&
+    skippedStates.every(m => !m.resolved));
+  test('Nothing ready resolves nothing', await factory.resolveMany.staticCall([notReady, reverting]) === 0n);
+
+  log('');
+
+  // ========================================
+  // 3. CLAIM MANY
+  // ========================================
+  section('3. CLAIM MANY');
+
+  const protocolFeeBps = await factory.protocolFeeBps();
+  const quote = async (id, user) => claimPayout(await factory.getMarket(id), await factory.getStake(id, user), protocolFeeBps);
+
+  single = 0n;
+  let aliceTotal = 0n;
+  for (const id of [m0, m1, m3]) {
+    const before = await balance(alice.address);
+    single += await gasOf(factory.connect(alice).claim(id));
+    aliceTotal += await balance(alice.address) - before;
+  }
+
+  const bobQuotes = await Promise.all([m0, m1, m3].map(id => quote(id, bob.address)));
+  const accrued = address => factory.accruedFees(address, p.addresses.USDC);
+  const before = { bob: await balance(bob.address), treasury: await accrued(treasury.address), creator: await accrued(creator.address) };
+  test('claimMany returns the total', await factory.connect(bob).claimMany.staticCall([m0, m1, m2, m3]) === aliceTotal);
+  const batchClaim = await (await factory.connect(bob).claimMany([m0, m1, m2, m3])).wait();
+  const claimed = batchClaim.logs.map(l => factory.interface.parseLog(l)).filter(e => e?.name === 'Claimed');
+
+  test('Same payout as claiming one by one', await balance(bob.address) - before.bob === aliceTotal &&
+    aliceTotal === sum(bobQuotes.map(q => q.payout)));
+  test('Claimed event per winning market, losing market skipped', claimed.map(e => e.args.marketId).join() === [m0, m1, m3].join() &&
+    !(await factory.getStake(m2, bob.address)).claimed);
+  test('One transfer: the payout', transfers(batchClaim).length === 1 && transfers(batchClaim)[0].args.to === bob.address);
+  test('Fees accrued per market', await accrued(treasury.address) - before.treasury === sum(bobQuotes.map(q => q.protocolFee)) &&
+    await accrued(creator.address) - before.creator === sum(bobQuotes.map(q => q.creatorFee)));
+  test('claimMany uses less gas than 3 claims', batchClaim.gasUsed < single, percent(batchClaim.gasUsed, single));
+
+  await expectRevert('Nothing left to claim', factory.connect(bob).claimMany([m0, m1, m2, m3]), 'NoWinnings');
+  await expectRevert('Only losing stakes', factory.connect(alice).claimMany([m2]), 'NoWinnings');
+  await expectRevert('Empty list', factory.connect(bob).claimMany([]), 'NoWinnings');
+
+  const erinBefore = await balance(erin.address);
+  const erinClaim = await (await factory.connect(erin).claimMany([notReady, cancelled, oneSided, 999])).wait();
+  const refunded = erinClaim.logs.map(l => factory.interface.parseLog(l)).filter(e => e?.name === 'Refunded');
+  test('Refunds from cancelled and refund-only markets', await balance(erin.address) - erinBefore === usd(7) &&
+    refunded.map(e => e.args.marketId).join() === [cancelled, oneSided].join());
+  test('Unresolved market left claimable', !(await factory.getStake(notReady, erin.address)).claimed);
+  await expectRevert('Refund not repeated', factory.connect(erin).refund(cancelled), 'AlreadyClaimed');
+
+  log('');
+
+  // ========================================
+  // 4. SDK
+  // ========================================
+  section('4. SDK');
+
+  const carolClient = clientFor(carol);
+  const carolWins = seeded.filter((_, i) => outcomes[i]);
+  const claimable = await carolClient.findClaimable();
+  const expected = await Promise.all(carolWins.map(id => quote(id, carol.address)));
+  test('findClaimable lists winnings with net amounts', claimable.length === carolWins.length &&
+    claimable.every((c, i) => c.marketId === carolWins[i] && c.kind === 'winnings' && c.amount === expected[i].payout));
+
+  const daveClaimable = await carolClient.findClaimable(dave.address);
+  test('findClaimable for another user', daveClaimable.length === 1 && daveClaimable[0].marketId === m2);
+
+  await (await factory.cancelMarket(notReady)).wait();
+  const erinClaimable = await clientFor(erin).findClaimable(erin.address, { marketIds: [notReady, cancelled] });
+  test('Cancelled-market refunds are claimable', erinClaimable.length === 1 && erinClaimable[0].kind === 'refund' &&
+    erinClaimable[0].amount === usd(1));
+
+  const carolBefore = await balance(carol.address);
+  const carolClaim = await carolClient.claimMany(undefined, { batchSize: 3 });
+  test('claimMany discovers and batches claims', carolClaim.transactions.length === 3 && carolClaim.claims.length === carolWins.length &&
+    carolClaim.totals[0].amount === sum(expected.map(q => q.payout)) &&
+    await balance(carol.address) - carolBefore === carolClaim.totals[0].amount);
+  test('Nothing claimable afterwards', (await carolClient.findClaimable()).length === 0);
+  const noop = await carolClient.claimMany();
+  test('claimMany with nothing to claim sends nothing', noop.transactions.length === 0 && noop.totals.length === 0);
+
+  const frankClient = clientFor(frank);
+  const x = await market('SDK batch X');
+  const y = await market('SDK batch Y');
+  const frankStakes = await frankClient.stakeMany([{ marketId: x, isYes: true, amount: usd(1) }, { marketId: y, isYes: false, amount: usd(2) }]);
+  test('stakeMany approves the total', frankStakes.approvals.length === 1 && frankStakes.totals[0].amount === usd(3) &&
+    (await factory.getStake(y, frank.address)).amount === usd(2));
+
+  await chain.increaseTime(601);
+  await (await manual.setOutcome(x, false)).wait();
+  const sdkResolve = await creatorClient.resolveMany([x, y]);
+  test('resolveMany reports resolved and skipped markets', sdkResolve.resolved.length === 1 &&
+    sdkResolve.resolved[0].marketId === x && sdkResolve.resolved[0].outcome === false &&
+    sdkResolve.skipped.length === 1 && sdkResolve.skipped[0] === y);
+
+  log('');
+
+  // ========================================
+  // 5. CLI
+  // ========================================
+  section('5. CLI');
+
+  const keys = chain.server.getInitialAccounts();
+  async function cli(signer, args) {
+    const lines = [];
+    const code = await run([...args.split(' '), '--network', 'local', '--json'], {
+      env: { CLAWSHI_PRIVATE_KEY: keys[signer.address.toLowerCase()].secretKey },
+      provider: chain.provider,
+      addresses: p.addresses,
+      stdout: line => lines.push(line),
+      stderr: line => lines.push(line)
+    });
+    return { code, output: JSON.parse(lines.join('\n')) };
+  }
+
+  const c1 = await market('CLI batch 1');
+  const c2 = await market('CLI batch 2');
+  const cliStake = await cli(grace, `stake-many ${c1}=yes:1.5 ${c2}=no:2`);
+  test('stake-many', cliStake.code === 0 && cliStake.output.approvals[0].args.amount === usd('3.5').toString() &&
+    cliStake.output.stake.method === 'stakeMany' && (await factory.getStake(c2, grace.address)).amount === usd(2));
+  test('stake-many rejects a malformed stake', (await cli(grace, `stake-many ${c1}=maybe:1`)).code === 2);
+
+  await chain.increaseTime(601);
+  await (await manual.batchSetOutcome([c1, c2], [false, false])).wait();
+  const cliResolve = await cli(creator, `resolve ${c1} ${c2} ${y}`);
+  test('resolve with several IDs sends resolveMany', cliResolve.code === 0 && cliResolve.output.method === 'resolveMany' &&
+    cliResolve.output.events.filter(e => e.name === 'MarketResolved').length === 2);
+
+  // grace is alone in both markets: each is refund-only
+  const cliClaim = await cli(grace, 'claim --all');
+  test('claim --all', cliClaim.code === 0 && cliClaim.output.claimable.every(c => c.kind === 'refund') &&
+    cliClaim.output.claim.method === 'claimMany' && cliClaim.output.claim.args.marketIds.join() === [c1, c2].join());
+  const nothing = await cli(grace, 'claim --all');
+  test('claim --all with nothing to claim', nothing.code === 0 && nothing.output.claim === null);
+
+  log('');
+}
@@ -0,0 +1,234 @@
+import { ethers } from 'ethers';
+import { run } from '../cli/index.js';
+import { ClawshiClient } from '../src/index.js';
+import { openIndexDb } from '../scripts/lib/index-db.js';
+import { createIndexer } from '../scripts/lib/indexer.js';
+import { deployProtocol } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// Market cancellation and refunds
+// ============================================
+
+const usd = n => ethers.parseUnits(String(n), 6);
+const price = n => BigInt(n) * 10n ** 8n;
+const DAY = 86400;
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, treasury, creator, usdc, factory, chainlink, manual } = p;
+  const [alice, bob, carol, outsider] = p.users;
+
+  const clientFor = signer => new ClawshiClient({ runner: signer, addresses: p.addresses });
+  const creatorClient = clientFor(creator);
+
+  for (const user of [alice, bob, carol]) {
+    await (await usdc.connect(user).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  }
+
+  // Market with a 2% creator fee, YES 10 (alice) / NO 30 (bob)
+  async function stakedMarket(question, resolver = p.addresses.ManualResolver, resolverData = '0x', deadline) {
+    const { marketId } = await creatorClient.createMarket({
+      question,
+      resolver,
+      resolverData,
+      deadline: deadline ?? (await chain.now()) + 600,
+      creatorFeeBps: 200
+    });
+    await (await factory.connect(alice).stake(marketId, true, usd(10))).wait();
+    await (await factory.connect(bob).stake(marketId, false, usd(30))).wait();
+    return marketId;
+  }
+
+  // ========================================
+  // 1. OWNER CANCELLATION
+  // ========================================
+  section('1. OWNER CANCELLATION');
+
+  const a = await stakedMarket('Cancelled by the owner');
+
+  await expectRevert('Refund before cancellation', factory.connect(alice).refund(a), 'MarketNotCancelled');
+  await expectRevert('Staker cannot cancel before the timeout', factory.connect(alice).cancelMarket(a), 'CannotCancelYet');
+  await expectRevert('Unknown market', factory.cancelMarket(99), 'MarketNotFound');
+
+  const cancelled = await clientFor(owner).cancelMarket(a);
+  test('Owner cancels an open market', cancelled.cancelledBy === owner.address && (await factory.getMarket(a)).cancelled);
+  await expectRevert('Cancel twice', factory.cancelMarket(a), 'MarketCancelledError');
+  await expectRevert('No stakes after cancellation', factory.connect(carol).stake(a, true, usd(1)), 'MarketCancelledError');
+
+  await chain.increaseTime(601);
+  await expectRevert('Cancelled market cannot resolve', factory.resolveMarket(a), 'MarketCancelledError');
+  await (await manual.setOutcome(a, true)).wait();
+  await expectRevert('Outcome set later is ignored', factory.resolveMarket(a), 'MarketCancelledError');
+  await expectRevert('No claims on a cancelled market', factory.connect(alice).claim(a), 'MarketNotResolved');
+
+  const balance = async address => usdc.balanceOf(address);
+  const before = {
+    alice: await balance(alice.address),
+    bob: await balance(bob.address),
+    treasury: await balance(treasury.address),
+    creator: await balance(creator.address),
+    factory: await balance(p.addresses.MarketFactory)
+  };
+
+  const aliceRefund = await clientFor(alice).refund(a);
+  await clientFor(bob).refund(a);
+  test('Refund returns the exact stake', aliceRefund.amount === usd(10) &&
+    await balance(alice.address) - before.alice === usd(10) &&
+    await balance(bob.address) - before.bob === usd(30));
+  test('No protocol or creator fee', await balance(treasury.address) === before.treasury &&
+    await balance(creator.address) === before.creator);
+  test('Factory pays out the whole pool', before.factory - await balance(p.addresses.MarketFactory) === usd(40));
+  test('Refund marks the stake claimed', (await factory.getStake(a, alice.address)).claimed);
+
+  await expectRevert('Refund twice', factory.connect(alice).refund(a), 'AlreadyClaimed');
+  await expectRevert('Refund without a stake', factory.connect(carol).refund(a), 'NothingToRefund');
+
+  const resolvedId = await stakedMarket('Resolved market');
+  await (await manual.setOutcome(resolvedId, false)).wait();
+  await chain.increaseTime(601);
+  await (await factory.resolveMarket(resolvedId)).wait();
+  await expectRevert('Resolved market cannot be cancelled', factory.cancelMarket(resolvedId), 'MarketAlreadyResolved');
+
+  log('');
+
+  // ========================================
+  // 2. MANUALRESOLVER SIGNAL
+  // ========================================
+  section('2. MANUALRESOLVER SIGNAL');
+
+  const b = await stakedMarket('Cancelled by the ManualResolver admin');
+  await expectRevert('Only the admin cancels through the resolver',
+    manual.connect(outsider).cancelMarket(b), 'Unauthorized');
+
+  const viaManual = await clientFor(owner).cancelMarket(b, { viaResolver: true });
+  test('ManualResolver cancels its market', viaManual.cancelledBy === p.addresses.ManualResolver &&
+    (await factory.getMarket(b)).cancelled);
+  test('Staker refunded after resolver cancellation', (await clientFor(bob).refund(b)).amount === usd(30));
+
+  const c = await stakedMarket('Outcome already set');
+  await (await manual.setOutcome(c, true)).wait();
+  await expectRevert('No cancellation once the outcome is set',
+    manual.cancelMarket(c), 'OutcomeAlreadySet');
+
+  const quorumMarket = await stakedMarket('Another resolver\'s market', p.addresses.QuorumResolver);
+  await expectRevert('Resolver cannot cancel another resolver\'s market',
+    manual.cancelMarket(quorumMarket), 'CannotCancelYet');
+  await expectRevert('No outcome for another resolver\'s market',
+    manual.setOutcome(quorumMarket, true), 'InvalidMarket');
+
+  log('');
+
+  // ========================================
+  // 3. REMOVED CHAINLINK FEED
+  // ========================================
+  section('3. REMOVED CHAINLINK FEED');
+
+  const deadline = (await chain.now()) + 600;
+  const params = await chainlink.encodeParams('ETH', price(3500), true, deadline);
+  const d = await stakedMarket('ETH above $3,500?', p.addresses.ChainlinkResolver, params, deadline);
+
+  await expectRevert('Cancel before the params deadline',
+    chainlink.connect(outsider).cancelMarket(d), 'DeadlineNotReached');
+  await chain.increaseTime(601);
+  await expectRevert('Cancel while the feed exists',
+    chainlink.connect(outsider).cancelMarket(d), 'FeedAvailable');
+  await expectRevert('Only ChainlinkResolver markets',
+    chainlink.connect(outsider).cancelMarket(quorumMarket), 'InvalidMarket');
+
+  await (await chainlink.removePriceFeed('ETH')).wait();
+  test('Pinned market can still resolve without the registry feed', await chainlink.canResolve(d, params));
+  await expectRevert('Pinned market not cancellable once the registry feed is removed',
+    chainlink.connect(outsider).cancelMarket(d), 'FeedAvailable');
+  await expectRevert('SDK cancel via the resolver rejected too',
+    clientFor(outsider).cancelMarket(d, { viaResolver: true }), 'FeedAvailable');
+
+  await (await factory.resolveMarket(d)).wait();
+  test('Pinned market resolves on its feed', (await factory.getMarket(d)).resolved);
+  await (await chainlink.setPriceFeed('ETH', await p.ethFeed.getAddress())).wait();
+
+  let unsupported = null;
+  try {
+    await clientFor(owner).cancelMarket(quorumMarket, { viaResolver: true });
+  } catch (err) {
+    unsupported = err.message;
+  }
+  test('SDK rejects resolvers without a cancel path', unsupported?.includes('cannot cancel markets'));
+
+  log('');
+
+  // ========================================
+  // 4. RESOLUTION TIMEOUT
+  // ========================================
+  section('4. RESOLUTION TIMEOUT');
+
+  test('Default timeout is 30 days', await factory.resolutionTimeout() === BigInt(30 * DAY));
+  await expectRevert('Only owner sets the timeout', factory.connect(outsider).setResolutionTimeout(2 * DAY), 'Unauthorized');
+  await expectRevert('Timeout below one day', factory.setResolutionTimeout(DAY - 1), 'Timeout too short');
+
+  const receipt = await (await factory.setResolutionTimeout(2 * DAY)).wait();
+  const updated = receipt.logs.map(l => factory.interface.parseLog(l)).find(e => e?.name === 'ResolutionTimeoutUpdated');
+  test('Timeout updated', updated?.args.newTimeout === BigInt(2 * DAY));
+
+  // QuorumResolver market with no reporters: it can never get an outcome
+  const e = await stakedMarket('Never resolved', p.addresses.QuorumResolver);
+  const cancellableAt = await clientFor(outsider).cancellableAt(e);
+  test('cancellableAt is deadline + timeout', cancellableAt === (await factory.getMarket(e)).deadline + BigInt(2 * DAY));
+
+  await chain.increaseTime(600 + DAY);
+  await expectRevert('Anyone waits for the timeout', factory.connect(outsider).cancelMarket(e), 'CannotCancelYet');
+
+  await chain.increaseTime(DAY);
+  const expired = await clientFor(outsider).cancelMarket(e);
+  test('Anyone cancels after the timeout', expired.cancelledBy === outsider.address);
+  test('Timed-out market refunds both sides', (await clientFor(alice).refund(e)).amount === usd(10) &&
+    (await clientFor(bob).refund(e)).amount === usd(30));
+
+  log('');
+
+  // ========================================
+  // 5. CLI AND INDEXER
+  // ========================================
+  section('5. CLI AND INDEXER');
+
+  const keys = chain.server.getInitialAccounts();
+  async function cli(signer, args, addresses = p.addresses) {
+    const lines = [];
+    const code = await run([...args.split(' '), '--network', 'local', '--json'], {
+      env: { CLAWSHI_PRIVATE_KEY: keys[signer.address.toLowerCase()].secretKey },
+      provider: chain.provider,
+      addresses,
+      stdout: line => lines.push(line),
+      stderr: line => lines.push(line)
+    });
+    return { code, output: JSON.parse(lines.join('\n')) };
+  }
+
+  const f = await stakedMarket('Cancelled from the CLI');
+  const early = await cli(outsider, `cancel ${f}`);
+  test('cancel before the timeout fails', early.code === 1 && early.output.error.reason === 'CannotCancelYet');
+
+  // Deployment records may hold lowercase addresses; the resolver match ignores case
+  const lowercase = Object.fromEntries(Object.entries(p.addresses).map(([name, address]) => [name, address.toLowerCase()]));
+  const byAdmin = await cli(owner, `cancel ${f} --via-resolver`, lowercase);
+  test('cancel --via-resolver', byAdmin.code === 0 &&
+    byAdmin.output.to.toLowerCase() === p.addresses.ManualResolver.toLowerCase() &&
+    (await factory.getMarket(f)).cancelled);
+
+  const shown = await cli(outsider, `market show ${f}`);
+  test('market show: cancelled', shown.output.status === 'cancelled' && shown.output.cancelled === true);
+  const listed = await cli(outsider, 'market list --cancelled true --limit 50');
+  test('market list --cancelled', listed.output.markets.map(m => m.id).join() === [a, b, e, f].join());
+
+  const refunded = await cli(alice, `refund ${f}`);
+  test('refund', refunded.code === 0 && refunded.output.events[0].args.amount === usd(10).toString());
+
+  const db = await openIndexDb();
+  await createIndexer({ provider: chain.provider, db, addresses: p.addresses }).sync();
+  test('Indexed markets cancelled', db.getMarkets({ status: 'cancelled' }).map(m => m.id).join() === [a, b, e, f].join());
+  test('Indexed refunds', db.getPositions(alice.address, { status: 'refunded' }).map(r => r.marketId).join() === [a, e, f].join() &&
+    db.getPositions(alice.address, { status: 'refundable' }).map(r => r.marketId).join() === String(b));
+  test('Refund amount indexed', db.getPositions(bob.address, { status: 'refunded' })[0].payout === usd(30).toString());
+
+  log('');
+}
@@ -0,0 +1,290 @@
+import { ethers } from 'ethers';
+import { run } from '../cli/index.js';
+import { openIndexDb } from '../scripts/lib/index-db.js';
+import { createIndexer } from '../scripts/lib/indexer.js';
+import { ClawshiClient, computeOutcomeOdds, validateOutcomes } from '../src/index.js';
+import { deployProtocol } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// Categorical markets: N outcomes, index resolution
+// ============================================
+
+const usd = n => ethers.parseUnits(String(n), 6);
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, creator, usdc, factory, manual } = p;
+  const [alice, bob, carol, outsider] = p.users;
+
+  for (const user of [alice, bob, carol]) {
+    await (await usdc.connect(user).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  }
+
+  const client = new ClawshiClient({ runner: creator, addresses: p.addresses });
+  const as = signer => new ClawshiClient({ runner: signer, addresses: p.addresses });
+  const teams = ['Arsenal', 'Liverpool', 'City'];
+
+  // Categorical ManualResolver market closing 600 seconds from now
+  async function categoricalMarket(outcomes = teams, question = 'Who wins the league?') {
+    const { marketId } = await client.createCategoricalMarket({
+      question,
+      outcomes,
+      resolver: p.addresses.ManualResolver,
+      deadline: (await chain.now()) + 600
+    });
+    return marketId;
+  }
+
+  const onChain = (outcomes, deadline) => factory.connect(creator).createCategoricalMarket
+    .staticCall('Q?', outcomes, p.addresses.ManualResolver, '0x', deadline, 0, p.addresses.USDC);
+
+  // ========================================
+  // 1. CREATION
+  // ========================================
+  section('1. CREATION');
+
+  const league = await categoricalMarket();
+  const categorical = await factory.categoricals(league);
+  test('Outcome count stored', categorical.outcomeCount === 3n && categorical.totalPool === 0n);
+  test('Pools start empty', (await factory.getOutcomePools(league)).join() === '0,0,0');
+
+  const view = await client.getCategoricalMarket(league);
+  test('Labels read from CategoricalMarketCreated', view.outcomes.join() === teams.join());
+  test('Empty market splits the odds evenly', view.odds.join() === '33,33,33' && view.winningOutcome === null);
+
+  const deadline = (await chain.now()) + 600;
+  const max = Number(await factory.MAX_OUTCOMES());
+  test('Outcome limit is 32', max === 32);
+  await expectRevert('One outcome', onChain(['Only'], deadline), 'InvalidOutcome');
+  await expectRevert('Over the outcome limit', onChain(Array.from({ length: max + 1 }, (_, i) => `O${i}`), deadline), 'InvalidOutcome');
+  await expectRevert('Empty label', onChain(['A', ''], deadline), 'InvalidOutcome');
+  await expectRevert('Market limits still apply', onChain(['A', 'B'], deadline - 601), 'InvalidDeadline');
+  test('Outcome limit accepted', await onChain(Array.from({ length: max }, (_, i) => `O${i}`), deadline) > league);
+
+  test('validateOutcomes mirrors the contract', validateOutcomes(teams, max) === null &&
+    validateOutcomes(['A'], max) === 'InvalidOutcome' && validateOutcomes(['A', ''], max) === 'InvalidOutcome');
+  await expectRevert('SDK validates outcomes before sending',
+    client.createCategoricalMarket({ question: 'Q?', outcomes: ['A'], resolver: p.addresses.ManualResolver, deadline }),
+    'InvalidOutcome');
+
+  const { marketId: binary } = await client.createMarket({ question: 'Binary?', resolver: p.addresses.ManualResolver, deadline });
+  test('Binary markets have no outcomes', (await factory.getOutcomePools(binary)).length === 0 &&
+    (await factory.categoricals(binary)).outcomeCount === 0n);
+
+  log('');
+
+  // ========================================
+  // 2. STAKING
+  // ========================================
+  section('2. STAKING');
+
+  await as(alice).stakeOutcome(league, 0, usd(10));
+  await as(alice).stakeOutcome(league, 0, usd(5));
+  await as(bob).stakeOutcome(league, 1, usd(30));
+  await as(carol).stakeOutcome(league, 2, usd(20));
+
+  test('Pools per outcome', (await factory.getOutcomePools(league)).join() === [usd(15), usd(30), usd(20)].join());
+  test('Total pool', (await factory.categoricals(league)).totalPool === usd(65));
+  const aliceStake = await client.getOutcomeStake(league, alice.address);
+  test('Stake records the outcome', aliceStake.amount === usd(15) && aliceStake.outcome === 0n && !aliceStake.claimed);
+  test('Staked funds tracked', await factory.totalMarketFunds(p.addresses.USDC) === usd(65));
+
+  const odds = (await client.getCategoricalMarket(league)).odds;
+  test('Odds per outcome', odds.join() === '23,46,30' && odds.join() === computeOutcomeOdds([usd(15), usd(30), usd(20)]).join());
+
+  const asAlice = factory.connect(alice);
+  await expectRevert('One outcome per staker', asAlice.stakeOutcome.staticCall(league, 1, usd(1)), 'InvalidPosition');
+  await expectRevert('Outcome out of range', asAlice.stakeOutcome.staticCall(league, 3, usd(1)), 'InvalidOutcome');
+  await expectRevert('Below the minimum stake', factory.connect(outsider).stakeOutcome.staticCall(league, 0, 1), 'InvalidAmount');
+  await expectRevert('YES/NO stake on a categorical market', asAlice.stake.staticCall(league, true, usd(1)), 'InvalidPosition');
+  await expectRevert('stakeMany on a categorical market',
+    asAlice.stakeMany.staticCall([league], [true], [usd(1)]), 'InvalidPosition');
+  await expectRevert('unstake on a categorical market', asAlice.unstake.staticCall(league, usd(1)), 'InvalidPosition');
+  await expectRevert('switchSide on a categorical market', asAlice.switchSide.staticCall(league), 'InvalidPosition');
+  await expectRevert('getOdds on a categorical market', factory.getOdds(league), 'InvalidPosition');
+  await expectRevert('calculatePayout on a categorical market', factory.calculatePayout(league, true, usd(1)), 'InvalidPosition');
+
+  // 5 more on Liverpool: 5 * 70 / 35, less the 1% protocol fee
+  const quote = await client.quoteOutcomePayout(league, 1, usd(5));
+  test('Outcome quote', quote.gross === usd(10) && quote.payout === usd(9.9) && !quote.refund);
+  await expectRevert('Outcome stake on a binary market', asAlice.stakeOutcome.staticCall(binary, 0, usd(1)), 'InvalidOutcome');
+
+  log('');
+
+  // ========================================
+  // 3. RESOLUTION
+  // ========================================
+  section('3. RESOLUTION');
+
+  await expectRevert('Only the admin sets an index', manual.connect(outsider).setOutcomeIndex.staticCall(league, 1), 'Unauthorized');
+  await expectRevert('resolveOutcome before an index is set', manual.resolveOutcome.staticCall(league, '0x'), 'OutcomeNotSet');
+  await expectRevert('YES/NO outcome on a categorical market', manual.setOutcome.staticCall(league, true), 'WrongMarketType');
+  await expectRevert('Batch with a categorical market', manual.batchSetOutcome.staticCall([binary, league], [true, true]),
+    'WrongMarketType');
+  await expectRevert('Index on a binary market', manual.setOutcomeIndex.staticCall(binary, 0), 'WrongMarketType');
+  await expectRevert('Unknown market', manual.setOutcome.staticCall(999, true), 'MarketNotFound');
+  test('Mismatched calls leave nothing set', !await manual.isOutcomeSet(league) && !await manual.isOutcomeSet(binary) &&
+    !await manual.canResolve(league, '0x'));
+  await (await manual.setOutcomeIndex(league, 1)).wait();
+  test('Index recorded', await manual.outcomeIndexes(league) === 1n && await manual.outcomeIndexSet(league) &&
+    await manual.isOutcomeSet(league));
+  await expectRevert('Index set once', manual.setOutcomeIndex.staticCall(league, 2), 'OutcomeAlreadySet');
+  await expectRevert('Binary outcome after an index', manual.setOutcome.staticCall(league, true), 'OutcomeAlreadySet');
+  await expectRevert('resolve() refuses an index outcome', manual.resolve.staticCall(league, '0x'), 'OutcomeNotSet');
+  await expectRevert('Not before the deadline', factory.resolveMarket.staticCall(league), 'DeadlineNotPassed');
+
+  await (await manual.setOutcome(binary, true)).wait();
+  await expectRevert('resolveOutcome refuses a YES/NO outcome', manual.resolveOutcome.staticCall(binary, '0x'), 'OutcomeNotSet');
+
+  // Index outside the market's outcomes: once stored, the factory would refuse
+  // it (InvalidOutcome) and the resolver would refuse to cancel (OutcomeAlreadySet)
+  const invalid = await categoricalMarket(['A', 'B']);
+  await expectRevert('Index out of range', manual.setOutcomeIndex.staticCall(invalid, 2), 'InvalidOutcome');
+  test('Out-of-range index not stored', !(await manual.isOutcomeSet(invalid)));
+
+  await chain.increaseTime(601);
+  const resolved = await client.resolveMarket(league);
+  test('Resolved to the index', resolved.outcome === 1n);
+  const market = await client.getCategoricalMarket(league);
+  test('Winning outcome stored', market.market.resolved && market.winningOutcome === 1n && !market.market.refundOnly);
+
+  const batch = await client.resolveMany([invalid, binary]);
+  test('resolveMany skips a market without an index', batch.skipped.join() === String(invalid) &&
+    batch.resolved.length === 1 && batch.resolved[0].outcome === true);
+  await (await manual.cancelMarket(invalid)).wait();
+  test('Market without a valid index can still be cancelled', (await factory.getMarket(invalid)).cancelled);
+
+  log('');
+
+  // ========================================
+  // 4. CLAIMS
+  // ========================================
+  section('4. CLAIMS');
+
+  // Bob holds the whole winning pool: 65 USDC less the 1% protocol fee
+  const [claimable] = await as(bob).findClaimable();
+  test('findClaimable quotes the winner', claimable?.marketId === league && claimable.amount === usd(64.35));
+  test('Losers have nothing to claim', (await as(alice).findClaimable()).length === 0);
+
+  const before = await usdc.balanceOf(bob.address);
+  const claim = await as(bob).claim(league);
+  test('Winner paid the whole pool less fees', claim.payout === usd(64.35) &&
+    await usdc.balanceOf(bob.address) - before === usd(64.35));
+  test('Protocol fee accrued', (await client.getMarketFees(league)).treasury === usd(0.65));
+  await expectRevert('Loser cannot claim', asAlice.claim.staticCall(league), 'NoWinnings');
+  await expectRevert('Winner claims once', factory.connect(bob).claim.staticCall(league), 'AlreadyClaimed');
+  await expectRevert('claimMany skips losers', asAlice.claimMany.staticCall([league]), 'NoWinnings');
+
+  log('');
+
+  // ========================================
+  // 5. ONE-SIDED AND CANCELLED
+  // ========================================
+  section('5. ONE-SIDED AND CANCELLED');
+
+  const lonely = await categoricalMarket(['A', 'B', 'C']);
+  await as(alice).stakeOutcome(lonely, 2, usd(4));
+  test('Quote with the other outcomes empty is a refund', (await client.quoteOutcomePayout(lonely, 2, usd(6))).refund);
+  await as(bob).stakeOutcome(lonely, 2, usd(6));
+  await (await manual.setOutcomeIndex(lonely, 2)).wait();
+
+  const nobody = await categoricalMarket(['A', 'B']);
+  await as(carol).stakeOutcome(nobody, 0, usd(3));
+  await (await manual.setOutcomeIndex(nobody, 1)).wait();
+
+  const cancelled = await categoricalMarket(['A', 'B']);
+  await as(carol).stakeOutcome(cancelled, 1, usd(2));
+
+  await chain.increaseTime(601);
+  await (await factory.resolveMarket(lonely)).wait();
+  await (await factory.resolveMarket(nobody)).wait();
+  test('Nobody else staked: refund-only', (await factory.getMarket(lonely)).refundOnly);
+  test('Nobody backed the winner: refund-only', (await factory.getMarket(nobody)).refundOnly);
+
+  const refunds = await as(carol).findClaimable(carol.address, { marketIds: [nobody] });
+  test('Refund quoted', refunds[0]?.kind === 'refund' && refunds[0].amount === usd(3));
+  const refunded = await as(alice).claim(lonely);
+  test('Stake refunded without fees', refunded.refunded && refunded.payout === usd(4));
+
+  await (await factory.connect(owner).cancelMarket(cancelled)).wait();
+  const total = await as(carol).claimMany([nobody, cancelled]);
+  test('Refunds from refund-only and cancelled markets', total.totals[0]?.amount === usd(5));
+
+  log('');
+
+  // ========================================
+  // 6. CLI AND INDEXER
+  // ========================================
+  section('6. CLI AND INDEXER');
+
+  const keys = chain.server.getInitialAccounts();
+  const env = {
+    OWNER_KEY: keys[owner.address.toLowerCase()].secretKey,
+    ALICE_KEY: keys[alice.address.toLowerCase()].secretKey
+  };
+  async function cli(args, { json = true } = {}) {
+    const lines = [];
+    const code = await run([...args.split(' '), '--network', 'local', ...(json ? ['--json'] : [])], {
+      env,
+      provider: chain.provider,
+      addresses: p.addresses,
+      stdout: line => lines.push(line),
+      stderr: line => lines.push(line)
+    });
+    const text = lines.join('\n');
+    return { code, text, output: json ? JSON.parse(text) : null };
+  }
+
+  const created = await cli(`market create --question Election? --resolver manual --deadline +1h --outcomes Red,Blue,Green ` +
+    '--private-key-env OWNER_KEY');
+  const election = BigInt(created.output.events?.find(e => e.name === 'CategoricalMarketCreated')?.args.marketId ?? -1);
+  test('CLI creates a categorical market', created.code === 0 && (await factory.categoricals(election)).outcomeCount === 3n);
+
+  const rejected = await cli('market create --question Election? --resolver manual --deadline +1h --outcomes Red ' +
+    '--private-key-env OWNER_KEY');
+  test('CLI validates outcomes', rejected.code === 1 && rejected.output.error?.reason === 'InvalidOutcome');
+
+  const staked = await cli(`stake-outcome ${election} 2 7.5 --private-key-env ALICE_KEY`);
+  test('CLI stake-outcome', staked.code === 0 && (await factory.getOutcomePools(election))[2] === usd(7.5));
+
+  // 5 on Red against 7.5 on Green: 12.5 less the 1% protocol fee
+  const quoted = await cli(`market quote ${election} 0 5`);
+  test('CLI market quote takes an outcome index', quoted.code === 0 && quoted.output.outcome === '0' &&
+    quoted.output.payout === usd(12.375).toString());
+  test('CLI quote rejects an out-of-range outcome', (await cli(`market quote ${election} 3 5`)).code === 2 &&
+    (await cli(`market quote ${election} yes 5`)).code === 2);
+
+  const shown = await cli(`market show ${election}`, { json: false });
+  test('market show lists outcomes with odds', shown.code === 0 &&
+    shown.text.includes('[0] Red: 0.0 USDC (0%)') && shown.text.includes('[2] Green: 7.5 USDC (100%)'));
+  const oddsOut = await cli(`market odds ${election}`, { json: false });
+  test('market odds per outcome', oddsOut.text.includes('Red 0% / Blue 0% / Green 100%'));
+
+  const outOfRange = await cli(`manual set-outcome-index ${election} 3 --private-key-env OWNER_KEY`);
+  test('CLI rejects an out-of-range index', outOfRange.code === 2 && !(await manual.isOutcomeSet(election)));
+  const indexed = await cli(`manual set-outcome-index ${election} 2 --private-key-env OWNER_KEY`);
+  test('CLI manual set-outcome-index', indexed.code === 0 && await manual.outcomeIndexes(election) === 2n);
+
+  const db = await openIndexDb();
+  await createIndexer({ provider: chain.provider, db, addresses: p.addresses }).sync();
+
+  const row = db.getMarket(league);
+  test('Indexer stores labels and pools', row.outcomeCount === 3 &&
+    row.outcomes.map(o => `${o.label}=${o.pool}`).join() === `Arsenal=${usd(15)},Liverpool=${usd(30)},City=${usd(20)}`);
+  test('Indexer odds per outcome', row.outcomes.map(o => o.odds).join() === '23,46,30');
+  test('Indexer records the winning outcome', row.resolved && row.winningOutcome === 1);
+  test('Binary markets have no outcome rows', db.getMarket(binary).outcomes === undefined);
+
+  const [alicePosition] = db.getPositions(alice.address).filter(pos => pos.marketId === Number(league));
+  test('Position records the outcome index', alicePosition?.outcomeIndex === 0 && alicePosition.status === 'lost');
+  test('Claimed winner', db.getPositions(bob.address, { status: 'claimed' }).some(pos => pos.marketId === Number(league)));
+  test('Open categorical position', db.getPositions(alice.address, { status: 'open' })
+    .some(pos => pos.marketId === Number(election) && pos.outcomeIndex === 2));
+  test('Index outcome recorded', db.getOutcomes(p.addresses.ManualResolver)
+    .some(o => o.marketId === Number(election) && o.outcomeIndex === 2));
+
+  db.close();
+
+  log('');
+}
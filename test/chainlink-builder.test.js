@@ -0,0 +1,146 @@
+import { ethers } from 'ethers';
+import {
+  ClawshiClient,
+  buildChainlinkMarket,
+  encodeChainlinkParams,
+  decodeChainlinkParams
+} from '../src/index.js';
+import { deployProtocol } from './helpers/chain.js';
+import { log, section, test } from './helpers/report.js';
+
+// ============================================
+// ChainlinkResolver market builder
+// ============================================
+
+const usd = n => ethers.parseUnits(String(n), 6);
+
+// Resolves to the rejection message, or null if the promise fulfilled
+async function rejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, creator, chainlink, factory, usdc } = p;
+  const [alice, bob] = p.users;
+
+  // 18-decimal feed: a target scaled to 8 decimals would be off by 10^10
+  const solFeed = await chain.deploy('MockAggregator', [18, ethers.parseUnits('150', 18)]);
+  await (await chainlink.connect(owner).setPriceFeed('SOL', await solFeed.getAddress())).wait();
+
+  const client = new ClawshiClient({ runner: creator, addresses: p.addresses });
+  const resolver = client.chainlinkResolver;
+  const now = await chain.now();
+
+  // ========================================
+  // 1. ENCODING
+  // ========================================
+  section('1. ENCODING');
+
+  const sample = { asset: 'BTC', targetPrice: 100000n * 10n ** 8n, isGreaterThan: true, deadline: BigInt(now + 3600) };
+  const local = encodeChainlinkParams(sample);
+  const onChain = await chainlink.encodeParams(sample.asset, sample.targetPrice, sample.isGreaterThan, sample.deadline);
+  test('Local encoding matches encodeParams', local === onChain);
+
+  const decoded = decodeChainlinkParams(onChain);
+  test('decodeChainlinkParams round-trips', decoded.asset === 'BTC' && decoded.targetPrice === sample.targetPrice &&
+    decoded.isGreaterThan === true && decoded.deadline === sample.deadline);
+
+  const viaContract = await chainlink.decodeParams(local);
+  test('Contract decodes local encoding', viaContract.asset === 'BTC' && viaContract.targetPrice === sample.targetPrice);
+
+  log('');
+
+  // ========================================
+  // 2. BUILDER
+  // ========================================
+  section('2. BUILDER');
+
+  const resolutionTime = 1772582400; // 2026-03-04 00:00 UTC
+  const btc = await buildChainlinkMarket(resolver, { asset: 'BTC', comparator: '>=', target: '100000', resolutionTime });
+  test('Target scaled to feed decimals', btc.decimals === 8 && btc.params.targetPrice === 100000n * 10n ** 8n);
+  test('Generated question', btc.question === 'Will BTC be at or above $100,000 at 2026-03-04 00:00 UTC?', btc.question);
+  test('Market deadline defaults to resolution time', btc.deadline === BigInt(resolutionTime) &&
+    btc.params.deadline === BigInt(resolutionTime));
+  test('Resolver address and current price', btc.resolver === p.addresses.ChainlinkResolver && btc.currentPrice === 100000n * 10n ** 8n);
+  test('Resolver data matches encodeParams', btc.resolverData ===
+    await chainlink.encodeParams('BTC', btc.params.targetPrice, true, resolutionTime));
+
+  const eth = await buildChainlinkMarket(resolver, { asset: 'ETH', comparator: 'below', target: 2500.5, resolutionTime });
+  test('"below" comparator', eth.params.isGreaterThan === false && eth.params.targetPrice === 250050000000n);
+  test('Fractional target in question', eth.question === 'Will ETH be below $2,500.5 at 2026-03-04 00:00 UTC?', eth.question);
+
+  const sol = await buildChainlinkMarket(resolver, { asset: 'SOL', comparator: 'above', target: '150.25', resolutionTime });
+  test('18-decimal feed', sol.decimals === 18 && sol.params.targetPrice === ethers.parseUnits('150.25', 18));
+
+  const dated = await buildChainlinkMarket(resolver, {
+    asset: 'BTC', comparator: '<', target: 90000, resolutionTime: new Date(resolutionTime * 1000), question: 'Custom?'
+  });
+  test('Date resolution time and custom question', dated.params.deadline === BigInt(resolutionTime) && dated.question === 'Custom?');
+
+  const early = await rejection(buildChainlinkMarket(resolver, {
+    asset: 'BTC', comparator: '>=', target: 100000, resolutionTime, deadline: resolutionTime + 86400
+  }));
+  test('Rejects a resolution time before the market deadline', early?.includes('before the market deadline'));
+
+  const late = await buildChainlinkMarket(resolver, {
+    asset: 'BTC', comparator: '>=', target: 100000, resolutionTime, deadline: resolutionTime - 86400
+  });
+  test('Staking may close before the resolution time', late.deadline === BigInt(resolutionTime - 86400));
+
+  log('');
+
+  // ========================================
+  // 3. VALIDATION
+  // ========================================
+  section('3. VALIDATION');
+
+  const spec = { asset: 'BTC', comparator: '>=', target: 100000, resolutionTime };
+  test('Unknown asset rejected', (await rejection(buildChainlinkMarket(resolver, { ...spec, asset: 'DOGE' })))
+    ?.startsWith('Unknown asset: DOGE'));
+  test('Removed feed rejected', (await rejection(buildChainlinkMarket(resolver, { ...spec, asset: 'USDC' })))
+    ?.startsWith('Unknown asset: USDC'));
+  test('Strict ">" rejected', (await rejection(buildChainlinkMarket(resolver, { ...spec, comparator: '>' })))
+    ?.startsWith('Invalid comparator'));
+  test('Target beyond feed precision rejected', (await rejection(buildChainlinkMarket(resolver, { ...spec, target: '1.123456789' })))
+    ?.includes('8 decimals'));
+  test('Zero target rejected', (await rejection(buildChainlinkMarket(resolver, { ...spec, target: 0 }))) !== null);
+  test('Invalid resolution time rejected', (await rejection(buildChainlinkMarket(resolver, { ...spec, resolutionTime: 'soon' })))
+    ?.startsWith('Invalid resolution time'));
+
+  log('');
+
+  // ========================================
+  // 4. END TO END
+  // ========================================
+  section('4. END TO END');
+
+  const market = await client.buildChainlinkMarket({
+    asset: 'SOL', comparator: '>=', target: '149.99', resolutionTime: now + 3600, creatorFeeBps: 100
+  });
+  const { marketId } = await client.createMarket(market);
+  const stored = await factory.getMarket(marketId);
+  test('createMarket accepts builder output', stored.question === market.question && stored.resolverData === market.resolverData &&
+    stored.creatorFee === 100n);
+
+  for (const [user, isYes] of [[alice, true], [bob, false]]) {
+    await (await usdc.connect(user).approve(p.addresses.MarketFactory, usd(10))).wait();
+    await (await factory.connect(user).stake(marketId, isYes, usd(10))).wait();
+  }
+
+  await chain.increaseTime(3000);
+  await (await solFeed.setAnswer(ethers.parseUnits('150', 18))).wait();
+  await chain.increaseTime(601);
+  await (await factory.resolveMarket(marketId)).wait();
+  test('Resolves against the 18-decimal feed', (await factory.getMarket(marketId)).outcome === true);
+
+  const clientError = await rejection(client.buildChainlinkMarket({ ...spec, asset: 'DOGE' }));
+  test('Client method rejects unknown assets', clientError?.startsWith('Unknown asset'));
+
+  log('');
+}
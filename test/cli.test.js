@@ -0,0 +1,225 @@
+import { ethers } from 'ethers';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { run } from '../cli/index.js';
+import { encodeChainlinkParams } from '../src/index.js';
+import { deployProtocol } from './helpers/chain.js';
+import { log, section, test } from './helpers/report.js';
+
+// ============================================
+// clawshi CLI
+// ============================================
+
+const usd = n => ethers.parseUnits(String(n), 6);
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, factory, manual } = p;
+  const [alice, bob] = p.users;
+
+  const keys = chain.server.getInitialAccounts();
+  const keyOf = signer => keys[signer.address.toLowerCase()].secretKey;
+  const env = { OWNER_KEY: keyOf(owner), ALICE_KEY: keyOf(alice), BOB_KEY: keyOf(bob) };
+
+  // Runs `clawshi <args> --network local --json`, returns { code, text, output }
+  async function cli(args, { json = true } = {}) {
+    const lines = [];
+    const argv = [...args.split(' '), '--network', 'local', ...(json ? ['--json'] : [])];
+    const code = await run(argv, {
+      env,
+      provider: chain.provider,
+      addresses: p.addresses,
+      stdout: line => lines.push(line),
+      stderr: line => lines.push(line)
+    });
+    const text = lines.join('\n');
+    return { code, text, output: json ? JSON.parse(text) : null };
+  }
+
+  const asOwner = '--private-key-env OWNER_KEY';
+  const asAlice = '--private-key-env ALICE_KEY';
+  const asBob = '--private-key-env BOB_KEY';
+
+  // ========================================
+  // 1. MARKET WRITES
+  // ========================================
+  section('1. MARKET WRITES');
+
+  const deadline = (await chain.now()) + 3600;
+  const create = await run(
+    ['market', 'create', '--question', 'Will the CLI work?', '--resolver', 'manual', '--deadline', String(deadline),
+      '--creator-fee', '100', '--network', 'local', '--json', '--private-key-env', 'OWNER_KEY'],
+    { env, provider: chain.provider, addresses: p.addresses, stdout: () => {}, stderr: () => {} }
+  );
+  test('market create succeeds', create === 0 && await factory.getMarketCount() === 1n);
+
+  const created = await factory.getMarket(0);
+  test('Market has CLI parameters', created.question === 'Will the CLI work?' &&
+    created.resolver === p.addresses.ManualResolver && created.deadline === BigInt(deadline) && created.creatorFee === 100n);
+
+  const ethParams = encodeChainlinkParams({ asset: 'ETH', targetPrice: 3500n * 10n ** 8n, isGreaterThan: true, deadline: deadline + 4 * 3600 });
+  const relative = await cli(`market create --question Relative --resolver chainlink --deadline +2h --resolver-data ${ethParams} ${asOwner}`);
+  const event = relative.output.events.find(e => e.name === 'MarketCreated');
+  test('Created event in JSON output', relative.code === 0 && event?.args.marketId === '1' && relative.output.hash);
+  const relativeDeadline = (await factory.getMarket(1)).deadline;
+  test('Relative deadline from latest block', relativeDeadline > BigInt(await chain.now()) + 7000n);
+
+  const stake = await cli(`stake 0 yes 10 ${asAlice}`);
+  test('stake approves then stakes', stake.code === 0 && stake.output.approval?.method === 'approve' && stake.output.stake.method === 'stake');
+  test('Stake recorded on-chain', (await factory.getStake(0, alice.address)).amount === usd(10));
+
+  const again = await cli(`stake 0 yes 2.5 ${asAlice} --approve-max`);
+  test('--approve-max approves unlimited', again.output.approval?.args.amount === ethers.MaxUint256.toString());
+
+  const reuse = await cli(`stake 1 yes 1 ${asAlice}`);
+  test('Existing allowance reused', reuse.code === 0 && reuse.output.approval === null);
+  await cli(`stake 0 no 30 ${asBob} --approve-max`);
+
+  log('');
+
+  // ========================================
+  // 2. READS
+  // ========================================
+  section('2. READS');
+
+  const show = await cli('market show 0');
+  test('market show', show.output.question === 'Will the CLI work?' && show.output.yesPool === usd(12.5).toString() &&
+    show.output.status === 'open');
+
+  const odds = await cli('market odds 0');
+  test('market odds', odds.output.yes === '29' && odds.output.no === '71');
+
+  const quote = await cli('market quote 0 yes 5');
+  test('market quote matches calculatePayout', quote.output.payout === (await factory.calculatePayout(0, true, usd(5))).toString());
+
+  const list = await cli('market list --resolver chainlink');
+  test('market list filtered by resolver', list.output.total === 1 && list.output.markets[0].question === 'Relative');
+
+  const paged = await cli('market list --limit 1 --offset 1');
+  test('market list pagination', paged.output.total === 2 && paged.output.markets.length === 1 && paged.output.markets[0].id === '1');
+
+  const price = await cli('chainlink price BTC');
+  test('chainlink price', price.output.formatted === '100000.0' && price.output.decimals === 8);
+
+  const text = await cli('market show 0', { json: false });
+  test('Text output', text.code === 0 && text.text.includes('YES 12.5 / NO 30.0 USDC'));
+
+  log('');
+
+  // ========================================
+  // 3. DRY RUN
+  // ========================================
+  section('3. DRY RUN');
+
+  const count = await factory.getMarketCount();
+  const dryCreate = await cli(`market create --question Dry --resolver manual --deadline +1d --dry-run ${asOwner}`);
+  test('Dry run returns the call result', dryCreate.code === 0 && dryCreate.output.dryRun && dryCreate.output.result === count.toString());
+  test('Dry run estimates gas', BigInt(dryCreate.output.gasEstimate) > 0n);
+  test('Dry run sends nothing', await factory.getMarketCount() === count);
+
+  const early = await cli(`resolve 0 --dry-run ${asOwner}`);
+  test('Dry run decodes custom error', early.code === 1 && early.output.error.reason === 'DeadlineNotPassed');
+
+  const stranger = await cli(`admin set-fee 200 --dry-run --from ${bob.address}`);
+  test('--from simulates without a key', stranger.code === 1 && stranger.output.error.reason === 'Unauthorized');
+
+  const tooHigh = await cli(`admin set-fee 501 --dry-run ${asOwner}`);
+  test('Dry run decodes revert string', tooHigh.output.error.reason === 'Fee too high');
+
+  const dryStake = await cli(`stake 1 yes 1 --dry-run --from ${p.users[2].address}`);
+  test('Dry-run stake reports missing approval', dryStake.code === 0 && dryStake.output.stake === null &&
+    dryStake.output.approval.dryRun);
+
+  test('--from rejected without --dry-run', (await cli(`admin set-fee 200 --from ${bob.address}`)).code === 2);
+
+  log('');
+
+  // ========================================
+  // 4. RESOLVERS AND CLAIMS
+  // ========================================
+  section('4. RESOLVERS AND CLAIMS');
+
+  const notAdmin = await cli(`manual set-outcome 0 yes ${asAlice}`);
+  test('Reverted write exits 1 with reason', notAdmin.code === 1 && notAdmin.output.error.reason === 'Unauthorized');
+
+  await cli(`manual set-outcome 0 yes ${asOwner}`);
+  test('manual set-outcome', (await manual.getOutcome(0)).isSet);
+
+  const manualIds = [];
+  for (const question of ['Yes?', 'No?']) {
+    const made = await cli(`market create --question ${question} --resolver manual --deadline +1d ${asOwner}`);
+    manualIds.push(made.output.events.find(e => e.name === 'MarketCreated').args.marketId);
+  }
+  const batch = await cli(`manual batch-set ${manualIds[0]}=yes ${manualIds[1]}=no ${asOwner}`);
+  test('manual batch-set', batch.code === 0 && batch.output.events.filter(e => e.name === 'OutcomeSet').length === 2);
+
+  const future = (await chain.now()) + 7200;
+  await cli(`manual set-deadline 12 ${future} ${asOwner}`);
+  test('manual set-deadline', await manual.deadlines(12) === BigInt(future));
+
+  await chain.increaseTime(3601);
+  const resolved = await cli(`resolve 0 ${asBob}`);
+  test('resolve', resolved.code === 0 && resolved.output.events[0].args.outcome === true);
+
+  const claim = await cli(`claim 0 ${asAlice}`);
+  test('claim reports payout', claim.code === 0 && BigInt(claim.output.events[0].args.payout) > usd(12.5));
+
+  const newFeed = await chain.deploy('MockAggregator', [8, 90000n * 10n ** 8n]);
+  await cli(`chainlink set-feed BTC ${await newFeed.getAddress()} ${asOwner}`);
+  test('chainlink set-feed', (await cli('chainlink price BTC')).output.formatted === '90000.0');
+
+  log('');
+
+  // ========================================
+  // 5. ADMIN AND SIGNERS
+  // ========================================
+  section('5. ADMIN AND SIGNERS');
+
+  await cli(`admin set-fee 150 ${asOwner}`);
+  test('admin set-fee', await factory.protocolFeeBps() === 150n);
+
+  await cli(`admin set-stake-token usdc 0.5 ${asOwner}`);
+  test('admin set-stake-token in the token\'s units', (await factory.stakeTokens(p.addresses.USDC)).minStake === usd(0.5));
+
+  // Default signer: the network's defaultPrivateKey (first Ganache account)
+  await cli('admin pause 1');
+  test('admin pause', (await factory.getMarket(1)).paused);
+
+  const dir = mkdtempSync(join(tmpdir(), 'clawshi-cli-'));
+  try {
+    const keystore = join(dir, 'owner.json');
+    writeFileSync(keystore, await ethers.encryptKeystoreJson(
+      { address: owner.address, privateKey: keyOf(owner) }, 'secret', { scrypt: { N: 1 << 10 } }));
+
+    env.CLAWSHI_KEYSTORE_PASSWORD = 'secret';
+    await cli(`admin pause 1 --unpause --keystore ${keystore}`);
+    test('Keystore signer', !(await factory.getMarket(1)).paused);
+
+    env.CLAWSHI_KEYSTORE_PASSWORD = 'wrong';
+    test('Wrong keystore password fails', (await cli(`admin pause 1 --keystore ${keystore}`)).code === 1);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  await cli(`admin approve-resolver ${bob.address} ${asOwner}`);
+  test('admin approve-resolver', await factory.approvedResolvers(bob.address));
+  await cli(`admin approve-resolver ${bob.address} --revoke ${asOwner}`);
+  test('admin approve-resolver --revoke', !(await factory.approvedResolvers(bob.address)));
+
+  log('');
+
+  // ========================================
+  // 6. USAGE ERRORS
+  // ========================================
+  section('6. USAGE ERRORS');
+
+  test('Unknown command exits 2', (await cli('market frobnicate')).code === 2);
+  test('Invalid side exits 2', (await cli('stake 0 maybe 1')).code === 2);
+  test('Invalid amount exits 2', (await cli('market quote 0 yes ten')).code === 2);
+  test('Invalid deadline exits 2', (await cli('market create --question q --resolver manual --deadline soon')).code === 2);
+  test('Usage error as JSON', (await cli('market show')).output.error.reason === 'UsageError');
+  test('Help exits 0', (await cli('help', { json: false })).code === 0);
+
+  log('');
+}
@@ -0,0 +1,147 @@
+import { ethers } from 'ethers';
+import networks from '../config/networks.js';
+import { buildPlan, runPlan } from '../scripts/lib/deploy.js';
+import { getCompiled } from './helpers/chain.js';
+import { log, section, test } from './helpers/report.js';
+
+// ============================================
+// Deployment plans: fresh deploy, rerun, resume
+// ============================================
+
+const quiet = () => {};
+
+function newRecord(config) {
+  return { network: config.name, chainId: config.chainId, contracts: {}, tokens: {}, priceFeeds: {}, config: {}, steps: {} };
+}
+
+export default async function (chain) {
+  const [deployer, treasury, , arbiterA, arbiterB, owner] = chain.accounts;
+  const arbiters = [arbiterA.address, arbiterB.address, owner.address];
+  const config = {
+    ...networks.local,
+    owner: owner.address,
+    treasury: treasury.address,
+    optimistic: { ...networks.local.optimistic, arbiters, quorum: 2 },
+    quorum: { reporters: arbiters, quorum: 2 }
+  };
+
+  const contract = (record, name) =>
+    new ethers.Contract(record.contracts[name].address, getCompiled(name).abi, chain.provider);
+
+  async function deploy(record, { limit } = {}) {
+    const steps = await buildPlan(config, { signer: deployer, getArtifact: getCompiled, record });
+    const run = limit ? steps.slice(0, limit) : steps;
+    return { steps, ...(await runPlan(run, { record, save: quiet, provider: chain.provider, log: quiet })) };
+  }
+
+  // ========================================
+  // 1. FRESH DEPLOYMENT
+  // ========================================
+  section('1. FRESH DEPLOYMENT');
+
+  const record = newRecord(config);
+  const first = await deploy(record);
+  test('Every step sent a transaction', first.sent === first.steps.length && first.skipped === 0);
+  test('Every step recorded with tx hash',
+    Object.values(record.steps).every(s => s.status === 'complete' && s.txHash));
+
+  const factory = contract(record, 'MarketFactory');
+  const chainlink = contract(record, 'ChainlinkResolver');
+  const manual = contract(record, 'ManualResolver');
+
+  test('Factory uses mock USDC', await factory.usdc() === record.tokens.USDC.address);
+  test('Treasury from config', await factory.treasury() === treasury.address);
+  test('ChainlinkResolver approved', await factory.approvedResolvers(record.contracts.ChainlinkResolver.address));
+  test('ManualResolver approved', await factory.approvedResolvers(record.contracts.ManualResolver.address));
+  test('PriceConditionResolver approved', await factory.approvedResolvers(record.contracts.PriceConditionResolver.address));
+  test('PriceConditionResolver reads ChainlinkResolver feeds',
+    await contract(record, 'PriceConditionResolver').registry() === record.contracts.ChainlinkResolver.address);
+  const optimistic = contract(record, 'OptimisticResolver');
+  test('OptimisticResolver approved', await factory.approvedResolvers(record.contracts.OptimisticResolver.address));
+  test('OptimisticResolver bonds from network config',
+    await optimistic.factory() === record.contracts.MarketFactory.address &&
+    await optimistic.bondToken() === record.tokens.USDC.address &&
+    await optimistic.bondAmount() === BigInt(config.optimistic.bondAmount) &&
+    await optimistic.challengeWindow() === BigInt(config.optimistic.challengeWindow));
+  test('OptimisticResolver arbiters from network config',
+    (await optimistic.getArbiters()).join() === arbiters.join() && await optimistic.quorum() === 2n);
+  const quorum = contract(record, 'QuorumResolver');
+  test('QuorumResolver approved', await factory.approvedResolvers(record.contracts.QuorumResolver.address));
+  test('QuorumResolver default reporters from network config', await quorum.factory() === record.contracts.MarketFactory.address &&
+    (await quorum.getDefaultReporters()).join() === arbiters.join() && await quorum.quorum() === 2n);
+  test('BTC feed points at mock', await chainlink.priceFeeds('BTC') === record.priceFeeds['BTC/USD']);
+  test('Default USDC feed removed', await chainlink.priceFeeds('USDC') === ethers.ZeroAddress);
+  test('Factory ownership transfer pending', await factory.pendingOwner() === owner.address &&
+    await factory.owner() === deployer.address);
+  test('ChainlinkResolver ownership transfer pending', await chainlink.pendingOwner() === owner.address);
+  test('ManualResolver admin transfer pending', await manual.pendingAdmin() === owner.address);
+  test('OptimisticResolver admin transfer pending', await optimistic.pendingAdmin() === owner.address);
+  test('QuorumResolver admin transfer pending', await quorum.pendingAdmin() === owner.address);
+  test('Compiler settings recorded', record.compiler?.settings.evmVersion === 'shanghai');
+
+  log('');
+
+  // ========================================
+  // 2. RERUN AND RESUME
+  // ========================================
+  section('2. RERUN AND RESUME');
+
+  const rerun = await deploy(record);
+  test('Rerun sends nothing', rerun.sent === 0 && rerun.skipped === rerun.steps.length);
+
+  // Process dies after the contract deployments
+  const partial = newRecord(config);
+  const interrupted = await deploy(partial, { limit: 9 });
+  test('Interrupted run deployed contracts only', interrupted.sent === 9 && !partial.steps['approve:ChainlinkResolver']);
+
+  const resumed = await deploy(partial);
+  test('Resume skips completed steps', resumed.skipped === 9);
+  test('Resume finishes remaining steps', resumed.sent === resumed.steps.length - 9);
+  test('Resumed deployment reuses contracts',
+    await contract(partial, 'MarketFactory').approvedResolvers(partial.contracts.ManualResolver.address));
+
+  // Process dies after sending a transaction, before its receipt
+  const pendingRecord = newRecord(config);
+  const steps = await buildPlan(config, { signer: deployer, getArtifact: getCompiled, record: pendingRecord });
+  const tx = await steps[0].send();
+  pendingRecord.steps[steps[0].id] = { status: 'pending', txHash: tx.hash };
+
+  const afterPending = await deploy(pendingRecord);
+  test('Pending transaction adopted, not resent', afterPending.sent === afterPending.steps.length - 1);
+  test('Pending deploy address recorded', pendingRecord.tokens.USDC?.address === (await tx.wait()).contractAddress);
+
+  // Record written before steps were tracked (e.g. deployments/base-mainnet.json)
+  const legacy = newRecord(config);
+  legacy.tokens = record.tokens;
+  legacy.priceFeeds = record.priceFeeds;
+  legacy.contracts = record.contracts;
+  const adopted = await deploy(legacy);
+  test('Legacy record: nothing redeployed', adopted.sent === 0);
+
+  // Record of contracts older than this tree's ABIs
+  let rejected = null;
+  try {
+    await deploy({ ...newRecord(config), contracts: record.contracts, legacy: true });
+  } catch (err) {
+    rejected = err.message;
+  }
+  test('Record marked legacy is not reused', rejected?.includes('move it aside to redeploy'));
+
+  // Mainnet never falls back to the deployer for owner or treasury
+  const mainnet = networks['base-mainnet'];
+  for (const [label, roles] of [['owner', { treasury: treasury.address }], ['treasury', { owner: owner.address }]]) {
+    let missing = null;
+    try {
+      await buildPlan({ ...mainnet, owner: undefined, treasury: undefined, ...roles },
+        { signer: deployer, getArtifact: getCompiled, record: newRecord(mainnet) });
+    } catch (err) {
+      missing = err.message;
+    }
+    test(`Mainnet plan without ${label} fails`, missing?.includes('requires an explicit owner and treasury'));
+  }
+  const planned = await buildPlan({ ...mainnet, owner: owner.address, treasury: treasury.address },
+    { signer: deployer, getArtifact: getCompiled, record: newRecord(mainnet) });
+  test('Mainnet plan with owner and treasury builds', planned.length > 0);
+
+  log('');
+}
@@ -0,0 +1,214 @@
+import { ethers } from 'ethers';
+import { run } from '../cli/index.js';
+import { ClawshiClient, claimPayout } from '../src/index.js';
+import { reconcileFees } from '../scripts/lib/fees.js';
+import { deployProtocol } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// Accrued fees and pull-based withdrawals
+// ============================================
+
+const usd = n => ethers.parseUnits(String(n), 6);
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, treasury, creator, usdc, factory, manual } = p;
+  const [alice, bob, carol, dave, erin, frank, grace] = p.users;
+
+  for (const user of [alice, bob, carol]) {
+    await (await usdc.connect(user).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  }
+
+  const clientFor = signer => new ClawshiClient({ runner: signer, addresses: p.addresses });
+  const balance = address => usdc.balanceOf(address);
+  const accrued = address => factory.accruedFees(address, p.addresses.USDC);
+  const eventsOf = (receipt, name) => receipt.logs
+    .filter(l => l.address === p.addresses.MarketFactory)
+    .map(l => factory.interface.parseLog(l))
+    .filter(e => e?.name === name);
+  const transfers = receipt => receipt.logs
+    .filter(l => l.address === p.addresses.USDC)
+    .map(l => usdc.interface.parseLog(l))
+    .filter(e => e?.name === 'Transfer');
+
+  // Resolved ManualResolver market with the given stakes ([signer, isYes, amount])
+  async function resolvedMarket(question, marketCreator, creatorFeeBps, stakes, outcome) {
+    const { marketId } = await clientFor(marketCreator).createMarket({
+      question,
+      resolver: p.addresses.ManualResolver,
+      deadline: (await chain.now()) + 600,
+      creatorFeeBps
+    });
+    for (const [signer, isYes, amount] of stakes) {
+      await (await factory.connect(signer).stake(marketId, isYes, amount)).wait();
+    }
+    await (await manual.setOutcome(marketId, outcome)).wait();
+    await chain.increaseTime(601);
+    await (await factory.resolveMarket(marketId)).wait();
+    return marketId;
+  }
+
+  // ========================================
+  // 1. ACCRUAL
+  // ========================================
+  section('1. ACCRUAL');
+
+  const a = await resolvedMarket('Fees accrue', creator, 200, [[alice, true, usd(10)], [bob, false, usd(30)], [carol, true, usd(10)]], true);
+  const protocolFeeBps = await factory.protocolFeeBps();
+  const quoteA = claimPayout(await factory.getMarket(a), await factory.getStake(a, alice.address), protocolFeeBps);
+
+  const creatorBalance = await balance(creator.address);
+  const claimReceipt = (await clientFor(alice).claim(a)).receipt;
+  const [accrual] = eventsOf(claimReceipt, 'FeesAccrued');
+  test('Claim only transfers the payout', transfers(claimReceipt).length === 1 &&
+    transfers(claimReceipt)[0].args.to === alice.address && await balance(creator.address) === creatorBalance);
+  test('FeesAccrued event', accrual?.args.marketId === a && accrual.args.treasury === treasury.address &&
+    accrual.args.treasuryAmount === quoteA.protocolFee && accrual.args.creator === creator.address &&
+    accrual.args.creatorAmount === quoteA.creatorFee);
+  test('Fees owed to treasury and creator', await accrued(treasury.address) === quoteA.protocolFee &&
+    await accrued(creator.address) === quoteA.creatorFee);
+
+  await (await factory.connect(carol).claim(a)).wait();
+  const marketFees = await clientFor(creator).getMarketFees(a);
+  test('Market totals add up across claims', marketFees.treasury === 2n * quoteA.protocolFee &&
+    marketFees.creator === 2n * quoteA.creatorFee);
+  test('totalAccruedFees is the sum owed', await factory.totalAccruedFees(p.addresses.USDC) === marketFees.treasury + marketFees.creator);
+
+  const creatorFees = await clientFor(creator).getAccruedFees();
+  test('getAccruedFees', creatorFees.accrued === marketFees.creator && creatorFees.lifetime === marketFees.creator);
+
+  log('');
+
+  // ========================================
+  // 2. WITHDRAWALS
+  // ========================================
+  section('2. WITHDRAWALS');
+
+  const totalBefore = await factory.totalAccruedFees(p.addresses.USDC);
+  const before = await balance(creator.address);
+  const withdrawn = await clientFor(creator).withdrawFees();
+  test('withdrawFees pays the accrued balance', withdrawn.amount === marketFees.creator && withdrawn.to === creator.address &&
+    await balance(creator.address) - before === marketFees.creator);
+  test('Balance cleared, lifetime total kept', await accrued(creator.address) === 0n &&
+    await factory.lifetimeFees(creator.address, p.addresses.USDC) === marketFees.creator &&
+    await factory.totalAccruedFees(p.addresses.USDC) === totalBefore - marketFees.creator);
+
+  await expectRevert('Nothing left to withdraw', factory.connect(creator).withdrawFees(p.addresses.USDC), 'NoFeesAccrued');
+  await expectRevert('Stakers have no fees', factory.connect(alice).withdrawFees(p.addresses.USDC), 'NoFeesAccrued');
+  await expectRevert('Zero recipient', factory.connect(treasury).withdrawFeesTo(p.addresses.USDC, ethers.ZeroAddress), 'InvalidRecipient');
+
+  const daveBefore = await balance(dave.address);
+  const toDave = await clientFor(treasury).withdrawFees({ to: dave.address });
+  const [withdrawnEvent] = eventsOf(toDave.receipt, 'FeesWithdrawn');
+  test('withdrawFeesTo sends elsewhere', toDave.amount === marketFees.treasury &&
+    await balance(dave.address) - daveBefore === marketFees.treasury &&
+    withdrawnEvent.args.recipient === treasury.address && withdrawnEvent.args.to === dave.address &&
+    withdrawnEvent.args.token === p.addresses.USDC);
+
+  log('');
+
+  // ========================================
+  // 3. BLACKLISTED CREATOR
+  // ========================================
+  section('3. BLACKLISTED CREATOR');
+
+  const b = await resolvedMarket('Blacklisted creator', erin, 100, [[alice, true, usd(10)], [bob, false, usd(10)]], true);
+  await (await usdc.setBlacklisted(erin.address, true)).wait();
+
+  const quoteB = claimPayout(await factory.getMarket(b), await factory.getStake(b, alice.address), protocolFeeBps);
+  const claimedB = await clientFor(alice).claim(b);
+  test('Winners claim despite the creator', claimedB.payout === quoteB.payout && await accrued(erin.address) === quoteB.creatorFee);
+  await expectRevert('Blacklisted creator cannot withdraw to itself', factory.connect(erin).withdrawFees(p.addresses.USDC), 'Blacklisted');
+
+  await (await factory.connect(erin).withdrawFeesTo(p.addresses.USDC, frank.address)).wait();
+  test('Blacklisted creator withdraws elsewhere', await balance(frank.address) === usd(1000) + quoteB.creatorFee &&
+    await accrued(erin.address) === 0n);
+  await (await usdc.setBlacklisted(erin.address, false)).wait();
+
+  log('');
+
+  // ========================================
+  // 4. TREASURY CHANGES AND SWEEPS
+  // ========================================
+  section('4. TREASURY CHANGES AND SWEEPS');
+
+  const oldTreasuryFees = await accrued(treasury.address);
+  await (await factory.connect(owner).setTreasury(grace.address)).wait();
+
+  const { marketId: c } = await clientFor(creator).createMarket({
+    question: 'Exit fees swept on cancel',
+    resolver: p.addresses.ManualResolver,
+    deadline: (await chain.now()) + 600
+  });
+  await (await factory.connect(alice).stake(c, true, usd(10))).wait();
+  await (await factory.connect(alice).unstake(c, usd(5))).wait();
+  const cancelReceipt = await (await factory.cancelMarket(c)).wait();
+  const [sweep] = eventsOf(cancelReceipt, 'FeesAccrued');
+  test('Swept exit fees accrue to the new treasury', await accrued(grace.address) === usd('0.05') &&
+    sweep?.args.treasury === grace.address && sweep.args.creatorAmount === 0n &&
+    (await factory.marketFees(c)).treasury === usd('0.05'));
+  test('Previous treasury keeps its balance', await accrued(treasury.address) === oldTreasuryFees);
+
+  await (await factory.connect(owner).setTreasury(treasury.address)).wait();
+
+  log('');
+
+  // ========================================
+  // 5. RECONCILIATION
+  // ========================================
+  section('5. RECONCILIATION');
+
+  const report = await reconcileFees({ provider: chain.provider, factory: p.addresses.MarketFactory, batchSize: 50 });
+  const owed = Object.fromEntries(report.recipients.map(r => [r.address, r.owed]));
+  test('Events reconcile with contract state', report.ok && report.drift.length === 0, report.drift.map(d => d.check).join(', '));
+  test('Report lists recipients and markets', report.recipients.length === 4 && owed[grace.address] === usd('0.05') &&
+    report.markets.map(m => m.marketId).join() === [a, b, c].join());
+  const [totals] = report.totals;
+  test('Totals match the contract', report.totals.length === 1 && totals.token === p.addresses.USDC &&
+    totals.owed === await factory.totalAccruedFees(p.addresses.USDC) && totals.accrued - totals.withdrawn === totals.owed &&
+    report.checks.some(c => c.check === `balance covers fees.${p.addresses.USDC}` && c.ok));
+
+  const partial = await reconcileFees({ provider: chain.provider, factory: p.addresses.MarketFactory, fromBlock: cancelReceipt.blockNumber });
+  test('Missing history is reported as drift', !partial.ok && partial.drift.some(d => d.check === `totalAccruedFees.${p.addresses.USDC}`));
+
+  const earlier = await reconcileFees({
+    provider: chain.provider,
+    factory: p.addresses.MarketFactory,
+    toBlock: claimReceipt.blockNumber
+  });
+  test('Reconciles at a past block', earlier.ok && earlier.totals[0].owed === quoteA.protocolFee + quoteA.creatorFee);
+
+  log('');
+
+  // ========================================
+  // 6. CLI
+  // ========================================
+  section('6. CLI');
+
+  const keys = chain.server.getInitialAccounts();
+  async function cli(signer, args) {
+    const lines = [];
+    const code = await run([...args.split(' '), '--network', 'local', '--json'], {
+      env: { CLAWSHI_PRIVATE_KEY: keys[signer.address.toLowerCase()].secretKey },
+      provider: chain.provider,
+      addresses: p.addresses,
+      stdout: line => lines.push(line),
+      stderr: line => lines.push(line)
+    });
+    return { code, output: JSON.parse(lines.join('\n')) };
+  }
+
+  const shown = await cli(grace, 'fees show');
+  test('fees show', shown.code === 0 && shown.output.address === grace.address && shown.output.accrued === usd('0.05').toString());
+  const byMarket = await cli(grace, `fees show --market ${a}`);
+  test('fees show --market', byMarket.code === 0 && byMarket.output.creator === marketFees.creator.toString());
+
+  const cliWithdraw = await cli(grace, `fees withdraw --to ${frank.address}`);
+  test('fees withdraw --to', cliWithdraw.code === 0 && cliWithdraw.output.method === 'withdrawFeesTo' &&
+    cliWithdraw.output.events[0].args.amount === usd('0.05').toString());
+  const empty = await cli(grace, 'fees withdraw');
+  test('Nothing to withdraw exits 1', empty.code === 1 && empty.output.error.reason === 'NoFeesAccrued');
+
+  log('');
+}
@@ -0,0 +1,231 @@
+import { request } from 'node:http';
+import { ethers } from 'ethers';
+import { run } from '../cli/index.js';
+import { ClawshiClient, STAKE_INTENT_TYPES, stakeIntentDomain, signStakeIntent } from '../src/index.js';
+import { createRelayer, createRelayerServer } from '../scripts/lib/relayer.js';
+import { deployProtocol } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// Gasless staking: USDC permits and signed stake intents
+// ============================================
+
+const usd = n => ethers.parseUnits(String(n), 6);
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { creator, usdc, factory } = p;
+  const [alice, bob, carol, dave, erin, relayer] = p.users;
+
+  // Ganache's eth_signTypedData_v4 rejects the JSON string ethers sends, so sign with local wallets
+  const keys = chain.server.getInitialAccounts();
+  const walletFor = signer => new ethers.Wallet(keys[signer.address.toLowerCase()].secretKey, chain.provider);
+  const clientFor = signer => new ClawshiClient({ runner: walletFor(signer), addresses: p.addresses });
+  const creatorClient = clientFor(creator);
+  const relayerClient = clientFor(relayer);
+  const chainId = (await chain.provider.getNetwork()).chainId;
+  const domain = { chainId, factory: p.addresses.MarketFactory };
+
+  const balance = address => usdc.balanceOf(address);
+  const allowance = owner => usdc.allowance(owner, p.addresses.MarketFactory);
+
+  async function market(question) {
+    const { marketId } = await creatorClient.createMarket({
+      question,
+      resolver: p.addresses.ManualResolver,
+      deadline: (await chain.now()) + 600
+    });
+    return marketId;
+  }
+
+  const a = await market('Gasless staking');
+
+  // ========================================
+  // 1. PERMIT
+  // ========================================
+  section('1. PERMIT');
+
+  test('No allowance to start with', await allowance(alice.address) === 0n);
+
+  const staked = await clientFor(alice).stakeWithPermit(a, true, usd(10));
+  const aliceStake = await factory.getStake(a, alice.address);
+  test('stakeWithPermit without a prior approve', aliceStake.amount === usd(10) && aliceStake.isYes &&
+    staked.receipt.logs.length > 0 && await allowance(alice.address) === 0n);
+  test('Permit nonce used', await usdc.nonces(alice.address) === 1n);
+
+  const permit = await clientFor(bob).signPermit(usd(5));
+  await (await factory.connect(bob).stakeWithPermit(a, false, usd(5), permit.deadline, permit.v, permit.r, permit.s)).wait();
+  await expectRevert('Replayed permit',
+    factory.connect(bob).stakeWithPermit(a, false, usd(5), permit.deadline, permit.v, permit.r, permit.s), 'Insufficient allowance');
+
+  // Someone submits the permit first: the stake still uses the allowance it granted
+  const frontRun = await clientFor(bob).signPermit(usd(3));
+  await (await usdc.connect(relayer).permit(bob.address, p.addresses.MarketFactory, usd(3), frontRun.deadline,
+    frontRun.v, frontRun.r, frontRun.s)).wait();
+  await (await factory.connect(bob).stakeWithPermit(a, false, usd(3), frontRun.deadline, frontRun.v, frontRun.r, frontRun.s)).wait();
+  test('Front-run permit does not block the stake', (await factory.getStake(a, bob.address)).amount === usd(8));
+
+  const expired = await clientFor(carol).signPermit(usd(2), { deadline: (await chain.now()) - 1 });
+  await expectRevert('Expired permit',
+    factory.connect(carol).stakeWithPermit(a, true, usd(2), expired.deadline, expired.v, expired.r, expired.s), 'Insufficient allowance');
+
+  const forBob = await clientFor(bob).signPermit(usd(2));
+  await expectRevert('Permit signed by someone else',
+    factory.connect(carol).stakeWithPermit(a, true, usd(2), forBob.deadline, forBob.v, forBob.r, forBob.s), 'Insufficient allowance');
+
+  log('');
+
+  // ========================================
+  // 2. STAKE INTENTS
+  // ========================================
+  section('2. STAKE INTENTS');
+
+  await (await usdc.connect(carol).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  const carolClient = clientFor(carol);
+
+  const signed = await carolClient.signStakeIntent({ marketId: a, isYes: true, amount: usd(4) });
+  test('SDK digest matches hashStakeIntent',
+    ethers.TypedDataEncoder.hash(stakeIntentDomain(domain), STAKE_INTENT_TYPES, signed.intent) ===
+      await factory.hashStakeIntent(signed.intent));
+  test('Intent uses the staker\'s current nonce', signed.intent.nonce === 0n && signed.intent.staker === carol.address &&
+    signed.permit === null);
+
+  const before = { carol: await balance(carol.address), relayer: await balance(relayer.address) };
+  const relayed = await relayerClient.relayStake(signed);
+  const stakedEvent = relayed.receipt.logs.map(l => factory.interface.parseLog(l)).find(e => e?.name === 'Staked');
+  test('Relayer submits the stake for the staker', relayed.staker === carol.address && relayed.nonce === 0n &&
+    stakedEvent.args.user === carol.address && (await factory.getStake(a, carol.address)).amount === usd(4));
+  test('Staker pays the USDC, relayer pays none', before.carol - await balance(carol.address) === usd(4) &&
+    await balance(relayer.address) === before.relayer);
+  test('Nonce incremented', await factory.nonces(carol.address) === 1n);
+
+  await expectRevert('Replayed intent', factory.connect(relayer).stakeBySig(signed.intent, signed.signature), 'InvalidNonce');
+
+  const next = await carolClient.signStakeIntent({ marketId: a, isYes: true, amount: usd(1) });
+  await expectRevert('Tampered amount', factory.connect(relayer).stakeBySig({ ...next.intent, amount: usd(100) }, next.signature),
+    'InvalidSignature');
+  const impostor = await signStakeIntent(walletFor(dave), domain, { ...next.intent });
+  await expectRevert('Signed by someone else', factory.connect(relayer).stakeBySig(next.intent, impostor), 'InvalidSignature');
+  await expectRevert('Malformed signature', factory.connect(relayer).stakeBySig(next.intent, '0x1234'), 'InvalidSignature');
+
+  const otherChain = await signStakeIntent(walletFor(carol), { ...domain, chainId: 1n }, next.intent);
+  await expectRevert('Signature for another chain', factory.connect(relayer).stakeBySig(next.intent, otherChain), 'InvalidSignature');
+
+  const late = await carolClient.signStakeIntent({ marketId: a, isYes: true, amount: usd(1), deadline: (await chain.now()) - 1 });
+  await expectRevert('Expired intent', factory.connect(relayer).stakeBySig(late.intent, late.signature), 'IntentExpired');
+
+  const wrongMarket = await carolClient.signStakeIntent({ marketId: 99, isYes: true, amount: usd(1) });
+  await expectRevert('Unknown market', factory.connect(relayer).stakeBySig(wrongMarket.intent, wrongMarket.signature), 'MarketNotFound');
+
+  const wrongSide = await carolClient.signStakeIntent({ marketId: a, isYes: false, amount: usd(1) });
+  await expectRevert('Intent follows the stake rules', factory.connect(relayer).stakeBySig(wrongSide.intent, wrongSide.signature),
+    'InvalidPosition');
+
+  const cancelled = await carolClient.cancelStakeIntents();
+  test('cancelStakeIntents bumps the nonce', cancelled.nonce === 2n);
+  await expectRevert('Pending intent invalidated', factory.connect(relayer).stakeBySig(next.intent, next.signature), 'InvalidNonce');
+
+  // Fully gasless: dave has neither an allowance nor sends a transaction
+  const gasless = await clientFor(dave).signStakeIntent({ marketId: a, isYes: false, amount: usd(6), withPermit: true });
+  test('Intent signed with a permit', gasless.permit?.value === usd(6) && gasless.permit.deadline === gasless.intent.deadline);
+  const daveNonce = await chain.provider.getTransactionCount(dave.address);
+  await relayerClient.relayStake(gasless);
+  test('stakeBySigWithPermit stakes without an approve', (await factory.getStake(a, dave.address)).amount === usd(6) &&
+    await chain.provider.getTransactionCount(dave.address) === daveNonce && await allowance(dave.address) === 0n);
+
+  log('');
+
+  // ========================================
+  // 3. RELAYER
+  // ========================================
+  section('3. RELAYER');
+
+  const logged = [];
+  const server = createRelayerServer(createRelayer({ client: relayerClient, log: msg => logged.push(msg) }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const toJson = value => JSON.stringify(value, (_, v) => typeof v === 'bigint' ? v.toString() : v);
+  const post = async body => {
+    const res = await fetch(`${base}/relay/stake`, { method: 'POST', body: typeof body === 'string' ? body : toJson(body) });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    const info = await (await fetch(`${base}/relay/info`)).json();
+    test('GET /relay/info', info.relayer === relayer.address && info.domain.verifyingContract === p.addresses.MarketFactory &&
+      info.domain.chainId === chainId.toString());
+
+    const erinClient = clientFor(erin);
+    const intent = await erinClient.signStakeIntent({ marketId: a, isYes: true, amount: usd(2), withPermit: true });
+    const accepted = await post(intent);
+    test('POST /relay/stake submits the intent', accepted.status === 200 && accepted.body.staker === erin.address &&
+      accepted.body.nonce === '0' && (await factory.getStake(a, erin.address)).amount === usd(2) && logged.length === 1);
+
+    const replay = await post(intent);
+    test('Replay rejected before sending', replay.status === 409 && replay.body.error.code === 'invalid_nonce');
+
+    const forged = await erinClient.signStakeIntent({ marketId: a, isYes: true, amount: usd(1) });
+    const badSignature = await post({ ...forged, intent: { ...forged.intent, staker: alice.address } });
+    test('Wrong signer rejected', badSignature.status === 400 && badSignature.body.error.code === 'invalid_signature');
+
+    const noAllowance = await post(forged);
+    test('Simulated revert reported', noAllowance.status === 422 && noAllowance.body.error.code === 'would_revert' &&
+      noAllowance.body.error.message === 'Insufficient allowance');
+
+    const stale = await erinClient.signStakeIntent({ marketId: a, isYes: true, amount: usd(1), deadline: (await chain.now()) - 1 });
+    test('Expired intent rejected', (await post(stale)).body.error?.code === 'expired');
+
+    test('Malformed body rejected', (await post('not json')).status === 400 &&
+      (await post({ intent: { staker: erin.address } })).body.error?.code === 'invalid_request');
+    test('Unknown route is 404', (await fetch(`${base}/relay/nope`)).status === 404);
+
+    // Past the size limit the relayer drops the connection instead of reading the rest
+    const cutOff = await new Promise(resolve => {
+      const req = request(`${base}/relay/stake`, { method: 'POST', headers: { 'Content-Length': 1 << 20 } });
+      const timer = setTimeout(() => { req.destroy(); resolve(false); }, 5000);
+      req.on('error', () => {});
+      req.on('socket', socket => socket.on('close', () => { clearTimeout(timer); resolve(true); }));
+      req.write('x'.repeat(64 * 1024));
+    });
+    test('Oversized body closes the connection', cutOff);
+
+    // Two intents from the same staker, submitted together, go through in order
+    const first = await erinClient.signStakeIntent({ marketId: a, isYes: true, amount: usd(1), withPermit: true });
+    const [one, two] = await Promise.all([post(first), post({ ...first })]);
+    test('Concurrent submissions are serialized', one.status === 200 && two.status === 409);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  log('');
+
+  // ========================================
+  // 4. CLI
+  // ========================================
+  section('4. CLI');
+
+  async function cli(signer, args) {
+    const lines = [];
+    const code = await run([...args.split(' '), '--network', 'local', '--json'], {
+      env: { CLAWSHI_PRIVATE_KEY: keys[signer.address.toLowerCase()].secretKey },
+      provider: chain.provider,
+      addresses: p.addresses,
+      stdout: line => lines.push(line),
+      stderr: line => lines.push(line)
+    });
+    return { code, output: JSON.parse(lines.join('\n')) };
+  }
+
+  const b = await market('CLI permits');
+  const viaPermit = await cli(p.users[6], `stake ${b} yes 1.5 --permit`);
+  test('stake --permit', viaPermit.code === 0 && viaPermit.output.approval === null &&
+    viaPermit.output.stake.method === 'stakeWithPermit' && (await factory.getStake(b, p.users[6].address)).amount === usd('1.5'));
+
+  const intentOut = await cli(creator, `stake-intent ${b} no 2 --deadline +1h --permit`);
+  test('stake-intent prints a relayable body', intentOut.code === 0 && intentOut.output.intent.staker === creator.address &&
+    intentOut.output.intent.amount === usd(2).toString() && intentOut.output.permit !== null);
+  const fromCli = await relayerClient.relayStake(intentOut.output);
+  test('CLI intent relayed', fromCli.staker === creator.address && (await factory.getStake(b, creator.address)).amount === usd(2));
+
+  log('');
+}
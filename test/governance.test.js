@@ -0,0 +1,276 @@
+import { ethers } from 'ethers';
+import networks from '../config/networks.js';
+import { run } from '../cli/index.js';
+import { ClawshiClient, actionId, decodeAction, encodeAction, FACTORY_ABI } from '../src/index.js';
+import { buildPlan, runPlan } from '../scripts/lib/deploy.js';
+import { parseActionArgs, runGovernance } from '../scripts/lib/governance.js';
+import { verifyDeployment } from '../scripts/lib/verify.js';
+import { deployProtocol, getCompiled } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// Two-step ownership, timelocked admin changes, emergencyWithdraw guard
+// ============================================
+
+const usd = n => ethers.parseUnits(String(n), 6);
+const DELAY = 3600;
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, treasury, creator, usdc, factory, chainlink, manual } = p;
+  const [alice, bob, carol, newOwner] = p.users;
+
+  for (const user of [alice, bob]) {
+    await (await usdc.connect(user).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  }
+
+  const clientFor = signer => new ClawshiClient({ runner: signer, addresses: p.addresses });
+  const ownerClient = clientFor(owner);
+  const balance = address => usdc.balanceOf(address);
+
+  // ========================================
+  // 1. EMERGENCY WITHDRAW GUARD
+  // ========================================
+  section('1. EMERGENCY WITHDRAW GUARD');
+
+  const { marketId: a } = await clientFor(creator).createMarket({
+    question: 'Funds are safe',
+    resolver: p.addresses.ManualResolver,
+    deadline: (await chain.now()) + 600,
+    creatorFeeBps: 100
+  });
+  await (await factory.connect(alice).stake(a, true, usd(30))).wait();
+  await (await factory.connect(bob).stake(a, false, usd(20))).wait();
+  await (await factory.connect(bob).unstake(a, usd(10))).wait();
+  test('totalMarketFunds tracks stakes and exit fees', await factory.totalMarketFunds(p.addresses.USDC) === usd(40) + usd('0.1'));
+
+  await expectRevert('Cannot withdraw staked USDC', factory.emergencyWithdraw(p.addresses.USDC, usd(1)), 'ExceedsSurplus');
+  test('No surplus without stray USDC', await factory.withdrawableSurplus(p.addresses.USDC) === 0n);
+
+  await (await usdc.connect(carol).transfer(p.addresses.MarketFactory, usd(5))).wait();
+  test('Stray USDC is surplus', await factory.withdrawableSurplus(p.addresses.USDC) === usd(5));
+  await expectRevert('Cannot withdraw more than the surplus', factory.emergencyWithdraw(p.addresses.USDC, usd(5) + 1n), 'ExceedsSurplus');
+  const ownerBefore = await balance(owner.address);
+  await (await factory.emergencyWithdraw(p.addresses.USDC, usd(5))).wait();
+  test('Surplus withdrawn to the owner', await balance(owner.address) - ownerBefore === usd(5));
+
+  const other = await chain.deploy('MockUSDC');
+  await (await other.mint(p.addresses.MarketFactory, 123n)).wait();
+  await (await factory.emergencyWithdraw(await other.getAddress(), 123n)).wait();
+  test('Other tokens are not guarded', await other.balanceOf(owner.address) === 123n);
+  await (await other.mint(p.addresses.MarketFactory, 1n)).wait();
+  await (await other.setFailTransfers(true)).wait();
+  await expectRevert('Failed withdrawal transfer', factory.emergencyWithdraw(await other.getAddress(), 1n), 'TransferFailed');
+
+  await (await manual.setOutcome(a, true)).wait();
+  await chain.increaseTime(601);
+  await (await factory.resolveMarket(a)).wait();
+  await (await factory.connect(alice).claim(a)).wait();
+  test('Claim releases the stake pool', await factory.totalMarketFunds(p.addresses.USDC) === 0n &&
+    await factory.withdrawableSurplus(p.addresses.USDC) === 0n);
+  await expectRevert('Accrued fees are guarded', factory.emergencyWithdraw(p.addresses.USDC, await factory.totalAccruedFees(p.addresses.USDC)),
+    'ExceedsSurplus');
+  await expectRevert('Stranger cannot withdraw', factory.connect(alice).emergencyWithdraw(p.addresses.USDC, 0), 'Unauthorized');
+
+  log('');
+
+  // ========================================
+  // 2. OWNERSHIP
+  // ========================================
+  section('2. OWNERSHIP');
+
+  await expectRevert('Zero address rejected', factory.transferOwnership(ethers.ZeroAddress), 'ZeroAddress');
+  await expectRevert('Stranger cannot transfer', factory.connect(alice).transferOwnership(alice.address), 'Unauthorized');
+
+  await ownerClient.transferOwnership(newOwner.address);
+  test('Transfer is pending', await factory.owner() === owner.address && await factory.pendingOwner() === newOwner.address);
+  await expectRevert('Only the pending owner accepts', factory.connect(alice).acceptOwnership(), 'Unauthorized');
+  await expectRevert('Pending owner has no powers yet', factory.connect(newOwner).pauseMarket(a, true), 'Unauthorized');
+
+  await clientFor(newOwner).acceptOwnership();
+  test('New owner accepted', await factory.owner() === newOwner.address && await factory.pendingOwner() === ethers.ZeroAddress);
+  await expectRevert('Previous owner lost access', factory.setStakeToken(p.addresses.USDC, true, 1), 'Unauthorized');
+
+  // And back, on ChainlinkResolver through the client
+  await clientFor(newOwner).transferOwnership(owner.address);
+  await ownerClient.acceptOwnership();
+  await ownerClient.transferOwnership(newOwner.address, { target: 'ChainlinkResolver' });
+  await clientFor(newOwner).acceptOwnership({ target: 'ChainlinkResolver' });
+  await clientFor(newOwner).transferOwnership(owner.address, { target: 'ChainlinkResolver' });
+  await ownerClient.acceptOwnership({ target: 'ChainlinkResolver' });
+  test('ChainlinkResolver 2-step transfer', await chainlink.owner() === owner.address && await factory.owner() === owner.address);
+
+  log('');
+
+  // ========================================
+  // 3. TIMELOCK QUEUE
+  // ========================================
+  section('3. TIMELOCK QUEUE');
+
+  await expectRevert('Delay capped', factory.setTimelockDelay(31 * 86400), 'InvalidDelay');
+  await (await factory.setTimelockDelay(DELAY)).wait();
+  await (await chainlink.setTimelockDelay(DELAY)).wait();
+  test('Delays set', (await ownerClient.getGovernance()).timelockDelay === BigInt(DELAY) &&
+    await chainlink.timelockDelay() === BigInt(DELAY));
+
+  await expectRevert('Direct setter blocked', factory.setProtocolFee(200), 'Unauthorized');
+  await expectRevert('Direct emergencyWithdraw blocked', factory.emergencyWithdraw(p.addresses.USDC, 0), 'Unauthorized');
+  await expectRevert('Direct delay change blocked', factory.setTimelockDelay(0), 'Unauthorized');
+  await expectRevert('Direct feed change blocked', chainlink.setPriceFeed('BTC', alice.address), 'Unauthorized');
+  await (await factory.pauseMarket(a, true)).wait();
+  test('pauseMarket stays immediate', (await factory.getMarket(a)).paused);
+
+  const queued = await ownerClient.queueAction('setProtocolFee', [200]);
+  test('Queued with eta = now + delay', queued.eta === BigInt(await chain.now()) + BigInt(DELAY) &&
+    queued.id === actionId(queued.data, queued.eta) && await factory.queuedActions(queued.id));
+  test('Calldata round-trips', decodeAction(FACTORY_ABI, queued.data).method === 'setProtocolFee' &&
+    encodeAction(FACTORY_ABI, 'setProtocolFee', [200]) === queued.data);
+
+  await expectRevert('Not ready before eta', factory.executeAction(queued.data, queued.eta), 'ActionNotReady');
+  await expectRevert('Stranger cannot queue', factory.connect(alice).queueAction(queued.data), 'Unauthorized');
+  const pending = await ownerClient.getQueuedActions();
+  test('Listed as pending', pending.length === 1 && pending[0].status === 'pending' &&
+    pending[0].method === 'setProtocolFee' && pending[0].args.newFeeBps === 200n);
+
+  let rejected = null;
+  try {
+    await ownerClient.queueAction('pauseMarket', [a, false]);
+  } catch (err) {
+    rejected = err;
+  }
+  test('SDK only queues timelocked functions', rejected?.message.includes('not a timelocked'));
+
+  await chain.increaseTime(DELAY);
+  test('Ready after the delay', (await ownerClient.getQueuedActions())[0].status === 'ready');
+  await expectRevert('Stranger cannot execute', factory.connect(alice).executeAction(queued.data, queued.eta), 'Unauthorized');
+
+  const executed = await ownerClient.executeAction(queued);
+  const events = executed.receipt.logs.map(l => factory.interface.parseLog(l)).map(e => e?.name);
+  test('Executed', await factory.protocolFeeBps() === 200n &&
+    events.includes('ProtocolFeeUpdated') && events.includes('ActionExecuted'));
+  await expectRevert('Cannot execute twice', factory.executeAction(queued.data, queued.eta), 'ActionNotQueued');
+  test('Executed action leaves the list', (await ownerClient.getQueuedActions()).length === 0);
+
+  const tooHigh = await ownerClient.queueAction('setProtocolFee', [501]);
+  const zeroTreasury = await ownerClient.queueAction('setTreasury', [ethers.ZeroAddress]);
+  await chain.increaseTime(DELAY);
+  await expectRevert('Action revert bubbles up', factory.executeAction(tooHigh.data, tooHigh.eta), 'Fee too high');
+  await expectRevert('Zero treasury rejected', factory.executeAction(zeroTreasury.data, zeroTreasury.eta), 'ZeroAddress');
+  test('Failed action stays queued', await factory.queuedActions(tooHigh.id));
+
+  await ownerClient.cancelAction(tooHigh);
+  await expectRevert('Cancelled action cannot run', factory.executeAction(tooHigh.data, tooHigh.eta), 'ActionNotQueued');
+  await expectRevert('Stranger cannot cancel', factory.connect(alice).cancelAction(zeroTreasury.data, zeroTreasury.eta),
+    'Unauthorized');
+
+  await chain.increaseTime(14 * 86400 + 1);
+  test('Listed as expired', (await ownerClient.getQueuedActions()).every(a => a.status === 'expired'));
+  await expectRevert('Expired after the grace period', factory.executeAction(zeroTreasury.data, zeroTreasury.eta), 'ActionExpired');
+
+  const newFeed = await chain.deploy('MockAggregator', [8, 90000n * 10n ** 8n]);
+  const feedChange = await ownerClient.queueAction('setPriceFeed', ['BTC', await newFeed.getAddress()], { target: 'ChainlinkResolver' });
+  test('Feed change is public before it applies', await chainlink.priceFeeds('BTC') === await p.btcFeed.getAddress() &&
+    (await ownerClient.getQueuedActions({ target: 'ChainlinkResolver' }))[0].args.asset === 'BTC');
+  await chain.increaseTime(DELAY);
+  await ownerClient.executeAction(feedChange, { target: 'ChainlinkResolver' });
+  test('Feed changed through the queue', await chainlink.priceFeeds('BTC') === await newFeed.getAddress());
+
+  log('');
+
+  // ========================================
+  // 4. GOVERNANCE SCRIPT AND CLI
+  // ========================================
+  section('4. GOVERNANCE SCRIPT AND CLI');
+
+  const governance = (command, args, target) => runGovernance({ client: ownerClient, target, command, args });
+
+  const status = await governance('status');
+  test('status', status.owner === owner.address && status.timelockDelay === BigInt(DELAY) && status.gracePeriod === 14n * 86400n);
+
+  const scripted = await governance('queue', ['setResolverApproval', p.addresses.ManualResolver, 'false']);
+  test('queue parses arguments by ABI type', scripted.method === 'setResolverApproval' &&
+    decodeAction(FACTORY_ABI, scripted.data).args.approved === false);
+  await governance('queue', ['setExitFee', '50']);
+
+  const listed = await governance('list');
+  test('list', listed.actions.filter(a => a.status === 'pending').length === 2);
+
+  let error = null;
+  try {
+    await governance('execute', [scripted.id.slice(0, 10)]);
+  } catch (err) {
+    error = err;
+  }
+  test('execute refuses a pending action', error?.message.includes('is pending'));
+
+  await chain.increaseTime(DELAY);
+  const ran = await governance('execute', ['all']);
+  test('execute all runs every ready action', ran.executed.length === 2 && await factory.exitFeeBps() === 50n &&
+    !(await factory.approvedResolvers(p.addresses.ManualResolver)));
+
+  const toCancel = await governance('queue', ['setResolverApproval', p.addresses.ManualResolver, 'true']);
+  const cancelled = await governance('cancel', [toCancel.id.slice(0, 12)]);
+  test('cancel by id prefix', cancelled.id === toCancel.id && !(await factory.queuedActions(toCancel.id)));
+
+  const fragment = factory.interface.getFunction('setResolverApproval');
+  const badArgs = [['0x1234', 'true'], [alice.address, 'yes'], [alice.address]];
+  test('Bad arguments rejected', badArgs.every(args => {
+    try {
+      parseActionArgs(fragment, args);
+      return false;
+    } catch {
+      return true;
+    }
+  }));
+
+  const keys = chain.server.getInitialAccounts();
+  const lines = [];
+  const code = await run(['admin', 'set-fee', '150', '--network', 'local', '--json'], {
+    env: { CLAWSHI_PRIVATE_KEY: keys[owner.address.toLowerCase()].secretKey },
+    provider: chain.provider,
+    addresses: p.addresses,
+    stdout: line => lines.push(line),
+    stderr: line => lines.push(line)
+  });
+  const output = JSON.parse(lines.join('\n'));
+  test('CLI admin command queues once a delay is set', code === 0 && output.method === 'queueAction' &&
+    output.events[0].name === 'ActionQueued' && await factory.protocolFeeBps() === 200n);
+
+  log('');
+
+  // ========================================
+  // 5. DEPLOYMENT
+  // ========================================
+  section('5. DEPLOYMENT');
+
+  const deployer = chain.accounts[0];
+  const config = { ...networks.local, owner: newOwner.address, treasury: treasury.address, timelockDelay: DELAY };
+  const record = { network: config.name, chainId: config.chainId, contracts: {}, tokens: {}, priceFeeds: {}, config: {}, steps: {} };
+  const steps = await buildPlan(config, { signer: deployer, getArtifact: getCompiled, record });
+  await runPlan(steps, { record, save: () => {}, provider: chain.provider, log: () => {} });
+
+  const deployed = new ClawshiClient({
+    runner: newOwner,
+    addresses: {
+      MarketFactory: record.contracts.MarketFactory.address,
+      ChainlinkResolver: record.contracts.ChainlinkResolver.address
+    }
+  });
+  const factoryState = await deployed.getGovernance();
+  const chainlinkState = await deployed.getGovernance({ target: 'ChainlinkResolver' });
+  test('Timelock set before the handoff', factoryState.timelockDelay === BigInt(DELAY) &&
+    chainlinkState.timelockDelay === BigInt(DELAY) && steps.findIndex(s => s.id === 'timelock:MarketFactory') <
+      steps.findIndex(s => s.id === 'owner:MarketFactory'));
+  test('Owner must accept', factoryState.pendingOwner === newOwner.address && chainlinkState.pendingOwner === newOwner.address);
+
+  const beforeAccept = await verifyDeployment({ provider: chain.provider, record, getArtifact: getCompiled });
+  test('Unaccepted handoff reported', beforeAccept.drift.map(c => c.check).join() === 'owner');
+
+  await deployed.acceptOwnership();
+  await deployed.acceptOwnership({ target: 'ChainlinkResolver' });
+  const afterAccept = await verifyDeployment({ provider: chain.provider, record, getArtifact: getCompiled });
+  test('Verified once accepted', afterAccept.ok && afterAccept.checks.some(c => c.check === 'timelockDelay') &&
+    afterAccept.checks.some(c => c.check === 'chainlinkTimelockDelay'));
+
+  log('');
+}
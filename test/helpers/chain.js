@@ -0,0 +1,150 @@
+import ganache from 'ganache';
+import { ethers } from 'ethers';
+import { join } from 'path';
+import { compile, findArtifact, ARTIFACTS_DIR } from '../../scripts/lib/compile.js';
+
+// ============================================
+// Local in-process chain
+// ============================================
+// Ganache supports up to the Shanghai hardfork, so contracts
+// are compiled for that EVM version here.
+// ============================================
+
+const EVM_VERSION = 'shanghai';
+
+let artifacts;
+
+/**
+ * Compiled artifact for the local EVM version (cached in artifacts/local/)
+ */
+export function getCompiled(name) {
+  if (!artifacts) {
+    artifacts = compile({
+      settings: { evmVersion: EVM_VERSION },
+      outDir: join(ARTIFACTS_DIR, 'local')
+    }).artifacts;
+  }
+  return findArtifact(artifacts, name);
+}
+
+/**
+ * Start a fresh chain with 10 funded, unlocked accounts
+ */
+export async function startChain() {
+  const server = ganache.provider({
+    logging: { quiet: true },
+    wallet: { deterministic: true, totalAccounts: 10 },
+    chain: { hardfork: EVM_VERSION, chainId: 31337 }
+  });
+
+  // No request caching: state changes between blocks must be visible immediately
+  const provider = new ethers.BrowserProvider(server, undefined, { cacheTimeout: -1 });
+  const accounts = await provider.listAccounts();
+
+  return {
+    server,
+    provider,
+    accounts,
+
+    async deploy(name, args = [], signer = accounts[0]) {
+      const { abi, bytecode } = getCompiled(name);
+      const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy(...args);
+      await contract.waitForDeployment();
+      return contract;
+    },
+
+    async now() {
+      const block = await provider.getBlock('latest');
+      return block.timestamp;
+    },
+
+    async increaseTime(seconds) {
+      await provider.send('evm_increaseTime', [seconds]);
+      await provider.send('evm_mine', []);
+    },
+
+    async snapshot() {
+      return provider.send('evm_snapshot', []);
+    },
+
+    async revert(id) {
+      return provider.send('evm_revert', [id]);
+    },
+
+    async close() {
+      await server.disconnect();
+    }
+  };
+}
+
+/**
+ * Deploy the full protocol against mock USDC and mock price feeds
+ *
+ * Accounts: [0] owner/deployer, [1] treasury, [2] creator, [3..] users
+ */
+export async function deployProtocol(chain) {
+  const [owner, treasury, creator, ...users] = chain.accounts;
+
+  const usdc = await chain.deploy('MockUSDC');
+  const btcFeed = await chain.deploy('MockAggregator', [8, 100000n * 10n ** 8n]);
+  const ethFeed = await chain.deploy('MockAggregator', [8, 3000n * 10n ** 8n]);
+
+  const factory = await chain.deploy('MarketFactory', [
+    await usdc.getAddress(),
+    treasury.address,
+    owner.address
+  ]);
+  const chainlink = await chain.deploy('ChainlinkResolver', [await factory.getAddress()]);
+  const manual = await chain.deploy('ManualResolver', [await factory.getAddress()]);
+  const conditions = await chain.deploy('PriceConditionResolver', [await chainlink.getAddress(), await factory.getAddress()]);
+  // 10 USDC bond, 1 hour challenge window; arbiters are set per test
+  const optimistic = await chain.deploy('OptimisticResolver', [
+    await factory.getAddress(),
+    await usdc.getAddress(),
+    10n * 10n ** 6n,
+    3600
+  ]);
+  // Default reporters are set per test
+  const quorum = await chain.deploy('QuorumResolver', [await factory.getAddress()]);
+
+  // Point the resolver's hard-coded mainnet feeds at the local mocks
+  await (await chainlink.setPriceFeed('BTC', await btcFeed.getAddress())).wait();
+  await (await chainlink.setPriceFeed('ETH', await ethFeed.getAddress())).wait();
+  await (await chainlink.removePriceFeed('USDC')).wait();
+
+  await (await factory.setResolverApproval(await chainlink.getAddress(), true)).wait();
+  await (await factory.setResolverApproval(await manual.getAddress(), true)).wait();
+  await (await factory.setResolverApproval(await conditions.getAddress(), true)).wait();
+  await (await factory.setResolverApproval(await optimistic.getAddress(), true)).wait();
+  await (await factory.setResolverApproval(await quorum.getAddress(), true)).wait();
+
+  // Fund users with 1,000 USDC each
+  for (const user of [creator, ...users]) {
+    await (await usdc.mint(user.address, 1000n * 10n ** 6n)).wait();
+  }
+
+  return {
+    owner,
+    treasury,
+    creator,
+    users,
+    usdc,
+    btcFeed,
+    ethFeed,
+    chainlink,
+    manual,
+    conditions,
+    optimistic,
+    quorum,
+    factory,
+    addresses: {
+      MarketFactory: await factory.getAddress(),
+      ChainlinkResolver: await chainlink.getAddress(),
+      ManualResolver: await manual.getAddress(),
+      PriceConditionResolver: await conditions.getAddress(),
+      OptimisticResolver: await optimistic.getAddress(),
+      QuorumResolver: await quorum.getAddress(),
+      USDC: await usdc.getAddress()
+    }
+  };
+}
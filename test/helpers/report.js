@@ -0,0 +1,57 @@
+import { decodeError } from '../../src/index.js';
+
+// ============================================
+// Test reporter
+// ============================================
+// Same output format as scripts/test-protocol.js
+// ============================================
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+export function log(msg = '') {
+  console.log(msg);
+}
+
+export function section(title) {
+  log('┌────────────────────────────────────────┐');
+  log(`│ ${title.padEnd(39)}│`);
+  log('└────────────────────────────────────────┘');
+}
+
+export function test(name, passed, details = '') {
+  if (passed) {
+    results.passed++;
+    results.tests.push({ name, passed: true });
+    log(`  ✅ ${name}`);
+  } else {
+    results.failed++;
+    results.tests.push({ name, passed: false, details });
+    log(`  ❌ ${name}`);
+    if (details) log(`     ${details}`);
+  }
+}
+
+/**
+ * Assert that a call or transaction reverts with the given custom error
+ * (or revert string)
+ */
+export async function expectRevert(name, promiseOrFn, expected) {
+  try {
+    const result = typeof promiseOrFn === 'function' ? promiseOrFn() : promiseOrFn;
+    const tx = await result;
+    if (tx?.wait) await tx.wait();
+    test(name, false, `Expected revert ${expected}, but call succeeded`);
+  } catch (err) {
+    const decoded = decodeError(err);
+    const reason = decoded.reason ?? decoded.message;
+    test(name, reason === expected, `Expected ${expected}, got: ${reason}`);
+  }
+}
+
+export function getResults() {
+  return results;
+}
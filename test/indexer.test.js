@@ -0,0 +1,202 @@
+import { ethers } from 'ethers';
+import { existsSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { openIndexDb } from '../scripts/lib/index-db.js';
+import { createIndexer } from '../scripts/lib/indexer.js';
+import { encodeChainlinkParams } from '../src/index.js';
+import { deployProtocol } from './helpers/chain.js';
+import { log, section, test } from './helpers/report.js';
+
+// ============================================
+// Event indexer: sync, queries, checkpoints, reorgs
+// ============================================
+
+const usd = n => ethers.parseUnits(String(n), 6);
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, creator, usdc, factory, manual } = p;
+  const [alice, bob, carol] = p.users;
+
+  for (const user of [alice, bob, carol]) {
+    await (await usdc.connect(user).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  }
+
+  async function createMarket(signer, question, resolver, deadline, resolverData = '0x') {
+    const id = await factory.getMarketCount();
+    await (await factory.connect(signer).createMarket(question, resolver, resolverData, deadline, 0, p.addresses.USDC)).wait();
+    return id;
+  }
+
+  const now = await chain.now();
+
+  // Market 0 (creator, manual): resolved YES, alice claims, bob loses, carol has not claimed
+  const resolved = await createMarket(creator, 'Resolved market', p.addresses.ManualResolver, now + 600);
+  await (await factory.connect(alice).stake(resolved, true, usd(10))).wait();
+  await (await factory.connect(alice).stake(resolved, true, usd(5))).wait();
+  await (await factory.connect(bob).stake(resolved, false, usd(20))).wait();
+  await (await factory.connect(carol).stake(resolved, true, usd(5))).wait();
+
+  // Market 1 (creator, manual): closes before the query time
+  const closed = await createMarket(creator, 'Closed market', p.addresses.ManualResolver, now + 600);
+  await (await factory.connect(alice).stake(closed, false, usd(1))).wait();
+
+  // Market 2 (owner, chainlink): open
+  const open = await createMarket(owner, 'Open market', p.addresses.ChainlinkResolver, now + 86400,
+    encodeChainlinkParams({ asset: 'ETH', targetPrice: 3500n * 10n ** 8n, isGreaterThan: true, deadline: now + 86400 }));
+  await (await factory.connect(bob).stake(open, true, usd(3))).wait();
+
+  // Market 3 (creator, manual): paused
+  const paused = await createMarket(creator, 'Paused market', p.addresses.ManualResolver, now + 86400);
+  await (await factory.pauseMarket(paused, true)).wait();
+
+  await (await manual.setOutcome(resolved, true)).wait();
+  await chain.increaseTime(601);
+  await (await factory.resolveMarket(resolved)).wait();
+  await (await factory.connect(alice).claim(resolved)).wait();
+
+  const db = await openIndexDb();
+  const indexer = createIndexer({ provider: chain.provider, db, addresses: p.addresses, batchSize: 5 });
+  const queryTime = await chain.now();
+
+  // ========================================
+  // 1. SYNC
+  // ========================================
+  section('1. SYNC');
+
+  const head = await chain.provider.getBlockNumber();
+  const first = await indexer.sync();
+  test('Synced to chain head', first.toBlock === head && db.getCheckpoint().number === head);
+  test('Checkpoint hash recorded', db.getCheckpoint().hash === (await chain.provider.getBlock(head)).hash);
+  // 4 created, 6 staked, 1 paused, 1 resolved, 1 claimed, 1 outcome, 2 feeds set, 1 removed, USDC whitelisted
+  test('All events indexed', first.events === 18, `Got ${first.events}`);
+
+  const again = await indexer.sync();
+  test('Second sync reads nothing new', again.events === 0 && again.fromBlock === head + 1);
+
+  log('');
+
+  // ========================================
+  // 2. MARKET QUERIES
+  // ========================================
+  section('2. MARKET QUERIES');
+
+  const markets = db.getMarkets({ now: queryTime });
+  test('Every market indexed', markets.length === 4);
+
+  const onChain = await factory.getMarket(resolved);
+  const indexed = db.getMarket(resolved);
+  test('Pools match chain', indexed.yesPool === onChain.yesPool.toString() && indexed.noPool === onChain.noPool.toString());
+  test('Resolution recorded', indexed.resolved && indexed.outcome === true && indexed.resolvedBlock !== null);
+  test('Pools tracked for open markets', db.getMarket(open).yesPool === usd(3).toString());
+
+  const ids = list => list.map(m => m.id).join(',');
+  test('Filter by creator', ids(db.getMarkets({ creator: creator.address })) === '0,1,3');
+  test('Filter by creator (lowercase address)', ids(db.getMarkets({ creator: owner.address.toLowerCase() })) === '2');
+  test('Filter by resolver', ids(db.getMarkets({ resolver: p.addresses.ChainlinkResolver })) === '2');
+  test('Status: resolved', ids(db.getMarkets({ status: 'resolved', now: queryTime })) === '0');
+  test('Status: closed', ids(db.getMarkets({ status: 'closed', now: queryTime })) === '1');
+  test('Status: open', ids(db.getMarkets({ status: 'open', now: queryTime })) === '2');
+  test('Status: paused', ids(db.getMarkets({ status: 'paused', now: queryTime })) === '3');
+  test('Combined filters', ids(db.getMarkets({ creator: creator.address, resolver: p.addresses.ManualResolver, status: 'closed', now: queryTime })) === '1');
+  test('Pagination', ids(db.getMarkets({ limit: 2, offset: 1 })) === '1,2');
+
+  let rejected = false;
+  try { db.getMarkets({ status: 'bogus' }); } catch { rejected = true; }
+  test('Unknown status rejected', rejected);
+
+  log('');
+
+  // ========================================
+  // 3. POSITIONS
+  // ========================================
+  section('3. POSITIONS');
+
+  const marketIds = list => list.map(x => x.marketId).join(',');
+
+  const alicePositions = db.getPositions(alice.address);
+  test('Stakes summed per market', alicePositions.find(x => x.marketId === 0).amount === usd(15).toString());
+  test('Claim payout recorded', alicePositions.find(x => x.marketId === 0).payout !== null);
+  test('Claimed position', marketIds(db.getPositions(alice.address, { status: 'claimed' })) === '0');
+  test('Open position', marketIds(db.getPositions(alice.address, { status: 'open' })) === '1');
+  test('Claimable position', db.getPositions(carol.address, { status: 'claimable' }).length === 1);
+  test('Lost position', db.getPositions(bob.address, { status: 'lost' }).length === 1);
+  test('Open positions for bob', marketIds(db.getPositions(bob.address, { status: 'open' })) === '2');
+
+  log('');
+
+  // ========================================
+  // 4. RESOLVER EVENTS
+  // ========================================
+  section('4. RESOLVER EVENTS');
+
+  const outcomes = db.getOutcomes(p.addresses.ManualResolver);
+  test('Manual outcome indexed', outcomes.length === 1 && outcomes[0].outcome === true && outcomes[0].setBy === owner.address);
+
+  const feeds = db.getPriceFeeds(p.addresses.ChainlinkResolver);
+  test('Feed asset names recovered', feeds.map(f => f.asset).join(',') === 'BTC,ETH');
+  test('Removed feed dropped', !feeds.some(f => f.assetHash === ethers.id('USDC')));
+  test('Feed address recorded', feeds.find(f => f.asset === 'BTC').feed === await p.btcFeed.getAddress());
+
+  log('');
+
+  // ========================================
+  // 5. REORGS
+  // ========================================
+  section('5. REORGS');
+
+  const fork = await chain.snapshot();
+  const forkBlock = await chain.provider.getBlockNumber();
+
+  const orphaned = await createMarket(carol, 'Orphaned market', p.addresses.ManualResolver, queryTime + 86400);
+  await (await factory.connect(carol).stake(orphaned, true, usd(7))).wait();
+  await (await factory.connect(bob).stake(open, true, usd(2))).wait();
+  await indexer.sync();
+  test('Fork events indexed', db.getMarkets().length === 5 && db.getMarket(open).yesPool === usd(5).toString());
+
+  // Replace the fork with a different, longer chain
+  await chain.revert(fork);
+  await (await factory.connect(alice).stake(open, false, usd(4))).wait();
+  for (let i = 0; i < 4; i++) await chain.provider.send('evm_mine', []);
+
+  const afterReorg = await indexer.sync();
+  test('Reorg detected', afterReorg.reorg === forkBlock, `Rolled back to ${afterReorg.reorg}, fork at ${forkBlock}`);
+  test('Orphaned market removed', db.getMarkets().length === 4 && db.getMarket(orphaned) === null);
+  test('Orphaned stakes removed', db.getPositions(carol.address).every(x => x.marketId !== Number(orphaned)));
+  test('Pools rebuilt', db.getMarket(open).yesPool === usd(3).toString() && db.getMarket(open).noPool === usd(4).toString());
+  test('Earlier state kept', db.getMarket(resolved).resolved && db.getPositions(alice.address, { status: 'claimed' }).length === 1);
+  test('Checkpoint on new head', db.getCheckpoint().hash === (await chain.provider.getBlock('latest')).hash);
+
+  log('');
+
+  // ========================================
+  // 6. PERSISTENCE
+  // ========================================
+  section('6. PERSISTENCE');
+
+  const dir = mkdtempSync(join(tmpdir(), 'clawshi-index-'));
+  const file = join(dir, 'local.sqlite');
+
+  try {
+    const fileDb = await openIndexDb(file);
+    const partial = createIndexer({ provider: chain.provider, db: fileDb, addresses: p.addresses, batchSize: 10 });
+    await partial.sync({ toBlock: forkBlock });
+    fileDb.close();
+    test('Database written to disk', existsSync(file));
+
+    const reopened = await openIndexDb(file);
+    test('Checkpoint survives reopen', reopened.getCheckpoint().number === forkBlock);
+
+    const resumed = await createIndexer({ provider: chain.provider, db: reopened, addresses: p.addresses }).sync();
+    test('Resumes after checkpoint', resumed.fromBlock === forkBlock + 1 && resumed.events === 1);
+    test('Resumed index matches full sync',
+      JSON.stringify(reopened.getMarkets()) === JSON.stringify(db.getMarkets()));
+    reopened.close();
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  db.close();
+  log('');
+}
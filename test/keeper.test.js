@@ -0,0 +1,220 @@
+import { ethers } from 'ethers';
+import { ClawshiClient, encodeRangeParams } from '../src/index.js';
+import { createKeeper, createKeeperServer, formatMetrics } from '../scripts/lib/keeper.js';
+import { deployProtocol } from './helpers/chain.js';
+import { log, section, test } from './helpers/report.js';
+
+// ============================================
+// Market keeper
+// ============================================
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { creator, factory, manual, btcFeed, ethFeed } = p;
+
+  // The keeper signs with its own key so it manages that account's nonces
+  const keys = chain.server.getInitialAccounts();
+  const keeperAccount = p.users[4];
+  const wallet = new ethers.Wallet(keys[keeperAccount.address.toLowerCase()].secretKey, chain.provider);
+
+  const client = new ClawshiClient({ runner: wallet, addresses: p.addresses });
+  const creatorClient = new ClawshiClient({ runner: creator, addresses: p.addresses });
+
+  let clockMs = 1_700_000_000_000;
+  const keeper = createKeeper({ client, retryDelay: 30, bumpAfter: 60, clock: () => clockMs });
+
+  const manualMarket = async (question, deadline) =>
+    (await creatorClient.createMarket({ question, resolver: p.addresses.ManualResolver, deadline })).marketId;
+
+  // ========================================
+  // 1. DISCOVERY
+  // ========================================
+  section('1. DISCOVERY');
+
+  let now = await chain.now();
+  const btcSpec = await creatorClient.buildChainlinkMarket({ asset: 'BTC', comparator: '>=', target: 90000, resolutionTime: now + 600 });
+  await creatorClient.createMarket(btcSpec);
+  await manualMarket('Manual market', now + 600);
+  const ethSpec = await creatorClient.buildChainlinkMarket({ asset: 'ETH', comparator: '<', target: 2500, resolutionTime: now + 86400 });
+  await creatorClient.createMarket(ethSpec);
+  const ethSoon = await creatorClient.buildChainlinkMarket({ asset: 'ETH', comparator: '>=', target: 2500, resolutionTime: now + 600 });
+  await creatorClient.createMarket(ethSoon);
+
+  const first = await keeper.tick();
+  test('Tracks unresolved markets', first.tracked === 4 && first.pending === 0);
+  test('Markets before their deadline are scheduled', keeper.status().markets.every(m => m.state === 'scheduled'));
+  test('Nothing submitted early', keeper.metrics().submitted === 0);
+
+  log('');
+
+  // ========================================
+  // 2. RESOLUTION
+  // ========================================
+  section('2. RESOLUTION');
+
+  // The BTC round current at market 0's deadline is two hours old
+  await (await btcFeed.setRoundData(100000n * 10n ** 8n, now - 7200)).wait();
+  await chain.increaseTime(601);
+
+  await keeper.tick();
+  const stale = keeper.status().markets.find(m => m.marketId === 0);
+  test('StalePrice is retried', stale.state === 'retrying' && stale.lastError === 'StalePrice' && keeper.metrics().staleRetries === 1);
+  test('canResolve false leaves the market waiting', keeper.status().markets.find(m => m.marketId === 1).state === 'waiting');
+
+  const market3 = await factory.getMarket(3);
+  test('Resolves once the deadline passes', market3.resolved && market3.outcome === true && keeper.metrics().resolved === 1);
+  test('Records the resolution', keeper.status().lastResolved.marketId === 3 && keeper.status().lastResolved.outcome === true &&
+    keeper.metrics().lastDelay > 0);
+
+  await keeper.tick();
+  test('No retry before retryDelay', keeper.metrics().staleRetries === 1 && keeper.metrics().submitted === 1);
+
+  clockMs += 30_000;
+  await keeper.tick();
+  test('Retried after retryDelay', keeper.metrics().staleRetries === 2 && !(await factory.getMarket(0)).resolved);
+
+  await (await manual.setOutcome(1, false)).wait();
+  await keeper.tick();
+  test('Resolves when canResolve turns true', (await factory.getMarket(1)).resolved && keeper.metrics().resolved === 2);
+
+  log('');
+
+  // ========================================
+  // 3. NONCES AND GAS BUMPING
+  // ========================================
+  section('3. NONCES AND GAS BUMPING');
+
+  now = await chain.now();
+  const a = await manualMarket('Bump A', now + 600);
+  const b = await manualMarket('Bump B', now + 600);
+  await (await manual.batchSetOutcome([a, b], [true, true])).wait();
+  await chain.increaseTime(601);
+
+  await chain.provider.send('miner_stop', []);
+  const sent = await keeper.tick();
+  const pending = keeper.status().markets.filter(m => m.state === 'pending');
+  const [txA, txB] = await Promise.all(pending.map(m => chain.provider.getTransaction(m.transactions[0])));
+  test('Both markets submitted', sent.pending === 2 && keeper.metrics().submitted === 4);
+  test('Consecutive nonces', txB.nonce === txA.nonce + 1);
+
+  await keeper.tick();
+  test('No bump before bumpAfter', keeper.metrics().bumps === 0);
+
+  clockMs += 60_000;
+  await keeper.tick();
+  const bumped = keeper.status().markets.filter(m => m.state === 'pending');
+  const replacement = await chain.provider.getTransaction(bumped[0].transactions[1]);
+  test('Pending transactions bumped', keeper.metrics().bumps === 2 && bumped.every(m => m.transactions.length === 2));
+  test('Replacement reuses the nonce with higher fees', replacement.nonce === txA.nonce &&
+    replacement.maxFeePerGas >= txA.maxFeePerGas * 12n / 10n);
+
+  await chain.provider.send('miner_start', []);
+  await chain.provider.send('evm_mine', []);
+  await keeper.tick();
+  test('Replacements confirmed', (await factory.getMarket(a)).resolved && (await factory.getMarket(b)).resolved &&
+    keeper.metrics().resolved === 4);
+  test('Original transactions dropped', await chain.provider.getTransactionReceipt(txA.hash) === null);
+
+  // Another process spends the keeper account's next nonce
+  now = await chain.now();
+  const c = await manualMarket('Nonce gap', now + 600);
+  await (await manual.setOutcome(c, true)).wait();
+  await chain.increaseTime(601);
+  await (await wallet.sendTransaction({ to: wallet.address, value: 0 })).wait();
+
+  await keeper.tick();
+  const gap = keeper.status().markets.find(m => m.marketId === Number(c));
+  test('Stale local nonce rejected', gap.state === 'retrying' && gap.lastError.includes('nonce'));
+
+  await keeper.tick();
+  test('Nonce re-read and resent', (await factory.getMarket(c)).resolved && keeper.metrics().resolved === 5);
+
+  now = await chain.now();
+  const d = await manualMarket('Resolved by someone else', now + 600);
+  await (await manual.setOutcome(d, true)).wait();
+  await keeper.tick();
+  await chain.increaseTime(601);
+  await (await factory.resolveMarket(d)).wait();
+  await keeper.tick();
+  test('Markets resolved elsewhere are dropped', keeper.metrics().resolvedElsewhere === 1 &&
+    !keeper.status().markets.some(m => m.marketId === Number(d)));
+
+  log('');
+
+  // ========================================
+  // 4. ROUND HINTS
+  // ========================================
+  section('4. ROUND HINTS');
+
+  // More rounds after the deadline than resolve() searches back through
+  now = await chain.now();
+  const hinted = await creatorClient.buildChainlinkMarket({ asset: 'ETH', comparator: '>=', target: 2500, resolutionTime: now + 600 });
+  const { marketId: e } = await creatorClient.createMarket(hinted);
+  const { marketId: range } = await creatorClient.createMarket({
+    question: 'ETH between $2,500 and $5,000?',
+    resolver: p.addresses.PriceConditionResolver,
+    resolverData: encodeRangeParams({ asset: 'ETH', lowerPrice: 2500n * 10n ** 8n, upperPrice: 5000n * 10n ** 8n, deadline: now + 600 }),
+    deadline: now + 600
+  });
+  await chain.increaseTime(601);
+  const lookback = await client.chainlinkResolver.MAX_ROUND_LOOKBACK();
+  const after = BigInt(await chain.now());
+  for (let i = 0n; i <= lookback; i++) await (await ethFeed.setRoundData(2000n * 10n ** 8n, after + i)).wait();
+
+  await keeper.tick();
+  const waiting = keeper.status().markets.find(m => m.marketId === Number(e));
+  test('RoundNotFound sends a round hint', keeper.metrics().roundHints === 2 && waiting.lastError === 'RoundNotFound');
+
+  await keeper.tick();
+  const resolvedHinted = await factory.getMarket(e);
+  test('Resolves on the deadline round after the hint', resolvedHinted.resolved && resolvedHinted.outcome === true);
+  const resolvedRange = await factory.getMarket(range);
+  test('PriceConditionResolver market hinted and resolved', resolvedRange.resolved && resolvedRange.outcome === true &&
+    keeper.metrics().resolved === 7);
+
+  log('');
+
+  // ========================================
+  // 5. STATUS AND METRICS
+  // ========================================
+  section('5. STATUS AND METRICS');
+
+  const server = createKeeperServer(keeper);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const status = await (await fetch(`${base}/status`)).json();
+    test('GET /status', status.markets.length === 2 && status.markets[0].marketId === 0 &&
+      status.markets[0].state === 'retrying' && status.markets[1].state === 'scheduled' && status.metrics.resolved === 7);
+
+    const metricsRes = await fetch(`${base}/metrics`);
+    const metrics = await metricsRes.text();
+    test('GET /metrics in Prometheus format', metricsRes.headers.get('content-type').startsWith('text/plain') &&
+      metrics.includes('clawshi_keeper_resolved_total 7') && metrics.includes('clawshi_keeper_bumps_total 2'));
+    test('Market states exported', metrics.includes('clawshi_keeper_markets{state="scheduled"} 1') &&
+      metrics.includes('clawshi_keeper_markets{state="retrying"} 1'));
+    const fresh = formatMetrics(createKeeper({ client }).metrics());
+    test('Unset gauges exported as NaN', fresh.includes('clawshi_keeper_last_delay_seconds NaN'));
+    test('Unknown route is 404', (await fetch(`${base}/nope`)).status === 404);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  log('');
+
+  // ========================================
+  // 6. START AND STOP
+  // ========================================
+  section('6. START AND STOP');
+
+  const ticks = keeper.metrics().ticks;
+  const loop = keeper.start({ interval: 60 });
+  await new Promise(resolve => setTimeout(resolve, 200));
+  test('start() ticks immediately', keeper.status().running && keeper.metrics().ticks === ticks + 1);
+  keeper.stop();
+  await loop;
+  test('stop() ends the loop', !keeper.status().running);
+
+  log('');
+}
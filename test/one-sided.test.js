@@ -0,0 +1,236 @@
+import { ethers } from 'ethers';
+import { run } from '../cli/index.js';
+import { ClawshiClient, claimPayout, computeOdds, quotePayout } from '../src/index.js';
+import { openIndexDb } from '../scripts/lib/index-db.js';
+import { createIndexer } from '../scripts/lib/indexer.js';
+import { deployProtocol } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// One-sided markets: refunds, treasury sweeps and quotes
+// ============================================
+
+const usd = n => ethers.parseUnits(String(n), 6);
+const REFUND = 0;
+const TREASURY = 1;
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, treasury, creator, usdc, factory, manual } = p;
+  const [alice, bob, carol, outsider] = p.users;
+
+  const clientFor = signer => new ClawshiClient({ runner: signer, addresses: p.addresses });
+  const creatorClient = clientFor(creator);
+
+  for (const user of [alice, bob, carol]) {
+    await (await usdc.connect(user).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  }
+
+  const balance = address => usdc.balanceOf(address);
+  const eventsOf = (receipt, name) => receipt.logs
+    .map(l => factory.interface.parseLog(l))
+    .filter(e => e?.name === name);
+
+  // ManualResolver market with the given stakes ([signer, isYes, amount])
+  async function market(question, stakes = [], creatorFeeBps = 0) {
+    const { marketId } = await creatorClient.createMarket({
+      question,
+      resolver: p.addresses.ManualResolver,
+      deadline: (await chain.now()) + 600,
+      creatorFeeBps
+    });
+    for (const [signer, isYes, amount] of stakes) {
+      await (await factory.connect(signer).stake(marketId, isYes, amount)).wait();
+    }
+    return marketId;
+  }
+
+  async function resolve(marketId, outcome) {
+    await (await manual.setOutcome(marketId, outcome)).wait();
+    await chain.increaseTime(601);
+    return (await factory.resolveMarket(marketId)).wait();
+  }
+
+  // ========================================
+  // 1. REFUND POLICY
+  // ========================================
+  section('1. REFUND POLICY');
+
+  test('Refund is the default policy', await factory.oneSidedPolicy() === BigInt(REFUND) &&
+    await creatorClient.getOneSidedPolicy() === 'refund');
+
+  // Nobody staked on the winning side
+  const a = await market('Winning side empty', [[alice, true, usd(10)], [carol, true, usd(5)]], 200);
+  const treasuryBefore = await balance(treasury.address);
+  const factoryBefore = await balance(p.addresses.MarketFactory);
+
+  const receiptA = await resolve(a, false);
+  test('Market resolves and turns refund-only', eventsOf(receiptA, 'MarketResolved').length === 1 &&
+    eventsOf(receiptA, 'MarketRefundable')[0]?.args.marketId === a);
+  const marketA = await creatorClient.getMarket(a);
+  test('Market keeps its outcome', marketA.resolved && marketA.outcome === false && marketA.refundOnly && !marketA.cancelled);
+
+  const aliceClaim = await clientFor(alice).claim(a);
+  test('Losing staker claims the full stake', aliceClaim.refunded && aliceClaim.payout === usd(10));
+  test('refund() works on a refund-only market', (await clientFor(carol).refund(a)).amount === usd(5));
+  test('No fees on refunds', await balance(treasury.address) === treasuryBefore &&
+    factoryBefore - await balance(p.addresses.MarketFactory) === usd(15));
+  await expectRevert('Refund twice', factory.connect(alice).claim(a), 'AlreadyClaimed');
+
+  // Nobody staked on the losing side
+  const b = await market('Losing side empty', [[bob, false, usd(10)]], 200);
+  await resolve(b, false);
+  const bobClaim = await clientFor(bob).claim(b);
+  test('Lone winner gets the stake back without fees', bobClaim.refunded && bobClaim.payout === usd(10));
+
+  // Nobody staked at all
+  const c = await market('Empty market');
+  const receiptC = await resolve(c, true);
+  test('Empty market resolves refund-only', eventsOf(receiptC, 'MarketRefundable').length === 1);
+  await expectRevert('Nothing to claim in an empty market', factory.connect(alice).claim(c), 'NoWinnings');
+
+  // Both sides staked: settled as usual
+  const d = await market('Two-sided market', [[alice, true, usd(10)], [bob, false, usd(30)]]);
+  const receiptD = await resolve(d, true);
+  test('Two-sided market is not refund-only', eventsOf(receiptD, 'MarketRefundable').length === 0 &&
+    !(await creatorClient.getMarket(d)).refundOnly);
+  await expectRevert('No refunds in a two-sided market', factory.connect(bob).refund(d), 'MarketNotCancelled');
+  test('Two-sided winner paid with fees', (await clientFor(alice).claim(d)).payout === usd(39.6));
+
+  log('');
+
+  // ========================================
+  // 2. TREASURY POLICY
+  // ========================================
+  section('2. TREASURY POLICY');
+
+  await expectRevert('Only owner sets the policy', factory.connect(outsider).setOneSidedPolicy(TREASURY), 'Unauthorized');
+  const policyReceipt = await (await factory.setOneSidedPolicy(TREASURY)).wait();
+  test('Policy updated', eventsOf(policyReceipt, 'OneSidedPolicyUpdated')[0]?.args.policy === BigInt(TREASURY) &&
+    await creatorClient.getOneSidedPolicy() === 'treasury');
+
+  const e = await market('Swept to the treasury', [[alice, true, usd(10)], [carol, true, usd(5)]]);
+  const sweepBefore = await factory.accruedFees(treasury.address, p.addresses.USDC);
+  const receiptE = await resolve(e, false);
+  const swept = eventsOf(receiptE, 'LosingPoolSwept')[0];
+  test('Stakes with no winner go to the treasury', swept?.args.amount === usd(15) &&
+    await factory.accruedFees(treasury.address, p.addresses.USDC) - sweepBefore === usd(15));
+  test('Swept market is not refund-only', !(await creatorClient.getMarket(e)).refundOnly);
+  await expectRevert('Losers have nothing to claim', factory.connect(alice).claim(e), 'NoWinnings');
+  await expectRevert('No refunds after a sweep', factory.connect(alice).refund(e), 'MarketNotCancelled');
+
+  const f = await market('Lone winner pays fees', [[bob, false, usd(5)]]);
+  const receiptF = await resolve(f, false);
+  test('Nothing swept without losers', eventsOf(receiptF, 'LosingPoolSwept').length === 0);
+  test('Lone winner gets the stake minus the fee', (await clientFor(bob).claim(f)).payout === usd(4.95));
+
+  const g = await market('Empty market, treasury policy');
+  const receiptG = await resolve(g, true);
+  test('Empty market resolves without a sweep', eventsOf(receiptG, 'LosingPoolSwept').length === 0 &&
+    eventsOf(receiptG, 'MarketResolved').length === 1);
+
+  log('');
+
+  // ========================================
+  // 3. QUOTES AND ODDS
+  // ========================================
+  section('3. QUOTES AND ODDS');
+
+  const empty = await market('Quote: empty');
+  const yesOnly = await market('Quote: YES only', [[alice, true, usd(3.333333)]], 150);
+  const noOnly = await market('Quote: NO only', [[bob, false, usd(7)]], 500);
+  const twoSided = await market('Quote: two-sided', [[alice, true, usd(3.333333)], [bob, false, usd(7.000001)]], 250);
+
+  const protocolFeeBps = await factory.protocolFeeBps();
+  const amounts = [0n, 1n, usd(0.1), usd(7.777777), usd(1000000)];
+
+  for (const [policy, name] of [[TREASURY, 'treasury'], [REFUND, 'refund']]) {
+    await (await factory.setOneSidedPolicy(policy)).wait();
+    const mismatches = [];
+    for (const id of [empty, yesOnly, noOnly, twoSided]) {
+      const state = await creatorClient.getMarket(id);
+      for (const isYes of [true, false]) {
+        for (const amount of amounts) {
+          const onChain = await factory.calculatePayout(id, isYes, amount);
+          const local = quotePayout(state, { isYes, amount, protocolFeeBps, oneSidedPolicy: name });
+          if (onChain !== local.payout) mismatches.push(`#${id} ${isYes ? 'YES' : 'NO'} ${amount}: ${onChain} != ${local.payout}`);
+        }
+      }
+    }
+    test(`SDK quote matches calculatePayout (${name} policy)`, mismatches.length === 0, mismatches.join('; '));
+  }
+
+  test('Zero amount quotes zero on an empty side', await factory.calculatePayout(empty, true, 0) === 0n &&
+    await factory.calculatePayout(yesOnly, false, 0) === 0n);
+  test('Stake alone on a side quotes a refund', await factory.calculatePayout(empty, true, usd(5)) === usd(5) &&
+    (await creatorClient.quotePayout(noOnly, false, usd(5))).refund);
+  const counterparty = await creatorClient.quotePayout(noOnly, true, usd(7));
+  test('Quote against the filled side pays fees', !counterparty.refund &&
+    counterparty.gross === usd(14) && counterparty.protocolFee === usd(0.14) && counterparty.creatorFee === usd(0.7));
+
+  const odds = {};
+  for (const [name, id] of Object.entries({ empty, yesOnly, noOnly, twoSided })) {
+    const [yes, no] = await factory.getOdds(id);
+    const local = computeOdds(await creatorClient.getMarket(id));
+    odds[name] = `${yes}/${no}`;
+    test(`SDK odds match getOdds (${name})`, local.yes === yes && local.no === no);
+  }
+  test('Odds: 50/50 empty, 100/0 and 0/100 one-sided', odds.empty === '50/50' && odds.yesOnly === '100/0' && odds.noOnly === '0/100');
+
+  // Fees rounded separately: gross 433334 gives 4333 + 2166, not 6500
+  const h = await market('Rounding', [[bob, false, 333333n]], 50);
+  const quoted = await factory.calculatePayout(h, true, 100001n);
+  const local = await creatorClient.quotePayout(h, true, 100001n);
+  await (await factory.connect(alice).stake(h, true, 100001n)).wait();
+  await resolve(h, true);
+  const claimed = await clientFor(alice).claim(h);
+  test('Quote equals the claimed payout', quoted === claimed.payout && local.payout === claimed.payout &&
+    local.protocolFee === 4333n && local.creatorFee === 2166n);
+
+  const resolved = await creatorClient.getMarket(h);
+  const stake = await creatorClient.getStake(h, alice.address);
+  test('claimPayout mirrors claim()', claimPayout(resolved, stake, protocolFeeBps).payout === claimed.payout &&
+    claimPayout(resolved, { amount: 333333n, isYes: false }, protocolFeeBps) === null);
+  test('claimPayout refunds refund-only markets', claimPayout(marketA, { amount: usd(10), isYes: true }, protocolFeeBps).refund);
+
+  log('');
+
+  // ========================================
+  // 4. CLI AND INDEXER
+  // ========================================
+  section('4. CLI AND INDEXER');
+
+  const keys = chain.server.getInitialAccounts();
+  async function cli(signer, args) {
+    const lines = [];
+    const code = await run([...args.split(' '), '--network', 'local', '--json'], {
+      env: { CLAWSHI_PRIVATE_KEY: keys[signer.address.toLowerCase()].secretKey },
+      provider: chain.provider,
+      addresses: p.addresses,
+      stdout: line => lines.push(line),
+      stderr: line => lines.push(line)
+    });
+    return { code, output: JSON.parse(lines.join('\n')) };
+  }
+
+  const quote = await cli(outsider, `market quote ${noOnly} no 5`);
+  test('market quote flags a refund', quote.code === 0 && quote.output.refund === true && quote.output.payout === usd(5).toString());
+  const feeQuote = await cli(outsider, `market quote ${twoSided} yes 5`);
+  test('market quote shows fees', feeQuote.output.payout === (await factory.calculatePayout(twoSided, true, usd(5))).toString() &&
+    BigInt(feeQuote.output.protocolFee) > 0n);
+
+  test('Unknown policy is a usage error', (await cli(owner, 'admin set-one-sided-policy burn')).code === 2);
+  const notOwner = await cli(outsider, 'admin set-one-sided-policy treasury');
+  test('set-one-sided-policy by a non-owner fails', notOwner.code === 1 && notOwner.output.error.reason === 'Unauthorized');
+  test('admin set-one-sided-policy', (await cli(owner, 'admin set-one-sided-policy treasury')).code === 0 &&
+    await factory.oneSidedPolicy() === BigInt(TREASURY));
+
+  const db = await openIndexDb();
+  await createIndexer({ provider: chain.provider, db, addresses: p.addresses }).sync();
+  test('Refund-only markets indexed', db.getMarket(Number(a)).refundOnly && !db.getMarket(Number(e)).refundOnly);
+  test('Refunded positions indexed', db.getPositions(alice.address, { status: 'refunded' }).map(r => r.marketId).join() === String(a) &&
+    db.getPositions(carol.address, { status: 'refunded' })[0]?.payout === usd(5).toString());
+  test('Swept positions are lost', db.getPositions(carol.address, { status: 'lost' }).map(r => r.marketId).join() === String(e));
+
+  log('');
+}
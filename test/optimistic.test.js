@@ -0,0 +1,339 @@
+import { ethers } from 'ethers';
+import { run } from '../cli/index.js';
+import { ClawshiClient } from '../src/index.js';
+import { createKeeper } from '../scripts/lib/keeper.js';
+import { deployProtocol } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// OptimisticResolver: bonded proposals and disputes
+// ============================================
+
+const usd = n => BigInt(Math.round(n * 1e6));
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, creator, usdc, factory, optimistic } = p;
+  const [alice, bob, carol, arbiterA, arbiterB, arbiterC] = p.users;
+  const arbiters = [arbiterA, arbiterB, arbiterC];
+
+  const clientFor = signer => new ClawshiClient({ runner: signer, addresses: p.addresses });
+  const creatorClient = clientFor(creator);
+  const bond = await optimistic.bondAmount();
+  const window = Number(await optimistic.challengeWindow());
+
+  // Market on the OptimisticResolver with its deadline `offset` seconds from now
+  async function optimisticMarket(question, offset = 600) {
+    const deadline = (await chain.now()) + offset;
+    const { marketId } = await creatorClient.createMarket({ question, resolver: p.addresses.OptimisticResolver, deadline });
+    return marketId;
+  }
+
+  const balance = async signer => usdc.balanceOf(signer.address);
+
+  // ========================================
+  // 1. ARBITERS
+  // ========================================
+  section('1. ARBITERS');
+
+  const addresses = arbiters.map(a => a.address);
+  await expectRevert('Only admin sets arbiters', optimistic.connect(alice).setArbiters(addresses, 2), 'Unauthorized');
+  await expectRevert('Quorum must be a majority', optimistic.setArbiters(addresses, 1), 'InvalidArbiters');
+  await expectRevert('Quorum above arbiter count', optimistic.setArbiters(addresses, 4), 'InvalidArbiters');
+  await expectRevert('Duplicate arbiter', optimistic.setArbiters([arbiterA.address, arbiterA.address, arbiterB.address], 2), 'InvalidArbiters');
+  await expectRevert('Zero-address arbiter', optimistic.setArbiters([arbiterA.address, ethers.ZeroAddress, arbiterB.address], 2), 'InvalidArbiters');
+
+  // A dispute nobody could settle is refused
+  const early = await optimisticMarket('Proposal before the arbiters');
+  await chain.increaseTime(601);
+  await clientFor(alice).proposeOutcome(early, true);
+  await expectRevert('No dispute without arbiters', optimistic.connect(bob).dispute(early), 'NoArbiters');
+
+  await (await optimistic.setArbiters([alice.address, bob.address, carol.address], 2)).wait();
+  await (await optimistic.setArbiters(addresses, 2)).wait();
+  test('Arbiter set replaced', (await optimistic.getArbiters()).join() === addresses.join() &&
+    await optimistic.quorum() === 2n && !(await optimistic.isArbiter(alice.address)) && await optimistic.isArbiter(arbiterC.address));
+
+  log('');
+
+  // ========================================
+  // 2. PROPOSALS
+  // ========================================
+  section('2. PROPOSALS');
+
+  const a = await optimisticMarket('Undisputed market');
+  await expectRevert('Proposal before the deadline', optimistic.connect(alice).propose(a, true), 'DeadlineNotReached');
+
+  const { marketId: manualId } = await creatorClient.createMarket({
+    question: 'Manual market',
+    resolver: p.addresses.ManualResolver,
+    deadline: (await chain.now()) + 600
+  });
+  await chain.increaseTime(601);
+  await expectRevert('Proposal on another resolver\'s market', optimistic.connect(alice).propose(manualId, true), 'InvalidMarket');
+  await expectRevert('Proposal without a bond approval', optimistic.connect(alice).propose(a, true), 'Insufficient allowance');
+
+  await (await usdc.connect(alice).approve(p.addresses.OptimisticResolver, bond)).wait();
+  await (await usdc.setFailTransfers(true)).wait();
+  await expectRevert('Failed bond transfer', optimistic.connect(alice).propose(a, true), 'TransferFailed');
+  await (await usdc.setFailTransfers(false)).wait();
+  await (await usdc.connect(alice).approve(p.addresses.OptimisticResolver, 0)).wait();
+
+  const aliceBefore = await balance(alice);
+  const proposal = await clientFor(alice).proposeOutcome(a, true);
+  test('Client approves and posts the bond', proposal.approval !== null && proposal.bond === bond &&
+    await balance(alice) === aliceBefore - bond);
+  test('Challenge window starts at the proposal',
+    proposal.challengeEnds === BigInt((await chain.provider.getBlock(proposal.receipt.blockNumber)).timestamp + window));
+
+  const requestA = await creatorClient.getOutcomeRequest(a);
+  test('Request recorded', requestA.status === 'proposed' && requestA.proposedOutcome === true &&
+    requestA.proposer === alice.address && requestA.bond === bond);
+
+  await expectRevert('Second proposal', clientFor(bob).proposeOutcome(a, false), 'AlreadyProposed');
+  test('canResolve false while the window is open', !(await optimistic.canResolve(a, '0x')));
+  await expectRevert('Market cannot resolve before finalization', factory.resolveMarket(a), 'CannotResolveYet');
+  await expectRevert('resolve() before finalization', optimistic.resolve.staticCall(a, '0x'), 'NotFinalized');
+  await expectRevert('Finalize during the window', optimistic.finalize(a), 'ChallengeWindowOpen');
+
+  log('');
+
+  // ========================================
+  // 3. UNDISPUTED FINALIZATION
+  // ========================================
+  section('3. UNDISPUTED FINALIZATION');
+
+  await chain.increaseTime(window);
+  await expectRevert('Dispute after the window', clientFor(bob).disputeOutcome(a), 'ChallengeWindowClosed');
+
+  const finalized = await clientFor(carol).finalizeOutcome(a);
+  test('Anyone can finalize after the window', finalized.outcome === true);
+  test('Proposer bond returned', await balance(alice) === aliceBefore);
+  test('canResolve true once final', await optimistic.canResolve(a, '0x'));
+  await expectRevert('Finalize twice', optimistic.finalize(a), 'NotProposed');
+
+  await (await factory.resolveMarket(a)).wait();
+  const marketA = await factory.getMarket(a);
+  test('Market resolves to the proposed outcome', marketA.resolved && marketA.outcome === true);
+  await expectRevert('No proposal on a resolved market', optimistic.connect(bob).propose(a, false), 'InvalidMarket');
+
+  log('');
+
+  // ========================================
+  // 4. DISPUTES
+  // ========================================
+  section('4. DISPUTES');
+
+  // Wrong proposal: the disputer wins both bonds
+  const b = await optimisticMarket('Disputed market, proposer wrong');
+  await chain.increaseTime(601);
+  await expectRevert('Dispute without a proposal', optimistic.connect(bob).dispute(b), 'NotProposed');
+
+  const aliceBeforeB = await balance(alice);
+  const bobBeforeB = await balance(bob);
+  await clientFor(alice).proposeOutcome(b, true);
+  const disputed = await clientFor(bob).disputeOutcome(b);
+  // Bob's approval is left over from his reverted proposal in section 2
+  test('Disputer matches the bond', disputed.approval === null && await balance(bob) === bobBeforeB - bond);
+  // Plus the bond of the proposal made before the arbiters were set
+  test('Bonds held by the resolver', await usdc.balanceOf(p.addresses.OptimisticResolver) === bond * 3n);
+
+  const requestB = await creatorClient.getOutcomeRequest(b);
+  test('Request disputed', requestB.status === 'disputed' && requestB.disputer === bob.address);
+  await expectRevert('Dispute twice', optimistic.connect(carol).dispute(b), 'NotProposed');
+  await chain.increaseTime(window);
+  await expectRevert('Disputed proposal is not finalized by time', optimistic.finalize(b), 'NotProposed');
+  await expectRevert('Only arbiters vote', optimistic.connect(alice).vote(b, false), 'Unauthorized');
+  await expectRevert('No votes on an undisputed request', optimistic.connect(arbiterA).vote(a, false), 'NotDisputed');
+
+  const firstVote = await clientFor(arbiterA).voteOutcome(b, false);
+  test('Vote below quorum does not finalize', !firstVote.finalized && !(await optimistic.canResolve(b, '0x')));
+  await expectRevert('Arbiter votes once', optimistic.connect(arbiterA).vote(b, true), 'AlreadyVoted');
+  await (await optimistic.connect(arbiterB).vote(b, true)).wait();
+  test('Split votes wait for quorum', (await creatorClient.getOutcomeRequest(b)).status === 'disputed');
+
+  const decidingVote = await clientFor(arbiterC).voteOutcome(b, false);
+  const event = decidingVote.receipt.logs
+    .map(l => optimistic.interface.parseLog(l))
+    .find(e => e?.name === 'OutcomeFinalized');
+  test('Quorum finalizes the dispute', decidingVote.finalized && event.args.outcome === false &&
+    event.args.bondRecipient === bob.address && event.args.payout === bond * 2n);
+  test('Disputer receives both bonds', await balance(bob) === bobBeforeB + bond);
+  test('Proposer bond slashed', await balance(alice) === aliceBeforeB - bond);
+  await expectRevert('No votes after finalization', optimistic.connect(arbiterC).vote(b, true), 'NotDisputed');
+
+  await (await factory.resolveMarket(b)).wait();
+  test('Market resolves to the arbiters\' outcome', (await factory.getMarket(b)).outcome === false);
+
+  // Frivolous dispute: the proposer wins both bonds
+  const c = await optimisticMarket('Disputed market, proposer right');
+  await chain.increaseTime(601);
+  const aliceBeforeC = await balance(alice);
+  const carolBeforeC = await balance(carol);
+  await clientFor(alice).proposeOutcome(c, false);
+  await clientFor(carol).disputeOutcome(c);
+  await (await optimistic.connect(arbiterA).vote(c, false)).wait();
+  await (await optimistic.connect(arbiterB).vote(c, false)).wait();
+  test('Proposer receives both bonds', await balance(alice) === aliceBeforeC + bond &&
+    await balance(carol) === carolBeforeC - bond);
+  await (await factory.resolveMarket(c)).wait();
+  const marketC = await factory.getMarket(c);
+  test('Market resolves to the upheld proposal', marketC.resolved && marketC.outcome === false);
+  test('Resolver holds only the early proposal\'s bond', await usdc.balanceOf(p.addresses.OptimisticResolver) === bond);
+
+  log('');
+
+  // ========================================
+  // 5. ADMIN
+  // ========================================
+  section('5. ADMIN');
+
+  await expectRevert('Only admin sets bond params', optimistic.connect(alice).setBondParams(usd(1), 60), 'Unauthorized');
+  await expectRevert('Zero challenge window', optimistic.setBondParams(usd(1), 0), 'InvalidConfig');
+
+  const d = await optimisticMarket('Bond snapshot');
+  await chain.increaseTime(601);
+  await clientFor(alice).proposeOutcome(d, true);
+  await (await optimistic.setBondParams(usd(25), 60)).wait();
+  test('Bond params updated', await optimistic.bondAmount() === usd(25) && await optimistic.challengeWindow() === 60n);
+
+  const bobBeforeD = await balance(bob);
+  await clientFor(bob).disputeOutcome(d);
+  test('Dispute matches the bond at proposal time', await balance(bob) === bobBeforeD - bond);
+
+  await (await optimistic.transferAdmin(carol.address)).wait();
+  await expectRevert('Only the pending admin accepts', optimistic.connect(bob).acceptAdmin(), 'Unauthorized');
+  await (await optimistic.connect(carol).acceptAdmin()).wait();
+  test('Admin transferred in two steps', await optimistic.admin() === carol.address && await optimistic.pendingAdmin() === ethers.ZeroAddress);
+  await expectRevert('Previous admin loses access', optimistic.connect(owner).setBondParams(bond, window), 'Unauthorized');
+  await (await optimistic.connect(carol).setBondParams(bond, window)).wait();
+
+  log('');
+
+  // ========================================
+  // 6. CANCELLED MARKETS
+  // ========================================
+  section('6. CANCELLED MARKETS');
+
+  await expectRevert('No bond refund on an open market', optimistic.refundBonds(d), 'MarketNotCancelled');
+  await expectRevert('No bond refund without a proposal', optimistic.refundBonds(a), 'NotProposed');
+
+  // The dispute on d is never settled: anyone cancels it after the resolution timeout
+  await chain.increaseTime(Number(await factory.resolutionTimeout()));
+  await (await factory.connect(carol).cancelMarket(d)).wait();
+
+  const aliceBeforeRefund = await balance(alice);
+  const bobBeforeRefund = await balance(bob);
+  const refunded = await clientFor(carol).refundBonds(d);
+  test('Disputed bonds returned to both parties', refunded.bond === bond &&
+    await balance(alice) === aliceBeforeRefund + bond && await balance(bob) === bobBeforeRefund + bond);
+  test('Request refunded', (await creatorClient.getOutcomeRequest(d)).status === 'refunded');
+  await expectRevert('Bonds refunded once', optimistic.refundBonds(d), 'NotProposed');
+  await expectRevert('No votes after the refund', optimistic.connect(arbiterA).vote(d, true), 'NotDisputed');
+
+  // Undisputed proposal on a market the owner cancels
+  await (await factory.connect(owner).cancelMarket(early)).wait();
+  const aliceBeforeEarly = await balance(alice);
+  const earlyRefund = await clientFor(bob).refundBonds(early);
+  const refundEvent = earlyRefund.receipt.logs
+    .map(l => { try { return optimistic.interface.parseLog(l); } catch { return null; } })
+    .find(ev => ev?.name === 'BondsRefunded');
+  test('Undisputed bond returned to the proposer', await balance(alice) === aliceBeforeEarly + bond &&
+    refundEvent.args.disputer === ethers.ZeroAddress);
+  await expectRevert('No finalization after the refund', optimistic.finalize(early), 'NotProposed');
+  test('Resolver holds no bonds after the refunds', await usdc.balanceOf(p.addresses.OptimisticResolver) === 0n);
+
+  const unproposed = await optimisticMarket('Cancelled before a proposal');
+  await chain.increaseTime(601);
+  await (await factory.connect(owner).cancelMarket(unproposed)).wait();
+  await expectRevert('No proposal on a cancelled market', optimistic.connect(alice).propose(unproposed, true), 'InvalidMarket');
+
+  log('');
+
+  // ========================================
+  // 7. CLI
+  // ========================================
+  section('7. CLI');
+
+  const keys = chain.server.getInitialAccounts();
+  async function cli(signer, args) {
+    const lines = [];
+    const code = await run([...args.split(' '), '--network', 'local', '--json'], {
+      env: { CLAWSHI_PRIVATE_KEY: keys[signer.address.toLowerCase()].secretKey },
+      provider: chain.provider,
+      addresses: p.addresses,
+      stdout: line => lines.push(line),
+      stderr: line => lines.push(line)
+    });
+    return { code, output: JSON.parse(lines.join('\n')) };
+  }
+
+  const e = await optimisticMarket('CLI market');
+  await chain.increaseTime(601);
+
+  const proposed = await cli(bob, `optimistic propose ${e} no`);
+  test('optimistic propose approves and proposes', proposed.code === 0 && proposed.output.approval?.method === 'approve' &&
+    proposed.output.tx.events[0].name === 'OutcomeProposed' && proposed.output.bond === bond.toString());
+
+  const status = await cli(creator, `optimistic status ${e}`);
+  test('optimistic status', status.code === 0 && status.output.status === 'proposed' && status.output.challengeOpen &&
+    status.output.proposer === bob.address && status.output.quorum === '2');
+
+  const dryRun = await cli(alice, `optimistic dispute ${e} --dry-run`);
+  test('optimistic dispute --dry-run stops at the approval', dryRun.code === 0 && dryRun.output.approval.dryRun &&
+    dryRun.output.tx === null && (await creatorClient.getOutcomeRequest(e)).status === 'proposed');
+
+  const disputedCli = await cli(alice, `optimistic dispute ${e}`);
+  test('optimistic dispute', disputedCli.code === 0 && disputedCli.output.tx.events[0].name === 'OutcomeDisputed');
+
+  const notArbiter = await cli(alice, `optimistic vote ${e} yes`);
+  test('optimistic vote by a non-arbiter fails', notArbiter.code === 1 && notArbiter.output.error.reason === 'Unauthorized');
+
+  await cli(arbiterA, `optimistic vote ${e} yes`);
+  const voted = await cli(arbiterB, `optimistic vote ${e} yes`);
+  test('optimistic vote reaches quorum', voted.code === 0 && voted.output.events.some(ev => ev.name === 'OutcomeFinalized'));
+  test('Usage error for a bad side', (await cli(arbiterC, `optimistic vote ${e} maybe`)).code === 2);
+
+  const resolved = await cli(creator, `resolve ${e}`);
+  test('Resolves after the CLI vote', resolved.code === 0 && (await factory.getMarket(e)).outcome === true);
+
+  const h = await optimisticMarket('CLI cancelled market');
+  await chain.increaseTime(601);
+  await cli(bob, `optimistic propose ${h} yes`);
+  await (await factory.connect(owner).cancelMarket(h)).wait();
+  const cliRefund = await cli(creator, `optimistic refund ${h}`);
+  test('optimistic refund', cliRefund.code === 0 && cliRefund.output.events.some(ev => ev.name === 'BondsRefunded'));
+
+  log('');
+
+  // ========================================
+  // 8. KEEPER
+  // ========================================
+  section('8. KEEPER');
+
+  const wallet = new ethers.Wallet(keys[p.users[6].address.toLowerCase()].secretKey, chain.provider);
+  const keeper = createKeeper({ client: clientFor(wallet) });
+
+  const f = await optimisticMarket('Keeper market');
+  const g = await optimisticMarket('Keeper market without proposal');
+  await chain.increaseTime(601);
+  await clientFor(alice).proposeOutcome(f, true);
+
+  await keeper.tick();
+  test('Waits during the challenge window', keeper.metrics().finalizations === 0 &&
+    keeper.status().markets.every(m => m.state === 'waiting'));
+
+  await chain.increaseTime(window);
+  await keeper.tick();
+  test('Finalizes an undisputed proposal', keeper.metrics().finalizations === 1 &&
+    (await creatorClient.getOutcomeRequest(f)).status === 'finalized');
+
+  await keeper.tick();
+  await keeper.tick();
+  test('Resolves the finalized market', (await factory.getMarket(f)).resolved && keeper.metrics().resolved === 1);
+  const tracked = keeper.status().markets;
+  test('Market without a proposal keeps waiting', !tracked.some(m => m.marketId === Number(f)) &&
+    tracked.find(m => m.marketId === Number(g))?.state === 'waiting');
+
+  log('');
+}
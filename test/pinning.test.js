@@ -0,0 +1,182 @@
+import { ethers } from 'ethers';
+import { ClawshiClient, encodeChainlinkParams, findRoundHint } from '../src/index.js';
+import { deployProtocol } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// Resolver configuration pinned at market creation
+// ============================================
+
+const price = n => BigInt(n) * 10n ** 8n;
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, creator, factory, chainlink, ethFeed } = p;
+  const [outsider] = p.users;
+
+  const client = new ClawshiClient({ runner: creator, addresses: p.addresses });
+
+  // Price market resolving 600 seconds from now; returns { id, data, deadline, receipt }
+  async function priceMarket(asset, target, isGreaterThan = true) {
+    const deadline = (await chain.now()) + 600;
+    const data = encodeChainlinkParams({ asset, targetPrice: target, isGreaterThan, deadline });
+    const { marketId, receipt } = await client.createMarket({
+      question: `${asset} ${isGreaterThan ? '>=' : '<'} ${target} at ${deadline}?`,
+      resolver: p.addresses.ChainlinkResolver,
+      resolverData: data,
+      deadline
+    });
+    return { id: marketId, data, deadline, receipt };
+  }
+
+  const outcomeOf = async id => (await factory.getMarket(id)).outcome;
+  const pinnedEvent = receipt => receipt.logs
+    .map(l => { try { return factory.interface.parseLog(l); } catch { return null; } })
+    .find(e => e?.name === 'ResolverPinned');
+
+  // ========================================
+  // 1. PINNING AT CREATION
+  // ========================================
+  section('1. PINNING AT CREATION');
+
+  await (await ethFeed.setAnswer(price(4000))).wait();
+  const version = await chainlink.configVersion();
+  const a = await priceMarket('ETH', price(3500));
+
+  const snapshot = await client.getResolverSnapshot(a.id);
+  test('Snapshot pins the asset\'s feed', snapshot.pinned && snapshot.feed === await ethFeed.getAddress());
+  test('Snapshot pins the feed decimals', snapshot.feedDecimals === 8);
+  test('Snapshot pins the configuration version', snapshot.version === version);
+
+  const event = pinnedEvent(a.receipt);
+  test('ResolverPinned emitted', event?.args.marketId === a.id && event.args.feed === snapshot.feed &&
+    event.args.version === version);
+
+  const pin = await chainlink.pins(a.id);
+  test('Resolver records the pin by market', pin.feed === snapshot.feed && pin.decimals === 8n);
+  const [feedA, pinnedA] = await chainlink.feedFor(a.id, a.data);
+  test('feedFor returns the pinned feed', feedA === snapshot.feed && pinnedA);
+  test('Resolver is bound to its factory', await chainlink.factory() === p.addresses.MarketFactory);
+
+  const { marketId: manualMarket } = await client.createMarket({
+    question: 'Manual market',
+    resolver: p.addresses.ManualResolver,
+    resolverData: '0x',
+    deadline: (await chain.now()) + 600
+  });
+  const manualSnapshot = await client.getResolverSnapshot(manualMarket);
+  test('Resolvers without pin() leave the snapshot empty', !manualSnapshot.pinned &&
+    manualSnapshot.feed === ethers.ZeroAddress);
+
+  const unknown = encodeChainlinkParams({ asset: 'DOGE', targetPrice: 1n, isGreaterThan: true, deadline: a.deadline });
+  await expectRevert('Market on an asset without a feed',
+    factory.connect(creator).createMarket('DOGE?', p.addresses.ChainlinkResolver, unknown, a.deadline, 0, p.addresses.USDC), 'InvalidFeed');
+  await expectRevert('Snapshot of an unknown market', factory.getResolverSnapshot(99), 'MarketNotFound');
+
+  log('');
+
+  // ========================================
+  // 2. FEED REPOINTED
+  // ========================================
+  section('2. FEED REPOINTED');
+
+  const b = await priceMarket('ETH', price(3500));
+  const replacement = await chain.deploy('MockAggregator', [8, price(2000)]);
+  await (await chainlink.connect(owner).setPriceFeed('ETH', await replacement.getAddress())).wait();
+  test('Feed changes bump the configuration version', await chainlink.configVersion() === version + 1n);
+
+  const c = await priceMarket('ETH', price(3600));
+  const snapshotC = await client.getResolverSnapshot(c.id);
+  test('New markets pin the new feed', snapshotC.feed === await replacement.getAddress() &&
+    snapshotC.version === version + 1n);
+  test('Existing snapshot unchanged', (await client.getResolverSnapshot(b.id)).feed === await ethFeed.getAddress());
+
+  await chain.increaseTime(601);
+  const hint = await findRoundHint(client.chainlinkResolver, b.id, b.data);
+  test('findRoundHint reads the pinned feed', hint.roundId === await ethFeed.roundId() && hint.answer === price(4000));
+
+  await (await factory.resolveMarket(b.id)).wait();
+  await (await factory.resolveMarket(c.id)).wait();
+  test('Existing market resolves on its pinned feed', await outcomeOf(b.id) === true);
+  test('New market resolves on the new feed', await outcomeOf(c.id) === false);
+
+  await (await chainlink.connect(owner).setPriceFeed('ETH', await ethFeed.getAddress())).wait();
+
+  log('');
+
+  // ========================================
+  // 3. FEED REMOVED
+  // ========================================
+  section('3. FEED REMOVED');
+
+  await (await ethFeed.setAnswer(price(4000))).wait();
+  const d = await priceMarket('ETH', price(3500));
+  await (await chainlink.connect(owner).removePriceFeed('ETH')).wait();
+  test('Removal bumps the configuration version', await chainlink.configVersion() === version + 3n);
+
+  await expectRevert('Only the factory can repin a market', chainlink.connect(outsider).pin(d.id, d.data), 'Unauthorized');
+
+  await chain.increaseTime(601);
+  test('canResolve honours the pin after removal', await chainlink.canResolve(d.id, d.data));
+  await (await factory.resolveMarket(d.id)).wait();
+  test('Market resolves on its pinned feed after removal', (await factory.getMarket(d.id)).resolved &&
+    await outcomeOf(d.id) === true);
+
+  await expectRevert('No new markets on the removed feed',
+    factory.connect(creator).createMarket('ETH?', p.addresses.ChainlinkResolver,
+      encodeChainlinkParams({ asset: 'ETH', targetPrice: 1n, isGreaterThan: true, deadline: (await chain.now()) + 600 }),
+      (await chain.now()) + 600, 0, p.addresses.USDC),
+    'InvalidFeed');
+  await (await chainlink.connect(owner).setPriceFeed('ETH', await ethFeed.getAddress())).wait();
+
+  log('');
+
+  // ========================================
+  // 4. FEED DECIMALS CHANGED
+  // ========================================
+  section('4. FEED DECIMALS CHANGED');
+
+  const link = await chain.deploy('MockAggregator', [8, price(20)]);
+  await (await chainlink.connect(owner).setPriceFeed('LINK', await link.getAddress())).wait();
+
+  // LINK < $20 with the feed now reporting 18 decimals: $15 reads as 15e18
+  const e = await priceMarket('LINK', price(20), false);
+  await (await link.setDecimals(18)).wait();
+  await (await link.setAnswer(15n * 10n ** 18n)).wait();
+  await chain.increaseTime(601);
+  await (await factory.resolveMarket(e.id)).wait();
+  test('18-decimal answer scaled down to the pinned 8', await outcomeOf(e.id) === true);
+
+  // LINK >= $20 with the feed now reporting 6 decimals: $25 reads as 25e6
+  await (await link.setDecimals(8)).wait();
+  const f = await priceMarket('LINK', price(20));
+  await (await link.setDecimals(6)).wait();
+  await (await link.setAnswer(25n * 10n ** 6n)).wait();
+  await chain.increaseTime(601);
+  await (await factory.resolveMarket(f.id)).wait();
+  test('6-decimal answer scaled up to the pinned 8', await outcomeOf(f.id) === true);
+  test('Snapshot keeps the creation decimals', (await client.getResolverSnapshot(e.id)).feedDecimals === 8);
+
+  log('');
+
+  // ========================================
+  // 5. RESOLVER REVOKED
+  // ========================================
+  section('5. RESOLVER REVOKED');
+
+  await (await ethFeed.setAnswer(price(4000))).wait();
+  const g = await priceMarket('ETH', price(3500));
+  await (await factory.connect(owner).setResolverApproval(p.addresses.ChainlinkResolver, false)).wait();
+
+  await expectRevert('No new markets on a revoked resolver',
+    factory.connect(creator).createMarket('ETH?', p.addresses.ChainlinkResolver, g.data, g.deadline, 0, p.addresses.USDC), 'InvalidResolver');
+
+  await chain.increaseTime(601);
+  await (await factory.connect(outsider).resolveMarket(g.id)).wait();
+  test('Existing market resolves after revocation', await outcomeOf(g.id) === true);
+  test('Snapshot survives revocation', (await client.getResolverSnapshot(g.id)).feed === await ethFeed.getAddress());
+
+  await (await factory.connect(owner).setResolverApproval(p.addresses.ChainlinkResolver, true)).wait();
+
+  log('');
+}
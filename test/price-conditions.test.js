@@ -0,0 +1,316 @@
+import { ethers } from 'ethers';
+import {
+  ClawshiClient,
+  encodeRangeParams,
+  encodeRatioParams,
+  encodeTwapParams,
+  decodeConditionParams,
+  findConditionHints
+} from '../src/index.js';
+import { deployProtocol } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// PriceConditionResolver: range, ratio and TWAP markets
+// ============================================
+
+const price = n => BigInt(n) * 10n ** 8n;
+const ratio = n => ethers.parseUnits(String(n), 18);
+
+// Resolves to the thrown message, or null if fn() returned
+function thrown(fn) {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, creator, chainlink, conditions, factory } = p;
+
+  const client = new ClawshiClient({ runner: creator, addresses: p.addresses });
+  const resolver = client.priceConditionResolver;
+
+  // Feed registered on ChainlinkResolver, with a scripted round history
+  async function newFeed(asset, decimals, answer) {
+    const feed = await chain.deploy('MockAggregator', [decimals, answer]);
+    await (await chainlink.connect(owner).setPriceFeed(asset, await feed.getAddress())).wait();
+    return feed;
+  }
+
+  // Publish rounds as [answer, updatedAt] pairs; returns the last round ID
+  async function script(feed, rounds) {
+    for (const [answer, updatedAt] of rounds) {
+      await (await feed.setRoundData(answer, updatedAt)).wait();
+    }
+    return feed.roundId();
+  }
+
+  async function createMarket(resolverData, deadline) {
+    const { marketId } = await client.createMarket({
+      question: `Condition market ${deadline}`,
+      resolver: p.addresses.PriceConditionResolver,
+      resolverData,
+      deadline
+    });
+    return marketId;
+  }
+
+  const outcomeOf = async id => (await factory.getMarket(id)).outcome;
+
+  // ========================================
+  // 1. ENCODING
+  // ========================================
+  section('1. ENCODING');
+
+  const deadline = BigInt(await chain.now() + 3600);
+  const range = { asset: 'ETH', lowerPrice: price(3000), upperPrice: price(3500), deadline };
+  const ratioParams = { baseAsset: 'ETH', quoteAsset: 'BTC', targetRatio: ratio('0.03'), isGreaterThan: true, deadline };
+  const twap = { asset: 'BTC', targetPrice: price(100000), isGreaterThan: false, window: 3600n, deadline };
+
+  test('Range encoding matches encodeRange', encodeRangeParams(range) ===
+    await conditions.encodeRange(range.asset, range.lowerPrice, range.upperPrice, deadline));
+  test('Ratio encoding matches encodeRatio', encodeRatioParams(ratioParams) ===
+    await conditions.encodeRatio('ETH', 'BTC', ratioParams.targetRatio, true, deadline));
+  test('TWAP encoding matches encodeTwap', encodeTwapParams(twap) ===
+    await conditions.encodeTwap('BTC', twap.targetPrice, false, twap.window, deadline));
+
+  const decoded = decodeConditionParams(encodeRatioParams(ratioParams));
+  test('decodeConditionParams round-trips', decoded.type === 'ratio' && decoded.baseAsset === 'ETH' &&
+    decoded.quoteAsset === 'BTC' && decoded.targetRatio === ratioParams.targetRatio && decoded.isGreaterThan === true &&
+    decoded.deadline === deadline);
+
+  const onChainTwap = await conditions.decodeTwap(encodeTwapParams(twap));
+  test('Contract decodes local encoding', onChainTwap.asset === 'BTC' && onChainTwap.window === 3600n);
+  await expectRevert('Decoding as the wrong type reverts', conditions.decodeRange(encodeTwapParams(twap)), 'InvalidParams');
+
+  await expectRevert('Empty range rejected', conditions.encodeRange('ETH', price(3500), price(3000), deadline), 'InvalidParams');
+  await expectRevert('Same-asset ratio rejected', conditions.encodeRatio('ETH', 'ETH', 1, true, deadline), 'InvalidParams');
+  await expectRevert('Zero TWAP window rejected', conditions.encodeTwap('BTC', 1, true, 0, deadline), 'InvalidParams');
+  test('JS encoders validate like the contract',
+    thrown(() => encodeRangeParams({ ...range, upperPrice: range.lowerPrice }))?.startsWith('Invalid range') &&
+    thrown(() => encodeRatioParams({ ...ratioParams, quoteAsset: 'ETH' }))?.startsWith('Invalid ratio') &&
+    thrown(() => encodeTwapParams({ ...twap, window: 0n }))?.startsWith('Invalid TWAP window'));
+
+  test('Resolver type', await resolver.resolverType() === 'price-condition');
+
+  log('');
+
+  // ========================================
+  // 2. RANGE
+  // ========================================
+  section('2. RANGE');
+
+  const d1 = BigInt(await chain.now() + 1000);
+  const inRange = await createMarket(encodeRangeParams({ asset: 'BTC', lowerPrice: price(95000), upperPrice: price(105000), deadline: d1 }), d1);
+  const atUpper = await createMarket(encodeRangeParams({ asset: 'BTC', lowerPrice: price(90000), upperPrice: price(100000), deadline: d1 }), d1);
+  const atLower = await createMarket(encodeRangeParams({ asset: 'BTC', lowerPrice: price(100000), upperPrice: price(110000), deadline: d1 }), d1);
+
+  test('canResolve false before the deadline', !(await conditions.canResolve(inRange, encodeRangeParams({
+    asset: 'BTC', lowerPrice: price(95000), upperPrice: price(105000), deadline: d1
+  }))));
+  await expectRevert('Resolve before the deadline', factory.resolveMarket(inRange), 'DeadlineNotPassed');
+
+  await chain.increaseTime(2000);
+  await script(p.btcFeed, [[price(100000), d1 - 10n], [price(120000), d1 + 10n]]);
+
+  await (await factory.resolveMarket(inRange)).wait();
+  test('Price inside the range resolves YES', await outcomeOf(inRange) === true);
+  await (await factory.resolveMarket(atUpper)).wait();
+  test('Upper bound is exclusive', await outcomeOf(atUpper) === false);
+  await (await factory.resolveMarket(atLower)).wait();
+  test('Lower bound is inclusive', await outcomeOf(atLower) === true);
+
+  const d2 = BigInt(await chain.now() + 5000);
+  const staleRange = await createMarket(encodeRangeParams({ asset: 'BTC', lowerPrice: 1n, upperPrice: price(200000), deadline: d2 }), d2);
+  await chain.increaseTime(6000);
+  await expectRevert('Stale price at the deadline', factory.resolveMarket(staleRange), 'StalePrice');
+
+  log('');
+
+  // ========================================
+  // 3. RATIO
+  // ========================================
+  section('3. RATIO');
+
+  // 18-decimal feed against the 8-decimal ETH feed
+  const solFeed = await newFeed('SOL', 18, ethers.parseUnits('150', 18));
+  test('getRatio normalizes feed decimals', await conditions.getRatio('SOL', 'ETH') === ratio('0.05'));
+
+  const d3 = BigInt(await chain.now() + 1000);
+  const solAbove = await createMarket(encodeRatioParams({
+    baseAsset: 'SOL', quoteAsset: 'ETH', targetRatio: ratio('0.051'), isGreaterThan: true, deadline: d3
+  }), d3);
+  const ethBelow = await createMarket(encodeRatioParams({
+    baseAsset: 'ETH', quoteAsset: 'SOL', targetRatio: ratio(20), isGreaterThan: false, deadline: d3
+  }), d3);
+  const noFeed = encodeRatioParams({ baseAsset: 'SOL', quoteAsset: 'DOGE', targetRatio: 1n, isGreaterThan: true, deadline: d3 });
+  await expectRevert('Market without a quote feed rejected',
+    factory.connect(creator).createMarket('SOL/DOGE?', p.addresses.PriceConditionResolver, noFeed, d3, 0, p.addresses.USDC), 'InvalidFeed');
+
+  await chain.increaseTime(2000);
+  await script(solFeed, [[ethers.parseUnits('155', 18), d3 - 100n], [ethers.parseUnits('100', 18), d3 + 100n]]);
+  await script(p.ethFeed, [[price(3000), d3 - 50n], [price(4000), d3 + 50n]]);
+
+  await (await factory.resolveMarket(solAbove)).wait();
+  test('SOL/ETH 0.0516 >= 0.051 resolves YES', await outcomeOf(solAbove) === true);
+  await (await factory.resolveMarket(ethBelow)).wait();
+  test('ETH/SOL 19.35 < 20 resolves YES', await outcomeOf(ethBelow) === true);
+
+  const d4 = BigInt(await chain.now() + 5000);
+  const staleQuote = await createMarket(encodeRatioParams({
+    baseAsset: 'SOL', quoteAsset: 'ETH', targetRatio: 1n, isGreaterThan: true, deadline: d4
+  }), d4);
+  await chain.increaseTime(6000);
+  await script(solFeed, [[ethers.parseUnits('150', 18), d4 - 10n]]);
+  await expectRevert('Either price stale at the deadline', factory.resolveMarket(staleQuote), 'StalePrice');
+
+  log('');
+
+  // ========================================
+  // 4. TWAP
+  // ========================================
+  section('4. TWAP');
+
+  const linkFeed = await newFeed('LINK', 8, price(10));
+  const d5 = BigInt(await chain.now() + 5000);
+  const twapData = encodeTwapParams({ asset: 'LINK', targetPrice: price(15), isGreaterThan: true, window: 3600n, deadline: d5 });
+  const twapMarket = await createMarket(twapData, d5);
+  const spotData = encodeRangeParams({ asset: 'LINK', lowerPrice: price(15), upperPrice: price(1000), deadline: d5 });
+  const spotMarket = await createMarket(spotData, d5);
+
+  await chain.increaseTime(6000);
+  await script(linkFeed, [
+    [price(10), d5 - 3700n],
+    [price(30), d5 - 1800n],
+    [price(12), d5 - 600n],
+    [price(5), d5 + 50n]
+  ]);
+
+  // 1800s at 10, 1200s at 30, 600s at 12 => 61200 / 3600 = 17
+  test('twapAt weights rounds by time', await conditions.twapAt(linkFeed, 3600, d5) === price(17));
+
+  await (await factory.resolveMarket(twapMarket)).wait();
+  test('TWAP 17 >= 15 resolves YES', await outcomeOf(twapMarket) === true);
+  await (await factory.resolveMarket(spotMarket)).wait();
+  test('Spot price 12 at the same deadline resolves NO', await outcomeOf(spotMarket) === false);
+
+  const d6 = BigInt(await chain.now() + 10000);
+  const gapMarket = await createMarket(encodeTwapParams({
+    asset: 'LINK', targetPrice: 1n, isGreaterThan: true, window: 7200n, deadline: d6
+  }), d6);
+  await chain.increaseTime(11000);
+  await script(linkFeed, [[price(10), d6 - 7000n], [price(10), d6 - 2000n]]);
+  await expectRevert('Stale gap inside the window', factory.resolveMarket(gapMarket), 'StalePrice');
+
+  log('');
+
+  // ========================================
+  // 5. ROUND HINTS
+  // ========================================
+  section('5. ROUND HINTS');
+
+  const lookback = await conditions.MAX_ROUND_LOOKBACK();
+
+  const d7 = BigInt(await chain.now() + 1000);
+  const oldData = encodeRangeParams({ asset: 'LINK', lowerPrice: price(20), upperPrice: price(40), deadline: d7 });
+  const oldMarket = await createMarket(oldData, d7);
+  await chain.increaseTime(2000);
+  const deadlineRound = await script(linkFeed, [[price(30), d7 - 10n]]);
+  await script(linkFeed, Array.from({ length: Number(lookback) + 1 }, (_, i) => [price(5), d7 + 1n + BigInt(i)]));
+
+  await expectRevert('Deadline round beyond the lookback', factory.resolveMarket(oldMarket), 'RoundNotFound');
+
+  const [hint] = await findConditionHints(resolver, oldMarket, oldData);
+  test('findConditionHints finds the deadline round', hint.asset === 'LINK' && hint.feed === await linkFeed.getAddress() &&
+    hint.timestamp === d7 &&
+    hint.roundId === deadlineRound && hint.needsHint && !hint.hintSet);
+
+  await expectRevert('Hint for a future timestamp rejected',
+    resolver.setRoundHint(hint.feed, d7 + 100000n, deadlineRound), 'DeadlineNotReached');
+  await expectRevert('Wrong round rejected', resolver.setRoundHint(hint.feed, d7, deadlineRound + 1n), 'InvalidRoundHint');
+
+  const receipt = await (await resolver.setRoundHint(hint.feed, d7, deadlineRound)).wait();
+  const event = receipt.logs.map(l => resolver.interface.parseLog(l)).find(x => x?.name === 'RoundHintSet');
+  test('RoundHintSet emitted', event?.args.feed === hint.feed && event.args.timestamp === d7 &&
+    event.args.roundId === deadlineRound);
+  test('Hint recorded for the feed', (await findConditionHints(resolver, oldMarket, oldData))[0].hintSet &&
+    await conditions.roundHints(hint.feed, d7) === deadlineRound);
+
+  await (await factory.resolveMarket(oldMarket)).wait();
+  test('Resolves on the hinted round', await outcomeOf(oldMarket) === true);
+
+  // TWAP window across a phase change
+  const d8 = BigInt(await chain.now() + 5000);
+  const phaseData = encodeTwapParams({ asset: 'LINK', targetPrice: price(20), isGreaterThan: true, window: 3600n, deadline: d8 });
+  const phaseMarket = await createMarket(phaseData, d8);
+  await chain.increaseTime(6000);
+  const lastOfPhase = await script(linkFeed, [[price(20), d8 - 3700n], [price(20), d8 - 3000n]]);
+  await (await linkFeed.nextPhase()).wait();
+  await script(linkFeed, [[price(20), d8 - 1000n], [price(20), d8 - 500n]]);
+
+  await expectRevert('Window across a phase change needs a hint', factory.resolveMarket(phaseMarket), 'RoundNotFound');
+
+  const phaseHints = await findConditionHints(resolver, phaseMarket, phaseData);
+  test('Deadline round needs no hint', phaseHints.length === 2 && !phaseHints[0].needsHint);
+  test('Last round of the earlier phase needs one', phaseHints[1].roundId === lastOfPhase &&
+    phaseHints[1].timestamp === d8 - 1001n && phaseHints[1].needsHint);
+
+  await (await resolver.setRoundHint(phaseHints[1].feed, phaseHints[1].timestamp, phaseHints[1].roundId)).wait();
+  test('TWAP across the phase change', await conditions.twapAt(linkFeed, 3600, d8) === price(20));
+  await (await factory.resolveMarket(phaseMarket)).wait();
+  test('Resolves after the phase hint', await outcomeOf(phaseMarket) === true);
+
+  log('');
+
+  // ========================================
+  // 6. PINNING
+  // ========================================
+  section('6. PINNING');
+
+  const d9 = BigInt(await chain.now() + 1000);
+  const pinnedData = encodeRatioParams({ baseAsset: 'LINK', quoteAsset: 'ETH', targetRatio: ratio('0.01'), isGreaterThan: true, deadline: d9 });
+  const version = await chainlink.configVersion();
+  const pinnedMarket = await createMarket(pinnedData, d9);
+
+  const snapshot = await client.getResolverSnapshot(pinnedMarket);
+  test('Snapshot pins the base asset\'s feed', snapshot.pinned && snapshot.feed === await linkFeed.getAddress() &&
+    snapshot.feedDecimals === 8 && snapshot.version === version);
+  const quotePin = await conditions.pins(pinnedMarket, 'ETH');
+  test('Every asset of the condition pinned', quotePin.feed === await p.ethFeed.getAddress() && quotePin.decimals === 8n);
+  test('Resolver is bound to its factory', await conditions.factory() === p.addresses.MarketFactory);
+  await expectRevert('Only the factory pins', conditions.connect(creator).pin(pinnedMarket, pinnedData), 'Unauthorized');
+
+  // Repoint LINK to a feed quoting 0 and remove ETH: the market keeps its feeds
+  const replacement = await newFeed('LINK', 8, 0n);
+  await (await chainlink.connect(owner).removePriceFeed('ETH')).wait();
+  const [linkNow, linkPinned] = await conditions.feedFor(pinnedMarket, 'LINK');
+  test('feedFor returns the pinned feed', linkNow === snapshot.feed && linkPinned);
+
+  await chain.increaseTime(2000);
+  await script(linkFeed, [[price(40), d9 - 10n]]);
+  await script(p.ethFeed, [[price(3000), d9 - 10n]]);
+  await script(replacement, [[price(1), d9 - 10n]]);
+  test('canResolve honours the pins after removal', await conditions.canResolve(pinnedMarket, pinnedData));
+
+  // A round of the new feed is no hint for markets pinned to the old one
+  await (await resolver.setRoundHint(replacement, d9, await replacement.roundId())).wait();
+  test('Hints are kept per feed', await conditions.roundHints(linkFeed, d9) === 0n);
+
+  await (await factory.resolveMarket(pinnedMarket)).wait();
+  test('Resolves on the pinned feeds (LINK/ETH 0.0133 >= 0.01)', await outcomeOf(pinnedMarket) === true);
+
+  // LINK now reports in 18 decimals; the range was set in the pinned 8
+  const d10 = BigInt(await chain.now() + 1000);
+  const scaledMarket = await createMarket(encodeRangeParams({ asset: 'LINK', lowerPrice: price(10), upperPrice: price(20), deadline: d10 }), d10);
+  await (await replacement.setDecimals(18)).wait();
+  await chain.increaseTime(2000);
+  await script(replacement, [[15n * 10n ** 18n, d10 - 10n]]);
+  await (await factory.resolveMarket(scaledMarket)).wait();
+  test('18-decimal answer scaled to the pinned 8', await outcomeOf(scaledMarket) === true);
+
+  log('');
+}
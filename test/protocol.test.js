@@ -0,0 +1,239 @@
+import { ethers } from 'ethers';
+import { ClawshiClient } from '../src/index.js';
+import { deployProtocol } from './helpers/chain.js';
+import { log, section, test, expectRevert } from './helpers/report.js';
+
+// ============================================
+// Core protocol: create / stake / resolve / claim
+// ============================================
+
+const usd = n => ethers.parseUnits(String(n), 6);
+const price = n => BigInt(n) * 10n ** 8n;
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, treasury, creator, usdc, factory, chainlink, manual, btcFeed, ethFeed } = p;
+  const [alice, bob, carol] = p.users;
+
+  const clientFor = signer => new ClawshiClient({ runner: signer, addresses: p.addresses });
+
+  // ========================================
+  // 1. DEPLOYMENT
+  // ========================================
+  section('1. DEPLOYMENT');
+
+  test('Owner is deployer', await factory.owner() === owner.address);
+  test('Treasury set', await factory.treasury() === treasury.address);
+  test('Protocol fee is 1%', await factory.protocolFeeBps() === 100n);
+  test('Min stake is 0.1 USDC', (await factory.stakeTokens(p.addresses.USDC)).minStake === 100000n);
+  test('ChainlinkResolver approved', await factory.approvedResolvers(p.addresses.ChainlinkResolver));
+  test('ManualResolver approved', await factory.approvedResolvers(p.addresses.ManualResolver));
+
+  const [btcPrice, btcDecimals] = await chainlink.getPrice('BTC');
+  test('BTC mock feed readable', btcPrice === price(100000) && btcDecimals === 8n);
+
+  log('');
+
+  // ========================================
+  // 2. MANUAL MARKET LIFECYCLE (SDK)
+  // ========================================
+  section('2. MANUAL MARKET LIFECYCLE');
+
+  const deadline = (await chain.now()) + 3600;
+
+  const { marketId } = await clientFor(creator).createMarket({
+    question: 'Will the local test pass?',
+    resolver: p.addresses.ManualResolver,
+    deadline,
+    creatorFeeBps: 200
+  });
+  test('Market created', marketId === 0n);
+
+  const market = await clientFor(alice).getMarket(marketId);
+  test('Market question matches', market.question === 'Will the local test pass?');
+  test('Market creator recorded', market.creator === creator.address);
+  test('Market not resolved', !market.resolved && !market.paused);
+
+  const aliceStake = await clientFor(alice).stake(marketId, true, usd(10));
+  test('Stake approved USDC automatically', aliceStake.approval !== null);
+  await clientFor(bob).stake(marketId, false, usd(30), { approveMax: true });
+
+  const stake = await clientFor(alice).getStake(marketId, alice.address);
+  test('Stake recorded', stake.amount === usd(10) && stake.isYes && !stake.claimed);
+
+  const odds = await clientFor(alice).getOdds(marketId);
+  test('Odds are 25/75', odds.yes === 25n && odds.no === 75n, `Got ${odds.yes}/${odds.no}`);
+
+  // gross = 10 * 50 / 20 = 25, fees 3% = 0.75
+  const preview = await clientFor(carol).calculatePayout(marketId, true, usd(10));
+  test('Payout preview', preview === usd(24.25), `Got ${ethers.formatUnits(preview, 6)}`);
+
+  await expectRevert('Resolve before deadline', factory.resolveMarket(marketId), 'DeadlineNotPassed');
+
+  await (await manual.setOutcome(marketId, true)).wait();
+  await chain.increaseTime(3601);
+
+  const { outcome } = await clientFor(carol).resolveMarket(marketId);
+  test('Market resolved YES', outcome === true);
+
+  const treasuryBefore = await factory.accruedFees(treasury.address, p.addresses.USDC);
+  const creatorBefore = await factory.accruedFees(creator.address, p.addresses.USDC);
+
+  // gross = 10 * 40 / 10 = 40, protocol 0.4, creator 0.8
+  const { payout } = await clientFor(alice).claim(marketId);
+  test('Winner payout', payout === usd(38.8), `Got ${ethers.formatUnits(payout, 6)}`);
+  test('Protocol fee accrued to treasury', await factory.accruedFees(treasury.address, p.addresses.USDC) - treasuryBefore === usd(0.4));
+  test('Creator fee accrued to creator', await factory.accruedFees(creator.address, p.addresses.USDC) - creatorBefore === usd(0.8));
+  test('Stake marked as claimed', (await factory.getStake(marketId, alice.address)).claimed);
+
+  await expectRevert('Claim twice', factory.connect(alice).claim(marketId), 'AlreadyClaimed');
+  await expectRevert('Loser claim', factory.connect(bob).claim(marketId), 'NoWinnings');
+  await expectRevert('Claim without stake', factory.connect(carol).claim(marketId), 'NoWinnings');
+  await expectRevert('Resolve twice', factory.resolveMarket(marketId), 'MarketAlreadyResolved');
+  await expectRevert('Stake after resolution', factory.connect(carol).stake(marketId, true, usd(1)), 'MarketAlreadyResolved');
+
+  log('');
+
+  // ========================================
+  // 3. CHAINLINK MARKETS
+  // ========================================
+  section('3. CHAINLINK MARKETS');
+
+  const clDeadline = (await chain.now()) + 3600;
+  const btcData = await chainlink.encodeParams('BTC', price(100000), true, clDeadline);
+  const ethData = await chainlink.encodeParams('ETH', price(2500), false, clDeadline);
+
+  const btcMarket = (await clientFor(creator).createMarket({
+    question: 'BTC >= $100K?',
+    resolver: p.addresses.ChainlinkResolver,
+    resolverData: btcData,
+    deadline: clDeadline
+  })).marketId;
+  const ethMarket = (await clientFor(creator).createMarket({
+    question: 'ETH < $2,500?',
+    resolver: p.addresses.ChainlinkResolver,
+    resolverData: ethData,
+    deadline: clDeadline
+  })).marketId;
+
+  await clientFor(alice).stake(btcMarket, true, usd(5));
+  await clientFor(bob).stake(btcMarket, false, usd(5));
+  await clientFor(alice).stake(ethMarket, false, usd(5));
+
+  test('Cannot resolve before deadline', !(await chainlink.canResolve(btcMarket, btcData)));
+
+  // Rounds current at the deadline decide the markets; later rounds are ignored
+  await chain.increaseTime(3000);
+  await (await btcFeed.setAnswer(price(105000))).wait();
+  await (await ethFeed.setAnswer(price(3000))).wait();
+  await chain.increaseTime(601);
+  await (await btcFeed.setAnswer(price(95000))).wait();
+  await (await ethFeed.setAnswer(price(2000))).wait();
+
+  test('Can resolve after deadline', await chainlink.canResolve(btcMarket, btcData));
+
+  await (await factory.resolveMarket(btcMarket)).wait();
+  test('BTC market resolved YES', (await factory.getMarket(btcMarket)).outcome === true);
+
+  await (await factory.resolveMarket(ethMarket)).wait();
+  test('ETH market resolved NO', (await factory.getMarket(ethMarket)).outcome === false);
+
+  const ethClaim = await clientFor(alice).claim(ethMarket);
+  test('One-sided winner gets the stake back', ethClaim.refunded && ethClaim.payout === usd(5),
+    `Got ${ethers.formatUnits(ethClaim.payout, 6)}`);
+
+  // Stale feed
+  const staleDeadline = (await chain.now()) + 600;
+  const staleData = await chainlink.encodeParams('ETH', price(2500), true, staleDeadline);
+  const staleMarket = (await clientFor(creator).createMarket({
+    question: 'ETH >= $2,500 (stale)?',
+    resolver: p.addresses.ChainlinkResolver,
+    resolverData: staleData,
+    deadline: staleDeadline
+  })).marketId;
+  await chain.increaseTime(601);
+  await (await ethFeed.setRoundData(price(3000), (await chain.now()) - 7200)).wait();
+  await expectRevert('Stale price rejected', factory.resolveMarket(staleMarket), 'StalePrice');
+
+  log('');
+
+  // ========================================
+  // 4. FACTORY REVERTS
+  // ========================================
+  section('4. FACTORY REVERTS');
+
+  const now = await chain.now();
+  const openId = await factory.getMarketCount();
+  await (await factory.connect(creator).createMarket('Open market', p.addresses.ManualResolver, '0x', now + 3600, 0, p.addresses.USDC)).wait();
+
+  await expectRevert('Unapproved resolver', factory.createMarket('q', carol.address, '0x', now + 3600, 0, p.addresses.USDC), 'InvalidResolver');
+  await expectRevert('Deadline in the past', factory.createMarket('q', p.addresses.ManualResolver, '0x', now - 1, 0, p.addresses.USDC), 'InvalidDeadline');
+  await expectRevert('Creator fee above 5%', factory.createMarket('q', p.addresses.ManualResolver, '0x', now + 3600, 501, p.addresses.USDC), 'CreatorFeeTooHigh');
+
+  await (await usdc.connect(carol).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  await expectRevert('Stake below minimum', factory.connect(carol).stake(openId, true, 99999n), 'InvalidAmount');
+  await expectRevert('Unknown market', factory.connect(carol).stake(999, true, usd(1)), 'MarketNotFound');
+  await expectRevert('Unknown market view', factory.getMarket(999), 'MarketNotFound');
+
+  await (await factory.connect(carol).stake(openId, true, usd(1))).wait();
+  await expectRevert('Stake opposite side', factory.connect(carol).stake(openId, false, usd(1)), 'InvalidPosition');
+
+  await expectRevert('Pause by non-owner', factory.connect(carol).pauseMarket(openId, true), 'Unauthorized');
+  await (await factory.pauseMarket(openId, true)).wait();
+  await expectRevert('Stake on paused market', factory.connect(carol).stake(openId, true, usd(1)), 'MarketPausedError');
+  await (await factory.pauseMarket(openId, false)).wait();
+
+  await (await usdc.setFailTransfers(true)).wait();
+  await expectRevert('Failed token transfer', factory.connect(carol).stake(openId, true, usd(1)), 'TransferFailed');
+  await (await usdc.setFailTransfers(false)).wait();
+
+  await expectRevert('Claim before resolution', factory.connect(carol).claim(openId), 'MarketNotResolved');
+  await expectRevert('Fee above 5%', factory.setProtocolFee(501), 'Fee too high');
+  await expectRevert('Admin call by non-owner', factory.connect(carol).setStakeToken(p.addresses.USDC, true, 1), 'Unauthorized');
+
+  await chain.increaseTime(3601);
+  await expectRevert('Stake after deadline', factory.connect(carol).stake(openId, true, usd(1)), 'DeadlinePassed');
+  await expectRevert('Resolve without outcome', factory.resolveMarket(openId), 'CannotResolveYet');
+
+  const reentrant = await chain.deploy('MockReentrantResolver');
+  await (await factory.setResolverApproval(await reentrant.getAddress(), true)).wait();
+  const reentrantId = await factory.getMarketCount();
+  await (await factory.createMarket('Reentrant', await reentrant.getAddress(), '0x', (await chain.now()) + 60, 0, p.addresses.USDC)).wait();
+  await chain.increaseTime(61);
+  await expectRevert('Reentrancy blocked', factory.resolveMarket(reentrantId), 'ReentrancyGuard');
+
+  log('');
+
+  // ========================================
+  // 5. RESOLVER REVERTS
+  // ========================================
+  section('5. RESOLVER REVERTS');
+
+  const future = (await chain.now()) + 3600;
+  const futureData = await chainlink.encodeParams('BTC', price(1), true, future);
+  const unknownData = await chainlink.encodeParams('DOGE', 1n, true, 0);
+
+  await expectRevert('Chainlink: set feed by non-owner', chainlink.connect(carol).setPriceFeed('BTC', carol.address), 'Unauthorized');
+  await expectRevert('Chainlink: resolve before deadline', chainlink.resolve.staticCall(0, futureData), 'DeadlineNotReached');
+  await expectRevert('Chainlink: unknown asset', chainlink.resolve.staticCall(0, unknownData), 'InvalidFeed');
+  await expectRevert('Chainlink: unknown asset price', chainlink.getPrice('DOGE'), 'InvalidFeed');
+  test('Chainlink: unknown asset cannot resolve', !(await chainlink.canResolve(0, unknownData)));
+
+  const { marketId: pending } = await clientFor(creator).createMarket({
+    question: 'Manual reverts', resolver: p.addresses.ManualResolver, deadline: future
+  });
+
+  await expectRevert('Manual: set outcome by non-admin', manual.connect(carol).setOutcome(pending, true), 'Unauthorized');
+  await expectRevert('Manual: outcome set twice', manual.setOutcome(0, false), 'OutcomeAlreadySet');
+  await expectRevert('Manual: resolve without outcome', manual.resolve.staticCall(pending, '0x'), 'OutcomeNotSet');
+  await expectRevert('Manual: deadline in the past', manual.setDeadline(pending, 1), 'InvalidDeadline');
+
+  await (await manual.setDeadline(pending, future)).wait();
+  await (await manual.setOutcome(pending, true)).wait();
+  test('Manual: cannot resolve before its deadline', !(await manual.canResolve(pending, '0x')));
+  await expectRevert('Manual: resolve before deadline', manual.resolve.staticCall(pending, '0x'), 'DeadlineNotReached');
+
+  await expectRevert('Manual: accept admin by stranger', manual.connect(carol).acceptAdmin(), 'Unauthorized');
+
+  log('');
+}
@@ -0,0 +1,247 @@
+import { ethers } from 'ethers';
+import { run } from '../cli/index.js';
+import { ClawshiClient, decodeReporterSet, encodeReporterSet } from '../src/index.js';
+import { openIndexDb } from '../scripts/lib/index-db.js';
+import { createIndexer } from '../scripts/lib/indexer.js';
+import { deployProtocol } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// QuorumResolver: M-of-N reporter votes
+// ============================================
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { creator, factory, quorum } = p;
+  const [r1, r2, r3, m1, m2, outsider] = p.users;
+  const defaults = [r1, r2, r3].map(r => r.address);
+
+  const clientFor = signer => new ClawshiClient({ runner: signer, addresses: p.addresses });
+  const creatorClient = clientFor(creator);
+
+  // Market on the QuorumResolver with its deadline `offset` seconds from now
+  async function quorumMarket(question, resolverData = '0x', offset = 600) {
+    const deadline = (await chain.now()) + offset;
+    const { marketId } = await creatorClient.createMarket({ question, resolver: p.addresses.QuorumResolver, resolverData, deadline });
+    return marketId;
+  }
+
+  const eventsOf = (receipt, name) => receipt.logs
+    .map(l => quorum.interface.parseLog(l))
+    .filter(e => e?.name === name);
+
+  // ========================================
+  // 1. REPORTER SETS
+  // ========================================
+  section('1. REPORTER SETS');
+
+  await expectRevert('Only admin sets reporters', quorum.connect(r1).setReporters(defaults, 2), 'Unauthorized');
+  await expectRevert('Zero quorum', quorum.setReporters(defaults, 0), 'InvalidReporters');
+  await expectRevert('Quorum above reporter count', quorum.setReporters(defaults, 4), 'InvalidReporters');
+  await expectRevert('Quorum must be a majority', quorum.setReporters(defaults, 1), 'InvalidReporters');
+  await expectRevert('Half is not a majority', quorum.setReporters([...defaults, outsider.address], 2), 'InvalidReporters');
+  await expectRevert('Duplicate reporter', quorum.setReporters([r1.address, r1.address], 1), 'InvalidReporters');
+  await expectRevert('Zero-address reporter', quorum.setReporters([r1.address, ethers.ZeroAddress], 1), 'InvalidReporters');
+
+  await (await quorum.setReporters([outsider.address], 1)).wait();
+  const receipt = await (await quorum.setReporters(defaults, 2)).wait();
+  test('Default set replaced', (await quorum.getDefaultReporters()).join() === defaults.join() &&
+    await quorum.quorum() === 2n && !(await quorum.isReporter(outsider.address)) &&
+    eventsOf(receipt, 'ReportersUpdated')[0]?.args.quorum === 2n);
+
+  const marketSet = { reporters: [m1.address, m2.address], quorum: 2 };
+  const encoded = encodeReporterSet(marketSet);
+  test('SDK encoding matches the contract', encoded === await quorum.encodeReporters(marketSet.reporters, marketSet.quorum));
+  const decoded = decodeReporterSet(encoded);
+  test('SDK decodes a reporter set', decoded.reporters.join() === marketSet.reporters.join() && decoded.quorum === 2n);
+  test('Empty data decodes to the default set', decodeReporterSet('0x') === null);
+  await expectRevert('Contract rejects an invalid set', quorum.encodeReporters([m1.address], 2), 'InvalidReporters');
+  await expectRevert('Contract rejects a minority quorum', quorum.encodeReporters([m1.address, m2.address], 1), 'InvalidReporters');
+
+  let invalid = null;
+  try {
+    encodeReporterSet({ reporters: [m1.address, m1.address], quorum: 1 });
+  } catch (err) {
+    invalid = err.message;
+  }
+  test('SDK rejects an invalid set', invalid?.startsWith('Invalid reporter set'));
+
+  let minority = null;
+  try {
+    encodeReporterSet({ reporters: [m1.address, m2.address], quorum: 1 });
+  } catch (err) {
+    minority = err.message;
+  }
+  test('SDK rejects a minority quorum', minority === 'Invalid reporter set: quorum 1 of 2 reporters');
+
+  log('');
+
+  // ========================================
+  // 2. DEFAULT REPORTERS
+  // ========================================
+  section('2. DEFAULT REPORTERS');
+
+  const a = await quorumMarket('Default reporters');
+  await expectRevert('Vote before the deadline', quorum.connect(r1).setOutcome(a, true), 'DeadlineNotReached');
+
+  const { marketId: manualId } = await creatorClient.createMarket({
+    question: 'Manual market',
+    resolver: p.addresses.ManualResolver,
+    deadline: (await chain.now()) + 600
+  });
+  await chain.increaseTime(601);
+  await expectRevert('Vote on another resolver\'s market', quorum.connect(r1).setOutcome(manualId, true), 'InvalidMarket');
+  await expectRevert('Only reporters vote', quorum.connect(outsider).setOutcome(a, true), 'Unauthorized');
+
+  const firstVote = await clientFor(r1).reportOutcome(a, true);
+  test('Vote below quorum', !firstVote.finalized && !firstVote.conflicting && !(await quorum.canResolve(a, '0x')));
+  await expectRevert('Reporter votes once', quorum.connect(r1).setOutcome(a, false), 'AlreadyVoted');
+  await expectRevert('Market waits for quorum', factory.resolveMarket(a), 'CannotResolveYet');
+  await expectRevert('resolve() before quorum', quorum.resolve.staticCall(a, '0x'), 'OutcomeNotSet');
+
+  const conflict = await clientFor(r2).reportOutcome(a, false);
+  const conflictEvent = eventsOf(conflict.receipt, 'ConflictingVote')[0];
+  test('Conflicting vote emits ConflictingVote', conflict.conflicting && !conflict.finalized &&
+    conflictEvent.args.reporter === r2.address && conflictEvent.args.yesVotes === 1n && conflictEvent.args.noVotes === 1n);
+
+  const pending = await creatorClient.getVoteStatus(a);
+  test('Vote status shows pending votes', !pending.isSet && pending.defaultSet && pending.quorum === 2n &&
+    pending.yesVotes === 1n && pending.noVotes === 1n &&
+    pending.reporters.map(r => r.vote).join() === 'yes,no,');
+
+  const deciding = await clientFor(r3).reportOutcome(a, false);
+  const setEvent = eventsOf(deciding.receipt, 'OutcomeSet')[0];
+  test('Quorum sets the outcome', deciding.finalized && setEvent.args.outcome === false && setEvent.args.setBy === r3.address);
+  test('canResolve once set', await quorum.canResolve(a, '0x'));
+
+  const final = await creatorClient.getVoteStatus(a);
+  test('Vote status shows the outcome', final.isSet && final.outcome === false && final.noVotes === 2n);
+  await expectRevert('No votes after the outcome is set', quorum.connect(r1).setOutcome(a, false), 'OutcomeAlreadySet');
+
+  await (await factory.resolveMarket(a)).wait();
+  const marketA = await factory.getMarket(a);
+  test('Market resolves to the voted outcome', marketA.resolved && marketA.outcome === false);
+
+  log('');
+
+  // ========================================
+  // 3. PER-MARKET REPORTERS
+  // ========================================
+  section('3. PER-MARKET REPORTERS');
+
+  const b = await quorumMarket('Own reporters', encoded);
+  await chain.increaseTime(601);
+
+  const [reporters, required] = await quorum.getReporters(b);
+  test('Market uses its own reporter set', reporters.join() === marketSet.reporters.join() && required === 2n);
+  await expectRevert('Default reporters cannot vote', quorum.connect(r1).setOutcome(b, true), 'Unauthorized');
+
+  // The default set does not apply to markets with their own set
+  await (await quorum.setReporters([m1.address], 1)).wait();
+  const first = await clientFor(m1).reportOutcome(b, true);
+  test('Market quorum, not the default quorum', !first.finalized);
+  const statusB = await creatorClient.getVoteStatus(b);
+  test('Vote status for a market set', !statusB.defaultSet && statusB.reporters.length === 2 &&
+    statusB.reporters[0].vote === 'yes' && statusB.reporters[1].vote === null);
+
+  test('Market set reaches its quorum', (await clientFor(m2).reportOutcome(b, true)).finalized);
+  await (await factory.resolveMarket(b)).wait();
+  test('Market resolves on its reporters\' votes', (await factory.getMarket(b)).outcome === true);
+  await (await quorum.setReporters(defaults, 2)).wait();
+
+  // createMarket validates resolverData through validateParams
+  const rawSet = (set, required) => ethers.AbiCoder.defaultAbiCoder()
+    .encode(['tuple(address[] reporters, uint256 quorum)'], [[set, required]]);
+  const createRaw = async data => factory.connect(creator).createMarket
+    .staticCall('Q?', p.addresses.QuorumResolver, data, (await chain.now()) + 600, 0, p.addresses.USDC);
+  await expectRevert('Unreachable quorum rejected at creation', createRaw(rawSet([m1.address], 2)), 'InvalidReporters');
+  await expectRevert('Minority quorum rejected at creation', createRaw(rawSet([m1.address, m2.address], 1)), 'InvalidReporters');
+  await expectRevert('Undecodable set rejected at creation', createRaw('0x1234'), 'InvalidReporters');
+  test('Valid set accepted by validateParams', await quorum.validateParams(encoded) === 0n &&
+    await quorum.validateParams('0x') === 0n);
+
+  log('');
+
+  // ========================================
+  // 4. BATCH VOTES
+  // ========================================
+  section('4. BATCH VOTES');
+
+  const d = await quorumMarket('Batch one');
+  const e = await quorumMarket('Batch two');
+  await chain.increaseTime(601);
+
+  await (await quorum.connect(r1).batchSetOutcome([d, e], [true, false])).wait();
+  await (await quorum.connect(r2).batchSetOutcome([d], [true])).wait();
+  test('Batch votes count per market', await quorum.outcomeSet(d) && !(await quorum.outcomeSet(e)) &&
+    (await quorum.getVotes(e)).no === 1n);
+
+  const skipped = await (await quorum.connect(r2).batchSetOutcome([d, e, e], [false, false, true])).wait();
+  test('Set markets and repeat votes skipped', eventsOf(skipped, 'VoteCast').length === 1 &&
+    await quorum.outcomeSet(e) && await quorum.outcomes(e) === false && await quorum.outcomes(d) === true);
+  await expectRevert('Length mismatch', quorum.connect(r3).batchSetOutcome([d], []), 'Length mismatch');
+
+  log('');
+
+  // ========================================
+  // 5. CLI
+  // ========================================
+  section('5. CLI');
+
+  const keys = chain.server.getInitialAccounts();
+  async function cli(signer, args) {
+    const lines = [];
+    const code = await run([...args.split(' '), '--network', 'local', '--json'], {
+      env: { CLAWSHI_PRIVATE_KEY: keys[signer.address.toLowerCase()].secretKey },
+      provider: chain.provider,
+      addresses: p.addresses,
+      stdout: line => lines.push(line),
+      stderr: line => lines.push(line)
+    });
+    return { code, output: JSON.parse(lines.join('\n')) };
+  }
+
+  const created = await cli(creator, `market create --question Reporters --resolver quorum --deadline +10m --reporters ${m2.address} --quorum 1`);
+  const f = BigInt(created.output.events?.[0]?.args.marketId ?? -1);
+  test('market create --reporters', created.code === 0 &&
+    decodeReporterSet((await factory.getMarket(f)).resolverData).quorum === 1n);
+  test('Invalid --quorum is a usage error',
+    (await cli(creator, `market create --question Q --resolver quorum --deadline +10m --reporters ${m1.address} --quorum 2`)).code === 2);
+  test('Minority --quorum is a usage error',
+    (await cli(creator, `market create --question Q --resolver quorum --deadline +10m --reporters ${m1.address},${m2.address} --quorum 1`)).code === 2);
+
+  await chain.increaseTime(601);
+  const status = await cli(creator, `quorum status ${f}`);
+  test('quorum status', status.code === 0 && status.output.quorum === '1' && !status.output.isSet &&
+    status.output.reporters.length === 1 && status.output.reporters[0].vote === null);
+
+  const outsiderVote = await cli(outsider, `quorum vote ${f} yes`);
+  test('quorum vote by a non-reporter fails', outsiderVote.code === 1 && outsiderVote.output.error.reason === 'Unauthorized');
+
+  const voted = await cli(m2, `quorum vote ${f} no`);
+  test('quorum vote sets the outcome at quorum', voted.code === 0 &&
+    voted.output.events.map(ev => ev.name).join() === 'VoteCast,OutcomeSet');
+
+  const g = await quorumMarket('CLI batch');
+  await chain.increaseTime(601);
+  const batch = await cli(r1, `quorum batch-vote ${g}=yes`);
+  test('quorum batch-vote', batch.code === 0 && (await quorum.getVotes(g)).yes === 1n);
+
+  const notAdmin = await cli(r1, `quorum set-reporters 1 ${r1.address}`);
+  test('quorum set-reporters by a non-admin fails', notAdmin.code === 1 && notAdmin.output.error.reason === 'Unauthorized');
+
+  log('');
+
+  // ========================================
+  // 6. INDEXER
+  // ========================================
+  section('6. INDEXER');
+
+  const db = await openIndexDb();
+  await createIndexer({ provider: chain.provider, db, addresses: p.addresses }).sync();
+  const outcomes = db.getOutcomes(p.addresses.QuorumResolver);
+  test('Quorum outcomes indexed', outcomes.map(o => o.marketId).join() === [a, b, d, e, f].join() &&
+    outcomes[0].outcome === false && outcomes[0].setBy === r3.address);
+
+  log('');
+}
@@ -0,0 +1,200 @@
+import { run } from '../cli/index.js';
+import { ClawshiClient, encodeChainlinkParams, findRoundHint } from '../src/index.js';
+import { deployProtocol } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// ChainlinkResolver historical round lookup
+// ============================================
+
+const price = n => BigInt(n) * 10n ** 8n;
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, creator, chainlink, factory } = p;
+
+  // LINK/USD with a scripted round history
+  const feed = await chain.deploy('MockAggregator', [8, price(10)]);
+  await (await chainlink.connect(owner).setPriceFeed('LINK', await feed.getAddress())).wait();
+
+  const client = new ClawshiClient({ runner: creator, addresses: p.addresses });
+  const resolver = client.chainlinkResolver;
+
+  // Publish rounds as [price, updatedAt] pairs
+  async function script(rounds) {
+    for (const [answer, updatedAt] of rounds) {
+      await (await feed.setRoundData(price(answer), updatedAt)).wait();
+    }
+    return feed.roundId();
+  }
+
+  // LINK >= $20 market resolving `offset` seconds from now; returns { id, data, deadline }
+  async function linkMarket(offset) {
+    const deadline = (await chain.now()) + offset;
+    const data = encodeChainlinkParams({ asset: 'LINK', targetPrice: price(20), isGreaterThan: true, deadline });
+    const { marketId } = await client.createMarket({
+      question: `LINK >= $20 at ${deadline}?`,
+      resolver: p.addresses.ChainlinkResolver,
+      resolverData: data,
+      deadline
+    });
+    return { id: marketId, data, deadline };
+  }
+
+  const outcomeOf = async id => (await factory.getMarket(id)).outcome;
+
+  // ========================================
+  // 1. DEADLINE ROUND
+  // ========================================
+  section('1. DEADLINE ROUND');
+
+  const a = await linkMarket(1000);
+  await chain.increaseTime(2000);
+  const atDeadline = await script([[25, a.deadline - 100], [15, a.deadline + 50], [15, a.deadline + 100]]) - 2n;
+
+  const hintA = await findRoundHint(resolver, a.id, a.data);
+  test('findRoundHint returns the deadline round', hintA.roundId === atDeadline && hintA.answer === price(25));
+  test('No hint needed within the lookback', !hintA.needsHint && !hintA.hintSet);
+
+  await (await factory.resolveMarket(a.id)).wait();
+  test('Resolves on the deadline round, not the latest', await outcomeOf(a.id) === true);
+
+  const b = await linkMarket(1000);
+  await chain.increaseTime(2000);
+  await script([[25, b.deadline], [10, b.deadline + 1]]);
+  await (await factory.resolveMarket(b.id)).wait();
+  test('Round updated exactly at the deadline counts', await outcomeOf(b.id) === true);
+
+  const c = await linkMarket(4000);
+  await chain.increaseTime(5000);
+  await script([[30, c.deadline + 10]]);
+  await expectRevert('Stale at the deadline despite a fresh later round', factory.resolveMarket(c.id), 'StalePrice');
+
+  log('');
+
+  // ========================================
+  // 2. LOOKBACK AND HINTS
+  // ========================================
+  section('2. LOOKBACK AND HINTS');
+
+  const future = await linkMarket(100000);
+  await expectRevert('Hint rejected before the deadline', resolver.setRoundHint(future.id, 1), 'DeadlineNotReached');
+
+  const e = await linkMarket(1000);
+  await chain.increaseTime(2000);
+  const deadlineRound = await script([[30, e.deadline - 10]]);
+  const lookback = await chainlink.MAX_ROUND_LOOKBACK();
+  await script(Array.from({ length: Number(lookback) + 1 }, (_, i) => [5, e.deadline + 1 + i]));
+
+  await expectRevert('Deadline round beyond the lookback', factory.resolveMarket(e.id), 'RoundNotFound');
+
+  const hintE = await findRoundHint(resolver, e.id, e.data);
+  test('findRoundHint finds it by bisection', hintE.roundId === deadlineRound && hintE.answer === price(30));
+  test('needsHint beyond the lookback', hintE.needsHint && !hintE.hintSet);
+
+  test('isRoundAtDeadline accepts the deadline round', await chainlink.isRoundAtDeadline('LINK', e.deadline, deadlineRound));
+  test('isRoundAtDeadline rejects the next round', !(await chainlink.isRoundAtDeadline('LINK', e.deadline, deadlineRound + 1n)));
+  test('isRoundAtDeadline rejects an earlier round', !(await chainlink.isRoundAtDeadline('LINK', e.deadline, deadlineRound - 1n)));
+  test('isRoundAtDeadline rejects a missing round', !(await chainlink.isRoundAtDeadline('LINK', e.deadline, 9999)));
+
+  await expectRevert('Later round rejected as hint', resolver.setRoundHint(e.id, deadlineRound + 1n), 'InvalidRoundHint');
+  await expectRevert('Earlier round rejected as hint', resolver.setRoundHint(e.id, deadlineRound - 1n), 'InvalidRoundHint');
+
+  const receipt = await (await resolver.setRoundHint(e.id, deadlineRound)).wait();
+  const event = receipt.logs.map(l => resolver.interface.parseLog(l)).find(x => x?.name === 'RoundHintSet');
+  test('RoundHintSet emitted', event?.args.marketId === e.id && event.args.roundId === deadlineRound);
+  test('Hint recorded', await chainlink.roundHints(e.id) === deadlineRound &&
+    (await findRoundHint(resolver, e.id, e.data)).hintSet);
+
+  await (await factory.resolveMarket(e.id)).wait();
+  test('Resolves on the hinted round', await outcomeOf(e.id) === true);
+
+  log('');
+
+  // ========================================
+  // 3. PHASES
+  // ========================================
+  section('3. PHASES');
+
+  const f = await linkMarket(1000);
+  await chain.increaseTime(2000);
+  const lastOfPhase = await script([[30, f.deadline - 10]]);
+  await (await feed.nextPhase()).wait();
+  const firstOfPhase = await script([[5, f.deadline + 10], [5, f.deadline + 20]]) - 1n;
+  test('New phase round IDs', firstOfPhase === (1n << 64n) + 1n);
+
+  await expectRevert('Lookback stops at the phase start', factory.resolveMarket(f.id), 'RoundNotFound');
+
+  const hintF = await findRoundHint(resolver, f.id, f.data);
+  test('findRoundHint searches the previous phase', hintF.roundId === lastOfPhase && hintF.needsHint);
+  test('Last round of a phase validated against the next phase', await chainlink.isRoundAtDeadline('LINK', f.deadline, lastOfPhase));
+
+  await (await resolver.setRoundHint(f.id, hintF.roundId)).wait();
+  await (await factory.resolveMarket(f.id)).wait();
+  test('Resolves across a phase change', await outcomeOf(f.id) === true);
+
+  const g = await linkMarket(1000);
+  await chain.increaseTime(2000);
+  await script([[25, g.deadline - 5], [5, g.deadline + 5]]);
+  const hintG = await findRoundHint(resolver, g.id, g.data);
+  test('Lookback within the new phase', hintG.roundId === firstOfPhase + 2n && !hintG.needsHint);
+  await (await factory.resolveMarket(g.id)).wait();
+  test('Resolves without a hint in the new phase', await outcomeOf(g.id) === true);
+
+  const early = encodeChainlinkParams({ asset: 'LINK', targetPrice: price(20), isGreaterThan: true, deadline: 1 });
+  let noRound = null;
+  try {
+    await findRoundHint(resolver, g.id, early);
+  } catch (err) {
+    noRound = err.message;
+  }
+  test('No round before the deadline', noRound?.startsWith('No LINK round'));
+
+  log('');
+
+  // ========================================
+  // 4. CLI
+  // ========================================
+  section('4. CLI');
+
+  const keys = chain.server.getInitialAccounts();
+  async function cli(args) {
+    const lines = [];
+    const code = await run([...args.split(' '), '--network', 'local', '--json'], {
+      env: { CLAWSHI_PRIVATE_KEY: keys[creator.address.toLowerCase()].secretKey },
+      provider: chain.provider,
+      addresses: p.addresses,
+      stdout: line => lines.push(line),
+      stderr: line => lines.push(line)
+    });
+    return { code, output: JSON.parse(lines.join('\n')) };
+  }
+
+  const h = await linkMarket(1000);
+  await chain.increaseTime(2000);
+  const roundH = await script([[40, h.deadline - 1]]);
+  await script(Array.from({ length: Number(lookback) + 1 }, (_, i) => [5, h.deadline + 1 + i]));
+
+  const found = await cli(`chainlink find-round ${h.id}`);
+  test('find-round', found.code === 0 && found.output.roundId === roundH.toString() && found.output.needsHint &&
+    found.output.asset === 'LINK');
+
+  const set = await cli(`chainlink set-round-hint ${h.id}`);
+  test('set-round-hint finds and records the round', set.code === 0 && set.output.events[0].name === 'RoundHintSet' &&
+    await chainlink.roundHints(h.id) === roundH);
+
+  const wrong = await cli(`chainlink set-round-hint ${h.id} ${roundH + 1n}`);
+  test('set-round-hint with a wrong round reverts', wrong.code === 1 && wrong.output.error.reason === 'InvalidRoundHint');
+
+  const { marketId: manualId } = await client.createMarket({
+    question: 'Manual',
+    resolver: p.addresses.ManualResolver,
+    deadline: h.deadline + 99999
+  });
+  test('Non-Chainlink market is a usage error', (await cli(`chainlink find-round ${manualId}`)).code === 2);
+
+  await (await factory.resolveMarket(h.id)).wait();
+  test('Resolves after the CLI hint', await outcomeOf(h.id) === true);
+
+  log('');
+}
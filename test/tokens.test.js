@@ -0,0 +1,304 @@
+import { ethers } from 'ethers';
+import { run } from '../cli/index.js';
+import { openIndexDb } from '../scripts/lib/index-db.js';
+import { createIndexer } from '../scripts/lib/indexer.js';
+import { ClawshiClient, claimPayout, formatTokenAmount, parseTokenAmount } from '../src/index.js';
+import { deployProtocol } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// Stake token whitelist and per-market collateral
+// ============================================
+// USDC (6 decimals, whitelisted at deployment) alongside an 18-decimal
+// DAI and a 6-decimal EURC mock.
+// ============================================
+
+const usd = n => ethers.parseUnits(String(n), 6);
+const dai = n => ethers.parseUnits(String(n), 18);
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, treasury, creator, usdc, factory, manual } = p;
+  const [alice, bob, carol, dave] = p.users;
+
+  const daiToken = await chain.deploy('MockERC20', ['Dai Stablecoin', 'DAI', 18]);
+  const eurcToken = await chain.deploy('MockERC20', ['Euro Coin', 'EURC', 6]);
+  const DAI = await daiToken.getAddress();
+  const EURC = await eurcToken.getAddress();
+
+  for (const user of [alice, bob, carol, dave]) {
+    await (await daiToken.mint(user.address, dai(1000))).wait();
+    await (await eurcToken.mint(user.address, usd(1000))).wait();
+  }
+
+  const clientFor = signer => new ClawshiClient({ runner: signer, addresses: p.addresses });
+  const creatorClient = clientFor(creator);
+
+  // ManualResolver market (1% creator fee) collateralised in `token`
+  async function market(question, token, deadline = 600) {
+    const { marketId } = await creatorClient.createMarket({
+      question,
+      resolver: p.addresses.ManualResolver,
+      deadline: (await chain.now()) + deadline,
+      creatorFeeBps: 100,
+      token
+    });
+    return marketId;
+  }
+
+  // ========================================
+  // 1. WHITELIST
+  // ========================================
+  section('1. WHITELIST');
+
+  const usdcStake = await factory.stakeTokens(p.addresses.USDC);
+  test('USDC whitelisted at deployment', usdcStake.approved && usdcStake.minStake === 100000n &&
+    (await factory.getStakeTokens()).join() === p.addresses.USDC);
+
+  const now = await chain.now();
+  await expectRevert('Unapproved token rejected',
+    factory.connect(creator).createMarket.staticCall('DAI?', p.addresses.ManualResolver, '0x', now + 600, 0, DAI), 'InvalidToken');
+
+  let sdkReason = null;
+  try {
+    await creatorClient.createMarket({ question: 'DAI?', resolver: p.addresses.ManualResolver, deadline: now + 600, token: DAI });
+  } catch (err) {
+    sdkReason = err.reason;
+  }
+  test('SDK rejects an unapproved token before sending', sdkReason === 'InvalidToken');
+
+  await expectRevert('Stranger cannot whitelist', factory.connect(alice).setStakeToken(DAI, true, dai('0.1')), 'Unauthorized');
+  await expectRevert('Zero address rejected', factory.setStakeToken(ethers.ZeroAddress, true, 1), 'ZeroAddress');
+
+  const approvedDai = await (await factory.setStakeToken(DAI, true, dai('0.1'))).wait();
+  await (await factory.setStakeToken(EURC, true, usd('0.5'))).wait();
+  const [updated] = approvedDai.logs.map(l => factory.interface.parseLog(l)).filter(e => e?.name === 'StakeTokenUpdated');
+  test('StakeTokenUpdated emitted', updated.args.token === DAI && updated.args.approved && updated.args.minStake === dai('0.1'));
+
+  const tokens = await creatorClient.getStakeTokens();
+  test('getStakeTokens with symbols and decimals', tokens.map(t => `${t.symbol}:${t.decimals}`).join() === 'USDC:6,DAI:18,EURC:6' &&
+    tokens.every(t => t.approved) && tokens[1].minStake === dai('0.1'));
+
+  log('');
+
+  // ========================================
+  // 2. STAKING IN AN 18-DECIMAL TOKEN
+  // ========================================
+  section('2. STAKING IN AN 18-DECIMAL TOKEN');
+
+  const d = await market('DAI market', DAI);
+  test('Market stores its token', (await factory.getMarket(d)).token === DAI);
+
+  await (await daiToken.connect(alice).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  await expectRevert('Per-token minimum (0.1 DAI)', factory.connect(alice).stake(d, true, usd('0.1')), 'InvalidAmount');
+
+  const usdcBefore = await usdc.balanceOf(bob.address);
+  const bobStake = await clientFor(bob).stake(d, false, dai(10));
+  test('Client approves the market token', bobStake.approval !== null);
+  test('Stake pulled in DAI, not USDC', await daiToken.balanceOf(bob.address) === dai(990) &&
+    await usdc.balanceOf(bob.address) === usdcBefore);
+
+  await (await factory.connect(alice).stake(d, true, dai(30))).wait();
+  test('Funds tracked per token', await factory.totalMarketFunds(DAI) === dai(40) &&
+    await factory.totalMarketFunds(p.addresses.USDC) === 0n);
+
+  const e = await market('EURC market', EURC);
+  await (await eurcToken.connect(carol).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  await expectRevert('Per-token minimum (0.5 EURC)', factory.connect(carol).stake(e, true, usd('0.4')), 'InvalidAmount');
+  await (await factory.connect(carol).stake(e, true, usd('0.5'))).wait();
+  test('6-decimal token staked at its own minimum', (await factory.getStake(e, carol.address)).amount === usd('0.5'));
+
+  log('');
+
+  // ========================================
+  // 3. PAYOUTS AND FEES
+  // ========================================
+  section('3. PAYOUTS AND FEES');
+
+  await (await manual.setOutcome(d, true)).wait();
+  await chain.increaseTime(601);
+  await (await factory.resolveMarket(d)).wait();
+
+  const quote = claimPayout(await factory.getMarket(d), await factory.getStake(d, alice.address), await factory.protocolFeeBps());
+  const aliceBefore = await daiToken.balanceOf(alice.address);
+  const claimed = await clientFor(alice).claim(d);
+  test('Winnings paid in DAI', await daiToken.balanceOf(alice.address) - aliceBefore === claimed.payout &&
+    claimed.payout === quote.payout && claimed.payout > dai(39));
+
+  const treasuryDai = await factory.accruedFees(treasury.address, DAI);
+  test('Fees accrue in the market token', treasuryDai === quote.protocolFee &&
+    await factory.accruedFees(creator.address, DAI) === quote.creatorFee &&
+    await factory.accruedFees(treasury.address, p.addresses.USDC) === 0n);
+  test('totalAccruedFees per token', await factory.totalAccruedFees(DAI) === quote.protocolFee + quote.creatorFee &&
+    await factory.totalAccruedFees(p.addresses.USDC) === 0n);
+
+  const fees = await clientFor(creator).getAccruedFees(creator.address, { token: DAI });
+  test('getAccruedFees in a token', fees.token === DAI && fees.accrued === quote.creatorFee);
+
+  await expectRevert('No USDC fees to withdraw', factory.connect(creator).withdrawFees(p.addresses.USDC), 'NoFeesAccrued');
+  const creatorBefore = await daiToken.balanceOf(creator.address);
+  const withdrawn = await clientFor(creator).withdrawFees({ token: DAI });
+  test('withdrawFees pays the token', withdrawn.token === DAI && withdrawn.amount === quote.creatorFee &&
+    await daiToken.balanceOf(creator.address) - creatorBefore === quote.creatorFee &&
+    await factory.accruedFees(creator.address, DAI) === 0n);
+
+  await (await daiToken.connect(dave).transfer(p.addresses.MarketFactory, dai(2))).wait();
+  test('Surplus per token', await factory.withdrawableSurplus(DAI) === dai(2) &&
+    await factory.withdrawableSurplus(p.addresses.USDC) === 0n);
+  await expectRevert('Owed DAI guarded', factory.emergencyWithdraw(DAI, dai(2) + 1n), 'ExceedsSurplus');
+  await (await factory.emergencyWithdraw(DAI, dai(2))).wait();
+  test('Stray DAI withdrawn', await daiToken.balanceOf(owner.address) === dai(2));
+
+  log('');
+
+  // ========================================
+  // 4. MIXED-TOKEN BATCHES
+  // ========================================
+  section('4. MIXED-TOKEN BATCHES');
+
+  const m1 = await market('Batch USDC', p.addresses.USDC);
+  const m2 = await market('Batch DAI', DAI);
+  const m3 = await market('Batch EURC', EURC);
+  const m4 = await market('Batch DAI 2', DAI);
+
+  const daveClient = clientFor(dave);
+  const daveStakes = await daveClient.stakeMany([
+    { marketId: m1, isYes: true, amount: usd(2) },
+    { marketId: m2, isYes: true, amount: dai(3) },
+    { marketId: m3, isYes: true, amount: usd(4) },
+    { marketId: m4, isYes: true, amount: dai(5) }
+  ]);
+  const totalOf = (totals, token) => totals.find(t => t.token === token)?.amount;
+  test('stakeMany approves each token once', daveStakes.approvals.length === 3);
+  test('stakeMany totals per token', daveStakes.totals.length === 3 && totalOf(daveStakes.totals, DAI) === dai(8) &&
+    totalOf(daveStakes.totals, p.addresses.USDC) === usd(2) && totalOf(daveStakes.totals, EURC) === usd(4));
+  test('Every stake in its market token', (await factory.getStake(m4, dave.address)).amount === dai(5) &&
+    await daiToken.balanceOf(dave.address) === dai(1000) - dai(2) - dai(8));
+
+  await expectRevert('Batch checks each token\'s minimum', factory.connect(dave).stakeMany.staticCall([m2, m1], [true, true], [usd(1), usd(1)]),
+    'InvalidAmount');
+
+  await (await usdc.connect(carol).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  await (await daiToken.connect(carol).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  for (const [id, amount] of [[m1, usd(1)], [m2, dai(1)], [m3, usd(1)], [m4, dai(1)]]) {
+    await (await factory.connect(carol).stake(id, false, amount)).wait();
+  }
+
+  await chain.increaseTime(601);
+  await (await manual.batchSetOutcome([m1, m2, m3, m4], [true, true, true, true])).wait();
+  await (await factory.resolveMany([m1, m2, m3, m4])).wait();
+
+  const claimable = await daveClient.findClaimable(dave.address, { marketIds: [m1, m2, m3, m4] });
+  test('findClaimable reports each market\'s token', claimable.map(c => c.token).join() === [p.addresses.USDC, DAI, EURC, DAI].join());
+
+  const balances = async () => Promise.all([usdc, daiToken, eurcToken].map(t => t.balanceOf(dave.address)));
+  const before = await balances();
+  const daveClaims = await daveClient.claimMany([m1, m2, m3, m4]);
+  const after = await balances();
+  test('claimMany pays every token', daveClaims.totals.length === 3 &&
+    after[0] - before[0] === totalOf(daveClaims.totals, p.addresses.USDC) &&
+    after[1] - before[1] === totalOf(daveClaims.totals, DAI) &&
+    after[2] - before[2] === totalOf(daveClaims.totals, EURC));
+  test('DAI winnings include both DAI markets', totalOf(daveClaims.totals, DAI) > dai(9));
+
+  log('');
+
+  // ========================================
+  // 5. REVOKING A TOKEN
+  // ========================================
+  section('5. REVOKING A TOKEN');
+
+  const live = await market('Live DAI market', DAI);
+  await (await factory.setStakeToken(DAI, false, dai('0.1'))).wait();
+  await expectRevert('No new markets in a revoked token',
+    factory.connect(creator).createMarket.staticCall('DAI?', p.addresses.ManualResolver, '0x', (await chain.now()) + 600, 0, DAI),
+    'InvalidToken');
+  await (await factory.connect(alice).stake(live, true, dai(1))).wait();
+  test('Existing markets keep working', (await factory.getStake(live, alice.address)).amount === dai(1));
+  await (await factory.setStakeToken(DAI, true, dai('0.1'))).wait();
+  test('Re-approval does not duplicate the list', (await factory.getStakeTokens()).length === 3);
+
+  log('');
+
+  // ========================================
+  // 6. SDK FORMATTING
+  // ========================================
+  section('6. SDK FORMATTING');
+
+  const daiInfo = await creatorClient.getMarketToken(d);
+  test('getMarketToken reads symbol and decimals', daiInfo.address === DAI && daiInfo.symbol === 'DAI' && daiInfo.decimals === 18);
+  test('formatTokenAmount uses the token decimals', formatTokenAmount(dai('1.5'), daiInfo) === '1.5 DAI' &&
+    formatTokenAmount(usd('1.5'), await creatorClient.getMarketToken(m1)) === '1.5 USDC' &&
+    formatTokenAmount(usd(2), daiInfo, { symbol: false }) === '0.000000000002');
+  test('parseTokenAmount uses the token decimals', parseTokenAmount('2.25', daiInfo) === dai('2.25') &&
+    parseTokenAmount('2.25', await creatorClient.getTokenInfo(EURC)) === usd('2.25'));
+
+  log('');
+
+  // ========================================
+  // 7. CLI
+  // ========================================
+  section('7. CLI');
+
+  const keys = chain.server.getInitialAccounts();
+  async function cli(signer, args) {
+    const lines = [];
+    const code = await run([...args.split(' '), '--network', 'local', '--json'], {
+      env: { CLAWSHI_PRIVATE_KEY: keys[signer.address.toLowerCase()].secretKey },
+      provider: chain.provider,
+      addresses: p.addresses,
+      stdout: line => lines.push(line),
+      stderr: line => lines.push(line)
+    });
+    return { code, output: JSON.parse(lines.join('\n')) };
+  }
+
+  const created = await cli(creator, `market create --question CLI-DAI --resolver manual --deadline +1h --token ${DAI}`);
+  const cliMarket = (await factory.getMarketCount()) - 1n;
+  test('market create --token', created.code === 0 && (await factory.getMarket(cliMarket)).token === DAI);
+
+  const shown = await cli(creator, `market show ${cliMarket}`);
+  test('market show reports the collateral', shown.code === 0 && shown.output.collateral.symbol === 'DAI' &&
+    shown.output.collateral.decimals === 18);
+
+  const cliStake = await cli(bob, `stake ${cliMarket} yes 2.5`);
+  test('stake parses amounts in the market token', cliStake.code === 0 &&
+    (await factory.getStake(cliMarket, bob.address)).amount === dai('2.5'));
+
+  const listed = await cli(creator, 'tokens');
+  test('tokens lists the whitelist', listed.code === 0 && listed.output.tokens.map(t => t.symbol).join() === 'USDC,DAI,EURC');
+
+  const feesShown = await cli(treasury, `fees show --token ${DAI}`);
+  test('fees show --token', feesShown.code === 0 && feesShown.output.collateral.symbol === 'DAI' &&
+    feesShown.output.accrued === (await factory.accruedFees(treasury.address, DAI)).toString());
+
+  const setMin = await cli(owner, `admin set-stake-token ${EURC} 1`);
+  test('admin set-stake-token in the token\'s decimals', setMin.code === 0 && (await factory.stakeTokens(EURC)).minStake === usd(1));
+
+  log('');
+
+  // ========================================
+  // 8. INDEXER
+  // ========================================
+  section('8. INDEXER');
+
+  const db = await openIndexDb();
+  await createIndexer({ provider: chain.provider, db, addresses: p.addresses }).sync();
+
+  const indexedDai = db.getMarket(Number(d));
+  test('Markets carry their token', indexedDai.token.address === DAI && indexedDai.token.symbol === 'DAI' &&
+    indexedDai.token.decimals === 18 && indexedDai.yesPool === dai(30).toString());
+  test('USDC markets keep 6 decimals', db.getMarket(Number(m1)).token.decimals === 6);
+  const positions = db.getPositions(dave.address);
+  test('Positions carry the market token', positions.find(x => x.marketId === Number(m3)).market.token.symbol === 'EURC');
+
+  const indexedTokens = db.getStakeTokens();
+  test('Stake tokens indexed', indexedTokens.map(t => `${t.symbol}:${t.decimals}:${t.approved}`).join() ===
+    'USDC:6:true,DAI:18:true,EURC:6:true' && indexedTokens.find(t => t.symbol === 'EURC').minStake === usd(1).toString());
+
+  const rebuilt = db.transaction(() => db.rollback(db.getCheckpoint().number, db.getCheckpoint().hash));
+  test('Token metadata survives a replay', rebuilt > 0 && db.getMarket(Number(d)).token.decimals === 18);
+  db.close();
+
+  log('');
+}
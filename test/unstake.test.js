@@ -0,0 +1,339 @@
+import { ethers } from 'ethers';
+import { run } from '../cli/index.js';
+import { ClawshiClient, claimPayout } from '../src/index.js';
+import { openIndexDb } from '../scripts/lib/index-db.js';
+import { createIndexer } from '../scripts/lib/indexer.js';
+import { deployProtocol } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// Unstaking and switching sides before the deadline
+// ============================================
+
+const usd = n => ethers.parseUnits(String(n), 6);
+const TREASURY = 1;
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { owner, treasury, creator, usdc, factory, manual } = p;
+  const [alice, bob, carol, dave, outsider] = p.users;
+  const stakers = [alice, bob, carol, dave];
+
+  const clientFor = signer => new ClawshiClient({ runner: signer, addresses: p.addresses });
+  const creatorClient = clientFor(creator);
+
+  for (const user of stakers) {
+    await (await usdc.connect(user).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+  }
+
+  const balance = address => usdc.balanceOf(address);
+  const eventsOf = (receipt, name) => receipt.logs
+    .map(l => factory.interface.parseLog(l))
+    .filter(e => e?.name === name);
+
+  // ManualResolver market with the given stakes ([signer, isYes, amount])
+  async function market(question, stakes = []) {
+    const { marketId } = await creatorClient.createMarket({
+      question,
+      resolver: p.addresses.ManualResolver,
+      deadline: (await chain.now()) + 600
+    });
+    for (const [signer, isYes, amount] of stakes) {
+      await (await factory.connect(signer).stake(marketId, isYes, amount)).wait();
+    }
+    return marketId;
+  }
+
+  // Every unresolved market's pools and exit fees must be backed by the factory's USDC
+  const ids = [];
+  async function poolsMatchBalance() {
+    let total = 0n;
+    for (const id of ids) {
+      const m = await factory.getMarket(id);
+      total += m.yesPool + m.noPool + m.exitFees;
+    }
+    return total === await balance(p.addresses.MarketFactory);
+  }
+
+  // ========================================
+  // 1. UNSTAKE
+  // ========================================
+  section('1. UNSTAKE');
+
+  test('Default exit fee is 1%', await factory.exitFeeBps() === 100n);
+
+  const a = await market('Partial and full exits', [[alice, true, usd(10)], [bob, false, usd(20)]]);
+  ids.push(a);
+
+  const before = await balance(alice.address);
+  const partial = await clientFor(alice).unstake(a, usd(4));
+  const unstaked = eventsOf(partial.receipt, 'Unstaked')[0];
+  test('Unstake pays the amount less the exit fee', partial.fee === usd('0.04') && partial.received === usd('3.96') &&
+    await balance(alice.address) - before === usd('3.96'));
+  test('Unstaked event', unstaked.args.user === alice.address && unstaked.args.isYes === true &&
+    unstaked.args.amount === usd(4) && unstaked.args.fee === usd('0.04'));
+
+  const afterPartial = await factory.getMarket(a);
+  test('Pool shrinks by the full amount, fee kept in the market', afterPartial.yesPool === usd(6) &&
+    afterPartial.noPool === usd(20) && afterPartial.exitFees === usd('0.04'));
+  test('Stake reduced', (await factory.getStake(a, alice.address)).amount === usd(6));
+  test('Pools match the factory balance', await poolsMatchBalance());
+
+  await expectRevert('Zero amount', factory.connect(alice).unstake(a, 0), 'InvalidAmount');
+  await expectRevert('More than the stake', factory.connect(alice).unstake(a, usd(7)), 'InvalidAmount');
+  await expectRevert('Remainder below the minimum stake', factory.connect(alice).unstake(a, usd('5.95')), 'InvalidAmount');
+  await expectRevert('No stake to withdraw', factory.connect(carol).unstake(a, usd(1)), 'InvalidAmount');
+  await expectRevert('Unknown market', factory.connect(alice).unstake(99, usd(1)), 'MarketNotFound');
+
+  await (await factory.connect(alice).unstake(a, usd(6))).wait();
+  test('Full exit empties the stake', (await factory.getStake(a, alice.address)).amount === 0n &&
+    (await factory.getMarket(a)).yesPool === 0n && (await factory.getMarket(a)).exitFees === usd('0.1'));
+
+  await (await factory.connect(alice).stake(a, false, usd(5))).wait();
+  const restaked = await factory.getStake(a, alice.address);
+  test('Full exit frees the other side', !restaked.isYes && restaked.amount === usd(5));
+
+  await (await factory.pauseMarket(a, true)).wait();
+  await expectRevert('No exits while paused', factory.connect(bob).unstake(a, usd(1)), 'MarketPausedError');
+  await (await factory.pauseMarket(a, false)).wait();
+
+  log('');
+
+  // ========================================
+  // 2. SWITCH SIDES
+  // ========================================
+  section('2. SWITCH SIDES');
+
+  const b = await market('Side switches', [[alice, true, usd(10)], [bob, false, usd(10)]]);
+  ids.push(b);
+
+  const switched = await clientFor(alice).switchSide(b);
+  const switchedEvent = eventsOf(switched.receipt, 'SideSwitched')[0];
+  test('Switch moves the stake less the exit fee', switched.isYes === false && switched.amount === usd('9.9') &&
+    switched.fee === usd('0.1') && switchedEvent.args.user === alice.address);
+
+  const afterSwitch = await factory.getMarket(b);
+  test('Pools updated on both sides', afterSwitch.yesPool === 0n && afterSwitch.noPool === usd('19.9') &&
+    afterSwitch.exitFees === usd('0.1'));
+  const aliceStake = await factory.getStake(b, alice.address);
+  test('Stake moved to the other side', !aliceStake.isYes && aliceStake.amount === usd('9.9'));
+  await expectRevert('Stake on the old side rejected', factory.connect(alice).stake(b, true, usd(1)), 'InvalidPosition');
+
+  await (await factory.connect(alice).switchSide(b)).wait();
+  test('Switch back pays the fee again', (await factory.getStake(b, alice.address)).amount === usd('9.801') &&
+    (await factory.getMarket(b)).exitFees === usd('0.199'));
+
+  await expectRevert('Switch without a stake', factory.connect(carol).switchSide(b), 'InvalidPosition');
+  await (await factory.connect(carol).stake(b, true, usd('0.1'))).wait();
+  await expectRevert('Switched stake below the minimum', factory.connect(carol).switchSide(b), 'InvalidAmount');
+  test('Pools match the factory balance', await poolsMatchBalance());
+
+  log('');
+
+  // ========================================
+  // 3. POOL ACCOUNTING
+  // ========================================
+  section('3. POOL ACCOUNTING');
+
+  const c = await market('Random walk one');
+  const d = await market('Random walk two');
+  ids.push(c, d);
+
+  // Deterministic sequence of stakes, exits and switches
+  let seed = 17;
+  const next = n => {
+    seed = (seed * 1103515245 + 12345) % 2 ** 31;
+    return seed % n;
+  };
+
+  let balanced = true;
+  let operations = 0;
+  for (let i = 0; i < 40; i++) {
+    const signer = stakers[next(stakers.length)];
+    const id = [c, d][next(2)];
+    const { amount, isYes } = await factory.getStake(id, signer.address);
+    const action = amount === 0n ? 0 : next(3);
+
+    if (action === 0) {
+      await (await factory.connect(signer).stake(id, amount === 0n ? next(2) === 0 : isYes, usd(1 + next(20)))).wait();
+    } else if (action === 1) {
+      // Leave either nothing or at least the 0.1 USDC minimum
+      const exit = next(2) === 0 || amount <= usd(1) ? amount : amount - usd('0.5');
+      await (await factory.connect(signer).unstake(id, exit)).wait();
+    } else {
+      await (await factory.connect(signer).switchSide(id)).wait();
+    }
+    operations++;
+    balanced = balanced && await poolsMatchBalance();
+  }
+  test(`Pools match the factory balance after ${operations} operations`, balanced);
+
+  // Pools always equal the sum of the live stakes on each side
+  let poolsMatchStakes = true;
+  for (const id of [c, d]) {
+    const m = await factory.getMarket(id);
+    let yes = 0n;
+    let no = 0n;
+    for (const signer of stakers) {
+      const s = await factory.getStake(id, signer.address);
+      if (s.isYes) yes += s.amount;
+      else no += s.amount;
+    }
+    poolsMatchStakes = poolsMatchStakes && m.yesPool === yes && m.noPool === no;
+  }
+  test('Pools equal the sum of the stakes', poolsMatchStakes);
+
+  // The walk may have emptied a side: give the market a loser so the winners share something
+  const winning = true;
+  const pools = await factory.getMarket(c);
+  if (pools.yesPool === 0n || pools.noPool === 0n) {
+    await (await usdc.connect(outsider).approve(p.addresses.MarketFactory, ethers.MaxUint256)).wait();
+    await (await factory.connect(outsider).stake(c, pools.yesPool === 0n, usd(5))).wait();
+  }
+  const walk = await factory.getMarket(c);
+  const quote = await factory.calculatePayout(c, winning, usd(1));
+  const protocolFeeBps = await factory.protocolFeeBps();
+  const gross = usd(1) * (walk.yesPool + walk.noPool + walk.exitFees + usd(1)) / ((winning ? walk.yesPool : walk.noPool) + usd(1));
+  test('calculatePayout counts the exit fees', walk.exitFees > 0n &&
+    quote === gross - gross * protocolFeeBps / 10000n - gross * walk.creatorFee / 10000n);
+
+  await (await manual.setOutcome(c, winning)).wait();
+  await chain.increaseTime(601);
+  await (await factory.resolveMarket(c)).wait();
+
+  const resolved = await factory.getMarket(c);
+  let claimedMatch = true;
+  let paidOut = 0n;
+  let fees = 0n;
+  for (const signer of [...stakers, outsider]) {
+    const s = await factory.getStake(c, signer.address);
+    if (s.amount === 0n || s.isYes !== winning) continue;
+    const expected = claimPayout(resolved, s, protocolFeeBps);
+    const { payout } = await clientFor(signer).claim(c);
+    claimedMatch = claimedMatch && payout === expected.payout;
+    paidOut += payout;
+    fees += expected.protocolFee + expected.creatorFee;
+  }
+  test('Winners share the pools and the exit fees (SDK matches claim)', claimedMatch);
+
+  const distributed = resolved.yesPool + resolved.noPool + resolved.exitFees;
+  test('Claims pay out the market less fees and rounding dust', distributed - paidOut - fees <= BigInt(stakers.length) &&
+    distributed - paidOut - fees >= 0n);
+
+  log('');
+
+  // ========================================
+  // 4. EXIT FEES AT SETTLEMENT
+  // ========================================
+  section('4. EXIT FEES AT SETTLEMENT');
+
+  const e = await market('Cancelled after exits', [[alice, true, usd(10)], [bob, false, usd(10)]]);
+  await (await factory.connect(alice).unstake(e, usd(5))).wait();
+  let treasuryBefore = await factory.accruedFees(treasury.address, p.addresses.USDC);
+  const cancelReceipt = await (await factory.cancelMarket(e)).wait();
+  test('Cancellation credits the exit fees to the treasury',
+    eventsOf(cancelReceipt, 'ExitFeesSwept')[0]?.args.amount === usd('0.05') &&
+    await factory.accruedFees(treasury.address, p.addresses.USDC) - treasuryBefore === usd('0.05'));
+  test('Refunds return the remaining stakes', (await clientFor(alice).refund(e)).amount === usd(5) &&
+    (await clientFor(bob).refund(e)).amount === usd(10));
+
+  const f = await market('One-sided after an exit', [[alice, true, usd(10)], [bob, false, usd(10)]]);
+  await (await factory.connect(bob).unstake(f, usd(10))).wait();
+  await (await manual.setOutcome(f, true)).wait();
+  await chain.increaseTime(601);
+  treasuryBefore = await factory.accruedFees(treasury.address, p.addresses.USDC);
+  const refundable = await (await factory.resolveMarket(f)).wait();
+  test('Refund-only market credits the exit fees to the treasury',
+    eventsOf(refundable, 'ExitFeesSwept')[0]?.args.amount === usd('0.1') &&
+    await factory.accruedFees(treasury.address, p.addresses.USDC) - treasuryBefore === usd('0.1'));
+  test('One-sided staker refunded in full', (await clientFor(alice).claim(f)).payout === usd(10));
+
+  await (await factory.setOneSidedPolicy(TREASURY)).wait();
+  const g = await market('Winners all left', [[alice, true, usd(10)], [bob, false, usd(10)]]);
+  await (await factory.connect(alice).unstake(g, usd(10))).wait();
+  await (await manual.setOutcome(g, true)).wait();
+  await chain.increaseTime(601);
+  treasuryBefore = await factory.accruedFees(treasury.address, p.addresses.USDC);
+  const swept = await (await factory.resolveMarket(g)).wait();
+  test('No winners: losing pool and exit fees swept', eventsOf(swept, 'LosingPoolSwept')[0]?.args.amount === usd('10.1') &&
+    await factory.accruedFees(treasury.address, p.addresses.USDC) - treasuryBefore === usd('10.1'));
+  await (await factory.setOneSidedPolicy(0)).wait();
+
+  await expectRevert('Only owner sets the exit fee', factory.connect(outsider).setExitFee(50), 'Unauthorized');
+  await expectRevert('Exit fee above 10%', factory.setExitFee(1001), 'Fee too high');
+  const feeReceipt = await (await factory.setExitFee(0)).wait();
+  test('Exit fee updated', eventsOf(feeReceipt, 'ExitFeeUpdated')[0]?.args.newFeeBps === 0n);
+
+  const h = await market('Free exits', [[alice, true, usd(3)]]);
+  const free = await clientFor(alice).unstake(h, usd(3));
+  test('Zero exit fee returns the whole amount', free.fee === 0n && free.received === usd(3));
+  await (await factory.setExitFee(100)).wait();
+
+  const late = await market('Exits close at the deadline', [[alice, true, usd(3)]]);
+  await chain.increaseTime(601);
+  await expectRevert('No unstake after the deadline', factory.connect(alice).unstake(late, usd(1)), 'DeadlinePassed');
+  await expectRevert('No switch after the deadline', factory.connect(alice).switchSide(late), 'DeadlinePassed');
+
+  log('');
+
+  // ========================================
+  // 5. CLI AND INDEXER
+  // ========================================
+  section('5. CLI AND INDEXER');
+
+  const keys = chain.server.getInitialAccounts();
+  async function cli(signer, args) {
+    const lines = [];
+    const code = await run([...args.split(' '), '--network', 'local', '--json'], {
+      env: { CLAWSHI_PRIVATE_KEY: keys[signer.address.toLowerCase()].secretKey },
+      provider: chain.provider,
+      addresses: p.addresses,
+      stdout: line => lines.push(line),
+      stderr: line => lines.push(line)
+    });
+    return { code, output: JSON.parse(lines.join('\n')) };
+  }
+
+  const k = await market('CLI exits', [[alice, true, usd(10)], [bob, false, usd(10)]]);
+  const cliUnstake = await cli(alice, `unstake ${k} 2.5`);
+  test('unstake', cliUnstake.code === 0 && cliUnstake.output.events[0].name === 'Unstaked' &&
+    cliUnstake.output.events[0].args.fee === usd('0.025').toString());
+  const tooMuch = await cli(alice, `unstake ${k} 100`);
+  test('unstake more than the stake fails', tooMuch.code === 1 && tooMuch.output.error.reason === 'InvalidAmount');
+
+  const cliSwitch = await cli(bob, `switch ${k}`);
+  test('switch', cliSwitch.code === 0 && cliSwitch.output.events[0].name === 'SideSwitched' &&
+    cliSwitch.output.events[0].args.isYes === true);
+
+  const shown = await cli(outsider, `market show ${k}`);
+  test('market show: exit fees', shown.output.exitFees === usd('0.125').toString());
+
+  const notOwner = await cli(outsider, 'admin set-exit-fee 50');
+  test('admin set-exit-fee by a non-owner fails', notOwner.code === 1 && notOwner.output.error.reason === 'Unauthorized');
+
+  const db = await openIndexDb();
+  await createIndexer({ provider: chain.provider, db, addresses: p.addresses }).sync();
+
+  let indexedPools = true;
+  for (const id of [a, b, d, k]) {
+    const onchain = await factory.getMarket(id);
+    const row = db.getMarket(id);
+    indexedPools = indexedPools && row.yesPool === onchain.yesPool.toString() &&
+      row.noPool === onchain.noPool.toString() && row.exitFees === onchain.exitFees.toString();
+  }
+  test('Indexed pools and exit fees match the chain', indexedPools);
+
+  let indexedPositions = true;
+  for (const signer of stakers) {
+    for (const id of [a, b, d, k]) {
+      const s = await factory.getStake(id, signer.address);
+      const row = db.getPositions(signer.address).find(r => r.marketId === Number(id));
+      indexedPositions = indexedPositions && (s.amount === 0n
+        ? row === undefined
+        : row?.amount === s.amount.toString() && row.isYes === s.isYes);
+    }
+  }
+  test('Indexed positions follow exits and switches', indexedPositions);
+
+  log('');
+}
@@ -0,0 +1,130 @@
+import { run } from '../cli/index.js';
+import { ClawshiClient, encodeChainlinkParams, validateMarketParams } from '../src/index.js';
+import { deployProtocol } from './helpers/chain.js';
+import { expectRevert, log, section, test } from './helpers/report.js';
+
+// ============================================
+// Market creation checks: limits and resolver data
+// ============================================
+
+const price = n => BigInt(n) * 10n ** 8n;
+const DAY = 86400;
+
+export default async function (chain) {
+  const p = await deployProtocol(chain);
+  const { creator, factory, chainlink, manual } = p;
+
+  const client = new ClawshiClient({ runner: creator, addresses: p.addresses });
+  const asCreator = factory.connect(creator);
+
+  const now = await chain.now();
+  const deadline = now + 3600;
+  const ethData = (overrides = {}) => encodeChainlinkParams({
+    asset: 'ETH', targetPrice: price(3500), isGreaterThan: true, deadline, ...overrides
+  });
+
+  // createMarket() as sent by the contract, skipping the SDK checks
+  const onChain = (question, resolver, data, end = deadline, fee = 0) =>
+    asCreator.createMarket.staticCall(question, resolver, data, end, fee, p.addresses.USDC);
+
+  // ========================================
+  // 1. FACTORY LIMITS
+  // ========================================
+  section('1. FACTORY LIMITS');
+
+  const maxLength = await factory.MAX_QUESTION_LENGTH();
+  const horizon = await factory.MAX_DEADLINE_HORIZON();
+  test('Question limit is 280 bytes', maxLength === 280n);
+  test('Deadline horizon is 365 days', horizon === BigInt(365 * DAY));
+
+  await expectRevert('Empty question', onChain('', p.addresses.ManualResolver, '0x'), 'InvalidQuestion');
+  await expectRevert('Question over the limit', onChain('q'.repeat(281), p.addresses.ManualResolver, '0x'), 'InvalidQuestion');
+  await expectRevert('Limit counts UTF-8 bytes', onChain('€'.repeat(94), p.addresses.ManualResolver, '0x'), 'InvalidQuestion');
+  test('Question at the limit accepted', await onChain('q'.repeat(280), p.addresses.ManualResolver, '0x') === 0n);
+
+  await expectRevert('Deadline beyond the horizon',
+    onChain('Far?', p.addresses.ManualResolver, '0x', now + Number(horizon) + 3600), 'InvalidDeadline');
+  test('Deadline at the horizon accepted',
+    await onChain('Far?', p.addresses.ManualResolver, '0x', now + Number(horizon)) === 0n);
+
+  log('');
+
+  // ========================================
+  // 2. CHAINLINK RESOLVER DATA
+  // ========================================
+  section('2. CHAINLINK RESOLVER DATA');
+
+  test('validateParams returns the resolution time', await chainlink.validateParams(ethData()) === BigInt(deadline));
+  await expectRevert('Empty data', onChain('ETH?', p.addresses.ChainlinkResolver, '0x'), 'InvalidParams');
+  await expectRevert('Undecodable data', onChain('ETH?', p.addresses.ChainlinkResolver, '0x1234'), 'InvalidParams');
+  await expectRevert('Zero target', onChain('ETH?', p.addresses.ChainlinkResolver, ethData({ targetPrice: 0n })), 'InvalidParams');
+  await expectRevert('Asset without a feed',
+    onChain('DOGE?', p.addresses.ChainlinkResolver, ethData({ asset: 'DOGE' })), 'InvalidFeed');
+  await expectRevert('Resolution before the market deadline',
+    onChain('ETH?', p.addresses.ChainlinkResolver, ethData({ deadline: deadline - 1 })), 'ResolutionBeforeDeadline');
+
+  const { marketId } = await client.createMarket({
+    question: 'ETH >= $3,500?', resolver: p.addresses.ChainlinkResolver, resolverData: ethData(), deadline
+  });
+  test('Valid market created', (await factory.getMarket(marketId)).resolverData === ethData());
+  test('Resolution after the market deadline accepted',
+    await onChain('ETH?', p.addresses.ChainlinkResolver, ethData({ deadline: deadline + DAY })) > 0n);
+
+  log('');
+
+  // ========================================
+  // 3. OTHER RESOLVERS
+  // ========================================
+  section('3. OTHER RESOLVERS');
+
+  test('ManualResolver takes no data', await manual.validateParams('0x') === 0n);
+  await expectRevert('ManualResolver rejects data', onChain('Event?', p.addresses.ManualResolver, '0x01'), 'InvalidParams');
+  test('Resolvers without validateParams are not checked',
+    await onChain('Quorum?', p.addresses.QuorumResolver, '0x') > 0n);
+
+  log('');
+
+  // ========================================
+  // 4. SDK PRE-VALIDATION
+  // ========================================
+  section('4. SDK PRE-VALIDATION');
+
+  const limits = { now: BigInt(now), maxQuestionLength: maxLength, maxDeadlineHorizon: horizon, maxCreatorFeeBps: 500n };
+  test('validateMarketParams accepts a valid market',
+    validateMarketParams({ question: 'q', deadline, creatorFeeBps: 500 }, limits) === null);
+  test('validateMarketParams reports the contract error',
+    validateMarketParams({ question: '€'.repeat(94), deadline }, limits) === 'InvalidQuestion' &&
+    validateMarketParams({ question: 'q', deadline: now }, limits) === 'InvalidDeadline' &&
+    validateMarketParams({ question: 'q', deadline: BigInt(now) + horizon + 1n }, limits) === 'InvalidDeadline' &&
+    validateMarketParams({ question: 'q', deadline, creatorFeeBps: 501 }, limits) === 'CreatorFeeTooHigh');
+
+  const valid = { question: 'ETH?', resolver: p.addresses.ChainlinkResolver, resolverData: ethData(), deadline };
+  test('validateMarket returns the resolution time', (await client.validateMarket(valid)).resolvesAt === BigInt(deadline));
+  await expectRevert('Unapproved resolver', client.validateMarket({ ...valid, resolver: creator.address }), 'InvalidResolver');
+  await expectRevert('Question checked', client.validateMarket({ ...valid, question: '' }), 'InvalidQuestion');
+  await expectRevert('Resolver data checked', client.validateMarket({ ...valid, resolverData: '0x1234' }), 'InvalidParams');
+  await expectRevert('Resolution time checked',
+    client.validateMarket({ ...valid, resolverData: ethData({ deadline: deadline - 1 }) }), 'ResolutionBeforeDeadline');
+
+  const count = await factory.getMarketCount();
+  const nonce = await chain.provider.getTransactionCount(creator.address);
+  await expectRevert('createMarket rejects before sending',
+    client.createMarket({ ...valid, resolverData: ethData({ asset: 'DOGE' }) }), 'InvalidFeed');
+  test('No transaction sent', await factory.getMarketCount() === count &&
+    await chain.provider.getTransactionCount(creator.address) === nonce);
+
+  const keys = chain.server.getInitialAccounts();
+  const lines = [];
+  const code = await run(['market', 'create', '--question', 'ETH?', '--resolver', 'chainlink', '--deadline', String(deadline),
+    '--resolver-data', '0x1234', '--network', 'local', '--json', '--private-key-env', 'CREATOR_KEY'], {
+    env: { CREATOR_KEY: keys[creator.address.toLowerCase()].secretKey },
+    provider: chain.provider,
+    addresses: p.addresses,
+    stdout: line => lines.push(line),
+    stderr: line => lines.push(line)
+  });
+  test('CLI market create validates first', code === 1 && JSON.parse(lines.join('\n')).error?.reason === 'InvalidParams' &&
+    await factory.getMarketCount() === count);
+
+  log('');
+}
@@ -0,0 +1,85 @@
+import { ethers } from 'ethers';
+import networks from '../config/networks.js';
+import { buildPlan, runPlan } from '../scripts/lib/deploy.js';
+import { verifyDeployment, normalizeBytecode } from '../scripts/lib/verify.js';
+import { getCompiled } from './helpers/chain.js';
+import { log, section, test } from './helpers/report.js';
+
+// ============================================
+// Deployment verification and drift detection
+// ============================================
+
+export default async function (chain) {
+  const [deployer, treasury] = chain.accounts;
+  const config = { ...networks.local, treasury: treasury.address };
+
+  const record = { network: config.name, chainId: config.chainId, contracts: {}, tokens: {}, priceFeeds: {}, config: {}, steps: {} };
+  const steps = await buildPlan(config, { signer: deployer, getArtifact: getCompiled, record });
+  await runPlan(steps, { record, save: () => {}, provider: chain.provider, log: () => {} });
+
+  const verify = rec => verifyDeployment({ provider: chain.provider, record: rec, getArtifact: getCompiled });
+  const failed = report => report.drift.map(c => c.check).sort();
+
+  const factory = new ethers.Contract(record.contracts.MarketFactory.address, getCompiled('MarketFactory').abi, deployer);
+  const chainlink = new ethers.Contract(record.contracts.ChainlinkResolver.address, getCompiled('ChainlinkResolver').abi, deployer);
+
+  // ========================================
+  // 1. BYTECODE
+  // ========================================
+  section('1. BYTECODE');
+
+  const clean = await verify(record);
+  test('Fresh deployment has no drift', clean.ok, JSON.stringify(clean.drift));
+  test('All six contracts compared', clean.checks.filter(c => c.check.startsWith('bytecode.')).length === 6);
+  test('Every price feed checked', clean.checks.filter(c => c.check.startsWith('priceFeeds.')).length === 2);
+
+  const artifact = getCompiled('MarketFactory');
+  // Overwrite part of the IPFS hash inside the metadata
+  const code = artifact.deployedBytecode;
+  const withOtherMetadata = code.slice(0, -80) + 'ff'.repeat(10) + code.slice(-60);
+  test('Metadata hash ignored',
+    withOtherMetadata !== code && normalizeBytecode(withOtherMetadata) === normalizeBytecode(code));
+
+  const onChain = await chain.provider.getCode(record.contracts.MarketFactory.address);
+  test('Immutables masked',
+    normalizeBytecode(onChain, artifact.immutableReferences) ===
+    normalizeBytecode(artifact.deployedBytecode, artifact.immutableReferences));
+
+  const swapped = structuredClone(record);
+  swapped.contracts.MarketFactory.address = record.contracts.ManualResolver.address;
+  const swappedReport = await verify(swapped);
+  test('Wrong contract at address detected', failed(swappedReport).includes('bytecode.MarketFactory'));
+
+  const missing = structuredClone(record);
+  missing.contracts.ManualResolver.address = ethers.Wallet.createRandom().address;
+  test('Address without code detected', failed(await verify(missing)).includes('bytecode.ManualResolver'));
+
+  log('');
+
+  // ========================================
+  // 2. CONFIG DRIFT
+  // ========================================
+  section('2. CONFIG DRIFT');
+
+  await (await factory.setProtocolFee(200)).wait();
+  await (await factory.setStakeToken(record.tokens.USDC.address, true, 1)).wait();
+  await (await factory.setTreasury(deployer.address)).wait();
+  await (await factory.setResolverApproval(record.contracts.ManualResolver.address, false)).wait();
+  await (await chainlink.setPriceFeed('ETH', ethers.ZeroAddress)).wait();
+
+  const drifted = await verify(record);
+  test('Drift reported', !drifted.ok);
+  test('Exactly the changed values drift', JSON.stringify(failed(drifted)) === JSON.stringify([
+    'approvedResolvers.ManualResolver',
+    'priceFeeds.ETH/USD',
+    'protocolFeeBps',
+    'stakeTokens.USDC',
+    'treasury'
+  ]), failed(drifted).join(', '));
+
+  const fee = drifted.drift.find(c => c.check === 'protocolFeeBps');
+  test('Diff has expected and actual', fee.expected === '100' && fee.actual === '200');
+  test('Report is JSON-serializable', JSON.parse(JSON.stringify(drifted)).drift.length === 5);
+
+  log('');
+}